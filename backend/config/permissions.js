@@ -0,0 +1,126 @@
+// Named permissions checked by requirePermission() (utils/policy.js).
+// Roles are stored in the database (models/Role.js); the defaults below are
+// applied to the built-in roles the first time a permission appears.
+export const PERMISSIONS = {
+  // Teams
+  'team.read': 'View teams',
+  'team.create': 'Create teams',
+  'team.update': 'Edit teams and logos',
+  'team.delete': 'Delete teams',
+  'team.statistics.update': 'Edit team statistics',
+
+  // Players
+  'player.create': 'Add players',
+  'player.update': 'Edit players and photos',
+  'player.delete': 'Delete players',
+  'player.transfer': 'Move players between teams',
+  'player.ratings.update': 'Edit player ratings',
+  'player.growth.update': 'Record height and weight measurements',
+  'player.statistics.update': 'Edit player statistics',
+  'player.injury.update': 'Mark players injured or recovered',
+  'player.medical.read': 'View medical information',
+  'player.medical.update': 'Edit medical information',
+
+  // Medical records (injury history, clearances, documents). Not granted to
+  // coaches or parents by default: give them to a medical staff role.
+  'medical.read': 'View injury history, medical clearances and documents',
+  'medical.manage': 'Record injuries and clearances, upload medical documents',
+
+  // Fitness testing
+  'fitness.tests.manage': 'Manage fitness test definitions',
+  'fitness.record': 'Run fitness test sessions and record results',
+
+  // Trainings
+  'training.create': 'Create trainings and generate schedules',
+  'training.update': 'Edit trainings and training series',
+  'training.delete': 'Delete trainings',
+  'training.attendance': 'Record attendance and evaluations',
+  'training.media': 'Upload training photos, videos and plans',
+  'training.stats': 'View training statistics',
+
+  // Matches
+  'match.create': 'Create matches',
+  'match.update': 'Edit matches',
+  'match.delete': 'Delete matches',
+  'match.lineup': 'Set match lineups',
+  'match.events': 'Record and correct goals, cards, substitutions and injuries',
+  'match.complete': 'Complete matches',
+  'match.stats': 'View match statistics',
+
+  // Availability
+  'availability.request': 'Request availability and answer for players',
+  'availability.respond': 'Answer availability requests for own children',
+
+  // Club data
+  'competition.manage': 'Manage competitions and fixtures',
+  'season.manage': 'Manage and archive seasons',
+  'holiday.manage': 'Manage holidays',
+  'facility.manage': 'Manage facilities and pitches',
+  'opponent.manage': 'Add and edit opponents',
+  'opponent.merge': 'Merge and sync opponents',
+  'opponent.delete': 'Delete opponents',
+
+  // Exports
+  'export.players': 'Export player lists',
+  'export.trainings': 'Export trainings',
+  'export.matches': 'Export match reports',
+  'export.teams': 'Export team statistics',
+  'export.fitness': 'Export fitness test results',
+
+  // Dashboards
+  'dashboard.admin': 'Academy dashboard',
+  'dashboard.coach': 'Coach dashboard',
+  'dashboard.parent': 'Parent dashboard',
+
+  // Administration
+  'user.manage': 'Manage users',
+  'role.manage': 'Manage roles and permissions',
+  'statistics.recalculate': 'Recalculate statistics',
+  'notification.manage': 'View and retry notifications',
+  'audit.read': 'View the audit log'
+};
+
+export const BASE_ROLES = ['super_admin', 'coach', 'parent'];
+
+const COACH_PERMISSIONS = [
+  'team.read',
+  'team.statistics.update',
+  'player.create',
+  'player.update',
+  'player.delete',
+  'player.ratings.update',
+  'player.growth.update',
+  'player.statistics.update',
+  'player.injury.update',
+  'player.medical.read',
+  'player.medical.update',
+  'fitness.record',
+  'training.create',
+  'training.update',
+  'training.delete',
+  'training.attendance',
+  'training.media',
+  'training.stats',
+  'match.create',
+  'match.update',
+  'match.delete',
+  'match.lineup',
+  'match.events',
+  'match.complete',
+  'match.stats',
+  'availability.request',
+  'opponent.manage',
+  'export.players',
+  'export.trainings',
+  'export.matches',
+  'export.teams',
+  'export.fitness',
+  'dashboard.coach'
+];
+
+// super_admin always holds every permission
+export const DEFAULT_ROLE_PERMISSIONS = {
+  super_admin: Object.keys(PERMISSIONS),
+  coach: COACH_PERMISSIONS,
+  parent: ['player.medical.read', 'availability.respond', 'dashboard.parent']
+};
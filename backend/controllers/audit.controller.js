@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Helper function to escape user input used in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private/Admin
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { entity, entityId, actor, action, field, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    // Field filter, e.g. "ratings" matches "ratings.pace"
+    const fieldPattern = field ? new RegExp(`^${escapeRegex(field)}(\\.|$)`) : null;
+    if (fieldPattern) query['changes.path'] = fieldPattern;
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      logs: fieldPattern
+        ? logs.map(log => ({ ...log, changes: log.changes.filter(change => fieldPattern.test(change.path)) }))
+        : logs
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the audited entity types
+// @route   GET /api/audit/entities
+// @access  Private/Admin
+export const getAuditEntities = async (req, res) => {
+  try {
+    const entities = mongoose.modelNames()
+      .filter(name => mongoose.model(name).schema.plugins.some(p => p.fn.name === 'auditTrail'))
+      .sort();
+
+    res.status(200).json({
+      success: true,
+      entities
+    });
+  } catch (error) {
+    console.error('Get audit entities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,5 +1,51 @@
 import User from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import { createSession, rotateSession, revokeSession, revokeUserSessions } from '../utils/sessions.js';
+import { sendAccountLink, findAccountToken, consumeAccountToken } from '../utils/accountTokens.js';
+import { getUserPermissions, isTwoFactorRequired } from '../utils/policy.js';
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  createEnrollment,
+  verifyPendingCode,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} from '../utils/twoFactor.js';
+import { getLockedUntil, recordFailedLogin, resetFailedLogins, getLockedMessage } from '../utils/loginAttempts.js';
+
+// Helper function to refuse a login while the account is locked
+const sendLocked = (res, lockedUntil) => res.status(423).json({
+  success: false,
+  message: getLockedMessage(lockedUntil),
+  lockedUntil
+});
+
+// Helper function to finish a login: start a session for this device and
+// send the token pair with the user
+const sendLoginResponse = async (user, req, res) => {
+  resetFailedLogins(user);
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  // Remove secrets from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.twoFactor.secret;
+  delete userResponse.twoFactor.recoveryCodes;
+  delete userResponse.twoFactor.lastUsedStep;
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken,
+    user: userResponse,
+    permissions: await getUserPermissions(user),
+    twoFactorSetupRequired: !user.twoFactor.enabled && await isTwoFactorRequired(user)
+  });
+};
 
 // @desc    Login user
 // @route   POST /api/auth/login
@@ -17,7 +63,8 @@ export const login = async (req, res) => {
     }
 
     // Find user and include password
-    const user = await User.findOne({ email }).select('+password').populate('team').populate('teams');
+    const user = await User.findOne({ email }).select('+password').populate('team').populate('teams')
+      .populate('children', 'firstName lastName photo team');
 
     if (!user) {
       return res.status(401).json({
@@ -34,37 +81,228 @@ export const login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused without checking the password
+    const lockedUntil = getLockedUntil(user);
+    if (lockedUntil) {
+      return sendLocked(res, lockedUntil);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      const lockedNow = await recordFailedLogin(user);
+      if (lockedNow) {
+        return sendLocked(res, lockedNow);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    // With two-factor authentication the password only earns a challenge,
+    // exchanged for a session at POST /api/auth/login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Complete a login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please sign in again'
+      });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS)
+      .populate('team').populate('teams')
+      .populate('children', 'firstName lastName photo team');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please sign in again'
+      });
+    }
+
+    const lockedUntil = getLockedUntil(user);
+    if (lockedUntil) {
+      return sendLocked(res, lockedUntil);
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      const lockedNow = await recordFailedLogin(user);
+      if (lockedNow) {
+        return sendLocked(res, lockedNow);
+      }
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
+      });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refresh = async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req);
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or was revoked'
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(result.session.user, result.session._id, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      token,
-      user: userResponse
+      token: result.token,
+      refreshToken: result.refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+
+    if (user) {
+      await sendAccountLink(user, 'password_reset');
+    }
+
+    // Same answer whether or not the address has an account
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Check a password reset or invitation link
+// @route   GET /api/auth/set-password/:token
+// @access  Public
+export const getAccountToken = async (req, res) => {
+  try {
+    const accountToken = await findAccountToken(req.params.token);
+
+    if (!accountToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      type: accountToken.type,
+      expiresAt: accountToken.expiresAt,
+      user: {
+        firstName: accountToken.user.firstName,
+        lastName: accountToken.user.lastName,
+        email: accountToken.user.email
+      }
+    });
+  } catch (error) {
+    console.error('Get account token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Set a new password through a reset or invitation link
+// @route   POST /api/auth/set-password/:token
+// @access  Public
+export const setPasswordWithToken = async (req, res) => {
+  try {
+    const accountToken = await findAccountToken(req.params.token);
+    const user = accountToken?.user;
+
+    if (!accountToken || !user.isActive || !(await consumeAccountToken(accountToken))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.invitedAt = null;
+    resetFailedLogins(user);
+    await user.save();
+
+    // Anyone holding the old password is signed out
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: accountToken.type === 'invitation'
+        ? 'Password set. You can now sign in.'
+        : 'Password reset successfully. You can now sign in.'
+    });
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
   }
 };
@@ -74,11 +312,14 @@ export const login = async (req, res) => {
 // @access  Private
 export const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate('team').populate('teams');
+    const user = await User.findById(req.user._id).populate('team').populate('teams')
+      .populate('children', 'firstName lastName photo team');
 
     res.status(200).json({
       success: true,
-      user
+      user,
+      permissions: [...req.permissions],
+      twoFactorSetupRequired: req.twoFactorSetupRequired
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -154,9 +395,15 @@ export const updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, then start a fresh session for this one
+    await revokeUserSessions(user._id, 'password_change');
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Update password error:', error);
@@ -167,12 +414,299 @@ export const updatePassword = async (req, res) => {
   }
 };
 
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 export const logout = async (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke all sessions of the current user except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const deleteOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'revoked', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count,
+      message: `${count} session(s) revoked`
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get two-factor authentication status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Start two-factor setup (new secret and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await createEnrollment(user);
+    user.twoFactor.pendingSecret = enrollment.secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      ...enrollment
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Confirm two-factor setup with a code from the app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the two-factor setup first'
+      });
+    }
+
+    if (!verifyPendingCode(user.twoFactor.pendingSecret, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Replace the recovery codes of the current user
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (verifySecondFactor(user, { code: req.body.code }) !== 'code') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Turn off two-factor authentication for the current user
+// @route   DELETE /api/auth/2fa
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 };
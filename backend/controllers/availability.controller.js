@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import Availability from '../models/Availability.js';
+import Training from '../models/Training.js';
+import Match from '../models/Match.js';
+import Player from '../models/Player.js';
+import { getParentPlayerIds } from '../middleware/auth.js';
+import { emitDomainEvent } from '../utils/notifications.js';
+import { canAccessTeam } from '../utils/policy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOSED_TRAINING_STATUSES = ['in_progress', 'completed', 'cancelled'];
+const CLOSED_MATCH_STATUSES = ['in_progress', 'half_time', 'completed', 'cancelled'];
+
+const PLAYER_FIELDS = 'firstName lastName jerseyNumber position photo isInjured injuryDetails';
+
+// Helper function to get the link players and parents answer through
+const getResponseUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/availability/${token}`;
+
+// Helper function to load the training or match an availability request is about,
+// with whether answers are still accepted
+const loadEvent = async ({ training, match }) => {
+  if (training) {
+    const doc = await Training.findById(training).populate('team', 'name ageCategory');
+    if (!doc) return null;
+    return {
+      kind: 'training',
+      doc,
+      team: doc.team,
+      date: doc.date,
+      time: doc.startTime,
+      closed: CLOSED_TRAINING_STATUSES.includes(doc.status) || doc.date < new Date(Date.now() - DAY_MS)
+    };
+  }
+
+  if (match) {
+    const doc = await Match.findById(match).populate('team', 'name ageCategory');
+    if (!doc) return null;
+    return {
+      kind: 'match',
+      doc,
+      team: doc.team,
+      date: doc.matchDate,
+      time: doc.kickoffTime,
+      opponent: doc.opponent?.name,
+      closed: CLOSED_MATCH_STATUSES.includes(doc.status) || doc.matchDate < new Date(Date.now() - DAY_MS)
+    };
+  }
+
+  return null;
+};
+
+// Helper function to describe an event for the public response page
+const describeEvent = (event) => ({
+  kind: event.kind,
+  team: event.team?.name,
+  date: event.date,
+  time: event.time,
+  endTime: event.kind === 'training' ? event.doc.endTime : undefined,
+  opponent: event.opponent,
+  location: event.kind === 'training' ? event.doc.location : event.doc.venue,
+  status: event.doc.status,
+  closed: event.closed
+});
+
+// Helper function to store an answer
+const applyResponse = (availability, { status, reason }, user, via) => {
+  availability.status = status;
+  availability.reason = status === 'available' ? '' : (reason || '');
+  availability.respondedBy = user?._id || null;
+  availability.respondedVia = via;
+  availability.respondedAt = new Date();
+};
+
+// @desc    Ask the players of a team for their availability for a training or match
+// @route   POST /api/availability/request
+// @access  Private (Admin, Coach)
+export const requestAvailability = async (req, res) => {
+  try {
+    const event = await loadEvent(req.body);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training or match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, event.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to request availability for this team'
+      });
+    }
+
+    if (event.closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Availability can only be requested for upcoming trainings and matches'
+      });
+    }
+
+    const players = await Player.find({ team: event.team._id, isActive: true }).select('firstName lastName');
+    const existing = await Availability.find({ [event.kind]: event.doc._id }).select('player');
+    const existingIds = new Set(existing.map(a => a.player.toString()));
+
+    const created = await Availability.insertMany(
+      players
+        .filter(player => !existingIds.has(player._id.toString()))
+        .map(player => ({
+          [event.kind]: event.doc._id,
+          team: event.team._id,
+          player: player._id,
+          token: crypto.randomBytes(24).toString('hex'),
+          requestedBy: req.user._id
+        }))
+    );
+
+    if (created.length > 0) {
+      const nameById = new Map(players.map(p => [p._id.toString(), `${p.firstName} ${p.lastName}`]));
+      emitDomainEvent('availability.requested', {
+        kind: event.kind,
+        team: event.team.name,
+        date: event.date,
+        time: event.time,
+        opponent: event.opponent,
+        entries: created.map(a => ({
+          player: a.player,
+          name: nameById.get(a.player.toString()),
+          url: getResponseUrl(a.token)
+        }))
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      requested: created.length,
+      total: existing.length + created.length
+    });
+  } catch (error) {
+    console.error('Request availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get availability answers for a training or match
+// @route   GET /api/availability?training=:id or ?match=:id
+// @access  Private
+export const getAvailability = async (req, res) => {
+  try {
+    const event = await loadEvent(req.query);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training or match not found'
+      });
+    }
+
+    const query = { [event.kind]: event.doc._id };
+
+    if (req.user.role === 'parent') {
+      query.player = { $in: getParentPlayerIds(req.user) };
+    } else if (!canAccessTeam(req.user, event.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view availability for this team'
+      });
+    }
+
+    const availability = await Availability.find(query)
+      .populate('player', PLAYER_FIELDS)
+      .populate('respondedBy', 'firstName lastName');
+
+    const summary = { pending: 0, available: 0, unavailable: 0, maybe: 0 };
+    availability.forEach(a => { summary[a.status]++; });
+
+    res.status(200).json({
+      success: true,
+      summary,
+      closed: event.closed,
+      availability
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get open availability requests for the parent's children
+// @route   GET /api/availability/mine
+// @access  Private (Parent)
+export const getMyAvailability = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - DAY_MS);
+
+    const rows = await Availability.find({ player: { $in: getParentPlayerIds(req.user) } })
+      .populate('player', 'firstName lastName photo')
+      .populate({ path: 'training', select: 'team date startTime endTime location status', populate: { path: 'team', select: 'name' } })
+      .populate({ path: 'match', select: 'team matchDate kickoffTime opponent venue status', populate: { path: 'team', select: 'name' } })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    // Only upcoming events that still take answers
+    const availability = rows.filter(row => {
+      if (row.training) {
+        return row.training.date >= since && !CLOSED_TRAINING_STATUSES.includes(row.training.status);
+      }
+      return row.match && row.match.matchDate >= since && !CLOSED_MATCH_STATUSES.includes(row.match.status);
+    });
+
+    res.status(200).json({
+      success: true,
+      count: availability.length,
+      availability
+    });
+  } catch (error) {
+    console.error('Get my availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Answer an availability request from the portal (parents for their
+//          children, coaches on behalf of their players)
+// @route   PUT /api/availability/:id
+// @access  Private
+export const respondAvailability = async (req, res) => {
+  try {
+    const availability = await Availability.findById(req.params.id);
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability request not found'
+      });
+    }
+
+    const allowed = req.user.role === 'parent'
+      ? req.permissions.has('availability.respond') &&
+        getParentPlayerIds(req.user).includes(availability.player.toString())
+      : req.permissions.has('availability.request') && canAccessTeam(req.user, availability.team);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to answer for this player'
+      });
+    }
+
+    const event = await loadEvent(availability);
+    if (!event || event.closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event no longer takes availability answers'
+      });
+    }
+
+    applyResponse(availability, req.body, req.user, req.user.role === 'parent' ? 'portal' : 'coach');
+    await availability.save();
+    await availability.populate('player', PLAYER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      availability
+    });
+  } catch (error) {
+    console.error('Respond availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get an availability request by its link token
+// @route   GET /api/availability/respond/:token
+// @access  Public (token)
+export const getAvailabilityByToken = async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ token: req.params.token })
+      .populate('player', 'firstName lastName');
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability request not found'
+      });
+    }
+
+    const event = await loadEvent(availability);
+
+    res.status(200).json({
+      success: true,
+      availability: {
+        status: availability.status,
+        reason: availability.reason,
+        respondedAt: availability.respondedAt,
+        player: availability.player
+      },
+      event: event && describeEvent(event)
+    });
+  } catch (error) {
+    console.error('Get availability by token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Answer an availability request through its link
+// @route   PUT /api/availability/respond/:token
+// @access  Public (token)
+export const respondAvailabilityByToken = async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ token: req.params.token });
+
+    if (!availability) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability request not found'
+      });
+    }
+
+    const event = await loadEvent(availability);
+    if (!event || event.closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event no longer takes availability answers'
+      });
+    }
+
+    applyResponse(availability, req.body, null, 'link');
+    await availability.save();
+
+    res.status(200).json({
+      success: true,
+      availability: {
+        status: availability.status,
+        reason: availability.reason,
+        respondedAt: availability.respondedAt
+      }
+    });
+  } catch (error) {
+    console.error('Respond availability by token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
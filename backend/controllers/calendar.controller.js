@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import Training from '../models/Training.js';
+import Match from '../models/Match.js';
+import { getParentPlayerIds, getParentTeamIds } from '../middleware/auth.js';
+import { buildCalendar, formatZonedDateTime } from '../utils/ics.js';
+import { getMatchEndTime } from '../utils/facilities.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back feeds include past trainings and matches
+const FEED_HISTORY_DAYS = 60;
+const FEED_DOMAIN = 'youth-football-academy';
+
+// Time zone the academy's training and kickoff times are given in
+const getCalendarTimezone = () => process.env.CALENDAR_TIMEZONE || 'Asia/Tashkent';
+
+// Helper function to give a user a calendar token the first time feeds are requested
+const ensureCalendarToken = async (user) => {
+  const existing = await User.findById(user._id).select('+calendarToken');
+  if (existing.calendarToken) return existing.calendarToken;
+
+  existing.calendarToken = crypto.randomBytes(24).toString('hex');
+  await existing.save({ validateBeforeSave: false });
+  return existing.calendarToken;
+};
+
+// Helper function to find the active user a feed token belongs to
+const findFeedUser = (token) =>
+  User.findOne({ calendarToken: token, isActive: true }).populate('team').populate('teams');
+
+// Helper function to describe where a booking takes place
+const getBookingLocation = (booking, fallback) => {
+  const facility = booking?.facility;
+  if (!facility?.name) return fallback;
+
+  const pitch = facility.pitches?.find(p => p._id.toString() === booking.pitch?.toString());
+  return [facility.name, pitch?.name, facility.address].filter(Boolean).join(', ');
+};
+
+// Helper function to turn a training into a calendar event
+const trainingToEvent = (training) => {
+  const cancelled = training.status === 'cancelled';
+  const title = `${training.team?.name || 'Team'} training`;
+
+  return {
+    uid: `training-${training._id}@${FEED_DOMAIN}`,
+    sequence: training.calendarSequence,
+    updatedAt: training.updatedAt,
+    start: formatZonedDateTime(training.date, training.startTime, getCalendarTimezone()),
+    end: formatZonedDateTime(training.date, training.endTime, getCalendarTimezone()),
+    summary: cancelled ? `Cancelled: ${title}` : title,
+    location: getBookingLocation(training.booking, training.location),
+    description: [
+      cancelled && training.cancellationReason && `Reason: ${training.cancellationReason}`,
+      training.focus?.length > 0 && `Focus: ${training.focus.join(', ')}`,
+      training.description
+    ].filter(Boolean).join('\n'),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED'
+  };
+};
+
+// Helper function to turn a match into a calendar event
+const matchToEvent = (match) => {
+  const teamName = match.team?.name || 'Team';
+  const opponentName = match.opponent?.name || 'TBD';
+  const title = match.isHome ? `${teamName} vs ${opponentName}` : `${opponentName} vs ${teamName}`;
+  const prefix = { cancelled: 'Cancelled: ', postponed: 'Postponed: ' }[match.status] || '';
+  const score = match.status === 'completed' ? ` (${match.score?.home || 0}-${match.score?.away || 0})` : '';
+
+  return {
+    uid: `match-${match._id}@${FEED_DOMAIN}`,
+    sequence: match.calendarSequence,
+    updatedAt: match.updatedAt,
+    start: formatZonedDateTime(match.matchDate, match.kickoffTime, getCalendarTimezone()),
+    end: formatZonedDateTime(match.matchDate, getMatchEndTime(match.team, match.kickoffTime), getCalendarTimezone()),
+    summary: `${prefix}${title}${score}`,
+    location: match.venue || getBookingLocation(match.booking),
+    description: [
+      match.competition,
+      `Kickoff: ${match.kickoffTime}`,
+      match.isHome ? 'Home' : 'Away'
+    ].filter(Boolean).join('\n'),
+    status: match.status === 'cancelled' ? 'CANCELLED' : match.status === 'postponed' ? 'TENTATIVE' : 'CONFIRMED'
+  };
+};
+
+// Helper function to send the trainings and matches of some teams as an .ics file
+const sendTeamsCalendar = async (res, { name, filename, teamIds }) => {
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS);
+
+  const [trainings, matches] = await Promise.all([
+    Training.find({ team: { $in: teamIds }, date: { $gte: since } })
+      .populate('team', 'name')
+      .populate('booking.facility', 'name address pitches')
+      .sort({ date: 1, startTime: 1 }),
+    Match.find({ team: { $in: teamIds }, matchDate: { $gte: since } })
+      .populate('team', 'name ageCategory matchDuration')
+      .populate('booking.facility', 'name address pitches')
+      .sort({ matchDate: 1, kickoffTime: 1 })
+  ]);
+
+  const calendar = buildCalendar({
+    name,
+    timezone: getCalendarTimezone(),
+    events: [...trainings.map(trainingToEvent), ...matches.map(matchToEvent)]
+  });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}.ics"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.status(200).send(calendar);
+};
+
+// @desc    Get the calendar feed URLs available to the current user
+// @route   GET /api/calendar/feeds
+// @access  Private
+export const getFeeds = async (req, res) => {
+  try {
+    const token = await ensureCalendarToken(req.user);
+    const baseUrl = `${req.protocol}://${req.get('host')}/api/calendar/${token}`;
+    const feeds = [];
+    const coachTeamIds = getCoachTeamIds(req.user);
+
+    if (coachTeamIds) {
+      feeds.push({ type: 'coach', name: `${req.user.firstName} ${req.user.lastName}`, url: `${baseUrl}/coach.ics` });
+    }
+
+    let teamQuery = { isActive: true };
+    if (coachTeamIds) teamQuery = { _id: { $in: coachTeamIds } };
+    if (req.user.role === 'parent') teamQuery = { _id: { $in: await getParentTeamIds(req.user) } };
+
+    const teams = await Team.find(teamQuery).select('name ageCategory').sort({ name: 1 });
+    teams.forEach(team => {
+      feeds.push({ type: 'team', name: team.name, url: `${baseUrl}/team/${team._id}.ics` });
+    });
+
+    if (req.user.role === 'parent') {
+      const players = await Player.find({ _id: { $in: getParentPlayerIds(req.user) } }).select('firstName lastName');
+      players.forEach(player => {
+        feeds.push({ type: 'player', name: `${player.firstName} ${player.lastName}`, url: `${baseUrl}/player/${player._id}.ics` });
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      feeds
+    });
+  } catch (error) {
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Replace the calendar token, invalidating all existing feed URLs
+// @route   POST /api/calendar/token
+// @access  Private
+export const regenerateCalendarToken = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { calendarToken: crypto.randomBytes(24).toString('hex') });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar links have been reset'
+    });
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Team calendar feed
+// @route   GET /api/calendar/:token/team/:teamId.ics
+// @access  Feed token
+export const getTeamFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    const team = user && await Team.findById(req.params.teamId).select('name');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const teamId = team._id.toString();
+    const allowed = user.role === 'parent'
+      ? (await getParentTeamIds(user)).includes(teamId)
+      : canAccessTeam(user, teamId);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this calendar'
+      });
+    }
+
+    await sendTeamsCalendar(res, { name: team.name, filename: `team-${teamId}`, teamIds: [team._id] });
+  } catch (error) {
+    console.error('Get team calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Coach calendar feed covering all of the coach's teams
+// @route   GET /api/calendar/:token/coach.ics
+// @access  Feed token
+export const getCoachFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    const coachTeamIds = user && getCoachTeamIds(user);
+
+    if (!coachTeamIds) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    await sendTeamsCalendar(res, {
+      name: `${user.firstName} ${user.lastName}`,
+      filename: `coach-${user._id}`,
+      teamIds: coachTeamIds
+    });
+  } catch (error) {
+    console.error('Get coach calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Player calendar feed with the trainings and matches of the player's team
+// @route   GET /api/calendar/:token/player/:playerId.ics
+// @access  Feed token
+export const getPlayerFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    const player = user && await Player.findById(req.params.playerId).select('firstName lastName team');
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const allowed = user.role === 'parent'
+      ? getParentPlayerIds(user).includes(player._id.toString())
+      : canAccessTeam(user, player.team);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this calendar'
+      });
+    }
+
+    await sendTeamsCalendar(res, {
+      name: `${player.firstName} ${player.lastName}`,
+      filename: `player-${player._id}`,
+      teamIds: [player.team]
+    });
+  } catch (error) {
+    console.error('Get player calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
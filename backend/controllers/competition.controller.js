@@ -0,0 +1,674 @@
+import Competition from '../models/Competition.js';
+import Match from '../models/Match.js';
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import Opponent from '../models/Opponent.js';
+import { getParentTeamIds } from '../middleware/auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to get the team IDs a user may see competitions for
+// (null means unrestricted)
+const getVisibleTeamIds = async (user) => {
+  if (user.role === 'coach') {
+    const teams = user.teams?.length > 0 ? user.teams : (user.team ? [user.team] : []);
+    return teams.map(t => (t._id || t).toString());
+  }
+  if (user.role === 'parent') {
+    return getParentTeamIds(user);
+  }
+  return null;
+};
+
+// Helper function to check whether a user can see a competition
+const canViewCompetition = async (user, competition) => {
+  const teamIds = await getVisibleTeamIds(user);
+  if (!teamIds) return true;
+
+  return competition.participants.some(p => p.team && teamIds.includes((p.team._id || p.team).toString()));
+};
+
+// Helper function to turn the request participants into subdocuments,
+// taking the name of academy teams from the team itself
+const buildParticipants = async (participants = []) => {
+  const teamIds = participants.filter(p => p.team).map(p => p.team);
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('name');
+  const teamNames = new Map(teams.map(t => [t._id.toString(), t.name]));
+
+  return participants.map(p => {
+    if (p.team) {
+      const name = teamNames.get(p.team.toString());
+      if (!name) throw new Error('Participating team not found');
+      return { team: p.team, name };
+    }
+    return { team: null, name: p.name };
+  });
+};
+
+// Helper function to generate round-robin pairings with the circle method.
+// One participant stays fixed while the others rotate; a bye is added for odd counts.
+const buildRoundRobin = (participantIds, doubleRoundRobin) => {
+  const slots = participantIds.length % 2 === 0 ? [...participantIds] : [...participantIds, null];
+  const rounds = slots.length - 1;
+  const half = slots.length / 2;
+  const pairings = [];
+
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < half; i++) {
+      let home = slots[i];
+      let away = slots[slots.length - 1 - i];
+      if (!home || !away) continue;
+
+      // Alternate home and away for the fixed participant
+      if (i === 0 && round % 2 === 1) [home, away] = [away, home];
+      pairings.push({ round: round + 1, home, away });
+    }
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (doubleRoundRobin) {
+    pairings.slice().forEach(p => {
+      pairings.push({ round: p.round + rounds, home: p.away, away: p.home });
+    });
+  }
+
+  return pairings;
+};
+
+// Helper function to get the result of a fixture. Fixtures with an academy
+// team count once their match is completed; the others once a score is entered.
+const getFixtureResult = (fixture, matchesById) => {
+  if (fixture.match) {
+    const match = matchesById.get(fixture.match.toString());
+    if (!match || match.status !== 'completed') return null;
+    return { home: match.score?.home || 0, away: match.score?.away || 0 };
+  }
+
+  if (fixture.score?.home == null || fixture.score?.away == null) return null;
+  return { home: fixture.score.home, away: fixture.score.away };
+};
+
+// Helper function to load the matches linked to a competition's fixtures
+const getLinkedMatches = async (competition) => {
+  const matchIds = competition.fixtures.filter(f => f.match).map(f => f.match);
+  const matches = await Match.find({ _id: { $in: matchIds } })
+    .select('status score goals opponentGoals isHome opponent team matchDate kickoffTime');
+  return new Map(matches.map(m => [m._id.toString(), m]));
+};
+
+// Helper function to build table rows from a list of results
+const buildTable = (participantIds, results, competition) => {
+  const rows = new Map(participantIds.map(id => [id, {
+    played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 0
+  }]));
+
+  const record = (id, scored, conceded) => {
+    const row = rows.get(id);
+    if (!row) return;
+
+    row.played++;
+    row.goalsFor += scored;
+    row.goalsAgainst += conceded;
+    row.goalDifference = row.goalsFor - row.goalsAgainst;
+
+    if (scored > conceded) {
+      row.won++;
+      row.points += competition.pointsForWin;
+    } else if (scored === conceded) {
+      row.drawn++;
+      row.points += competition.pointsForDraw;
+    } else {
+      row.lost++;
+    }
+  };
+
+  results.forEach(r => {
+    record(r.home, r.homeGoals, r.awayGoals);
+    record(r.away, r.awayGoals, r.homeGoals);
+  });
+
+  return rows;
+};
+
+// Helper function to rank participants: points, then head-to-head points,
+// goal difference and goals among the tied teams, then overall goal
+// difference and goals scored
+const rankStandings = (competition, results) => {
+  const participantIds = competition.participants.map(p => p._id.toString());
+  const table = buildTable(participantIds, results, competition);
+
+  // Group by points and build a head-to-head table for every tie
+  const headToHead = new Map();
+  const byPoints = new Map();
+  participantIds.forEach(id => {
+    const points = table.get(id).points;
+    if (!byPoints.has(points)) byPoints.set(points, []);
+    byPoints.get(points).push(id);
+  });
+
+  byPoints.forEach(ids => {
+    if (ids.length < 2) return;
+    const mutual = results.filter(r => ids.includes(r.home) && ids.includes(r.away));
+    const miniTable = buildTable(ids, mutual, competition);
+    ids.forEach(id => headToHead.set(id, miniTable.get(id)));
+  });
+
+  const names = new Map(competition.participants.map(p => [p._id.toString(), p]));
+  const compare = (a, b) => {
+    const rowA = table.get(a);
+    const rowB = table.get(b);
+    if (rowA.points !== rowB.points) return rowB.points - rowA.points;
+
+    const h2hA = headToHead.get(a);
+    const h2hB = headToHead.get(b);
+    if (h2hA && h2hB) {
+      if (h2hA.points !== h2hB.points) return h2hB.points - h2hA.points;
+      if (h2hA.goalDifference !== h2hB.goalDifference) return h2hB.goalDifference - h2hA.goalDifference;
+      if (h2hA.goalsFor !== h2hB.goalsFor) return h2hB.goalsFor - h2hA.goalsFor;
+    }
+
+    if (rowA.goalDifference !== rowB.goalDifference) return rowB.goalDifference - rowA.goalDifference;
+    if (rowA.goalsFor !== rowB.goalsFor) return rowB.goalsFor - rowA.goalsFor;
+    return names.get(a).name.localeCompare(names.get(b).name);
+  };
+
+  return participantIds.sort(compare).map((id, index) => {
+    const participant = names.get(id);
+    return {
+      position: index + 1,
+      participant: id,
+      team: participant.team,
+      name: participant.name,
+      isOurs: !!participant.team,
+      ...table.get(id)
+    };
+  });
+};
+
+// @desc    Get all competitions
+// @route   GET /api/competitions
+// @access  Private
+export const getCompetitions = async (req, res) => {
+  try {
+    const { season, team } = req.query;
+
+    const query = {};
+    if (season) query.season = season;
+
+    const teamIds = await getVisibleTeamIds(req.user);
+    if (teamIds) {
+      query['participants.team'] = { $in: team && teamIds.includes(team) ? [team] : teamIds };
+    } else if (team) {
+      query['participants.team'] = team;
+    }
+
+    const competitions = await Competition.find(query)
+      .select('-fixtures')
+      .populate('season', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: competitions.length,
+      competitions
+    });
+  } catch (error) {
+    console.error('Get competitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single competition with its fixtures
+// @route   GET /api/competitions/:id
+// @access  Private
+export const getCompetition = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id)
+      .populate('season', 'name');
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    if (!await canViewCompetition(req.user, competition)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this competition'
+      });
+    }
+
+    const matchesById = await getLinkedMatches(competition);
+    const fixtures = competition.fixtures
+      .map(fixture => {
+        const match = fixture.match ? matchesById.get(fixture.match.toString()) : null;
+        return {
+          ...fixture.toObject(),
+          status: match?.status || (getFixtureResult(fixture, matchesById) ? 'completed' : 'scheduled'),
+          result: getFixtureResult(fixture, matchesById)
+        };
+      })
+      .sort((a, b) => a.round - b.round);
+
+    res.status(200).json({
+      success: true,
+      competition: { ...competition.toObject(), fixtures }
+    });
+  } catch (error) {
+    console.error('Get competition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create competition
+// @route   POST /api/competitions
+// @access  Private/Admin
+export const createCompetition = async (req, res) => {
+  try {
+    const { name, season, ageCategory, pointsForWin, pointsForDraw, doubleRoundRobin, participants } = req.body;
+
+    const competition = await Competition.create({
+      name,
+      season: season || null,
+      ageCategory,
+      pointsForWin,
+      pointsForDraw,
+      doubleRoundRobin,
+      participants: await buildParticipants(participants)
+    });
+
+    res.status(201).json({
+      success: true,
+      competition
+    });
+  } catch (error) {
+    console.error('Create competition error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update competition
+// @route   PUT /api/competitions/:id
+// @access  Private/Admin
+export const updateCompetition = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    const { name, season, ageCategory, pointsForWin, pointsForDraw, doubleRoundRobin, participants, isActive } = req.body;
+
+    if (participants !== undefined) {
+      if (competition.fixtures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Participants cannot be changed after fixtures are generated'
+        });
+      }
+      competition.participants = await buildParticipants(participants);
+    }
+
+    if (name !== undefined) competition.name = name;
+    if (season !== undefined) competition.season = season || null;
+    if (ageCategory !== undefined) competition.ageCategory = ageCategory;
+    if (pointsForWin !== undefined) competition.pointsForWin = pointsForWin;
+    if (pointsForDraw !== undefined) competition.pointsForDraw = pointsForDraw;
+    if (doubleRoundRobin !== undefined) competition.doubleRoundRobin = doubleRoundRobin;
+    if (isActive !== undefined) competition.isActive = isActive;
+
+    await competition.save();
+
+    // Keep the competition label on linked matches in sync
+    if (name !== undefined) {
+      await Match.updateMany(
+        { _id: { $in: competition.fixtures.filter(f => f.match).map(f => f.match) } },
+        { competition: competition.name }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      competition
+    });
+  } catch (error) {
+    console.error('Update competition error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete competition
+// @route   DELETE /api/competitions/:id
+// @access  Private/Admin
+export const deleteCompetition = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    // Unplayed fixtures go with the competition, played matches are kept
+    await Match.deleteMany({
+      _id: { $in: competition.fixtures.filter(f => f.match).map(f => f.match) },
+      status: 'scheduled'
+    });
+
+    await competition.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Competition deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete competition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Generate round-robin fixtures
+// @route   POST /api/competitions/:id/fixtures/generate
+// @access  Private/Admin
+export const generateFixtures = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    if (competition.participants.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least two participants are required'
+      });
+    }
+
+    // Regenerating is only allowed while nothing has been played
+    const matchesById = await getLinkedMatches(competition);
+    const started = competition.fixtures.some(f => {
+      const match = f.match ? matchesById.get(f.match.toString()) : null;
+      return (match && match.status !== 'scheduled') || getFixtureResult(f, matchesById);
+    });
+
+    if (started) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fixtures cannot be regenerated once results are recorded'
+      });
+    }
+
+    const { startDate, intervalDays = 7, kickoffTime = '10:00', venue } = req.body;
+
+    if (matchesById.size > 0) {
+      await Match.deleteMany({ _id: { $in: [...matchesById.keys()] } });
+    }
+
+    const participants = new Map(competition.participants.map(p => [p._id.toString(), p]));
+    const pairings = buildRoundRobin([...participants.keys()], competition.doubleRoundRobin);
+    const firstDate = new Date(startDate);
+
+    const fixtures = [];
+    for (const pairing of pairings) {
+      const home = participants.get(pairing.home);
+      const away = participants.get(pairing.away);
+      const date = new Date(firstDate.getTime() + (pairing.round - 1) * intervalDays * DAY_MS);
+
+      let match = null;
+      if (home.team || away.team) {
+        // Matches are recorded from the point of view of one academy team
+        const ours = home.team ? home : away;
+        const theirs = home.team ? away : home;
+        const club = theirs.team ? null : await Opponent.findOrCreateByName(theirs.name);
+
+        match = await Match.create({
+          team: ours.team,
+          opponent: club ? { name: club.name, logo: club.logo, color: club.color } : { name: theirs.name },
+          opponentClub: club?._id || null,
+          matchDate: date,
+          kickoffTime,
+          venue,
+          isHome: !!home.team,
+          competition: competition.name,
+          season: competition.season || undefined
+        });
+      }
+
+      fixtures.push({
+        round: pairing.round,
+        date,
+        home: home._id,
+        away: away._id,
+        match: match?._id || null
+      });
+    }
+
+    competition.fixtures = fixtures;
+    await competition.save();
+
+    res.status(200).json({
+      success: true,
+      count: fixtures.length,
+      competition
+    });
+  } catch (error) {
+    console.error('Generate fixtures error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Record the result of a fixture between two external teams
+// @route   PUT /api/competitions/:id/fixtures/:fixtureId
+// @access  Private/Admin
+export const updateFixture = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    const fixture = competition.fixtures.id(req.params.fixtureId);
+
+    if (!fixture) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fixture not found'
+      });
+    }
+
+    const { homeScore, awayScore, date } = req.body;
+
+    if (fixture.match && (homeScore !== undefined || awayScore !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results of academy matches are recorded on the match itself'
+      });
+    }
+
+    if (homeScore !== undefined) fixture.score.home = homeScore;
+    if (awayScore !== undefined) fixture.score.away = awayScore;
+    if (date !== undefined) {
+      fixture.date = date;
+      if (fixture.match) {
+        await Match.updateOne({ _id: fixture.match, status: 'scheduled' }, { matchDate: date });
+      }
+    }
+
+    await competition.save();
+
+    res.status(200).json({
+      success: true,
+      fixture
+    });
+  } catch (error) {
+    console.error('Update fixture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get competition standings
+// @route   GET /api/competitions/:id/standings
+// @access  Private
+export const getStandings = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    if (!await canViewCompetition(req.user, competition)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this competition'
+      });
+    }
+
+    const matchesById = await getLinkedMatches(competition);
+    const results = [];
+
+    competition.fixtures.forEach(fixture => {
+      const result = getFixtureResult(fixture, matchesById);
+      if (!result) return;
+      results.push({
+        home: fixture.home.toString(),
+        away: fixture.away.toString(),
+        homeGoals: result.home,
+        awayGoals: result.away
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      standings: rankStandings(competition, results)
+    });
+  } catch (error) {
+    console.error('Get standings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get competition top scorers
+// @route   GET /api/competitions/:id/top-scorers
+// @access  Private
+export const getTopScorers = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.params.id);
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    if (!await canViewCompetition(req.user, competition)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this competition'
+      });
+    }
+
+    const matchesById = await getLinkedMatches(competition);
+    const teamNames = new Map(competition.participants.filter(p => p.team).map(p => [p.team.toString(), p.name]));
+    const scorers = new Map();
+
+    const credit = (key, entry) => {
+      if (!scorers.has(key)) scorers.set(key, { ...entry, goals: 0 });
+      scorers.get(key).goals++;
+    };
+
+    matchesById.forEach(match => {
+      if (match.status !== 'completed') return;
+
+      match.goals.filter(g => g.type !== 'own_goal').forEach(goal => {
+        credit(goal.player.toString(), {
+          player: goal.player,
+          team: teamNames.get(match.team.toString()),
+          isOurs: true
+        });
+      });
+
+      // Opponent scorers are only known by name
+      (match.opponentGoals || []).filter(g => g.scorerName && g.type !== 'own_goal').forEach(goal => {
+        credit(`${match.opponent.name}:${goal.scorerName}`, {
+          name: goal.scorerName,
+          team: match.opponent.name,
+          isOurs: false
+        });
+      });
+    });
+
+    const players = await Player.find({
+      _id: { $in: [...scorers.values()].filter(s => s.player).map(s => s.player) }
+    }).select('firstName lastName jerseyNumber photo');
+    const playersById = new Map(players.map(p => [p._id.toString(), p]));
+
+    const topScorers = [...scorers.values()]
+      .map(scorer => {
+        if (!scorer.player) return scorer;
+        const player = playersById.get(scorer.player.toString());
+        return {
+          ...scorer,
+          name: player ? `${player.firstName} ${player.lastName}` : 'Unknown',
+          jerseyNumber: player?.jerseyNumber,
+          photo: player?.photo
+        };
+      })
+      .sort((a, b) => b.goals - a.goals || a.name.localeCompare(b.name));
+
+    res.status(200).json({
+      success: true,
+      topScorers
+    });
+  } catch (error) {
+    console.error('Get top scorers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
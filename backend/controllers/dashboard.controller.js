@@ -3,6 +3,10 @@ import Team from '../models/Team.js';
 import Player from '../models/Player.js';
 import Training from '../models/Training.js';
 import Match from '../models/Match.js';
+import RatingSnapshot from '../models/RatingSnapshot.js';
+import { getParentPlayerIds } from '../middleware/auth.js';
+import { getRatingProgress } from '../utils/ratings.js';
+import { getGrowthSummaries } from '../utils/growth.js';
 
 // @desc    Get dashboard statistics for Super Admin
 // @route   GET /api/dashboard/admin
@@ -195,9 +199,31 @@ export const getCoachDashboard = async (req, res) => {
 
     // Get all players with basic info for selected team only
     const players = await Player.find({ team: selectedTeamId, isActive: true })
-      .select('firstName lastName position jerseyNumber photo physicalCondition isInjured statistics ratings')
+      .select('firstName lastName position jerseyNumber photo physicalCondition isInjured statistics ratings birthDate')
       .sort({ position: 1, lastName: 1 });
 
+    // Players growing faster than the growth alert threshold
+    const growthSummaries = await getGrowthSummaries(players);
+    const growthAlerts = players
+      .filter(player => growthSummaries.get(player._id.toString()).alert)
+      .map(player => {
+        const { velocity, height, phv, threshold } = growthSummaries.get(player._id.toString());
+        return {
+          player: {
+            _id: player._id,
+            firstName: player.firstName,
+            lastName: player.lastName,
+            photo: player.photo,
+            position: player.position
+          },
+          velocity,
+          height,
+          phv,
+          threshold
+        };
+      })
+      .sort((a, b) => b.velocity.value - a.velocity.value);
+
     // Get recent trainings for selected team only
     const recentTrainings = await Training.find({ team: selectedTeamId })
       .populate('attendance.player', 'firstName lastName')
@@ -292,7 +318,8 @@ export const getCoachDashboard = async (req, res) => {
         upcomingMatches,
         recentMatches,
         topScorers,
-        recentForm
+        recentForm,
+        growthAlerts
       }
     });
   } catch (error) {
@@ -304,7 +331,8 @@ export const getCoachDashboard = async (req, res) => {
   }
 };
 
-// @desc    Get player performance data
+// @desc    Get player performance data. Rating progress compares the current
+//          ratings with the start of the active season, or with `since`.
 // @route   GET /api/dashboard/player/:id/performance
 // @access  Private
 export const getPlayerPerformance = async (req, res) => {
@@ -319,6 +347,14 @@ export const getPlayerPerformance = async (req, res) => {
       });
     }
 
+    // Parents can only view their linked children
+    if (req.user.role === 'parent' && !getParentPlayerIds(req.user).includes(player._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
     // Get all trainings where player was present
     const trainings = await Training.find({
       'attendance.player': player._id
@@ -381,6 +417,14 @@ export const getPlayerPerformance = async (req, res) => {
       };
     }
 
+    // Rating development from the rating snapshots
+    const ratingHistory = await RatingSnapshot.find({ player: player._id })
+      .select('ratings overallRating recordedAt ratedBy')
+      .populate('ratedBy', 'firstName lastName')
+      .sort({ recordedAt: 1 });
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const ratingProgress = await getRatingProgress(player, ratingHistory, since && !isNaN(since) ? since : null);
+
     res.status(200).json({
       success: true,
       data: {
@@ -388,6 +432,8 @@ export const getPlayerPerformance = async (req, res) => {
         performanceOverTime,
         matchPerformance,
         progressionData,
+        ratingHistory,
+        ratingProgress,
         totalTrainings: trainings.length,
         attendanceRate: trainings.length > 0
           ? Math.round((trainings.filter(t => {
@@ -405,3 +451,136 @@ export const getPlayerPerformance = async (req, res) => {
     });
   }
 };
+
+// @desc    Get dashboard data for Parent (linked children only)
+// @route   GET /api/dashboard/parent
+// @access  Private/Parent
+export const getParentDashboard = async (req, res) => {
+  try {
+    const playerIds = getParentPlayerIds(req.user);
+
+    const players = await Player.find({ _id: { $in: playerIds } })
+      .populate('team', 'name ageCategory primaryColor');
+
+    const now = new Date();
+
+    const children = await Promise.all(players.map(async (player) => {
+      const playerId = player._id.toString();
+      const teamId = player.team?._id || player.team;
+
+      // Training attendance
+      const trainings = await Training.find({
+        'attendance.player': player._id,
+        status: { $ne: 'cancelled' },
+        date: { $lte: now }
+      }).sort({ date: -1 });
+
+      const recentAttendance = [];
+      let attended = 0;
+      trainings.forEach(training => {
+        const att = training.attendance.find(a => a.player.toString() === playerId);
+        if (att && (att.status === 'present' || att.status === 'late')) {
+          attended++;
+        }
+        if (att && recentAttendance.length < 5) {
+          recentAttendance.push({
+            _id: training._id,
+            date: training.date,
+            type: training.type,
+            status: att.status,
+            rating: att.rating || null
+          });
+        }
+      });
+
+      // Match appearances and ratings
+      const matches = await Match.find({ team: teamId, status: 'completed' })
+        .sort({ matchDate: -1 });
+
+      const recentMatches = [];
+      let appearances = 0;
+      let totalRating = 0;
+      let ratedMatches = 0;
+      matches.forEach(match => {
+        const wasStarter = match.lineup?.some(l =>
+          !l.isSubstitute && l.player?.toString() === playerId
+        );
+        const cameAsSubstitute = match.substitutions?.some(s =>
+          s.playerIn?.toString() === playerId
+        );
+        if (!wasStarter && !cameAsSubstitute) return;
+
+        appearances++;
+        const rating = match.playerRatings?.find(r => r.player?.toString() === playerId);
+        if (rating && rating.rating > 0) {
+          totalRating += rating.rating;
+          ratedMatches++;
+        }
+
+        if (recentMatches.length < 5) {
+          recentMatches.push({
+            _id: match._id,
+            matchDate: match.matchDate,
+            opponent: match.opponent?.name,
+            score: match.score,
+            isHome: match.isHome,
+            result: match.result,
+            started: !!wasStarter,
+            goals: match.goals.filter(g => g.player?.toString() === playerId).length,
+            assists: match.goals.filter(g => g.assist?.toString() === playerId).length,
+            rating: rating?.rating || null
+          });
+        }
+      });
+
+      // Upcoming schedule
+      const [upcomingTrainings, upcomingMatches] = await Promise.all([
+        Training.find({ team: teamId, date: { $gte: now }, status: 'scheduled' })
+          .select('date startTime endTime location type')
+          .sort({ date: 1 })
+          .limit(5),
+        Match.find({ team: teamId, matchDate: { $gte: now }, status: { $in: ['scheduled', 'lineup_set'] } })
+          .select('opponent matchDate kickoffTime venue isHome competition')
+          .sort({ matchDate: 1 })
+          .limit(5)
+      ]);
+
+      return {
+        player,
+        injury: {
+          isInjured: player.isInjured,
+          injuryDetails: player.injuryDetails,
+          injuryEndDate: player.injuryEndDate,
+          physicalCondition: player.physicalCondition
+        },
+        attendance: {
+          total: trainings.length,
+          attended,
+          rate: trainings.length > 0 ? Math.round((attended / trainings.length) * 100) : 0,
+          recent: recentAttendance
+        },
+        matchStats: {
+          appearances,
+          minutesPlayed: player.statistics?.minutesPlayed || 0,
+          averageRating: ratedMatches > 0 ? (totalRating / ratedMatches).toFixed(1) : null,
+          recent: recentMatches
+        },
+        upcomingTrainings,
+        upcomingMatches
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        children
+      }
+    });
+  } catch (error) {
+    console.error('Parent dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -4,14 +4,9 @@ import Player from '../models/Player.js';
 import Team from '../models/Team.js';
 import Training from '../models/Training.js';
 import Match from '../models/Match.js';
-
-// Helper function to get coach's team IDs
-const getCoachTeamIds = (user) => {
-  if (user.role !== 'coach') return null;
-  return user.teams?.length > 0
-    ? user.teams.map(t => (t._id || t).toString())
-    : (user.team ? [(user.team._id || user.team).toString()] : []);
-};
+import FitnessSession from '../models/FitnessSession.js';
+import { getCoachTeamIds } from '../utils/policy.js';
+import { getPeerResults, getPeerValues, percentileOf } from '../utils/fitness.js';
 
 // @desc    Export players to Excel
 // @route   GET /api/export/players/excel
@@ -292,6 +287,101 @@ export const exportTrainingsExcel = async (req, res) => {
   }
 };
 
+// @desc    Export fitness test results to Excel
+// @route   GET /api/export/fitness/excel
+// @access  Private
+export const exportFitnessExcel = async (req, res) => {
+  try {
+    const { team, startDate, endDate, test } = req.query;
+    const query = {};
+
+    if (req.user.role === 'coach') {
+      const coachTeamIds = getCoachTeamIds(req.user);
+      if (team && coachTeamIds.includes(team)) {
+        query.team = team;
+      } else if (coachTeamIds.length > 0) {
+        query.team = { $in: coachTeamIds };
+      }
+    } else if (team) {
+      query.team = team;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    if (test) query['results.test'] = test;
+
+    const sessions = await FitnessSession.find(query)
+      .populate('team', 'name')
+      .populate('results.player', 'firstName lastName birthYear')
+      .populate('results.test', 'name unit higherIsBetter')
+      .sort({ date: -1 });
+
+    const results = sessions.flatMap(session => session.results
+      .filter(result => result.player && result.test && (!test || result.test._id.toString() === test))
+      .map(result => ({ session, result })));
+
+    // Percentiles against the latest results of each birth year
+    const birthYears = [...new Set(results.map(({ result }) => result.player.birthYear).filter(Boolean))];
+    const testIds = [...new Map(results.map(({ result }) => [result.test._id.toString(), result.test._id])).values()];
+    const peerResults = await getPeerResults(birthYears, testIds);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Fitness Results');
+
+    worksheet.columns = [
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Team', key: 'team', width: 20 },
+      { header: 'Player', key: 'player', width: 25 },
+      { header: 'Birth Year', key: 'birthYear', width: 10 },
+      { header: 'Test', key: 'test', width: 25 },
+      { header: 'Result', key: 'value', width: 10 },
+      { header: 'Unit', key: 'unit', width: 8 },
+      { header: 'Percentile', key: 'percentile', width: 12 },
+      { header: 'Notes', key: 'notes', width: 30 }
+    ];
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF1E40AF' }
+    };
+    worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+    results.forEach(({ session, result }) => {
+      const peers = getPeerValues(peerResults, result.player.birthYear, result.test._id);
+      const percentile = percentileOf(result.value, peers, result.test.higherIsBetter);
+      worksheet.addRow({
+        date: new Date(session.date).toLocaleDateString(),
+        team: session.team?.name || '',
+        player: `${result.player.firstName} ${result.player.lastName}`,
+        birthYear: result.player.birthYear,
+        test: result.test.name,
+        value: result.value,
+        unit: result.test.unit,
+        percentile: percentile === null ? '' : percentile,
+        notes: result.notes || ''
+      });
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=fitness-results.xlsx');
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Export fitness Excel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Export match report to PDF
 // @route   GET /api/export/match/:id/pdf
 // @access  Private
@@ -0,0 +1,206 @@
+import Facility from '../models/Facility.js';
+import Training from '../models/Training.js';
+import Match from '../models/Match.js';
+import { getBookings } from '../utils/facilities.js';
+
+const MAX_OCCUPANCY_DAYS = 31;
+
+// Helper function to check whether any training or match is booked on a facility or pitch
+const hasBookings = async (query) =>
+  !!(await Training.exists(query) || await Match.exists(query));
+
+// @desc    Get all facilities
+// @route   GET /api/facilities
+// @access  Private
+export const getFacilities = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const facilities = await Facility.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: facilities.length,
+      facilities
+    });
+  } catch (error) {
+    console.error('Get facilities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single facility
+// @route   GET /api/facilities/:id
+// @access  Private
+export const getFacility = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      facility
+    });
+  } catch (error) {
+    console.error('Get facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create facility
+// @route   POST /api/facilities
+// @access  Private/Admin
+export const createFacility = async (req, res) => {
+  try {
+    const { name, address, pitches, isActive } = req.body;
+
+    const facility = await Facility.create({ name, address, pitches, isActive });
+
+    res.status(201).json({
+      success: true,
+      facility
+    });
+  } catch (error) {
+    console.error('Create facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update facility
+// @route   PUT /api/facilities/:id
+// @access  Private/Admin
+export const updateFacility = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const { name, address, pitches, isActive } = req.body;
+
+    if (pitches !== undefined) {
+      // Pitches with bookings can only be deactivated, not removed
+      const keptIds = pitches.filter(p => p._id).map(p => p._id.toString());
+      for (const pitch of facility.pitches) {
+        if (keptIds.includes(pitch._id.toString())) continue;
+        if (await hasBookings({ 'booking.facility': facility._id, 'booking.pitch': pitch._id })) {
+          return res.status(400).json({
+            success: false,
+            message: `${pitch.name} has bookings, deactivate it instead`
+          });
+        }
+      }
+      facility.pitches = pitches;
+    }
+    if (name !== undefined) facility.name = name;
+    if (address !== undefined) facility.address = address;
+    if (isActive !== undefined) facility.isActive = isActive;
+
+    await facility.save();
+
+    res.status(200).json({
+      success: true,
+      facility
+    });
+  } catch (error) {
+    console.error('Update facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete facility
+// @route   DELETE /api/facilities/:id
+// @access  Private/Admin
+export const deleteFacility = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    if (await hasBookings({ 'booking.facility': facility._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Facility has bookings, deactivate it instead'
+      });
+    }
+
+    await facility.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Facility deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get trainings and matches booked on a facility's pitches
+// @route   GET /api/facilities/:id/occupancy
+// @access  Private
+export const getOccupancy = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const from = req.query.date ? new Date(req.query.date) : new Date();
+    const days = Math.min(Math.max(parseInt(req.query.days) || 1, 1), MAX_OCCUPANCY_DAYS);
+    const to = new Date(from.getTime() + (days - 1) * 24 * 60 * 60 * 1000);
+
+    const bookings = await getBookings({ facility: facility._id, from, to });
+
+    res.status(200).json({
+      success: true,
+      facility,
+      from,
+      to,
+      bookings
+    });
+  } catch (error) {
+    console.error('Get occupancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
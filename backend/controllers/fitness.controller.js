@@ -0,0 +1,478 @@
+import Player from '../models/Player.js';
+import FitnessTest from '../models/FitnessTest.js';
+import FitnessSession from '../models/FitnessSession.js';
+import { getParentPlayerIds } from '../middleware/auth.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
+import { addResultPercentiles, getPlayerFitness } from '../utils/fitness.js';
+
+const TEST_FIELDS = ['name', 'category', 'unit', 'higherIsBetter', 'description', 'isActive'];
+
+// Helper function to pick the allowed fields present in a request body
+const pickFields = (body, fields) =>
+  Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// Helper function to load a session the user may access; sends the error
+// response and returns null otherwise
+const findAccessibleSession = async (req, res) => {
+  const session = await FitnessSession.findById(req.params.id);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Fitness session not found'
+    });
+    return null;
+  }
+
+  if (req.user.role === 'parent' || !canAccessTeam(req.user, session.team)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this fitness session'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Helper function to check that all tests of a session exist; returns the
+// message of the first problem or null
+const checkSessionTests = async (testIds) => {
+  const ids = [...new Set(testIds.map(String))];
+  const count = await FitnessTest.countDocuments({ _id: { $in: ids } });
+  return count === ids.length ? null : 'Fitness test not found';
+};
+
+// Helper function to send a session with its results and their percentiles
+const sendSession = async (res, session, status = 200) => {
+  await session.populate([
+    { path: 'team', select: 'name birthYear' },
+    { path: 'tests', select: 'name category unit higherIsBetter isActive' },
+    { path: 'conductedBy', select: 'firstName lastName' },
+    { path: 'results.player', select: 'firstName lastName jerseyNumber birthYear' },
+    { path: 'results.test', select: 'name unit higherIsBetter' }
+  ]);
+
+  const results = await addResultPercentiles(session);
+
+  res.status(status).json({
+    success: true,
+    session: { ...session.toObject(), results }
+  });
+};
+
+// @desc    Get fitness tests
+// @route   GET /api/fitness/tests
+// @access  Private
+export const getFitnessTests = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const tests = await FitnessTest.find(query).sort({ category: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: tests.length,
+      tests
+    });
+  } catch (error) {
+    console.error('Get fitness tests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create fitness test
+// @route   POST /api/fitness/tests
+// @access  Private (fitness.tests.manage)
+export const createFitnessTest = async (req, res) => {
+  try {
+    if (await FitnessTest.exists({ name: req.body.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A fitness test with this name already exists'
+      });
+    }
+
+    const test = await FitnessTest.create(pickFields(req.body, TEST_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      test
+    });
+  } catch (error) {
+    console.error('Create fitness test error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update fitness test
+// @route   PUT /api/fitness/tests/:id
+// @access  Private (fitness.tests.manage)
+export const updateFitnessTest = async (req, res) => {
+  try {
+    const test = await FitnessTest.findById(req.params.id);
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fitness test not found'
+      });
+    }
+
+    if (req.body.name && await FitnessTest.exists({ name: req.body.name, _id: { $ne: test._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A fitness test with this name already exists'
+      });
+    }
+
+    test.set(pickFields(req.body, TEST_FIELDS));
+    await test.save();
+
+    res.status(200).json({
+      success: true,
+      test
+    });
+  } catch (error) {
+    console.error('Update fitness test error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete fitness test
+// @route   DELETE /api/fitness/tests/:id
+// @access  Private (fitness.tests.manage)
+export const deleteFitnessTest = async (req, res) => {
+  try {
+    const test = await FitnessTest.findById(req.params.id);
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fitness test not found'
+      });
+    }
+
+    // Tests used by sessions keep the history readable
+    if (await FitnessSession.exists({ tests: test._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This test is used by fitness sessions, deactivate it instead'
+      });
+    }
+
+    await test.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Fitness test deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete fitness test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get fitness sessions
+// @route   GET /api/fitness/sessions
+// @access  Private
+export const getFitnessSessions = async (req, res) => {
+  try {
+    if (req.user.role === 'parent') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view fitness sessions'
+      });
+    }
+
+    const { team, from, to } = req.query;
+    const query = {};
+
+    const coachTeamIds = getCoachTeamIds(req.user);
+    if (coachTeamIds) {
+      query.team = team && coachTeamIds.includes(team) ? team : { $in: coachTeamIds };
+    } else if (team) {
+      query.team = team;
+    }
+
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const sessions = await FitnessSession.find(query)
+      .select('-results')
+      .populate('team', 'name')
+      .populate('tests', 'name unit')
+      .populate('conductedBy', 'firstName lastName')
+      .sort({ date: -1 });
+
+    // Number of players tested per session
+    const counts = await FitnessSession.aggregate([
+      { $match: { _id: { $in: sessions.map(session => session._id) } } },
+      { $project: { players: { $size: { $setUnion: ['$results.player', []] } } } }
+    ]);
+    const playersBySession = new Map(counts.map(count => [count._id.toString(), count.players]));
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        playerCount: playersBySession.get(session._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get fitness sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get fitness session with results and percentiles
+// @route   GET /api/fitness/sessions/:id
+// @access  Private
+export const getFitnessSession = async (req, res) => {
+  try {
+    const session = await findAccessibleSession(req, res);
+    if (!session) return;
+
+    await sendSession(res, session);
+  } catch (error) {
+    console.error('Get fitness session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create fitness session
+// @route   POST /api/fitness/sessions
+// @access  Private (fitness.record)
+export const createFitnessSession = async (req, res) => {
+  try {
+    const { team, date, tests, location, notes } = req.body;
+
+    if (!canAccessTeam(req.user, team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to record fitness tests for this team'
+      });
+    }
+
+    const testError = await checkSessionTests(tests);
+    if (testError) {
+      return res.status(400).json({
+        success: false,
+        message: testError
+      });
+    }
+
+    const session = await FitnessSession.create({
+      team,
+      date,
+      tests: [...new Set(tests.map(String))],
+      location,
+      notes,
+      conductedBy: req.user._id
+    });
+
+    await sendSession(res, session, 201);
+  } catch (error) {
+    console.error('Create fitness session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update fitness session
+// @route   PUT /api/fitness/sessions/:id
+// @access  Private (fitness.record)
+export const updateFitnessSession = async (req, res) => {
+  try {
+    const session = await findAccessibleSession(req, res);
+    if (!session) return;
+
+    const { date, tests, location, notes } = req.body;
+
+    if (tests !== undefined) {
+      const testError = await checkSessionTests(tests);
+      if (testError) {
+        return res.status(400).json({
+          success: false,
+          message: testError
+        });
+      }
+
+      // Tests with results can only be removed after their results
+      const testIds = tests.map(String);
+      const removedWithResults = session.results.find(result => !testIds.includes(result.test.toString()));
+      if (removedWithResults) {
+        return res.status(400).json({
+          success: false,
+          message: 'Remove the results of a test before removing it from the session'
+        });
+      }
+      session.tests = [...new Set(testIds)];
+    }
+    if (date !== undefined) session.date = date;
+    if (location !== undefined) session.location = location;
+    if (notes !== undefined) session.notes = notes;
+
+    await session.save();
+
+    await sendSession(res, session);
+  } catch (error) {
+    console.error('Update fitness session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Record results of a fitness session (a null value removes a result)
+// @route   PUT /api/fitness/sessions/:id/results
+// @access  Private (fitness.record)
+export const saveFitnessResults = async (req, res) => {
+  try {
+    const session = await findAccessibleSession(req, res);
+    if (!session) return;
+
+    const { results } = req.body;
+    const testIds = session.tests.map(String);
+
+    if (results.some(result => !testIds.includes(String(result.test)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results can only be recorded for the tests of this session'
+      });
+    }
+
+    // Players of the team, and players tested before they left it
+    const playerIds = [...new Set(results.map(result => String(result.player)))];
+    const teamPlayers = await Player.find({ _id: { $in: playerIds }, team: session.team }).select('_id');
+    const allowedIds = new Set([
+      ...teamPlayers.map(player => player._id.toString()),
+      ...session.results.map(result => result.player.toString())
+    ]);
+    if (playerIds.some(id => !allowedIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results can only be recorded for players of this team'
+      });
+    }
+
+    results.forEach(({ player, test, value, notes }) => {
+      const existing = session.results.find(result =>
+        result.player.toString() === String(player) && result.test.toString() === String(test));
+
+      if (value === null || value === undefined) {
+        if (existing) session.results.pull(existing._id);
+      } else if (existing) {
+        existing.value = value;
+        if (notes !== undefined) existing.notes = notes;
+      } else {
+        session.results.push({ player, test, value, notes });
+      }
+    });
+
+    await session.save();
+
+    await sendSession(res, session);
+  } catch (error) {
+    console.error('Save fitness results error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete fitness session
+// @route   DELETE /api/fitness/sessions/:id
+// @access  Private (fitness.record)
+export const deleteFitnessSession = async (req, res) => {
+  try {
+    const session = await findAccessibleSession(req, res);
+    if (!session) return;
+
+    await session.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Fitness session deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete fitness session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a player's fitness results with trends and peer percentiles
+// @route   GET /api/fitness/players/:playerId
+// @access  Private
+export const getPlayerFitnessResults = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.playerId);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
+    if (req.user.role === 'parent' && !getParentPlayerIds(req.user).includes(player._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
+    const tests = await getPlayerFitness(player);
+
+    res.status(200).json({
+      success: true,
+      birthYear: player.birthYear,
+      tests
+    });
+  } catch (error) {
+    console.error('Get player fitness error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
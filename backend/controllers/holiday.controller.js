@@ -0,0 +1,112 @@
+import Holiday from '../models/Holiday.js';
+
+// @desc    Get all holidays
+// @route   GET /api/holidays
+// @access  Private
+export const getHolidays = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const query = {};
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const holidays = await Holiday.find(query).sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      holidays
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create holiday
+// @route   POST /api/holidays
+// @access  Private/Admin
+export const createHoliday = async (req, res) => {
+  try {
+    const { name, startDate, endDate } = req.body;
+
+    const holiday = await Holiday.create({ name, startDate, endDate: endDate || startDate });
+
+    res.status(201).json({
+      success: true,
+      holiday
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update holiday
+// @route   PUT /api/holidays/:id
+// @access  Private/Admin
+export const updateHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    const { name, startDate, endDate } = req.body;
+
+    if (name !== undefined) holiday.name = name;
+    if (startDate !== undefined) holiday.startDate = startDate;
+    if (endDate !== undefined) holiday.endDate = endDate;
+
+    await holiday.save();
+
+    res.status(200).json({
+      success: true,
+      holiday
+    });
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete holiday
+// @route   DELETE /api/holidays/:id
+// @access  Private/Admin
+export const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,25 +1,173 @@
 import Match from '../models/Match.js';
 import Player from '../models/Player.js';
 import Team from '../models/Team.js';
+import Opponent from '../models/Opponent.js';
+import { getParentPlayerIds, getParentTeamIds } from '../middleware/auth.js';
+import { publishMatchUpdate, subscribeMatchUpdates } from '../utils/liveEvents.js';
+import { calculateMinutesPlayed, getMatchLength, keptCleanSheet } from '../utils/statistics.js';
+import { checkMatchBooking } from '../utils/facilities.js';
+import { emitDomainEvent } from '../utils/notifications.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
 // getFileUrl import removed - not currently used
 
-// Helper function to check if coach has access to a team
-const coachHasTeamAccess = (user, teamId) => {
-  if (user.role !== 'coach') return true;
+// Helper function to link match data to an opponent club, creating the club the
+// first time a name is used, and copy the club's name, logo and color onto the match
+const applyOpponentClub = async (data) => {
+  let club = data.opponentClub ? await Opponent.findById(data.opponentClub) : null;
 
-  const teamIdStr = teamId?._id?.toString() || teamId?.toString();
+  if (!club && data.opponent?.name) {
+    club = await Opponent.findOrCreateByName(data.opponent.name, {
+      logo: data.opponent.logo,
+      color: data.opponent.color
+    });
+  }
+
+  if (!club) return data;
+
+  return {
+    ...data,
+    opponentClub: club._id,
+    opponent: { name: club.name, logo: club.logo, color: club.color }
+  };
+};
+
+// Helper function to limit a match to what a parent may see:
+// only their children's ratings and no internal coach notes
+const toParentView = (match, playerIds) => {
+  const matchObj = match.toObject();
+  matchObj.playerRatings = (matchObj.playerRatings || []).filter(r =>
+    playerIds.includes((r.player?._id || r.player).toString())
+  );
+  delete matchObj.coachNotes;
+  return matchObj;
+};
+
+// Helper function to format a player's name for timeline descriptions
+const getPlayerName = (player) => {
+  return player ? `${player.firstName} ${player.lastName}` : '';
+};
+
+// Helper function to get the player statistic a card counts towards
+const getCardField = (cardType) => {
+  return cardType === 'yellow' ? 'statistics.yellowCards' : 'statistics.redCards';
+};
+
+// Helper function to adjust a player statistic without dropping below zero
+const adjustPlayerStat = async (playerId, field, amount) => {
+  if (!playerId) return;
 
-  // Check teams array first
-  if (user.teams && user.teams.length > 0) {
-    return user.teams.some(t => (t._id?.toString() || t.toString()) === teamIdStr);
+  const filter = { _id: playerId };
+  if (amount < 0) filter[field] = { $gte: -amount };
+
+  await Player.updateOne(filter, { $inc: { [field]: amount } });
+};
+
+// Helper function to get the match length (minutes) for a match's team
+const getTeamMatchLength = async (teamId) => {
+  const team = await Team.findById(teamId?._id || teamId).select('ageCategory matchDuration');
+  return getMatchLength(team);
+};
+
+// Helper function to credit appearances, minutes played and goalkeeper
+// clean sheets to everyone who took part in a completed match
+const creditPlayerAppearances = async (match) => {
+  const minutesPlayed = calculateMinutesPlayed(match, await getTeamMatchLength(match.team));
+
+  const goalkeeperIds = new Set();
+  if (keptCleanSheet(match)) {
+    const goalkeepers = await Player.find({
+      _id: { $in: [...minutesPlayed.keys()] },
+      position: 'GK'
+    }).select('_id');
+    goalkeepers.forEach(p => goalkeeperIds.add(p._id.toString()));
   }
 
-  // Fallback to single team
-  if (user.team) {
-    return (user.team._id?.toString() || user.team.toString()) === teamIdStr;
+  for (const [playerId, minutes] of minutesPlayed) {
+    const inc = { 'statistics.matchesPlayed': 1, 'statistics.minutesPlayed': minutes };
+    if (goalkeeperIds.has(playerId)) inc['statistics.cleanSheets'] = 1;
+
+    await Player.findByIdAndUpdate(playerId, { $inc: inc });
   }
+};
+
+// Helper function to correct appearances and minutes played of a completed
+// match after a substitution or red card was edited or removed
+const reconcilePlayerAppearances = async (match, previousMinutes, matchLength) => {
+  const minutesPlayed = calculateMinutesPlayed(match, matchLength);
+  const playerIds = new Set([...previousMinutes.keys(), ...minutesPlayed.keys()]);
 
-  return false;
+  for (const playerId of playerIds) {
+    const appearanceChange = (minutesPlayed.has(playerId) ? 1 : 0) - (previousMinutes.has(playerId) ? 1 : 0);
+    const minutesChange = (minutesPlayed.get(playerId) || 0) - (previousMinutes.get(playerId) || 0);
+
+    if (appearanceChange !== 0) {
+      await adjustPlayerStat(playerId, 'statistics.matchesPlayed', appearanceChange);
+    }
+    if (minutesChange !== 0) {
+      await adjustPlayerStat(playerId, 'statistics.minutesPlayed', minutesChange);
+    }
+  }
+};
+
+// Helper function to re-apply a completed match to team statistics after its score changed
+const updateTeamResult = async (match, previousScore) => {
+  const team = await Team.findById(match.team._id || match.team);
+  if (!team?.statistics) return;
+
+  const getOutcome = (our, their) => (our > their ? 'wins' : our < their ? 'losses' : 'draws');
+  const previousOur = match.isHome ? previousScore.home : previousScore.away;
+  const previousTheir = match.isHome ? previousScore.away : previousScore.home;
+  const ourScore = match.isHome ? match.score.home : match.score.away;
+  const theirScore = match.isHome ? match.score.away : match.score.home;
+
+  team.statistics.goalsFor += ourScore - previousOur;
+  team.statistics.goalsAgainst += theirScore - previousTheir;
+  team.statistics[getOutcome(previousOur, previousTheir)] -= 1;
+  team.statistics[getOutcome(ourScore, theirScore)] += 1;
+
+  await team.save();
+};
+
+// Helper function to get the timeline type/minute/player identifying a goal, card or substitution
+const getTimelineKey = (kind, item) => {
+  if (kind === 'goal') return { type: 'goal', minute: item.minute, player: item.player };
+  if (kind === 'card') {
+    return { type: item.type === 'yellow' ? 'yellow_card' : 'red_card', minute: item.minute, player: item.player };
+  }
+  return { type: 'substitution', minute: item.minute, player: item.playerIn };
+};
+
+// Helper function to build the timeline entry for a goal, card or substitution
+const buildTimelineEvent = async (kind, item) => {
+  const playerIds = kind === 'substitution' ? [item.playerIn, item.playerOut] : [item.player, item.assist];
+  const players = await Player.find({ _id: { $in: playerIds.filter(Boolean) } }).select('firstName lastName');
+  const nameOf = (id) => getPlayerName(players.find(p => p._id.toString() === id?.toString()));
+
+  let description;
+  if (kind === 'goal') {
+    description = item.assist ? `${nameOf(item.player)} (${nameOf(item.assist)})` : nameOf(item.player);
+  } else if (kind === 'card') {
+    description = nameOf(item.player);
+  } else {
+    description = `↑ ${nameOf(item.playerIn)} ↓ ${nameOf(item.playerOut)}`;
+  }
+
+  return { ...getTimelineKey(kind, item), description };
+};
+
+// Helper function to append an entry to the match timeline
+const recordTimelineEvent = (match, event) => {
+  match.events.push(event);
+  return match.events[match.events.length - 1];
+};
+
+// Helper function to drop the timeline entry recorded for a goal, card or substitution
+const removeTimelineEvent = (match, kind, item) => {
+  const { type, minute, player } = getTimelineKey(kind, item);
+  const entry = match.events.find(e =>
+    e.type === type && e.minute === minute && e.player?.toString() === player?.toString()
+  );
+  if (entry) match.events.pull(entry._id);
 };
 
 // @desc    Get all matches
@@ -31,6 +179,7 @@ export const getMatches = async (req, res) => {
       team,
       status,
       competition,
+      season,
       startDate,
       endDate,
       page = 1,
@@ -41,21 +190,24 @@ export const getMatches = async (req, res) => {
 
     // For coaches, only show their teams' matches
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => t._id || t)
-        : (req.user.team ? [req.user.team._id || req.user.team] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       if (team && coachTeamIds.some(id => id.toString() === team)) {
         query.team = team;
       } else if (coachTeamIds.length > 0) {
         query.team = { $in: coachTeamIds };
       }
+    } else if (req.user.role === 'parent') {
+      // Parents only see their children's teams
+      const parentTeamIds = await getParentTeamIds(req.user);
+      query.team = team && parentTeamIds.includes(team) ? team : { $in: parentTeamIds };
     } else if (team) {
       query.team = team;
     }
 
     if (status) query.status = status;
     if (competition) query.competition = { $regex: competition, $options: 'i' };
+    if (season) query.season = season;
     if (startDate || endDate) {
       query.matchDate = {};
       if (startDate) query.matchDate.$gte = new Date(startDate);
@@ -74,13 +226,17 @@ export const getMatches = async (req, res) => {
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
+    const parentPlayerIds = getParentPlayerIds(req.user);
+
     res.status(200).json({
       success: true,
       count: matches.length,
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: parseInt(page),
-      matches
+      matches: parentPlayerIds
+        ? matches.map(match => toParentView(match, parentPlayerIds))
+        : matches
     });
   } catch (error) {
     console.error('Get matches error:', error);
@@ -118,13 +274,29 @@ export const getMatch = async (req, res) => {
     }
 
     // Check authorization for coaches
-    if (!coachHasTeamAccess(req.user, match.team)) {
+    if (!canAccessTeam(req.user, match.team)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this match'
       });
     }
 
+    // Parents can only view matches of their children's teams
+    if (req.user.role === 'parent') {
+      const parentTeamIds = await getParentTeamIds(req.user);
+      if (!parentTeamIds.includes(match.team._id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this match'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        match: toParentView(match, getParentPlayerIds(req.user))
+      });
+    }
+
     res.status(200).json({
       success: true,
       match
@@ -147,9 +319,7 @@ export const createMatch = async (req, res) => {
 
     // For coaches, validate team access
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       // If team is specified, validate it's in coach's teams
       if (matchData.team && !coachTeamIds.includes(matchData.team.toString())) {
@@ -164,7 +334,17 @@ export const createMatch = async (req, res) => {
       }
     }
 
-    const match = await Match.create(matchData);
+    // Reject bookings that overlap another training or match on the same pitch area
+    const bookingProblem = await checkMatchBooking(matchData);
+    if (bookingProblem) {
+      return res.status(bookingProblem.status).json({
+        success: false,
+        message: bookingProblem.message,
+        conflict: bookingProblem.conflict
+      });
+    }
+
+    const match = await Match.create(await applyOpponentClub(matchData));
 
     const populatedMatch = await Match.findById(match._id)
       .populate('team', 'name ageCategory primaryColor logo');
@@ -197,19 +377,41 @@ export const updateMatch = async (req, res) => {
     }
 
     // Check authorization for coaches
-    if (!coachHasTeamAccess(req.user, match.team)) {
+    if (!canAccessTeam(req.user, match.team)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this match'
       });
     }
 
+    // Check the booking as it will be after the update; cancelled and
+    // postponed matches free the pitch
+    const updated = { ...match.toObject(), ...req.body };
+    if (!['cancelled', 'postponed'].includes(updated.status)) {
+      const bookingProblem = await checkMatchBooking({ ...updated, exclude: match._id });
+      if (bookingProblem) {
+        return res.status(bookingProblem.status).json({
+          success: false,
+          message: bookingProblem.message,
+          conflict: bookingProblem.conflict
+        });
+      }
+    }
+
     const wasCompleted = match.status === 'completed';
     const willBeCompleted = req.body.status === 'completed';
+    const previousStatus = match.status;
+    const previousScore = `${match.score?.home || 0}-${match.score?.away || 0}`;
+
+    const updates = (req.body.opponent || req.body.opponentClub)
+      ? await applyOpponentClub(req.body)
+      : { ...req.body };
+    // The calendar revision is bumped on every change, never set directly
+    delete updates.calendarSequence;
 
     match = await Match.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { ...updates, $inc: { calendarSequence: 1 } },
       { new: true, runValidators: true }
     )
       .populate('team', 'name ageCategory primaryColor logo')
@@ -242,38 +444,24 @@ export const updateMatch = async (req, res) => {
         await team.save();
       }
 
-      // Update player matchesPlayed - starting players
-      const playersUpdated = new Set();
-
-      for (const lineupPlayer of (match.lineup || [])) {
-        if (!lineupPlayer.isSubstitute && lineupPlayer.player) {
-          const playerId = lineupPlayer.player._id || lineupPlayer.player;
-          if (!playersUpdated.has(playerId.toString())) {
-            await Player.findByIdAndUpdate(playerId, {
-              $inc: { 'statistics.matchesPlayed': 1 }
-            });
-            playersUpdated.add(playerId.toString());
-          }
-        }
-      }
-
-      // Update player matchesPlayed - substitutes who played
-      for (const sub of (match.substitutions || [])) {
-        if (sub.playerIn) {
-          const playerId = sub.playerIn._id || sub.playerIn;
-          if (!playersUpdated.has(playerId.toString())) {
-            await Player.findByIdAndUpdate(playerId, {
-              $inc: { 'statistics.matchesPlayed': 1 }
-            });
-            playersUpdated.add(playerId.toString());
-          }
-        }
-      }
+      // Update player appearances, minutes played and clean sheets
+      await creditPlayerAppearances(match);
 
       // Note: Goals, assists, and cards are already updated when they are added
       // via addGoal, addCard endpoints - no need to update again here
     }
 
+    if (match.status === 'postponed' && previousStatus !== 'postponed') {
+      emitDomainEvent('match.postponed', { match });
+    }
+
+    // Push status transitions and manual score corrections to live subscribers
+    if (match.status !== previousStatus) {
+      publishMatchUpdate(match, 'status');
+    } else if (`${match.score?.home || 0}-${match.score?.away || 0}` !== previousScore) {
+      publishMatchUpdate(match, 'score');
+    }
+
     res.status(200).json({
       success: true,
       match
@@ -302,7 +490,7 @@ export const deleteMatch = async (req, res) => {
     }
 
     // Check authorization for coaches
-    if (!coachHasTeamAccess(req.user, match.team)) {
+    if (!canAccessTeam(req.user, match.team)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this match'
@@ -340,12 +528,26 @@ export const updateLineup = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const previousStatus = match.status;
+
     match.lineup = lineup;
     match.substitutes = substitutes;
     match.formation = formation;
     match.status = 'lineup_set';
     await match.save();
 
+    if (previousStatus !== match.status) {
+      publishMatchUpdate(match, 'status');
+      emitDomainEvent('match.lineup_set', { match });
+    }
+
     const populatedMatch = await Match.findById(match._id)
       .populate('team', 'name ageCategory primaryColor logo')
       .populate('lineup.player', 'firstName lastName jerseyNumber position photo ratings')
@@ -378,6 +580,13 @@ export const addGoal = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
     match.goals.push(req.body);
 
     // Update score
@@ -398,8 +607,12 @@ export const addGoal = async (req, res) => {
       });
     }
 
+    const timelineEvent = recordTimelineEvent(match, await buildTimelineEvent('goal', req.body));
+
     await match.save();
 
+    publishMatchUpdate(match, 'event', timelineEvent.toObject());
+
     res.status(200).json({
       success: true,
       match
@@ -427,16 +640,26 @@ export const addCard = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
     match.cards.push(req.body);
 
     // Update player statistics
-    const cardField = req.body.type === 'yellow' ? 'statistics.yellowCards' : 'statistics.redCards';
     await Player.findByIdAndUpdate(req.body.player, {
-      $inc: { [cardField]: 1 }
+      $inc: { [getCardField(req.body.type)]: 1 }
     });
 
+    const timelineEvent = recordTimelineEvent(match, await buildTimelineEvent('card', req.body));
+
     await match.save();
 
+    publishMatchUpdate(match, 'event', timelineEvent.toObject());
+
     res.status(200).json({
       success: true,
       match
@@ -464,9 +687,21 @@ export const addSubstitution = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
     match.substitutions.push(req.body);
+
+    const timelineEvent = recordTimelineEvent(match, await buildTimelineEvent('substitution', req.body));
+
     await match.save();
 
+    publishMatchUpdate(match, 'event', timelineEvent.toObject());
+
     res.status(200).json({
       success: true,
       match
@@ -480,6 +715,501 @@ export const addSubstitution = async (req, res) => {
   }
 };
 
+// @desc    Update goal
+// @route   PUT /api/matches/:id/goals/:goalId
+// @access  Private
+export const updateGoal = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const goal = match.goals.id(req.params.goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const previous = goal.toObject();
+    const { player, minute, type, assist } = req.body;
+
+    if (player !== undefined) goal.player = player;
+    if (minute !== undefined) goal.minute = minute;
+    if (type !== undefined) goal.type = type;
+    if (assist !== undefined) goal.assist = assist || undefined;
+
+    // Move goal and assist statistics when the credited players changed
+    if (goal.player?.toString() !== previous.player?.toString()) {
+      await adjustPlayerStat(previous.player, 'statistics.goals', -1);
+      await adjustPlayerStat(goal.player, 'statistics.goals', 1);
+    }
+
+    if (goal.assist?.toString() !== previous.assist?.toString()) {
+      await adjustPlayerStat(previous.assist, 'statistics.assists', -1);
+      await adjustPlayerStat(goal.assist, 'statistics.assists', 1);
+    }
+
+    removeTimelineEvent(match, 'goal', previous);
+    recordTimelineEvent(match, await buildTimelineEvent('goal', goal));
+
+    await match.save();
+
+    publishMatchUpdate(match, 'score');
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove goal and reverse score and player statistics
+// @route   DELETE /api/matches/:id/goals/:goalId
+// @access  Private
+export const deleteGoal = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const goal = match.goals.id(req.params.goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const previousScore = { home: match.score.home, away: match.score.away };
+
+    // Reverse score
+    if (match.isHome) {
+      match.score.home = Math.max(0, match.score.home - 1);
+    } else {
+      match.score.away = Math.max(0, match.score.away - 1);
+    }
+
+    // Reverse player statistics
+    await adjustPlayerStat(goal.player, 'statistics.goals', -1);
+    await adjustPlayerStat(goal.assist, 'statistics.assists', -1);
+
+    removeTimelineEvent(match, 'goal', goal);
+    match.goals.pull(goal._id);
+
+    await match.save();
+
+    // Completed matches are already counted in team statistics
+    if (match.status === 'completed') {
+      await updateTeamResult(match, previousScore);
+    }
+
+    publishMatchUpdate(match, 'score');
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update card
+// @route   PUT /api/matches/:id/cards/:cardId
+// @access  Private
+export const updateCard = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const card = match.cards.id(req.params.cardId);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found'
+      });
+    }
+
+    const previous = card.toObject();
+    const { player, minute, type, reason } = req.body;
+    const isCompleted = match.status === 'completed';
+    const matchLength = isCompleted ? await getTeamMatchLength(match.team) : null;
+    const previousMinutes = isCompleted ? calculateMinutesPlayed(match, matchLength) : null;
+
+    if (player !== undefined) card.player = player;
+    if (minute !== undefined) card.minute = minute;
+    if (type !== undefined) card.type = type;
+    if (reason !== undefined) card.reason = reason;
+
+    // Move the card statistic when the player or card colour changed
+    if (card.player.toString() !== previous.player.toString() ||
+        getCardField(card.type) !== getCardField(previous.type)) {
+      await adjustPlayerStat(previous.player, getCardField(previous.type), -1);
+      await adjustPlayerStat(card.player, getCardField(card.type), 1);
+    }
+
+    removeTimelineEvent(match, 'card', previous);
+    recordTimelineEvent(match, await buildTimelineEvent('card', card));
+
+    // A red card changes minutes played in a completed match
+    if (isCompleted) {
+      await reconcilePlayerAppearances(match, previousMinutes, matchLength);
+    }
+
+    await match.save();
+
+    publishMatchUpdate(match, 'score');
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Update card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove card and reverse player statistics
+// @route   DELETE /api/matches/:id/cards/:cardId
+// @access  Private
+export const deleteCard = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const card = match.cards.id(req.params.cardId);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found'
+      });
+    }
+
+    const isCompleted = match.status === 'completed';
+    const matchLength = isCompleted ? await getTeamMatchLength(match.team) : null;
+    const previousMinutes = isCompleted ? calculateMinutesPlayed(match, matchLength) : null;
+
+    await adjustPlayerStat(card.player, getCardField(card.type), -1);
+
+    removeTimelineEvent(match, 'card', card);
+    match.cards.pull(card._id);
+
+    // A red card changes minutes played in a completed match
+    if (isCompleted) {
+      await reconcilePlayerAppearances(match, previousMinutes, matchLength);
+    }
+
+    await match.save();
+
+    publishMatchUpdate(match, 'score');
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Delete card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update substitution
+// @route   PUT /api/matches/:id/substitutions/:substitutionId
+// @access  Private
+export const updateSubstitution = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const substitution = match.substitutions.id(req.params.substitutionId);
+
+    if (!substitution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Substitution not found'
+      });
+    }
+
+    const previous = substitution.toObject();
+    const { playerIn, playerOut, minute, reason } = req.body;
+    const isCompleted = match.status === 'completed';
+    const matchLength = isCompleted ? await getTeamMatchLength(match.team) : null;
+    const previousMinutes = isCompleted ? calculateMinutesPlayed(match, matchLength) : null;
+
+    if (playerIn !== undefined) substitution.playerIn = playerIn;
+    if (playerOut !== undefined) substitution.playerOut = playerOut;
+    if (minute !== undefined) substitution.minute = minute;
+    if (reason !== undefined) substitution.reason = reason;
+
+    // Completed matches already counted appearances and minutes played
+    if (isCompleted) {
+      await reconcilePlayerAppearances(match, previousMinutes, matchLength);
+    }
+
+    removeTimelineEvent(match, 'substitution', previous);
+    recordTimelineEvent(match, await buildTimelineEvent('substitution', substitution));
+
+    await match.save();
+
+    publishMatchUpdate(match, 'score');
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Update substitution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove substitution
+// @route   DELETE /api/matches/:id/substitutions/:substitutionId
+// @access  Private
+export const deleteSubstitution = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const substitution = match.substitutions.id(req.params.substitutionId);
+
+    if (!substitution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Substitution not found'
+      });
+    }
+
+    const isCompleted = match.status === 'completed';
+    const matchLength = isCompleted ? await getTeamMatchLength(match.team) : null;
+    const previousMinutes = isCompleted ? calculateMinutesPlayed(match, matchLength) : null;
+
+    removeTimelineEvent(match, 'substitution', substitution);
+    match.substitutions.pull(substitution._id);
+
+    // Completed matches already counted appearances and minutes played
+    if (isCompleted) {
+      await reconcilePlayerAppearances(match, previousMinutes, matchLength);
+    }
+
+    await match.save();
+
+    publishMatchUpdate(match, 'score');
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Delete substitution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update injury
+// @route   PUT /api/matches/:id/injuries/:injuryId
+// @access  Private
+export const updateInjury = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const injury = match.injuries.id(req.params.injuryId);
+
+    if (!injury) {
+      return res.status(404).json({
+        success: false,
+        message: 'Injury not found'
+      });
+    }
+
+    const { player, minute, description, severity, continuedPlaying } = req.body;
+
+    if (player !== undefined) injury.player = player;
+    if (minute !== undefined) injury.minute = minute;
+    if (description !== undefined) injury.description = description;
+    if (severity !== undefined) injury.severity = severity;
+    if (continuedPlaying !== undefined) injury.continuedPlaying = continuedPlaying;
+
+    await match.save();
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Update injury error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove injury
+// @route   DELETE /api/matches/:id/injuries/:injuryId
+// @access  Private
+export const deleteInjury = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this match'
+      });
+    }
+
+    const injury = match.injuries.id(req.params.injuryId);
+
+    if (!injury) {
+      return res.status(404).json({
+        success: false,
+        message: 'Injury not found'
+      });
+    }
+
+    match.injuries.pull(injury._id);
+    await match.save();
+
+    res.status(200).json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    console.error('Delete injury error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Complete match and update statistics
 // @route   PUT /api/matches/:id/complete
 // @access  Private
@@ -494,6 +1224,13 @@ export const completeMatch = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, match.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to complete this match'
+      });
+    }
+
     // Skip if already completed
     if (match.status === 'completed') {
       return res.status(400).json({
@@ -521,6 +1258,8 @@ export const completeMatch = async (req, res) => {
 
     await match.save();
 
+    publishMatchUpdate(match, 'status');
+
     // Update team statistics
     const team = await Team.findById(match.team);
     if (team) {
@@ -543,33 +1282,8 @@ export const completeMatch = async (req, res) => {
       await team.save();
     }
 
-    // Update player match statistics - starting players
-    const playersUpdated = new Set();
-
-    for (const lineupPlayer of (match.lineup || [])) {
-      if (!lineupPlayer.isSubstitute && lineupPlayer.player) {
-        const playerId = lineupPlayer.player._id || lineupPlayer.player;
-        if (!playersUpdated.has(playerId.toString())) {
-          await Player.findByIdAndUpdate(playerId, {
-            $inc: { 'statistics.matchesPlayed': 1 }
-          });
-          playersUpdated.add(playerId.toString());
-        }
-      }
-    }
-
-    // Update player match statistics - substitutes who played
-    for (const sub of (match.substitutions || [])) {
-      if (sub.playerIn) {
-        const playerId = sub.playerIn._id || sub.playerIn;
-        if (!playersUpdated.has(playerId.toString())) {
-          await Player.findByIdAndUpdate(playerId, {
-            $inc: { 'statistics.matchesPlayed': 1 }
-          });
-          playersUpdated.add(playerId.toString());
-        }
-      }
-    }
+    // Update player appearances, minutes played and clean sheets
+    await creditPlayerAppearances(match);
 
     res.status(200).json({
       success: true,
@@ -596,13 +1310,13 @@ export const getUpcomingMatches = async (req, res) => {
 
     // For coaches, only show their teams' matches
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => t._id || t)
-        : (req.user.team ? [req.user.team._id || req.user.team] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       if (coachTeamIds.length > 0) {
         query.team = { $in: coachTeamIds };
       }
+    } else if (req.user.role === 'parent') {
+      query.team = { $in: await getParentTeamIds(req.user) };
     }
 
     const matches = await Match.find(query)
@@ -610,9 +1324,13 @@ export const getUpcomingMatches = async (req, res) => {
       .sort({ matchDate: 1 })
       .limit(10);
 
+    const parentPlayerIds = getParentPlayerIds(req.user);
+
     res.status(200).json({
       success: true,
-      matches
+      matches: parentPlayerIds
+        ? matches.map(match => toParentView(match, parentPlayerIds))
+        : matches
     });
   } catch (error) {
     console.error('Get upcoming matches error:', error);
@@ -630,10 +1348,17 @@ export const getMatchStats = async (req, res) => {
   try {
     const teamId = req.params.teamId;
 
-    const matches = await Match.find({
-      team: teamId,
-      status: 'completed'
-    });
+    if (!canAccessTeam(req.user, teamId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    const query = { team: teamId, status: 'completed' };
+    if (req.query.season) query.season = req.query.season;
+
+    const matches = await Match.find(query);
 
     const stats = {
       total: matches.length,
@@ -700,3 +1425,42 @@ export const getMatchStats = async (req, res) => {
     });
   }
 };
+
+// @desc    Stream live match updates (Server-Sent Events)
+// @route   GET /api/matches/live
+// @access  Private
+export const streamMatchUpdates = async (req, res) => {
+  try {
+    // Parents only follow their children's teams
+    const parentTeamIds = req.user.role === 'parent' ? await getParentTeamIds(req.user) : null;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribeMatchUpdates((update) => {
+      if (!canAccessTeam(req.user, update.teamId)) return;
+      if (parentTeamIds && !parentTeamIds.includes(update.teamId)) return;
+
+      res.write(`event: match\ndata: ${JSON.stringify(update)}\n\n`);
+    });
+
+    // Keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Stream match updates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,508 @@
+import fs from 'fs';
+import path from 'path';
+import Player from '../models/Player.js';
+import Injury from '../models/Injury.js';
+import MedicalClearance from '../models/MedicalClearance.js';
+import MedicalDocument from '../models/MedicalDocument.js';
+import { MEDICAL_UPLOAD_DIR } from '../middleware/upload.js';
+import { getParentPlayerIds } from '../middleware/auth.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
+import { syncInjuryStatus, getClearanceStatus } from '../utils/medical.js';
+
+const INJURY_FIELDS = [
+  'type', 'bodyPart', 'description', 'injuryDate', 'expectedReturnDate',
+  'actualReturnDate', 'treatedBy', 'treatment', 'match'
+];
+const CLEARANCE_FIELDS = ['type', 'issuedAt', 'expiresAt', 'issuedBy', 'restrictions', 'document'];
+
+// Helper function to pick the allowed fields present in a request body
+const pickFields = (body, fields) =>
+  Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// Helper function to check a user may see a player's medical record: coaches
+// their teams' players, parents their children
+const canAccessPlayer = (user, player) => {
+  const parentPlayerIds = getParentPlayerIds(user);
+  if (parentPlayerIds) return parentPlayerIds.includes(player._id.toString());
+  return canAccessTeam(user, player.team);
+};
+
+// Helper function to load a player the user may access; sends the error
+// response and returns null otherwise
+const findAccessiblePlayer = async (req, res, playerId) => {
+  const player = await Player.findById(playerId);
+
+  if (!player) {
+    res.status(404).json({
+      success: false,
+      message: 'Player not found'
+    });
+    return null;
+  }
+
+  if (!canAccessPlayer(req.user, player)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this medical record'
+    });
+    return null;
+  }
+
+  return player;
+};
+
+// Helper function to load a medical record entry and check access to its player
+const findAccessibleEntry = async (Model, req, res, label) => {
+  const entry = await Model.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: `${label} not found`
+    });
+    return null;
+  }
+
+  const player = await findAccessiblePlayer(req, res, entry.player);
+  return player ? entry : null;
+};
+
+// Helper function to check that an expected return is not before the injury
+const hasValidReturnDates = (injury) =>
+  (!injury.expectedReturnDate || injury.expectedReturnDate >= injury.injuryDate) &&
+  (!injury.actualReturnDate || injury.actualReturnDate >= injury.injuryDate);
+
+// @desc    Get a player's medical record
+// @route   GET /api/medical/players/:playerId
+// @access  Private (medical.read)
+export const getMedicalRecord = async (req, res) => {
+  try {
+    const player = await findAccessiblePlayer(req, res, req.params.playerId);
+    if (!player) return;
+
+    const [injuries, clearances, documents] = await Promise.all([
+      Injury.find({ player: player._id })
+        .populate('team', 'name')
+        .populate('match', 'matchDate opponent')
+        .populate('reportedBy', 'firstName lastName')
+        .sort({ injuryDate: -1 }),
+      MedicalClearance.find({ player: player._id })
+        .populate('recordedBy', 'firstName lastName')
+        .sort({ expiresAt: -1 }),
+      MedicalDocument.find({ player: player._id })
+        .populate('uploadedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      player: {
+        _id: player._id,
+        firstName: player.firstName,
+        lastName: player.lastName,
+        team: player.team,
+        isInjured: player.isInjured,
+        medicalInfo: player.medicalInfo
+      },
+      clearanceStatus: getClearanceStatus(clearances[0]),
+      injuries,
+      clearances,
+      documents
+    });
+  } catch (error) {
+    console.error('Get medical record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Open injuries and clearance problems across the user's players
+// @route   GET /api/medical/overview
+// @access  Private (medical.read)
+export const getMedicalOverview = async (req, res) => {
+  try {
+    const playerQuery = { isActive: true };
+    const coachTeamIds = getCoachTeamIds(req.user);
+    const parentPlayerIds = getParentPlayerIds(req.user);
+    if (coachTeamIds) playerQuery.team = { $in: coachTeamIds };
+    if (parentPlayerIds) playerQuery._id = { $in: parentPlayerIds };
+    if (req.query.team) {
+      if (!canAccessTeam(req.user, req.query.team)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this team'
+        });
+      }
+      playerQuery.team = req.query.team;
+    }
+
+    const players = await Player.find(playerQuery)
+      .select('firstName lastName jerseyNumber photo team')
+      .populate('team', 'name')
+      .sort({ lastName: 1 });
+    const playerIds = players.map(player => player._id);
+
+    const [openInjuries, latestClearances] = await Promise.all([
+      Injury.find({ player: { $in: playerIds }, actualReturnDate: null })
+        .populate('player', 'firstName lastName jerseyNumber photo')
+        .sort({ injuryDate: -1 }),
+      MedicalClearance.aggregate([
+        { $match: { player: { $in: playerIds } } },
+        { $sort: { expiresAt: -1 } },
+        { $group: { _id: '$player', expiresAt: { $first: '$expiresAt' }, type: { $first: '$type' } } }
+      ])
+    ]);
+
+    // Players whose latest certificate is missing, expired or expiring soon
+    const latestByPlayer = new Map(latestClearances.map(c => [c._id.toString(), c]));
+    const clearanceAlerts = players
+      .map(player => {
+        const latest = latestByPlayer.get(player._id.toString());
+        return {
+          player,
+          status: getClearanceStatus(latest),
+          expiresAt: latest?.expiresAt || null
+        };
+      })
+      .filter(entry => entry.status !== 'valid');
+
+    res.status(200).json({
+      success: true,
+      openInjuries,
+      clearanceAlerts
+    });
+  } catch (error) {
+    console.error('Get medical overview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Record an injury
+// @route   POST /api/medical/players/:playerId/injuries
+// @access  Private (medical.manage)
+export const createInjury = async (req, res) => {
+  try {
+    const player = await findAccessiblePlayer(req, res, req.params.playerId);
+    if (!player) return;
+
+    const injury = new Injury({
+      ...pickFields(req.body, INJURY_FIELDS),
+      player: player._id,
+      team: player.team,
+      reportedBy: req.user._id
+    });
+
+    if (!hasValidReturnDates(injury)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return dates cannot be before the injury date'
+      });
+    }
+
+    await injury.save();
+    await syncInjuryStatus(player._id);
+
+    res.status(201).json({
+      success: true,
+      injury
+    });
+  } catch (error) {
+    console.error('Create injury error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update an injury (e.g. set the actual return date)
+// @route   PUT /api/medical/injuries/:id
+// @access  Private (medical.manage)
+export const updateInjury = async (req, res) => {
+  try {
+    const injury = await findAccessibleEntry(Injury, req, res, 'Injury');
+    if (!injury) return;
+
+    injury.set(pickFields(req.body, INJURY_FIELDS));
+
+    if (!hasValidReturnDates(injury)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return dates cannot be before the injury date'
+      });
+    }
+
+    await injury.save();
+    await syncInjuryStatus(injury.player);
+
+    res.status(200).json({
+      success: true,
+      injury
+    });
+  } catch (error) {
+    console.error('Update injury error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete an injury recorded by mistake
+// @route   DELETE /api/medical/injuries/:id
+// @access  Private (medical.manage)
+export const deleteInjury = async (req, res) => {
+  try {
+    const injury = await findAccessibleEntry(Injury, req, res, 'Injury');
+    if (!injury) return;
+
+    await injury.deleteOne();
+    await MedicalDocument.updateMany({ injury: injury._id }, { injury: null });
+    await syncInjuryStatus(injury.player);
+
+    res.status(200).json({
+      success: true,
+      message: 'Injury deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete injury error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Record a medical clearance certificate
+// @route   POST /api/medical/players/:playerId/clearances
+// @access  Private (medical.manage)
+export const createClearance = async (req, res) => {
+  try {
+    const player = await findAccessiblePlayer(req, res, req.params.playerId);
+    if (!player) return;
+
+    const clearance = new MedicalClearance({
+      ...pickFields(req.body, CLEARANCE_FIELDS),
+      player: player._id,
+      recordedBy: req.user._id
+    });
+
+    if (clearance.expiresAt <= clearance.issuedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be after the issue date'
+      });
+    }
+
+    if (clearance.document && !(await MedicalDocument.exists({ _id: clearance.document, player: clearance.player }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Document does not belong to this player'
+      });
+    }
+
+    await clearance.save();
+
+    res.status(201).json({
+      success: true,
+      clearance
+    });
+  } catch (error) {
+    console.error('Create clearance error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update a medical clearance certificate
+// @route   PUT /api/medical/clearances/:id
+// @access  Private (medical.manage)
+export const updateClearance = async (req, res) => {
+  try {
+    const clearance = await findAccessibleEntry(MedicalClearance, req, res, 'Clearance');
+    if (!clearance) return;
+
+    clearance.set(pickFields(req.body, CLEARANCE_FIELDS));
+
+    if (clearance.expiresAt <= clearance.issuedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be after the issue date'
+      });
+    }
+
+    if (clearance.document && !(await MedicalDocument.exists({ _id: clearance.document, player: clearance.player }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Document does not belong to this player'
+      });
+    }
+
+    await clearance.save();
+
+    res.status(200).json({
+      success: true,
+      clearance
+    });
+  } catch (error) {
+    console.error('Update clearance error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a medical clearance certificate
+// @route   DELETE /api/medical/clearances/:id
+// @access  Private (medical.manage)
+export const deleteClearance = async (req, res) => {
+  try {
+    const clearance = await findAccessibleEntry(MedicalClearance, req, res, 'Clearance');
+    if (!clearance) return;
+
+    await clearance.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Clearance deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete clearance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Upload a document to a player's medical record
+// @route   POST /api/medical/players/:playerId/documents
+// @access  Private (medical.manage)
+export const uploadMedicalDocument = async (req, res) => {
+  // The file is already stored; remove it again when the request fails
+  const discardFile = () => req.file && fs.promises.unlink(req.file.path).catch(() => {});
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    const player = await findAccessiblePlayer(req, res, req.params.playerId);
+    if (!player) {
+      await discardFile();
+      return;
+    }
+
+    if (req.body.injury && !(await Injury.exists({ _id: req.body.injury, player: player._id }))) {
+      await discardFile();
+      return res.status(400).json({
+        success: false,
+        message: 'Injury does not belong to this player'
+      });
+    }
+
+    const document = await MedicalDocument.create({
+      player: player._id,
+      title: req.body.title || req.file.originalname,
+      category: req.body.category,
+      injury: req.body.injury || null,
+      fileName: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    await discardFile();
+    console.error('Upload medical document error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Download a medical document
+// @route   GET /api/medical/documents/:id/file
+// @access  Private (medical.read)
+export const downloadMedicalDocument = async (req, res) => {
+  try {
+    const document = await MedicalDocument.findById(req.params.id).select('+fileName');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const player = await findAccessiblePlayer(req, res, document.player);
+    if (!player) return;
+
+    res.set('Cache-Control', 'private, no-store');
+    res.download(path.join(MEDICAL_UPLOAD_DIR, document.fileName), document.originalName, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download medical document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a medical document and its file
+// @route   DELETE /api/medical/documents/:id
+// @access  Private (medical.manage)
+export const deleteMedicalDocument = async (req, res) => {
+  try {
+    const document = await MedicalDocument.findById(req.params.id).select('+fileName');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const player = await findAccessiblePlayer(req, res, document.player);
+    if (!player) return;
+
+    await document.deleteOne();
+    await MedicalClearance.updateMany({ document: document._id }, { document: null });
+    await fs.promises.unlink(path.join(MEDICAL_UPLOAD_DIR, document.fileName)).catch(() => {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete medical document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,81 @@
+import Notification from '../models/Notification.js';
+import { processOutbox } from '../utils/notifications.js';
+
+// @desc    Get outbox entries
+// @route   GET /api/notifications
+// @access  Private/Admin
+export const getNotifications = async (req, res) => {
+  try {
+    const { status, event, channel, recipient, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (channel) query.channel = channel;
+    if (recipient) query.recipient = recipient;
+
+    const notifications = await Notification.find(query)
+      .populate('recipient', 'firstName lastName role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      notifications
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Queue a failed outbox entry for another delivery attempt
+// @route   POST /api/notifications/:id/retry
+// @access  Private/Admin
+export const retryNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed notifications can be retried'
+      });
+    }
+
+    notification.status = 'pending';
+    notification.attempts = 0;
+    notification.nextAttemptAt = new Date();
+    await notification.save();
+
+    processOutbox().catch(error => console.error('Outbox error:', error));
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,418 @@
+import Opponent, { normalizeOpponentName } from '../models/Opponent.js';
+import Match from '../models/Match.js';
+import { getParentTeamIds } from '../middleware/auth.js';
+import { getFileUrl } from '../middleware/upload.js';
+
+const LAST_RESULTS = 5;
+
+// Helper function to get the team IDs whose results a user may see
+// (null means unrestricted)
+const getVisibleTeamIds = async (user) => {
+  if (user.role === 'coach') {
+    const teams = user.teams?.length > 0 ? user.teams : (user.team ? [user.team] : []);
+    return teams.map(t => (t._id || t).toString());
+  }
+  if (user.role === 'parent') {
+    return getParentTeamIds(user);
+  }
+  return null;
+};
+
+// Helper function to copy the club's name, logo and color onto its matches
+const syncMatchSnapshots = async (opponent) => {
+  await Match.updateMany(
+    { opponentClub: opponent._id },
+    {
+      'opponent.name': opponent.name,
+      'opponent.logo': opponent.logo,
+      'opponent.color': opponent.color
+    }
+  );
+};
+
+// Helper function to build the head-to-head record against an opponent,
+// overall and per academy team, with the most recent results first
+const buildHeadToHead = (matches) => {
+  const emptyRecord = () => ({ played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0 });
+  const summary = emptyRecord();
+  const teams = new Map();
+
+  matches.forEach(match => {
+    const goalsFor = match.isHome ? (match.score?.home || 0) : (match.score?.away || 0);
+    const goalsAgainst = match.isHome ? (match.score?.away || 0) : (match.score?.home || 0);
+    const result = goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D';
+
+    const teamId = match.team?._id?.toString() || 'unknown';
+    if (!teams.has(teamId)) {
+      teams.set(teamId, { team: match.team, ...emptyRecord(), lastResults: [] });
+    }
+    const entry = teams.get(teamId);
+
+    [summary, entry].forEach(record => {
+      record.played++;
+      record.goalsFor += goalsFor;
+      record.goalsAgainst += goalsAgainst;
+      if (result === 'W') record.won++;
+      else if (result === 'L') record.lost++;
+      else record.drawn++;
+    });
+
+    // Matches are sorted newest first
+    if (entry.lastResults.length < LAST_RESULTS) {
+      entry.lastResults.push({
+        match: match._id,
+        matchDate: match.matchDate,
+        competition: match.competition,
+        isHome: match.isHome,
+        goalsFor,
+        goalsAgainst,
+        result
+      });
+    }
+  });
+
+  return { summary, teams: [...teams.values()] };
+};
+
+// @desc    Get all opponents
+// @route   GET /api/opponents
+// @access  Private
+export const getOpponents = async (req, res) => {
+  try {
+    const { search, limit = 200 } = req.query;
+
+    const query = {};
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { city: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const opponents = await Opponent.find(query)
+      .sort({ name: 1 })
+      .limit(parseInt(limit));
+
+    // Number of matches played against each opponent
+    const counts = await Match.aggregate([
+      { $match: { opponentClub: { $in: opponents.map(o => o._id) } } },
+      { $group: { _id: '$opponentClub', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: opponents.length,
+      opponents: opponents.map(o => ({ ...o.toObject(), matchCount: countById.get(o._id.toString()) || 0 }))
+    });
+  } catch (error) {
+    console.error('Get opponents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single opponent with head-to-head record
+// @route   GET /api/opponents/:id
+// @access  Private
+export const getOpponent = async (req, res) => {
+  try {
+    const opponent = await Opponent.findById(req.params.id);
+
+    if (!opponent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opponent not found'
+      });
+    }
+
+    const query = { opponentClub: opponent._id, status: 'completed' };
+    const teamIds = await getVisibleTeamIds(req.user);
+    if (teamIds) query.team = { $in: teamIds };
+
+    const matches = await Match.find(query)
+      .select('team matchDate competition isHome score')
+      .populate('team', 'name ageCategory')
+      .sort({ matchDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      opponent,
+      headToHead: buildHeadToHead(matches)
+    });
+  } catch (error) {
+    console.error('Get opponent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create opponent
+// @route   POST /api/opponents
+// @access  Private
+export const createOpponent = async (req, res) => {
+  try {
+    const { name, color, city, notes } = req.body;
+
+    const key = normalizeOpponentName(name);
+    if (await Opponent.exists({ $or: [{ normalizedName: key }, { aliases: key }] })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An opponent with this name already exists'
+      });
+    }
+
+    const opponent = await Opponent.create({ name, color, city, notes });
+
+    res.status(201).json({
+      success: true,
+      opponent
+    });
+  } catch (error) {
+    console.error('Create opponent error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update opponent
+// @route   PUT /api/opponents/:id
+// @access  Private
+export const updateOpponent = async (req, res) => {
+  try {
+    const opponent = await Opponent.findById(req.params.id);
+
+    if (!opponent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opponent not found'
+      });
+    }
+
+    const { name, color, city, notes } = req.body;
+
+    if (name !== undefined) {
+      const key = normalizeOpponentName(name);
+      const duplicate = await Opponent.exists({
+        _id: { $ne: opponent._id },
+        $or: [{ normalizedName: key }, { aliases: key }]
+      });
+
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: 'An opponent with this name already exists, merge them instead'
+        });
+      }
+
+      // Keep the old spelling resolving to this opponent
+      if (key !== opponent.normalizedName && !opponent.aliases.includes(opponent.normalizedName)) {
+        opponent.aliases.push(opponent.normalizedName);
+      }
+      opponent.name = name;
+    }
+    if (color !== undefined) opponent.color = color;
+    if (city !== undefined) opponent.city = city;
+    if (notes !== undefined) opponent.notes = notes;
+
+    await opponent.save();
+    await syncMatchSnapshots(opponent);
+
+    res.status(200).json({
+      success: true,
+      opponent
+    });
+  } catch (error) {
+    console.error('Update opponent error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Upload opponent logo
+// @route   PUT /api/opponents/:id/logo
+// @access  Private
+export const uploadOpponentLogo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    const opponent = await Opponent.findByIdAndUpdate(
+      req.params.id,
+      { logo: getFileUrl(req, req.file.filename, 'photos') },
+      { new: true }
+    );
+
+    if (!opponent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opponent not found'
+      });
+    }
+
+    await syncMatchSnapshots(opponent);
+
+    res.status(200).json({
+      success: true,
+      opponent
+    });
+  } catch (error) {
+    console.error('Upload opponent logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete opponent
+// @route   DELETE /api/opponents/:id
+// @access  Private/Admin
+export const deleteOpponent = async (req, res) => {
+  try {
+    const opponent = await Opponent.findById(req.params.id);
+
+    if (!opponent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opponent not found'
+      });
+    }
+
+    if (await Match.exists({ opponentClub: opponent._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opponent has matches, merge it into another opponent instead'
+      });
+    }
+
+    await opponent.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Opponent deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete opponent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Merge duplicate opponents into this one
+// @route   POST /api/opponents/:id/merge
+// @access  Private/Admin
+export const mergeOpponents = async (req, res) => {
+  try {
+    const target = await Opponent.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opponent not found'
+      });
+    }
+
+    const sourceIds = req.body.sourceIds.filter(id => id !== target._id.toString());
+    const sources = await Opponent.find({ _id: { $in: sourceIds } });
+
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No opponents to merge'
+      });
+    }
+
+    // Old names keep resolving to the merged opponent
+    const aliases = new Set(target.aliases);
+    sources.forEach(source => {
+      aliases.add(source.normalizedName);
+      source.aliases.forEach(alias => aliases.add(alias));
+    });
+    aliases.delete(target.normalizedName);
+    target.aliases = [...aliases];
+
+    if (!target.logo) {
+      target.logo = sources.find(s => s.logo)?.logo || null;
+    }
+
+    const { modifiedCount } = await Match.updateMany(
+      { opponentClub: { $in: sources.map(s => s._id) } },
+      { opponentClub: target._id }
+    );
+
+    await Opponent.deleteMany({ _id: { $in: sources.map(s => s._id) } });
+    await target.save();
+    await syncMatchSnapshots(target);
+
+    res.status(200).json({
+      success: true,
+      opponent: target,
+      merged: sources.length,
+      matchesUpdated: modifiedCount
+    });
+  } catch (error) {
+    console.error('Merge opponents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create opponents from the names used on existing matches and link them
+// @route   POST /api/opponents/sync
+// @access  Private/Admin
+export const syncOpponents = async (req, res) => {
+  try {
+    const matches = await Match.find({ opponentClub: null }).select('opponent');
+    const countBefore = await Opponent.countDocuments();
+    let linked = 0;
+
+    for (const match of matches) {
+      if (!match.opponent?.name) continue;
+
+      const opponent = await Opponent.findOrCreateByName(match.opponent.name, {
+        logo: match.opponent.logo,
+        color: match.opponent.color
+      });
+
+      await Match.updateOne(
+        { _id: match._id },
+        {
+          opponentClub: opponent._id,
+          'opponent.name': opponent.name,
+          'opponent.logo': opponent.logo,
+          'opponent.color': opponent.color
+        }
+      );
+      linked++;
+    }
+
+    res.status(200).json({
+      success: true,
+      created: await Opponent.countDocuments() - countBefore,
+      linked
+    });
+  } catch (error) {
+    console.error('Sync opponents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -2,6 +2,17 @@ import Player from '../models/Player.js';
 import Team from '../models/Team.js';
 import Match from '../models/Match.js';
 import { getFileUrl } from '../middleware/upload.js';
+import { getParentPlayerIds } from '../middleware/auth.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
+import Injury from '../models/Injury.js';
+import { syncInjuryStatus } from '../utils/medical.js';
+import RatingSnapshot, { RATING_ATTRIBUTES } from '../models/RatingSnapshot.js';
+import { recordRatingSnapshot, getRatingProgress } from '../utils/ratings.js';
+import GrowthMeasurement from '../models/GrowthMeasurement.js';
+import { getGrowthSummary, syncPlayerMeasurements, recordProfileMeasurement } from '../utils/growth.js';
+import { getCurrentMembership, movePlayerToTeam, getMembershipHistory, recordInitialMemberships } from '../utils/teamMembership.js';
+import { getPlayerStatisticsByTeam } from '../utils/statistics.js';
+import { MAX_IMPORT_ROWS, readImportFile, buildImportPreview, insertImportedPlayers } from '../utils/playerImport.js';
 
 // Helper function to compute player statistics from matches
 const computePlayerStats = (playerId, matches) => {
@@ -48,6 +59,9 @@ const computePlayerStats = (playerId, matches) => {
   return { matchesPlayed, goals, assists, yellowCards, redCards };
 };
 
+// Medical information is only returned to users allowed to read it
+const canReadMedical = (req) => req.permissions?.has('player.medical.read');
+
 // @desc    Get all players
 // @route   GET /api/players
 // @access  Private
@@ -69,15 +83,17 @@ export const getPlayers = async (req, res) => {
 
     // For coaches, show their teams' players
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => t._id || t)
-        : (req.user.team ? [req.user.team._id || req.user.team] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       if (team && coachTeamIds.some(id => id.toString() === team)) {
         query.team = team;
       } else if (coachTeamIds.length > 0) {
         query.team = { $in: coachTeamIds };
       }
+    } else if (req.user.role === 'parent') {
+      // Parents only see their linked children
+      query._id = { $in: getParentPlayerIds(req.user) };
+      if (team) query.team = team;
     } else if (team) {
       query.team = team;
     }
@@ -112,6 +128,7 @@ export const getPlayers = async (req, res) => {
     // Compute real statistics for each player
     const playersWithStats = players.map(player => {
       const playerObj = player.toObject();
+      if (!canReadMedical(req)) delete playerObj.medicalInfo;
       const teamMatches = completedMatches.filter(m =>
         (m.team?._id?.toString() || m.team?.toString()) === (player.team?._id?.toString() || player.team?.toString())
       );
@@ -158,18 +175,20 @@ export const getPlayer = async (req, res) => {
       });
     }
 
-    // Check authorization for coaches (support multiple teams)
-    if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
+    // Coaches can only view players of their teams
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
 
-      if (!coachTeamIds.includes(player.team._id.toString())) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to view this player'
-        });
-      }
+    // Parents can only view their linked children
+    if (req.user.role === 'parent' && !getParentPlayerIds(req.user).includes(player._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
     }
 
     // Calculate real statistics from completed matches
@@ -241,6 +260,7 @@ export const getPlayer = async (req, res) => {
 
     // Merge stored and computed statistics (computed takes priority)
     const playerObj = player.toObject();
+    if (!canReadMedical(req)) delete playerObj.medicalInfo;
     playerObj.statistics = {
       ...playerObj.statistics,
       ...computedStats
@@ -265,12 +285,11 @@ export const getPlayer = async (req, res) => {
 export const createPlayer = async (req, res) => {
   try {
     const playerData = { ...req.body };
+    if (!req.permissions.has('player.medical.update')) delete playerData.medicalInfo;
 
     // For coaches, validate team access
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       // If team is specified, validate it's in coach's teams
       if (playerData.team && !coachTeamIds.includes(playerData.team.toString())) {
@@ -295,6 +314,8 @@ export const createPlayer = async (req, res) => {
     }
 
     const player = await Player.create(playerData);
+    await recordInitialMemberships([player]);
+    await recordProfileMeasurement(null, player, req.user);
 
     res.status(201).json({
       success: true,
@@ -309,6 +330,104 @@ export const createPlayer = async (req, res) => {
   }
 };
 
+// @desc    Import players from an .xlsx or .csv file in the players export
+//          layout. With dryRun (the default) only the preview is returned;
+//          otherwise the valid rows are created together and duplicates skipped.
+// @route   POST /api/players/import
+// @access  Private (player.create)
+export const importPlayers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    const dryRun = req.body.dryRun !== 'false';
+
+    let defaultTeam = null;
+    if (req.body.team) {
+      defaultTeam = await Team.findById(req.body.team);
+      if (!defaultTeam) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+      if (!canAccessTeam(req.user, defaultTeam._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to create player for this team'
+        });
+      }
+    }
+
+    let sheet;
+    try {
+      sheet = await readImportFile(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the file. Upload an .xlsx or .csv file.'
+      });
+    }
+
+    if (sheet.missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing columns: ${sheet.missingColumns.join(', ')}`
+      });
+    }
+
+    if (sheet.rows.length === 0 || sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The file must contain between 1 and ${MAX_IMPORT_ROWS} players`
+      });
+    }
+
+    const { rows, summary, players } = await buildImportPreview(sheet.rows, { user: req.user, defaultTeam });
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        summary,
+        rows
+      });
+    }
+
+    if (summary.errors > 0 || players.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: summary.errors > 0
+          ? 'Fix the rows with errors before importing'
+          : 'There are no new players to import',
+        summary,
+        rows
+      });
+    }
+
+    await insertImportedPlayers(players);
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      imported: players.length,
+      skipped: summary.duplicates,
+      summary,
+      rows
+    });
+  } catch (error) {
+    console.error('Import players error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
 // @desc    Update player
 // @route   PUT /api/players/:id
 // @access  Private
@@ -323,31 +442,30 @@ export const updatePlayer = async (req, res) => {
       });
     }
 
-    // Check authorization for coaches
-    if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
-
-      if (!coachTeamIds.includes(player.team.toString())) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to update this player'
-        });
-      }
+    // Coaches can only change players of their teams
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this player'
+      });
     }
 
-    // Prevent coaches from changing team
+    // Team changes go through POST /:id/transfer, which keeps the membership history
     const updateData = { ...req.body };
-    if (req.user.role === 'coach') {
-      delete updateData.team;
-    }
+    delete updateData.team;
+    if (!req.permissions.has('player.medical.update')) delete updateData.medicalInfo;
+    // Ratings change through PUT /:id/ratings, which keeps their history
+    delete updateData.ratings;
 
+    const previous = player;
     player = await Player.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
-    ).populate('team', 'name ageCategory');
+    ).select(canReadMedical(req) ? '' : '-medicalInfo').populate('team', 'name ageCategory');
+
+    // A changed height or weight is kept as a measurement of today
+    await recordProfileMeasurement(previous, player, req.user);
 
     res.status(200).json({
       success: true,
@@ -376,18 +494,12 @@ export const deletePlayer = async (req, res) => {
       });
     }
 
-    // Check authorization for coaches
-    if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
-
-      if (!coachTeamIds.includes(player.team.toString())) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to delete this player'
-        });
-      }
+    // Coaches can only change players of their teams
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this player'
+      });
     }
 
     await player.deleteOne();
@@ -436,18 +548,15 @@ export const uploadPlayerPhoto = async (req, res) => {
   }
 };
 
-// @desc    Update player ratings
+// @desc    Update player ratings. Every change is kept as a dated snapshot
+//          attributed to the user who made it.
 // @route   PUT /api/players/:id/ratings
 // @access  Private
 export const updatePlayerRatings = async (req, res) => {
   try {
-    const { ratings } = req.body;
+    const { ratings, note } = req.body;
 
-    const player = await Player.findByIdAndUpdate(
-      req.params.id,
-      { ratings },
-      { new: true, runValidators: true }
-    );
+    const player = await Player.findById(req.params.id);
 
     if (!player) {
       return res.status(404).json({
@@ -456,6 +565,25 @@ export const updatePlayerRatings = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this player'
+      });
+    }
+
+    // Attributes left out keep their value
+    const previousRatings = player.toObject().ratings;
+    RATING_ATTRIBUTES.forEach(attribute => {
+      if (ratings[attribute] !== undefined) player.ratings[attribute] = ratings[attribute];
+    });
+
+    const changed = RATING_ATTRIBUTES.some(attribute => player.ratings[attribute] !== previousRatings[attribute]);
+    if (changed) {
+      await player.save();
+      await recordRatingSnapshot(player, previousRatings, req.user, note);
+    }
+
     res.status(200).json({
       success: true,
       player
@@ -469,6 +597,344 @@ export const updatePlayerRatings = async (req, res) => {
   }
 };
 
+// @desc    Get a player's rating history and the change since the start of
+//          the season (or since the `since` date)
+// @route   GET /api/players/:id/rating-history
+// @access  Private
+export const getPlayerRatingHistory = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
+    if (req.user.role === 'parent' && !getParentPlayerIds(req.user).includes(player._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
+    const snapshots = await RatingSnapshot.find({ player: player._id })
+      .populate('ratedBy', 'firstName lastName')
+      .sort({ recordedAt: 1 });
+    const progress = await getRatingProgress(player, snapshots, req.query.since ? new Date(req.query.since) : null);
+
+    res.status(200).json({
+      success: true,
+      snapshots,
+      progress
+    });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Helper function to load a player whose growth data the user may see;
+// sends the error response and returns null otherwise
+const findGrowthPlayer = async (req, res, action = 'view') => {
+  const player = await Player.findById(req.params.id);
+
+  if (!player) {
+    res.status(404).json({
+      success: false,
+      message: 'Player not found'
+    });
+    return null;
+  }
+
+  const isOtherParent = req.user.role === 'parent' && !getParentPlayerIds(req.user).includes(player._id.toString());
+  if (!canAccessTeam(req.user, player.team) || isOtherParent) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this player`
+    });
+    return null;
+  }
+
+  return player;
+};
+
+// Helper function to send a player's measurements with their growth summary
+const sendGrowth = async (res, player, status = 200) => {
+  const measurements = await GrowthMeasurement.find({ player: player._id })
+    .populate('measuredBy', 'firstName lastName')
+    .sort({ measuredAt: 1 });
+
+  res.status(status).json({
+    success: true,
+    measurements,
+    growth: getGrowthSummary(player, measurements)
+  });
+};
+
+// @desc    Get a player's height and weight measurements, growth velocity
+//          and peak height velocity estimate
+// @route   GET /api/players/:id/growth
+// @access  Private
+export const getPlayerGrowth = async (req, res) => {
+  try {
+    const player = await findGrowthPlayer(req, res);
+    if (!player) return;
+
+    await sendGrowth(res, player);
+  } catch (error) {
+    console.error('Get player growth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Add a height and weight measurement
+// @route   POST /api/players/:id/measurements
+// @access  Private (player.growth.update)
+export const createGrowthMeasurement = async (req, res) => {
+  try {
+    const player = await findGrowthPlayer(req, res, 'update');
+    if (!player) return;
+
+    const { measuredAt, height, weight, sittingHeight, note } = req.body;
+
+    if (new Date(measuredAt) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Measurement date cannot be in the future'
+      });
+    }
+
+    await GrowthMeasurement.create({
+      player: player._id,
+      measuredAt,
+      height: height ?? undefined,
+      weight: weight ?? undefined,
+      sittingHeight: sittingHeight ?? undefined,
+      note,
+      measuredBy: req.user._id
+    });
+    await syncPlayerMeasurements(player._id);
+
+    await sendGrowth(res, player, 201);
+  } catch (error) {
+    console.error('Create measurement error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update a measurement
+// @route   PUT /api/players/:id/measurements/:measurementId
+// @access  Private (player.growth.update)
+export const updateGrowthMeasurement = async (req, res) => {
+  try {
+    const player = await findGrowthPlayer(req, res, 'update');
+    if (!player) return;
+
+    const measurement = await GrowthMeasurement.findOne({ _id: req.params.measurementId, player: player._id });
+
+    if (!measurement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Measurement not found'
+      });
+    }
+
+    const { measuredAt, height, weight, sittingHeight, note } = req.body;
+
+    if (measuredAt !== undefined && new Date(measuredAt) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Measurement date cannot be in the future'
+      });
+    }
+
+    // null clears an optional value
+    if (measuredAt !== undefined) measurement.measuredAt = measuredAt;
+    if (height !== undefined) measurement.height = height ?? undefined;
+    if (weight !== undefined) measurement.weight = weight ?? undefined;
+    if (sittingHeight !== undefined) measurement.sittingHeight = sittingHeight ?? undefined;
+    if (note !== undefined) measurement.note = note;
+
+    await measurement.save();
+    await syncPlayerMeasurements(player._id);
+
+    await sendGrowth(res, player);
+  } catch (error) {
+    console.error('Update measurement error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a measurement
+// @route   DELETE /api/players/:id/measurements/:measurementId
+// @access  Private (player.growth.update)
+export const deleteGrowthMeasurement = async (req, res) => {
+  try {
+    const player = await findGrowthPlayer(req, res, 'update');
+    if (!player) return;
+
+    const measurement = await GrowthMeasurement.findOne({ _id: req.params.measurementId, player: player._id });
+
+    if (!measurement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Measurement not found'
+      });
+    }
+
+    await measurement.deleteOne();
+    await syncPlayerMeasurements(player._id);
+
+    await sendGrowth(res, player);
+  } catch (error) {
+    console.error('Delete measurement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Move a player to another team (promotion to an older age group
+//          or transfer to another squad) from a given date
+// @route   POST /api/players/:id/transfer
+// @access  Private (player.transfer)
+export const transferPlayer = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to transfer this player'
+      });
+    }
+
+    const { team: teamId, reason, note } = req.body;
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (player.team?.toString() === team._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Player is already in this team'
+      });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    if (date > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer date cannot be in the future'
+      });
+    }
+
+    const current = await getCurrentMembership(player);
+    if (current && date < current.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer date cannot be before the player joined their current team'
+      });
+    }
+
+    const membership = await movePlayerToTeam(player, current, { team: team._id, date, reason, note }, req.user);
+    await player.populate('team', 'name ageCategory');
+
+    res.status(200).json({
+      success: true,
+      player,
+      membership
+    });
+  } catch (error) {
+    console.error('Transfer player error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Get a player's team memberships and statistics split by team
+// @route   GET /api/players/:id/team-history
+// @access  Private
+export const getPlayerTeamHistory = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
+    if (req.user.role === 'parent' && !getParentPlayerIds(req.user).includes(player._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player'
+      });
+    }
+
+    const [memberships, statisticsByTeam] = await Promise.all([
+      getMembershipHistory(player),
+      getPlayerStatisticsByTeam(player)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      memberships,
+      statisticsByTeam
+    });
+  } catch (error) {
+    console.error('Get team history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Update player statistics
 // @route   PUT /api/players/:id/statistics
 // @access  Private
@@ -476,11 +942,7 @@ export const updatePlayerStatistics = async (req, res) => {
   try {
     const { statistics } = req.body;
 
-    const player = await Player.findByIdAndUpdate(
-      req.params.id,
-      { statistics },
-      { new: true }
-    );
+    let player = await Player.findById(req.params.id);
 
     if (!player) {
       return res.status(404).json({
@@ -489,6 +951,19 @@ export const updatePlayerStatistics = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this player'
+      });
+    }
+
+    player = await Player.findByIdAndUpdate(
+      req.params.id,
+      { statistics },
+      { new: true }
+    );
+
     res.status(200).json({
       success: true,
       player
@@ -502,18 +977,16 @@ export const updatePlayerStatistics = async (req, res) => {
   }
 };
 
-// @desc    Update player injury status
+// @desc    Update player injury status. Marking a player injured opens an
+//          entry in their injury history; marking them recovered closes the
+//          open entries.
 // @route   PUT /api/players/:id/injury
 // @access  Private
 export const updatePlayerInjury = async (req, res) => {
   try {
     const { isInjured, injuryDetails, injuryEndDate, physicalCondition } = req.body;
 
-    const player = await Player.findByIdAndUpdate(
-      req.params.id,
-      { isInjured, injuryDetails, injuryEndDate, physicalCondition },
-      { new: true }
-    );
+    let player = await Player.findById(req.params.id);
 
     if (!player) {
       return res.status(404).json({
@@ -522,6 +995,44 @@ export const updatePlayerInjury = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, player.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this player'
+      });
+    }
+
+    if (isInjured === true) {
+      // An already injured player's latest open injury is edited, not duplicated
+      const openInjury = await Injury.findOne({ player: player._id, actualReturnDate: null }).sort({ injuryDate: -1 });
+
+      if (openInjury) {
+        if (injuryDetails !== undefined) openInjury.description = injuryDetails;
+        if (injuryEndDate !== undefined) openInjury.expectedReturnDate = injuryEndDate || null;
+        await openInjury.save();
+      } else {
+        await Injury.create({
+          player: player._id,
+          team: player.team,
+          description: injuryDetails,
+          injuryDate: new Date(),
+          expectedReturnDate: injuryEndDate || null,
+          reportedBy: req.user._id
+        });
+      }
+    } else if (isInjured === false) {
+      await Injury.updateMany(
+        { player: player._id, actualReturnDate: null },
+        { actualReturnDate: new Date() }
+      );
+    }
+    await syncInjuryStatus(player._id);
+
+    if (physicalCondition !== undefined) {
+      await Player.updateOne({ _id: player._id }, { physicalCondition });
+    }
+    player = await Player.findById(player._id);
+
     res.status(200).json({
       success: true,
       player
@@ -540,10 +1051,26 @@ export const updatePlayerInjury = async (req, res) => {
 // @access  Private
 export const getPlayersByTeam = async (req, res) => {
   try {
-    const players = await Player.find({
+    if (!canAccessTeam(req.user, req.params.teamId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    const query = {
       team: req.params.teamId,
       isActive: true
-    }).sort({ position: 1, lastName: 1 });
+    };
+
+    // Parents only see their linked children
+    if (req.user.role === 'parent') {
+      query._id = { $in: getParentPlayerIds(req.user) };
+    }
+
+    const players = await Player.find(query)
+      .select(canReadMedical(req) ? '' : '-medicalInfo')
+      .sort({ position: 1, lastName: 1 });
 
     res.status(200).json({
       success: true,
@@ -564,22 +1091,24 @@ export const getPlayersByTeam = async (req, res) => {
 // @access  Private
 export const getPlayerStatistics = async (req, res) => {
   try {
-    const { team } = req.query;
+    const { team, season } = req.query;
 
     // Build player query
     const playerQuery = { isActive: true };
 
     // For coaches, filter by their teams
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => t._id || t)
-        : (req.user.team ? [req.user.team._id || req.user.team] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       if (team && coachTeamIds.some(id => id.toString() === team)) {
         playerQuery.team = team;
       } else if (coachTeamIds.length > 0) {
         playerQuery.team = { $in: coachTeamIds };
       }
+    } else if (req.user.role === 'parent') {
+      // Parents only see their linked children
+      playerQuery._id = { $in: getParentPlayerIds(req.user) };
+      if (team) playerQuery.team = team;
     } else if (team) {
       playerQuery.team = team;
     }
@@ -591,8 +1120,11 @@ export const getPlayerStatistics = async (req, res) => {
 
     // Get all completed matches
     const matchQuery = { status: 'completed' };
+    if (season) matchQuery.season = season;
     if (playerQuery.team) {
       matchQuery.team = playerQuery.team;
+    } else if (req.user.role === 'parent') {
+      matchQuery.team = { $in: players.map(p => p.team?._id || p.team) };
     }
 
     const matches = await Match.find(matchQuery);
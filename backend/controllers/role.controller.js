@@ -0,0 +1,197 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { clearRoleCache } from '../utils/policy.js';
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    // Number of users holding each role
+    const counts = await User.aggregate([
+      { $group: { _id: { $ifNull: ['$customRole', '$role'] }, count: { $sum: 1 } } }
+    ]);
+    const countByKey = new Map(counts.map(c => [c._id, c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      roles: roles.map(role => ({
+        ...role.toObject(),
+        userCount: countByKey.get(role.key) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+export const getPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+};
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private/Admin
+export const createRole = async (req, res) => {
+  try {
+    const { key, name, description, baseRole, permissions } = req.body;
+
+    if (await Role.exists({ key })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this key already exists'
+      });
+    }
+
+    const role = await Role.create({ key, name, description, baseRole, permissions });
+    clearRoleCache();
+
+    res.status(201).json({
+      success: true,
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+export const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Administrators always hold every permission
+    if (role.key === 'super_admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The administrator role cannot be changed'
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+    await role.save();
+    clearRoleCache();
+
+    res.status(200).json({
+      success: true,
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Require or stop requiring two-factor authentication for a role
+// @route   PUT /api/roles/:id/two-factor
+// @access  Private/Admin
+export const setRoleTwoFactor = async (req, res) => {
+  try {
+    // Allowed for every role, the administrator role included
+    const role = await Role.findByIdAndUpdate(
+      req.params.id,
+      { requireTwoFactor: req.body.required },
+      { new: true }
+    );
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    clearRoleCache();
+
+    res.status(200).json({
+      success: true,
+      role
+    });
+  } catch (error) {
+    console.error('Update role two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assigned = await User.countDocuments({ customRole: role.key });
+    if (assigned > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assigned} user(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    clearRoleCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,356 @@
+import Season from '../models/Season.js';
+import Match from '../models/Match.js';
+import Training from '../models/Training.js';
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import { movePlayersToTeams } from '../utils/teamMembership.js';
+
+// Helper function to attach matches and trainings without a season
+// to the season covering their date
+const attachUnassignedRecords = async (season) => {
+  const range = { $gte: season.startDate, $lte: season.endDate };
+
+  await Promise.all([
+    Match.updateMany({ season: null, matchDate: range }, { season: season._id }),
+    Training.updateMany({ season: null, date: range }, { season: season._id })
+  ]);
+};
+
+// Helper function to keep a single active season
+const deactivateOtherSeasons = async (seasonId) => {
+  await Season.updateMany({ _id: { $ne: seasonId }, isActive: true }, { isActive: false });
+};
+
+// Helper function to summarise each team's season from its matches and trainings
+const buildSeasonSummary = async (season, teams) => {
+  const [matches, trainings] = await Promise.all([
+    Match.find({ season: season._id, status: 'completed' }).select('team isHome score'),
+    Training.find({ season: season._id, status: { $ne: 'cancelled' } }).select('team')
+  ]);
+
+  const summaries = [];
+
+  for (const team of teams) {
+    const teamId = team._id.toString();
+    const statistics = { totalMatches: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0 };
+
+    matches.filter(m => m.team.toString() === teamId).forEach(match => {
+      const ourScore = match.isHome ? (match.score?.home || 0) : (match.score?.away || 0);
+      const theirScore = match.isHome ? (match.score?.away || 0) : (match.score?.home || 0);
+
+      statistics.totalMatches++;
+      statistics.goalsFor += ourScore;
+      statistics.goalsAgainst += theirScore;
+
+      if (ourScore > theirScore) statistics.wins++;
+      else if (ourScore < theirScore) statistics.losses++;
+      else statistics.draws++;
+    });
+
+    summaries.push({
+      team: team._id,
+      name: team.name,
+      ageCategory: team.ageCategory,
+      birthYear: team.birthYear,
+      playerCount: await Player.countDocuments({ team: team._id, isActive: true }),
+      trainings: trainings.filter(t => t.team.toString() === teamId).length,
+      statistics
+    });
+  }
+
+  return summaries;
+};
+
+// Helper function to plan promotions: every team moves on to the next
+// birth-year cohort (birthYear + 1) and each player joins the team whose
+// new birth year matches their own. Players without such a team stay put.
+const planPromotions = async (teams) => {
+  const teamByBirthYear = new Map(teams.map(t => [t.birthYear + 1, t]));
+  const teamNames = new Map(teams.map(t => [t._id.toString(), t.name]));
+
+  const players = await Player.find({
+    isActive: true,
+    team: { $in: teams.map(t => t._id) }
+  }).select('firstName lastName birthYear team');
+
+  const moves = [];
+  const unmatched = [];
+
+  for (const player of players) {
+    const target = teamByBirthYear.get(player.birthYear);
+    const fromTeam = player.team.toString();
+    const entry = {
+      player: player._id,
+      name: `${player.firstName} ${player.lastName}`,
+      birthYear: player.birthYear,
+      from: { _id: fromTeam, name: teamNames.get(fromTeam) }
+    };
+
+    if (!target) {
+      unmatched.push(entry);
+    } else if (target._id.toString() !== fromTeam) {
+      moves.push({ ...entry, to: { _id: target._id, name: target.name } });
+    }
+  }
+
+  return { moves, unmatched };
+};
+
+// @desc    Get all seasons
+// @route   GET /api/seasons
+// @access  Private
+export const getSeasons = async (req, res) => {
+  try {
+    const seasons = await Season.find()
+      .populate('archivedBy', 'firstName lastName')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: seasons.length,
+      seasons
+    });
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single season
+// @route   GET /api/seasons/:id
+// @access  Private
+export const getSeason = async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id)
+      .populate('archivedBy', 'firstName lastName');
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      season
+    });
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create season
+// @route   POST /api/seasons
+// @access  Private/Admin
+export const createSeason = async (req, res) => {
+  try {
+    const { name, startDate, endDate, isActive } = req.body;
+
+    const season = await Season.create({ name, startDate, endDate, isActive });
+
+    if (season.isActive) {
+      await deactivateOtherSeasons(season._id);
+    }
+
+    await attachUnassignedRecords(season);
+
+    res.status(201).json({
+      success: true,
+      season
+    });
+  } catch (error) {
+    console.error('Create season error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update season
+// @route   PUT /api/seasons/:id
+// @access  Private/Admin
+export const updateSeason = async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const { name, startDate, endDate, isActive } = req.body;
+
+    if (season.isArchived && isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'An archived season cannot be activated'
+      });
+    }
+
+    if (name !== undefined) season.name = name;
+    if (startDate !== undefined) season.startDate = startDate;
+    if (endDate !== undefined) season.endDate = endDate;
+    if (isActive !== undefined) season.isActive = isActive;
+
+    await season.save();
+
+    if (season.isActive) {
+      await deactivateOtherSeasons(season._id);
+    }
+
+    await attachUnassignedRecords(season);
+
+    res.status(200).json({
+      success: true,
+      season
+    });
+  } catch (error) {
+    console.error('Update season error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Delete season
+// @route   DELETE /api/seasons/:id
+// @access  Private/Admin
+export const deleteSeason = async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    if (season.isArchived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archived seasons cannot be deleted'
+      });
+    }
+
+    // Detach matches and trainings, they are kept
+    await Promise.all([
+      Match.updateMany({ season: season._id }, { season: null }),
+      Training.updateMany({ season: season._id }, { season: null })
+    ]);
+
+    await season.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Season deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Archive season, promote players and optionally start the next season
+// @route   POST /api/seasons/:id/rollover
+// @access  Private/Admin
+export const rolloverSeason = async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    if (season.isArchived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Season is already archived'
+      });
+    }
+
+    const { dryRun, promotePlayers = true, nextSeason } = req.body;
+
+    const teams = await Team.find({ isActive: true }).select('name ageCategory birthYear');
+    const promotions = promotePlayers ? await planPromotions(teams) : { moves: [], unmatched: [] };
+
+    // Preview only
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        promotions
+      });
+    }
+
+    if (nextSeason && await Season.exists({ name: nextSeason.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A season with this name already exists'
+      });
+    }
+
+    // Archive with a snapshot of the season before rosters change
+    season.summary = {
+      teams: await buildSeasonSummary(season, teams),
+      promotedPlayers: promotions.moves.length
+    };
+    season.isArchived = true;
+    season.isActive = false;
+    season.archivedAt = new Date();
+    season.archivedBy = req.user._id;
+    await season.save();
+
+    if (promotePlayers) {
+      // Every team moves on to the next birth-year cohort
+      if (teams.length > 0) {
+        await Team.updateMany({ _id: { $in: teams.map(t => t._id) } }, { $inc: { birthYear: 1 } });
+      }
+
+      // Promotions are kept in each player's team history
+      await movePlayersToTeams(
+        promotions.moves.map(move => ({ player: move.player, team: move.to._id })),
+        { date: new Date(), reason: 'promotion', note: `Season rollover: ${season.name}` },
+        req.user
+      );
+    }
+
+    let createdSeason = null;
+    if (nextSeason) {
+      createdSeason = await Season.create({ ...nextSeason, isActive: true });
+      await deactivateOtherSeasons(createdSeason._id);
+      await attachUnassignedRecords(createdSeason);
+    }
+
+    res.status(200).json({
+      success: true,
+      season,
+      nextSeason: createdSeason,
+      promotions
+    });
+  } catch (error) {
+    console.error('Rollover season error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
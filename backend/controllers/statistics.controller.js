@@ -0,0 +1,24 @@
+import { rebuildStatistics as rebuildStatisticsFromMatches } from '../utils/statistics.js';
+
+// @desc    Rebuild team and player statistics from match records
+// @route   POST /api/statistics/rebuild
+// @access  Private/Admin
+export const rebuildStatistics = async (req, res) => {
+  try {
+    // dryRun only reports discrepancies without touching stored counters
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const report = await rebuildStatisticsFromMatches({ apply: !dryRun });
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Rebuild statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -3,6 +3,8 @@ import Player from '../models/Player.js';
 import User from '../models/User.js';
 import Match from '../models/Match.js';
 import { getFileUrl } from '../middleware/upload.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
+import { findTeamMovements } from '../utils/teamMembership.js';
 
 // Helper function to compute team statistics from matches
 const computeTeamStats = (teamId, matches) => {
@@ -52,9 +54,7 @@ export const getTeams = async (req, res) => {
 
     // For coaches, show their teams
     if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => t._id || t)
-        : (req.user.team ? [req.user.team._id || req.user.team] : []);
+      const coachTeamIds = getCoachTeamIds(req.user);
 
       if (coachTeamIds.length > 0) {
         query._id = { $in: coachTeamIds };
@@ -131,18 +131,12 @@ export const getTeam = async (req, res) => {
       });
     }
 
-    // Check authorization for coaches (support multiple teams)
-    if (req.user.role === 'coach') {
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
-
-      if (!coachTeamIds.includes(team._id.toString())) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to view this team'
-        });
-      }
+    // Coaches can only view their own teams
+    if (!canAccessTeam(req.user, team._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
     }
 
     // Get player count
@@ -246,6 +240,7 @@ export const createTeam = async (req, res) => {
       primaryColor,
       secondaryColor,
       homeVenue,
+      matchDuration,
       trainingSchedule
     } = req.body;
 
@@ -259,6 +254,7 @@ export const createTeam = async (req, res) => {
       primaryColor,
       secondaryColor,
       homeVenue,
+      matchDuration,
       trainingSchedule
     });
 
@@ -295,6 +291,7 @@ export const updateTeam = async (req, res) => {
       primaryColor,
       secondaryColor,
       homeVenue,
+      matchDuration,
       trainingSchedule,
       isActive
     } = req.body;
@@ -333,6 +330,7 @@ export const updateTeam = async (req, res) => {
         primaryColor,
         secondaryColor,
         homeVenue,
+        matchDuration,
         trainingSchedule,
         isActive
       },
@@ -397,6 +395,47 @@ export const deleteTeam = async (req, res) => {
   }
 };
 
+// @desc    Get the players who joined and left a team, optionally within
+//          a date range (?from=&to=)
+// @route   GET /api/teams/:id/movements
+// @access  Private
+export const getTeamMovements = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id).select('name ageCategory');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canAccessTeam(req.user, team._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    const { joined, left } = await findTeamMovements(team._id, {
+      from: req.query.from ? new Date(req.query.from) : null,
+      to: req.query.to ? new Date(req.query.to) : null
+    });
+
+    res.status(200).json({
+      success: true,
+      joined,
+      left
+    });
+  } catch (error) {
+    console.error('Get team movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Upload team logo
 // @route   PUT /api/teams/:id/logo
 // @access  Private/Admin
@@ -435,6 +474,13 @@ export const updateTeamStatistics = async (req, res) => {
   try {
     const { statistics } = req.body;
 
+    if (!canAccessTeam(req.user, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this team'
+      });
+    }
+
     const team = await Team.findByIdAndUpdate(
       req.params.id,
       { statistics },
@@ -1,13 +1,44 @@
 import Training from '../models/Training.js';
 import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import Holiday from '../models/Holiday.js';
 import { getFileUrl } from '../middleware/upload.js';
+import { checkBooking } from '../utils/facilities.js';
+import { emitDomainEvent } from '../utils/notifications.js';
+import { getParentPlayerIds, getParentTeamIds } from '../middleware/auth.js';
+import { canAccessTeam, getCoachTeamIds } from '../utils/policy.js';
 
-// Helper function to get coach's team IDs
-const getCoachTeamIds = (user) => {
-  if (user.role !== 'coach') return null;
-  return user.teams?.length > 0
-    ? user.teams.map(t => (t._id || t).toString())
-    : (user.team ? [(user.team._id || user.team).toString()] : []);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_GENERATE_DAYS = 366;
+
+// Helper function to get the calendar day of a date as YYYY-MM-DD (UTC)
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Helper function to get the first day a series change applies to (today by default)
+const getSeriesFromDate = (fromDate) => new Date(toDateKey(fromDate || new Date()));
+
+// Helper function to load a series and check the coach may change it
+const findSeriesTeam = async (user, seriesId) => {
+  const training = await Training.findOne({ series: seriesId }).select('team');
+  if (!training) return { error: 404 };
+
+  const coachTeamIds = getCoachTeamIds(user);
+  if (coachTeamIds && !coachTeamIds.includes(training.team.toString())) {
+    return { error: 403 };
+  }
+
+  return { teamId: training.team };
+};
+
+// Helper function to limit a training to what a parent may see:
+// only their children's attendance rows and no internal coach notes
+const toParentView = (training, playerIds) => {
+  const trainingObj = training.toObject();
+  trainingObj.attendance = (trainingObj.attendance || []).filter(a =>
+    playerIds.includes((a.player?._id || a.player).toString())
+  );
+  delete trainingObj.coachNotes;
+  return trainingObj;
 };
 
 // @desc    Get all trainings
@@ -19,6 +50,7 @@ export const getTrainings = async (req, res) => {
       team,
       status,
       type,
+      season,
       startDate,
       endDate,
       page = 1,
@@ -35,12 +67,17 @@ export const getTrainings = async (req, res) => {
       } else if (coachTeamIds.length > 0) {
         query.team = { $in: coachTeamIds };
       }
+    } else if (req.user.role === 'parent') {
+      // Parents only see their children's teams
+      const parentTeamIds = await getParentTeamIds(req.user);
+      query.team = team && parentTeamIds.includes(team) ? team : { $in: parentTeamIds };
     } else if (team) {
       query.team = team;
     }
 
     if (status) query.status = status;
     if (type) query.type = type;
+    if (season) query.season = season;
     if (startDate || endDate) {
       query.date = {};
       if (startDate) query.date.$gte = new Date(startDate);
@@ -56,13 +93,17 @@ export const getTrainings = async (req, res) => {
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
+    const parentPlayerIds = getParentPlayerIds(req.user);
+
     res.status(200).json({
       success: true,
       count: trainings.length,
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: parseInt(page),
-      trainings
+      trainings: parentPlayerIds
+        ? trainings.map(training => toParentView(training, parentPlayerIds))
+        : trainings
     });
   } catch (error) {
     console.error('Get trainings error:', error);
@@ -101,6 +142,22 @@ export const getTraining = async (req, res) => {
       }
     }
 
+    // Parents can only view trainings of their children's teams
+    if (req.user.role === 'parent') {
+      const parentTeamIds = await getParentTeamIds(req.user);
+      if (!parentTeamIds.includes(training.team._id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this training'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        training: toParentView(training, getParentPlayerIds(req.user))
+      });
+    }
+
     res.status(200).json({
       success: true,
       training
@@ -137,6 +194,16 @@ export const createTraining = async (req, res) => {
       }
     }
 
+    // Reject bookings that overlap another training or match on the same pitch area
+    const bookingProblem = await checkBooking(trainingData);
+    if (bookingProblem) {
+      return res.status(bookingProblem.status).json({
+        success: false,
+        message: bookingProblem.message,
+        conflict: bookingProblem.conflict
+      });
+    }
+
     trainingData.coach = req.user._id;
 
     // Get all active players from the team for attendance
@@ -196,15 +263,38 @@ export const updateTraining = async (req, res) => {
       }
     }
 
+    // Check the booking as it will be after the update; cancelled trainings free the pitch
+    const updated = { ...training.toObject(), ...req.body };
+    if (updated.status !== 'cancelled') {
+      const bookingProblem = await checkBooking({ ...updated, exclude: training._id });
+      if (bookingProblem) {
+        return res.status(bookingProblem.status).json({
+          success: false,
+          message: bookingProblem.message,
+          conflict: bookingProblem.conflict
+        });
+      }
+    }
+
+    const wasCancelled = training.status === 'cancelled';
+
+    // The calendar revision is bumped on every change, never set directly
+    const updates = { ...req.body };
+    delete updates.calendarSequence;
+
     training = await Training.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { ...updates, $inc: { calendarSequence: 1 } },
       { new: true, runValidators: true }
     )
       .populate('team', 'name ageCategory')
       .populate('coach', 'firstName lastName')
       .populate('attendance.player', 'firstName lastName jerseyNumber position photo');
 
+    if (!wasCancelled && training.status === 'cancelled') {
+      emitDomainEvent('training.cancelled', { training });
+    }
+
     res.status(200).json({
       success: true,
       training
@@ -258,6 +348,229 @@ export const deleteTraining = async (req, res) => {
   }
 };
 
+// @desc    Generate trainings from the team's weekly schedule
+// @route   POST /api/trainings/generate
+// @access  Private
+export const generateTrainings = async (req, res) => {
+  try {
+    const { team: teamId, startDate, endDate, dryRun } = req.body;
+
+    const coachTeamIds = getCoachTeamIds(req.user);
+    if (coachTeamIds && !coachTeamIds.includes(teamId.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create training for this team'
+      });
+    }
+
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!team.trainingSchedule?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team has no training schedule'
+      });
+    }
+
+    const start = new Date(toDateKey(startDate));
+    const end = new Date(toDateKey(endDate));
+
+    if (end < start || (end - start) / DAY_MS > MAX_GENERATE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range must be between one day and one year'
+      });
+    }
+
+    const [holidays, existing] = await Promise.all([
+      Holiday.find({ startDate: { $lte: end }, endDate: { $gte: start } }),
+      Training.find({ team: team._id, date: { $gte: start, $lt: new Date(end.getTime() + DAY_MS) } })
+        .select('date startTime')
+    ]);
+
+    // Trainings already on the same day and time (including cancelled ones) are kept as they are
+    const existingKeys = new Set(existing.map(t => `${toDateKey(t.date)}|${t.startTime}`));
+
+    const planned = [];
+    const skipped = [];
+
+    for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+      const dateKey = toDateKey(day);
+      const slots = team.trainingSchedule.filter(slot => slot.dayOfWeek === day.getUTCDay());
+
+      for (const slot of slots) {
+        const holiday = holidays.find(h => toDateKey(h.startDate) <= dateKey && toDateKey(h.endDate) >= dateKey);
+
+        if (holiday) {
+          skipped.push({ date: day, startTime: slot.startTime, reason: 'holiday', holiday: holiday.name });
+        } else if (existingKeys.has(`${dateKey}|${slot.startTime}`)) {
+          skipped.push({ date: day, startTime: slot.startTime, reason: 'exists' });
+        } else {
+          planned.push({
+            team: team._id,
+            coach: req.user._id,
+            date: day,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            location: slot.location || undefined,
+            series: slot._id
+          });
+        }
+      }
+    }
+
+    // Preview only
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        planned,
+        skipped
+      });
+    }
+
+    const players = await Player.find({ team: team._id, isActive: true }).select('_id');
+    const attendance = players.map(player => ({ player: player._id, status: 'present' }));
+
+    const trainings = planned.length > 0
+      ? await Training.create(planned.map(training => ({ ...training, attendance })))
+      : [];
+
+    res.status(201).json({
+      success: true,
+      created: trainings.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Generate trainings error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Update the upcoming trainings of a series
+// @route   PUT /api/trainings/series/:seriesId
+// @access  Private
+export const updateTrainingSeries = async (req, res) => {
+  try {
+    const { teamId, error } = await findSeriesTeam(req.user, req.params.seriesId);
+
+    if (error) {
+      return res.status(error).json({
+        success: false,
+        message: error === 404 ? 'Training series not found' : 'Not authorized to update this training series'
+      });
+    }
+
+    const { fromDate, startTime, endTime, location, type, focus, description } = req.body;
+
+    const updates = {};
+    if (startTime !== undefined) updates.startTime = startTime;
+    if (endTime !== undefined) updates.endTime = endTime;
+    if (location !== undefined) updates.location = location;
+    if (type !== undefined) updates.type = type;
+    if (focus !== undefined) updates.focus = focus;
+    if (description !== undefined) updates.description = description;
+
+    const scope = { series: req.params.seriesId, status: 'scheduled', date: { $gte: getSeriesFromDate(fromDate) } };
+
+    // New times must not clash with another booking of a training's pitch
+    if (updates.startTime !== undefined || updates.endTime !== undefined) {
+      const booked = await Training.find({ ...scope, 'booking.pitch': { $ne: null } })
+        .select('date startTime endTime booking');
+
+      for (const training of booked) {
+        const bookingProblem = await checkBooking({ ...training.toObject(), ...updates, exclude: training._id });
+        if (bookingProblem) {
+          return res.status(bookingProblem.status).json({
+            success: false,
+            message: `${training.date.toISOString().split('T')[0]}: ${bookingProblem.message}`,
+            conflict: bookingProblem.conflict
+          });
+        }
+      }
+    }
+
+    const { modifiedCount } = await Training.updateMany(
+      scope,
+      { ...updates, $inc: { calendarSequence: 1 } },
+      { runValidators: true }
+    );
+
+    // Keep the weekly schedule in line so later generations match
+    const slotUpdates = {};
+    ['startTime', 'endTime', 'location'].forEach(field => {
+      if (updates[field] !== undefined) slotUpdates[`trainingSchedule.$.${field}`] = updates[field];
+    });
+    if (Object.keys(slotUpdates).length > 0) {
+      await Team.updateOne({ _id: teamId, 'trainingSchedule._id': req.params.seriesId }, { $set: slotUpdates });
+    }
+
+    res.status(200).json({
+      success: true,
+      updated: modifiedCount
+    });
+  } catch (error) {
+    console.error('Update training series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Cancel the upcoming trainings of a series
+// @route   POST /api/trainings/series/:seriesId/cancel
+// @access  Private
+export const cancelTrainingSeries = async (req, res) => {
+  try {
+    const { teamId, error } = await findSeriesTeam(req.user, req.params.seriesId);
+
+    if (error) {
+      return res.status(error).json({
+        success: false,
+        message: error === 404 ? 'Training series not found' : 'Not authorized to cancel this training series'
+      });
+    }
+
+    const { fromDate, reason } = req.body;
+
+    const { modifiedCount } = await Training.updateMany(
+      { series: req.params.seriesId, status: 'scheduled', date: { $gte: getSeriesFromDate(fromDate) } },
+      { status: 'cancelled', cancellationReason: reason, $inc: { calendarSequence: 1 } }
+    );
+
+    if (modifiedCount > 0) {
+      emitDomainEvent('training.series_cancelled', {
+        teamId,
+        fromDate: getSeriesFromDate(fromDate),
+        count: modifiedCount,
+        reason
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      cancelled: modifiedCount
+    });
+  } catch (error) {
+    console.error('Cancel training series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Update attendance for a training
 // @route   PUT /api/trainings/:id/attendance
 // @access  Private
@@ -274,6 +587,13 @@ export const updateAttendance = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, training.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this training'
+      });
+    }
+
     training.attendance = attendance;
     await training.save();
 
@@ -316,6 +636,13 @@ export const uploadTrainingPhotos = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, training.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this training'
+      });
+    }
+
     const newPhotos = req.files.map(file => ({
       url: getFileUrl(req, file.filename, 'photos'),
       caption: '',
@@ -359,6 +686,13 @@ export const uploadTrainingVideo = async (req, res) => {
       });
     }
 
+    if (!canAccessTeam(req.user, training.team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this training'
+      });
+    }
+
     training.videos.push({
       url: getFileUrl(req, req.file.filename, 'videos'),
       caption: req.body.caption || '',
@@ -440,15 +774,29 @@ export const uploadTrainingPlan = async (req, res) => {
   }
 };
 
-// @desc    Get training statistics for a team
-// @route   GET /api/trainings/stats/:teamId
+// @desc    Get training statistics for a team, or for all the user's teams
+// @route   GET /api/trainings/stats/:teamId?
 // @access  Private
 export const getTrainingStats = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, season } = req.query;
     const teamId = req.params.teamId;
 
-    const query = { team: teamId };
+    const query = {};
+    if (teamId) {
+      if (!canAccessTeam(req.user, teamId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this team'
+        });
+      }
+      query.team = teamId;
+    } else {
+      // Without a team, coaches get the statistics of their own teams
+      const coachTeamIds = getCoachTeamIds(req.user);
+      if (coachTeamIds) query.team = { $in: coachTeamIds };
+    }
+    if (season) query.season = season;
     if (startDate || endDate) {
       query.date = {};
       if (startDate) query.date.$gte = new Date(startDate);
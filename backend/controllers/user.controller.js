@@ -1,18 +1,27 @@
+import crypto from 'crypto';
 import User from '../models/User.js';
 import Team from '../models/Team.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
 import { getFileUrl } from '../middleware/upload.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+import { sendAccountLink } from '../utils/accountTokens.js';
+import { resetFailedLogins } from '../utils/loginAttempts.js';
+import { getUserPermissions } from '../utils/policy.js';
 
 // @desc    Get all users (coaches)
 // @route   GET /api/users
 // @access  Private/Admin
 export const getUsers = async (req, res) => {
   try {
-    const { role, isActive, search, page = 1, limit = 10 } = req.query;
+    const { role, isActive, locked, search, page = 1, limit = 10 } = req.query;
 
     const query = {};
 
     if (role) query.role = role;
     if (isActive !== undefined) query.isActive = isActive === 'true';
+    // Accounts currently locked after failed sign-in attempts
+    if (locked === 'true') query.lockedUntil = { $gt: new Date() };
     if (search) {
       query.$or = [
         { firstName: { $regex: search, $options: 'i' } },
@@ -25,6 +34,7 @@ export const getUsers = async (req, res) => {
     const users = await User.find(query)
       .populate('team', 'name ageCategory')
       .populate('teams', 'name ageCategory')
+      .populate('children', 'firstName lastName team')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
@@ -53,7 +63,8 @@ export const getUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .populate('team', 'name ageCategory')
-      .populate('teams', 'name ageCategory');
+      .populate('teams', 'name ageCategory')
+      .populate('children', 'firstName lastName team');
 
     if (!user) {
       return res.status(404).json({
@@ -75,12 +86,36 @@ export const getUser = async (req, res) => {
   }
 };
 
+// Helper function to look up an extra role by key. Built-in roles are
+// assigned through the role field instead.
+const findCustomRole = async (key) => {
+  const role = await Role.findOne({ key });
+  return role && !role.isSystem ? role : null;
+};
+
+// Helper function to check that a user may give someone a role: only
+// administrators assign the administrator role, and nobody grants permissions
+// they do not hold themselves. Returns an error message, or null when allowed.
+const checkRoleAssignment = async (req, role, customRole) => {
+  if (role === 'super_admin' && req.user.role !== 'super_admin') {
+    return 'Only administrators can assign the administrator role';
+  }
+
+  const granted = await getUserPermissions({ role, customRole });
+  if (granted.some(permission => !req.permissions.has(permission))) {
+    return 'Not authorized to assign a role with permissions you do not have';
+  }
+
+  return null;
+};
+
 // @desc    Create user (coach)
 // @route   POST /api/users
 // @access  Private/Admin
 export const createUser = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, role, phone, team, teams } = req.body;
+    const { firstName, lastName, email, password, phone, team, teams, children, customRole } = req.body;
+    let { role } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -91,18 +126,48 @@ export const createUser = async (req, res) => {
       });
     }
 
+    // An extra role decides the portal through its base role
+    if (customRole) {
+      const extraRole = await findCustomRole(customRole);
+      if (!extraRole) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      role = extraRole.baseRole;
+    }
+
+    const roleProblem = await checkRoleAssignment(req, role || 'coach', customRole || null);
+    if (roleProblem) {
+      return res.status(403).json({
+        success: false,
+        message: roleProblem
+      });
+    }
+
+    // Parents are linked to players, not teams
+    const isParent = role === 'parent';
+
     // Support both single team and multiple teams
-    const teamsArray = teams || (team ? [team] : []);
+    const teamsArray = isParent ? [] : (teams || (team ? [team] : []));
+
+    // Without a password the user is invited to choose one; until then the
+    // account has a random password nobody knows
+    const invite = !password;
 
     const user = await User.create({
       firstName,
       lastName,
       email,
-      password,
+      password: invite ? crypto.randomBytes(24).toString('hex') : password,
+      invitedAt: invite ? new Date() : null,
       role: role || 'coach',
+      customRole: customRole || null,
       phone,
       team: teamsArray[0] || null, // Keep first team for backward compatibility
-      teams: teamsArray
+      teams: teamsArray,
+      children: isParent ? (children || []) : []
     });
 
     // Update team's coach field for all assigned teams
@@ -110,6 +175,10 @@ export const createUser = async (req, res) => {
       await Team.findByIdAndUpdate(teamId, { $addToSet: { coaches: user._id } });
     }
 
+    if (invite) {
+      await sendAccountLink(user, 'invitation', req.user);
+    }
+
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -132,7 +201,8 @@ export const createUser = async (req, res) => {
 // @access  Private/Admin
 export const updateUser = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, role, team, teams, isActive } = req.body;
+    const { firstName, lastName, email, phone, team, teams, children, isActive, customRole } = req.body;
+    let { role } = req.body;
 
     let user = await User.findById(req.params.id);
 
@@ -154,8 +224,37 @@ export const updateUser = async (req, res) => {
       }
     }
 
+    // An extra role decides the portal through its base role
+    if (customRole) {
+      const extraRole = await findCustomRole(customRole);
+      if (!extraRole) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      role = extraRole.baseRole;
+    }
+
+    if (role !== undefined || customRole !== undefined) {
+      const roleProblem = await checkRoleAssignment(
+        req,
+        role || user.role,
+        customRole !== undefined ? customRole || null : user.customRole
+      );
+      if (roleProblem) {
+        return res.status(403).json({
+          success: false,
+          message: roleProblem
+        });
+      }
+    }
+
+    // Parents are linked to players, not teams
+    const isParent = (role || user.role) === 'parent';
+
     // Support both single team and multiple teams
-    const newTeams = teams || (team ? [team] : []);
+    const newTeams = isParent ? [] : (teams || (team ? [team] : []));
     const oldTeams = user.teams?.map(t => t.toString()) || [];
 
     // Remove user from teams they're no longer assigned to
@@ -176,11 +275,19 @@ export const updateUser = async (req, res) => {
       req.params.id,
       {
         firstName, lastName, email, phone, role, isActive,
+        // null or '' removes the extra role
+        ...(customRole !== undefined && { customRole: customRole || null }),
         team: newTeams[0] || null, // Keep first team for backward compatibility
-        teams: newTeams
+        teams: newTeams,
+        children: isParent ? (children || user.children) : []
       },
       { new: true, runValidators: true }
-    ).populate('team').populate('teams');
+    ).populate('team').populate('teams').populate('children', 'firstName lastName team');
+
+    // Deactivated users are signed out everywhere
+    if (isActive === false || isActive === 'false') {
+      await revokeUserSessions(user._id, 'deactivated');
+    }
 
     res.status(200).json({
       success: true,
@@ -229,6 +336,7 @@ export const deleteUser = async (req, res) => {
     }
 
     await user.deleteOne();
+    await Session.deleteMany({ user: user._id });
 
     res.status(200).json({
       success: true,
@@ -267,8 +375,13 @@ export const resetPassword = async (req, res) => {
     }
 
     user.password = newPassword;
+    user.invitedAt = null;
+    resetFailedLogins(user);
     await user.save();
 
+    // The old password may be known to someone else, so sign out every device
+    await revokeUserSessions(user._id, 'password_reset');
+
     res.status(200).json({
       success: true,
       message: 'Password reset successfully'
@@ -282,6 +395,121 @@ export const resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Send the invitation link again
+// @route   POST /api/users/:id/invitation
+// @access  Private/Admin
+export const resendInvitation = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.invitedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has already set a password'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    user.invitedAt = new Date();
+    await user.save();
+    await sendAccountLink(user, 'invitation', req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation sent'
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Unlock an account locked after failed sign-in attempts
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    resetFailedLogins(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication (lost device)
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private/Admin
+export const resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    // The user signs in with their password again and, if their role
+    // requires it, sets up a new authenticator before anything else
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save({ validateBeforeSave: false });
+    await revokeUserSessions(user._id, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Upload user photo
 // @route   PUT /api/users/:id/photo
 // @access  Private
@@ -0,0 +1,21 @@
+import { runWithAuditContext } from '../utils/audit.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Open an audit context for every mutating request. protect() fills in the
+// actor once the user is known; public routes are recorded without one.
+export const auditContext = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  runWithAuditContext({
+    actor: null,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    method: req.method,
+    route: req.originalUrl.split('?')[0]
+  }, next);
+};
+
+export default auditContext;
@@ -1,5 +1,9 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Player from '../models/Player.js';
+import { setAuditActor } from '../utils/audit.js';
+import { getUserPermissions, canAccessTeam, isTwoFactorRequired } from '../utils/policy.js';
+import { isSessionActive } from '../utils/sessions.js';
 
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
@@ -19,6 +23,14 @@ export const protect = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens of signed-out or revoked sessions stop working immediately
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or was revoked'
+      });
+    }
+
     const user = await User.findById(decoded.id).populate('team').populate('teams');
 
     if (!user) {
@@ -35,7 +47,21 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Until a user whose role requires two-factor authentication has set it
+    // up, only their own account routes (/api/auth) are open
+    req.twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user);
+    if (req.twoFactorSetupRequired && req.baseUrl !== '/api/auth') {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Set up two-factor authentication to access this route'
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.permissions = new Set(await getUserPermissions(user));
+    setAuditActor(user);
     next();
   } catch (error) {
     return res.status(401).json({
@@ -45,6 +71,15 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Accept the token as a query parameter for clients that cannot set
+// headers (EventSource). Must run before protect.
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Authorize specific roles
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -58,43 +93,43 @@ export const authorize = (...roles) => {
   };
 };
 
-// Check if user has access to specific team
-export const authorizeTeam = async (req, res, next) => {
-  try {
-    const teamId = req.params.teamId || req.body.team;
-
-    // Super admin has access to all teams
-    if (req.user.role === 'super_admin') {
-      return next();
+// Require named permissions (config/permissions.js) granted through the user's role
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.find(permission => !req.permissions?.has(permission));
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `Permission '${missing}' is required to access this route`
+      });
     }
+    next();
+  };
+};
 
-    // Coach can only access their own teams
-    if (req.user.role === 'coach') {
-      // Get all team IDs coach is assigned to (support both teams array and single team)
-      const coachTeamIds = req.user.teams?.length > 0
-        ? req.user.teams.map(t => (t._id || t).toString())
-        : (req.user.team ? [(req.user.team._id || req.user.team).toString()] : []);
-
-      if (!coachTeamIds.includes(teamId)) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to access this team'
-        });
-      }
-    }
+// Check if user has access to specific team
+export const authorizeTeam = (req, res, next) => {
+  const teamId = req.params.teamId || req.body.team;
 
-    next();
-  } catch (error) {
-    return res.status(500).json({
+  if (!canAccessTeam(req.user, teamId)) {
+    return res.status(403).json({
       success: false,
-      message: 'Error checking team authorization'
+      message: 'You do not have permission to access this team'
     });
   }
+
+  next();
+};
+
+// Get IDs of players linked to a parent account
+export const getParentPlayerIds = (user) => {
+  if (user.role !== 'parent') return null;
+  return (user.children || []).map(c => (c._id || c).toString());
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+// Get IDs of the teams a parent's children play for
+export const getParentTeamIds = async (user) => {
+  const playerIds = getParentPlayerIds(user) || [];
+  const players = await Player.find({ _id: { $in: playerIds } }).select('team');
+  return [...new Set(players.map(p => p.team.toString()))];
 };
@@ -2,6 +2,7 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { AsyncResource } from 'async_hooks';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +16,13 @@ uploadDirs.forEach(dir => {
   }
 });
 
+// Medical documents live outside the static uploads folder and are only
+// served through the medical routes
+export const MEDICAL_UPLOAD_DIR = path.join(__dirname, '..', 'private', 'medical');
+if (!fs.existsSync(MEDICAL_UPLOAD_DIR)) {
+  fs.mkdirSync(MEDICAL_UPLOAD_DIR, { recursive: true });
+}
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: function(req, file, cb) {
@@ -69,23 +77,63 @@ const upload = multer({
   }
 });
 
+// Multer continues from stream events, which drop the request's async
+// context (used by the audit log). Bind next to the context it was called in.
+const keepContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
 // Upload single photo
-export const uploadPhoto = upload.single('photo');
+export const uploadPhoto = keepContext(upload.single('photo'));
 
 // Upload multiple photos
-export const uploadPhotos = upload.array('photos', 10);
+export const uploadPhotos = keepContext(upload.array('photos', 10));
 
 // Upload single video
-export const uploadVideo = upload.single('video');
+export const uploadVideo = keepContext(upload.single('video'));
 
 // Upload document (PDF/DOCX)
-export const uploadDocument = upload.single('document');
+export const uploadDocument = keepContext(upload.single('document'));
 
 // Upload mixed (photos and videos)
-export const uploadMedia = upload.fields([
+export const uploadMedia = keepContext(upload.fields([
   { name: 'photos', maxCount: 10 },
   { name: 'videos', maxCount: 5 }
-]);
+]));
+
+// Upload medical document (images, PDF, DOCX) to the private folder
+export const uploadMedicalDocument = keepContext(multer({
+  storage: multer.diskStorage({
+    destination: MEDICAL_UPLOAD_DIR,
+    filename: function(req, file, cb) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'medical-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('video/')) {
+      return cb(new Error('Invalid file type. Only images, PDF and DOCX are allowed.'), false);
+    }
+    fileFilter(req, file, cb);
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024
+  }
+}).single('document'));
+
+// Upload a player import spreadsheet (.xlsx or .csv), kept in memory
+export const uploadImportFile = keepContext(multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.xlsx', '.csv'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .xlsx and .csv files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024
+  }
+}).single('file'));
 
 // Error handler for multer
 export const handleUploadError = (err, req, res, next) => {
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One audited write to one document. Entries are written by the audit
+// plugin (utils/audit.js) and are never updated afterwards.
+const changeSchema = new mongoose.Schema({
+  // Dotted path; array items with an _id are keyed by it,
+  // e.g. "attendance.<id>.status"
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Name of the document at the time of the change, kept for deleted entities
+  entityLabel: String,
+  changes: [changeSchema],
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot of the actor, kept when the user is deleted
+  actorName: String,
+  actorRole: String,
+  ip: String,
+  userAgent: String,
+  method: String,
+  route: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A player's answer to an availability request for an upcoming training or match
+const availabilitySchema = new mongoose.Schema({
+  training: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Training',
+    default: null
+  },
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team is required']
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'available', 'unavailable', 'maybe'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  // Secret for answering through the emailed link without logging in
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  respondedVia: {
+    type: String,
+    enum: ['link', 'portal', 'coach', null],
+    default: null
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+availabilitySchema.pre('validate', function(next) {
+  if (!this.training === !this.match) {
+    return next(new Error('Availability must belong to either a training or a match'));
+  }
+  next();
+});
+
+availabilitySchema.index(
+  { training: 1, player: 1 },
+  { unique: true, partialFilterExpression: { training: { $type: 'objectId' } } }
+);
+availabilitySchema.index(
+  { match: 1, player: 1 },
+  { unique: true, partialFilterExpression: { match: { $type: 'objectId' } } }
+);
+availabilitySchema.index({ player: 1, createdAt: -1 });
+
+availabilitySchema.plugin(auditTrail, { redact: ['token'] });
+
+const Availability = mongoose.model('Availability', availabilitySchema);
+
+export default Availability;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+const participantSchema = new mongoose.Schema({
+  // Set for academy teams, empty for external opponents
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Participant name is required'],
+    trim: true
+  }
+}, { _id: true });
+
+const fixtureSchema = new mongoose.Schema({
+  round: {
+    type: Number,
+    required: true
+  },
+  date: Date,
+  home: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  away: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Match document for fixtures involving an academy team
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  // Result of fixtures between two external teams (entered manually)
+  score: {
+    home: { type: Number, default: null },
+    away: { type: Number, default: null }
+  }
+}, { _id: true });
+
+const competitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Competition name is required'],
+    trim: true,
+    maxlength: [100, 'Competition name cannot exceed 100 characters']
+  },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
+  ageCategory: {
+    type: String,
+    trim: true
+  },
+  pointsForWin: {
+    type: Number,
+    default: 3
+  },
+  pointsForDraw: {
+    type: Number,
+    default: 1
+  },
+  doubleRoundRobin: {
+    type: Boolean,
+    default: true
+  },
+  participants: [participantSchema],
+  fixtures: [fixtureSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+competitionSchema.index({ season: 1 });
+competitionSchema.index({ 'participants.team': 1 });
+
+competitionSchema.plugin(auditTrail);
+
+const Competition = mongoose.model('Competition', competitionSchema);
+
+export default Competition;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// Pitch areas as the quarters they cover; a booking conflicts when quarters overlap
+export const PITCH_AREAS = {
+  full: [1, 2, 3, 4],
+  half_1: [1, 2],
+  half_2: [3, 4],
+  quarter_1: [1],
+  quarter_2: [2],
+  quarter_3: [3],
+  quarter_4: [4]
+};
+
+const pitchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pitch name is required'],
+    trim: true
+  },
+  surface: {
+    type: String,
+    enum: ['natural', 'artificial', 'indoor'],
+    default: 'artificial'
+  },
+  // Whether the pitch can be split into halves and quarters
+  canSplit: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: true });
+
+const facilitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Facility name is required'],
+    trim: true,
+    maxlength: [100, 'Facility name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  pitches: [pitchSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+facilitySchema.plugin(auditTrail);
+
+const Facility = mongoose.model('Facility', facilitySchema);
+
+export default Facility;
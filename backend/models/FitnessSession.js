@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+const resultSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FitnessTest',
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  }
+});
+
+// A fitness testing session of a team with the results of its players
+const fitnessSessionSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  tests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FitnessTest'
+  }],
+  location: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  conductedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  results: [resultSchema]
+}, {
+  timestamps: true
+});
+
+fitnessSessionSchema.index({ team: 1, date: -1 });
+fitnessSessionSchema.index({ 'results.player': 1 });
+fitnessSessionSchema.index({ 'results.test': 1 });
+
+fitnessSessionSchema.plugin(auditTrail);
+
+const FitnessSession = mongoose.model('FitnessSession', fitnessSessionSchema);
+
+export default FitnessSession;
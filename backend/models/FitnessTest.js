@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+export const FITNESS_CATEGORIES = ['speed', 'endurance', 'power', 'agility', 'other'];
+
+// Definition of a fitness test, e.g. "30m sprint" measured in seconds
+const fitnessTestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Test name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [60, 'Test name cannot exceed 60 characters']
+  },
+  category: {
+    type: String,
+    enum: FITNESS_CATEGORIES,
+    default: 'other'
+  },
+  unit: {
+    type: String,
+    required: [true, 'Unit is required'],
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  // false for timed tests where a lower result is better
+  higherIsBetter: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+fitnessTestSchema.plugin(auditTrail);
+
+const FitnessTest = mongoose.model('FitnessTest', fitnessTestSchema);
+
+export default FitnessTest;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A dated anthropometric measurement of a player. The player's height and
+// weight fields always hold the latest measured values.
+const growthMeasurementSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  measuredAt: {
+    type: Date,
+    required: [true, 'Measurement date is required']
+  },
+  height: {
+    type: Number, // in cm
+    min: [100, 'Height must be at least 100 cm'],
+    max: [220, 'Height cannot exceed 220 cm']
+  },
+  weight: {
+    type: Number, // in kg
+    min: [20, 'Weight must be at least 20 kg'],
+    max: [150, 'Weight cannot exceed 150 kg']
+  },
+  // Seated height in cm, used for the maturity offset estimate
+  sittingHeight: {
+    type: Number,
+    min: [50, 'Sitting height must be at least 50 cm'],
+    max: [130, 'Sitting height cannot exceed 130 cm']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  measuredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+growthMeasurementSchema.index({ player: 1, measuredAt: 1 });
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+growthMeasurementSchema.pre('validate', function(next) {
+  if (!hasValue(this.height) && !hasValue(this.weight)) {
+    this.invalidate('height', 'Height or weight is required');
+  }
+  if (hasValue(this.sittingHeight) && hasValue(this.height) && this.sittingHeight >= this.height) {
+    this.invalidate('sittingHeight', 'Sitting height must be less than height');
+  }
+  next();
+});
+
+growthMeasurementSchema.plugin(auditTrail);
+
+const GrowthMeasurement = mongoose.model('GrowthMeasurement', growthMeasurementSchema);
+
+export default GrowthMeasurement;
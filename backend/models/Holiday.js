@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// Days without training (public holidays, school breaks); both dates inclusive
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// End date may not come before start date
+holidaySchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  next();
+});
+
+holidaySchema.index({ startDate: 1, endDate: 1 });
+
+holidaySchema.plugin(auditTrail);
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+
+export default Holiday;
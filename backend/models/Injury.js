@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+export const INJURY_TYPES = ['muscle', 'ligament', 'tendon', 'fracture', 'joint', 'concussion', 'contusion', 'illness', 'other'];
+export const BODY_PARTS = [
+  'head', 'neck', 'shoulder', 'arm', 'wrist_hand', 'chest', 'back', 'hip_groin',
+  'thigh', 'hamstring', 'knee', 'calf', 'ankle', 'foot', 'other'
+];
+
+// One injury in a player's medical history. An injury without an actual
+// return date is still open and keeps the player marked injured.
+const injurySchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  // Team at the time of the injury
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: INJURY_TYPES,
+    default: 'other'
+  },
+  bodyPart: {
+    type: String,
+    enum: BODY_PARTS,
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  injuryDate: {
+    type: Date,
+    required: [true, 'Injury date is required']
+  },
+  expectedReturnDate: {
+    type: Date,
+    default: null
+  },
+  actualReturnDate: {
+    type: Date,
+    default: null
+  },
+  // Doctor or physio treating the injury
+  treatedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Treating staff cannot exceed 100 characters']
+  },
+  treatment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Treatment notes cannot exceed 1000 characters']
+  },
+  // Match the injury happened in, if any
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Days out: until the actual return, or so far for open injuries
+injurySchema.virtual('daysOut').get(function() {
+  const end = this.actualReturnDate || new Date();
+  return Math.max(0, Math.round((end - this.injuryDate) / (24 * 60 * 60 * 1000)));
+});
+
+injurySchema.index({ player: 1, injuryDate: -1 });
+injurySchema.index({ player: 1, actualReturnDate: 1 });
+
+injurySchema.plugin(auditTrail);
+
+const Injury = mongoose.model('Injury', injurySchema);
+
+export default Injury;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import Season from './Season.js';
+import { PITCH_AREAS } from './Facility.js';
+import { auditTrail } from '../utils/audit.js';
 
 const goalSchema = new mongoose.Schema({
   player: {
@@ -155,14 +158,47 @@ const matchSchema = new mongoose.Schema({
       default: '#666666'
     }
   },
+  // Opponent club the embedded name, logo and color are copied from
+  opponentClub: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Opponent',
+    default: null
+  },
   matchDate: {
     type: Date,
     required: [true, 'Match date is required']
   },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
   kickoffTime: {
     type: String,
     required: [true, 'Kickoff time is required']
   },
+  // Pitch (or part of it) reserved on a facility
+  booking: {
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Facility',
+      default: null
+    },
+    pitch: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    area: {
+      type: String,
+      enum: Object.keys(PITCH_AREAS),
+      default: 'full'
+    }
+  },
+  // Revision number published in calendar feeds so subscribed calendars pick up changes
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
   venue: {
     type: String,
     trim: true
@@ -296,10 +332,24 @@ matchSchema.virtual('finalScore').get(function() {
   return `${this.score.home} - ${this.score.away}`;
 });
 
+// Attach new matches to the season their date falls into
+matchSchema.pre('save', async function(next) {
+  if (this.isNew && !this.season && this.matchDate) {
+    const season = await Season.findForDate(this.matchDate);
+    if (season) this.season = season._id;
+  }
+  next();
+});
+
 // Index for efficient queries
 matchSchema.index({ team: 1, matchDate: -1 });
 matchSchema.index({ status: 1 });
 matchSchema.index({ matchDate: 1 });
+matchSchema.index({ season: 1 });
+matchSchema.index({ opponentClub: 1 });
+matchSchema.index({ 'booking.facility': 1, 'booking.pitch': 1 });
+
+matchSchema.plugin(auditTrail);
 
 const Match = mongoose.model('Match', matchSchema);
 
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+export const CLEARANCE_TYPES = ['annual_checkup', 'cardiac_screening', 'return_to_play', 'other'];
+
+// A medical certificate clearing a player to train and play until it expires
+const medicalClearanceSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  type: {
+    type: String,
+    enum: CLEARANCE_TYPES,
+    default: 'annual_checkup'
+  },
+  issuedAt: {
+    type: Date,
+    required: [true, 'Issue date is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  // Doctor or clinic that issued the certificate
+  issuedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Issuer cannot exceed 100 characters']
+  },
+  // Cleared with restrictions, e.g. "no heading for 2 weeks"
+  restrictions: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Restrictions cannot exceed 500 characters']
+  },
+  // Scan of the certificate
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalDocument',
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+medicalClearanceSchema.index({ player: 1, expiresAt: -1 });
+medicalClearanceSchema.index({ expiresAt: 1 });
+
+medicalClearanceSchema.plugin(auditTrail);
+
+const MedicalClearance = mongoose.model('MedicalClearance', medicalClearanceSchema);
+
+export default MedicalClearance;
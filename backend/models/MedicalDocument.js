@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+export const DOCUMENT_CATEGORIES = ['certificate', 'scan', 'report', 'prescription', 'other'];
+
+// A file in a player's medical record. Files are kept outside the public
+// uploads folder and only served through the medical routes.
+const medicalDocumentSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  category: {
+    type: String,
+    enum: DOCUMENT_CATEGORIES,
+    default: 'other'
+  },
+  // Injury the document belongs to, if any
+  injury: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Injury',
+    default: null
+  },
+  // Name of the stored file in the private medical folder
+  fileName: {
+    type: String,
+    required: true,
+    select: false
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+medicalDocumentSchema.index({ player: 1, createdAt: -1 });
+
+medicalDocumentSchema.plugin(auditTrail);
+
+const MedicalDocument = mongoose.model('MedicalDocument', medicalDocumentSchema);
+
+export default MedicalDocument;
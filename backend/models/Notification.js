@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Outbox entry: one message to one recipient over one channel.
+// Entries are written first and delivered by the outbox worker, so nothing is
+// lost when a transport is down.
+const notificationSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Email address or phone number
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required']
+  },
+  language: {
+    type: String,
+    enum: ['uz', 'ru', 'en'],
+    default: 'uz'
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
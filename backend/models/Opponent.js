@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// Lowercase and collapse whitespace so "FC  Pakhtakor" and "fc pakhtakor" match
+export const normalizeOpponentName = (name = '') =>
+  name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const opponentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Opponent name is required'],
+    trim: true,
+    maxlength: [100, 'Opponent name cannot exceed 100 characters']
+  },
+  normalizedName: {
+    type: String,
+    unique: true
+  },
+  // Normalized names of merged duplicates, so old spellings resolve here
+  aliases: [{
+    type: String
+  }],
+  logo: {
+    type: String,
+    default: null
+  },
+  color: {
+    type: String,
+    default: '#666666'
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+opponentSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.normalizedName = normalizeOpponentName(this.name);
+  }
+  next();
+});
+
+// Find an opponent by name or alias, creating it when it does not exist yet
+opponentSchema.statics.findOrCreateByName = async function(name, defaults = {}) {
+  const key = normalizeOpponentName(name);
+  const existing = await this.findOne({ $or: [{ normalizedName: key }, { aliases: key }] });
+  if (existing) return existing;
+
+  return this.create({ ...defaults, name: name.trim().replace(/\s+/g, ' ') });
+};
+
+opponentSchema.index({ aliases: 1 });
+
+opponentSchema.plugin(auditTrail);
+
+const Opponent = mongoose.model('Opponent', opponentSchema);
+
+export default Opponent;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
 
 const playerSchema = new mongoose.Schema({
   firstName: {
@@ -180,6 +181,8 @@ playerSchema.index({ team: 1, isActive: 1 });
 playerSchema.index({ birthYear: 1 });
 playerSchema.index({ position: 1 });
 
+playerSchema.plugin(auditTrail);
+
 const Player = mongoose.model('Player', playerSchema);
 
 export default Player;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+export const RATING_ATTRIBUTES = ['pace', 'shooting', 'passing', 'dribbling', 'defending', 'physical'];
+
+// A player's ratings as set at one moment. Every rating change adds a
+// snapshot, so the development of each attribute can be followed over time.
+const ratingSnapshotSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  // Team at the time of the rating
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  ratings: {
+    pace: { type: Number, min: 1, max: 100 },
+    shooting: { type: Number, min: 1, max: 100 },
+    passing: { type: Number, min: 1, max: 100 },
+    dribbling: { type: Number, min: 1, max: 100 },
+    defending: { type: Number, min: 1, max: 100 },
+    physical: { type: Number, min: 1, max: 100 }
+  },
+  overallRating: {
+    type: Number
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // null for the initial snapshot of the ratings a player had before their first change
+  ratedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+ratingSnapshotSchema.index({ player: 1, recordedAt: 1 });
+
+const RatingSnapshot = mongoose.model('RatingSnapshot', ratingSnapshotSchema);
+
+export default RatingSnapshot;
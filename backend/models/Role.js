@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, BASE_ROLES } from '../config/permissions.js';
+import { auditTrail } from '../utils/audit.js';
+
+// A named set of permissions. The built-in roles (super_admin, coach, parent)
+// are system roles; extra roles such as assistant coach or physio build on one
+// of them, which decides the portal they use and whether they are limited to
+// their assigned teams.
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role key may only contain lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [60, 'Role name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  baseRole: {
+    type: String,
+    enum: BASE_ROLES,
+    required: [true, 'Base role is required']
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  // Default permissions already applied to a system role, so permissions an
+  // admin removed are not granted again on the next start
+  seededPermissions: [{
+    type: String
+  }],
+  // Users holding this role must sign in with a second factor
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.plugin(auditTrail);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
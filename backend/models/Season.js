@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+const teamSummarySchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  name: String,
+  ageCategory: String,
+  birthYear: Number,
+  playerCount: { type: Number, default: 0 },
+  trainings: { type: Number, default: 0 },
+  statistics: {
+    totalMatches: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    goalsFor: { type: Number, default: 0 },
+    goalsAgainst: { type: Number, default: 0 }
+  }
+}, { _id: false });
+
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Season name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Season name cannot exceed 50 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot taken when the season is archived
+  summary: {
+    teams: [teamSummarySchema],
+    promotedPlayers: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// End date must come after start date
+seasonSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+// Find the season a date falls into
+seasonSchema.statics.findForDate = function(date) {
+  return this.findOne({
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  }).sort({ startDate: -1 });
+};
+
+seasonSchema.index({ startDate: -1 });
+seasonSchema.index({ isActive: 1 });
+
+seasonSchema.plugin(auditTrail);
+
+const Season = mongoose.model('Season', seasonSchema);
+
+export default Season;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. The refresh token is only stored as a hash and is
+// replaced on every refresh; access tokens carry the session ID so revoking
+// the session signs the device out immediately.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token replaced by the last refresh. Presenting it again means
+  // the token was copied, so the session is revoked.
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_change', 'password_reset', 'deactivated', 'token_reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
 
 const teamSchema = new mongoose.Schema({
   name: {
@@ -53,6 +54,12 @@ const teamSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  matchDuration: {
+    type: Number, // minutes - falls back to the age category default when not set
+    min: [10, 'Match duration must be at least 10 minutes'],
+    max: [120, 'Match duration cannot exceed 120 minutes'],
+    default: null
+  },
   trainingSchedule: [{
     dayOfWeek: {
       type: Number, // 0-6 (Sunday-Saturday)
@@ -107,6 +114,8 @@ teamSchema.virtual('statistics.points').get(function() {
   return (this.statistics.wins * 3) + this.statistics.draws;
 });
 
+teamSchema.plugin(auditTrail);
+
 const Team = mongoose.model('Team', teamSchema);
 
 export default Team;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// joined: added to the academy; promotion: moved up an age group;
+// transfer: moved to another squad
+export const MEMBERSHIP_REASONS = ['joined', 'promotion', 'transfer'];
+
+// A period a player belonged to a team. The current membership has no end date.
+const teamMembershipSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Player is required']
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // How the player came to the team
+  reason: {
+    type: String,
+    enum: MEMBERSHIP_REASONS,
+    default: 'joined'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  // null for memberships recorded automatically
+  movedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+teamMembershipSchema.index({ player: 1, startDate: 1 });
+teamMembershipSchema.index({ team: 1, startDate: -1 });
+teamMembershipSchema.index({ team: 1, endDate: -1 });
+
+teamMembershipSchema.plugin(auditTrail);
+
+const TeamMembership = mongoose.model('TeamMembership', teamMembershipSchema);
+
+export default TeamMembership;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import Season from './Season.js';
+import { PITCH_AREAS } from './Facility.js';
+import { auditTrail } from '../utils/audit.js';
 
 const attendanceSchema = new mongoose.Schema({
   player: {
@@ -46,6 +49,11 @@ const trainingSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Training date is required']
   },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
   startTime: {
     type: String,
     required: [true, 'Start time is required']
@@ -123,6 +131,33 @@ const trainingSchema = new mongoose.Schema({
   cancellationReason: {
     type: String,
     trim: true
+  },
+  // Pitch (or part of it) reserved on a facility
+  booking: {
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Facility',
+      default: null
+    },
+    pitch: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    area: {
+      type: String,
+      enum: Object.keys(PITCH_AREAS),
+      default: 'full'
+    }
+  },
+  // Revision number published in calendar feeds so subscribed calendars pick up changes
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  // Team schedule slot the training was generated from
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   }
 }, {
   timestamps: true,
@@ -155,10 +190,24 @@ trainingSchema.virtual('attendanceStats').get(function() {
   return stats;
 });
 
+// Attach new trainings to the season their date falls into
+trainingSchema.pre('save', async function(next) {
+  if (this.isNew && !this.season && this.date) {
+    const season = await Season.findForDate(this.date);
+    if (season) this.season = season._id;
+  }
+  next();
+});
+
 // Index for efficient queries
 trainingSchema.index({ team: 1, date: -1 });
 trainingSchema.index({ coach: 1, date: -1 });
 trainingSchema.index({ status: 1 });
+trainingSchema.index({ season: 1 });
+trainingSchema.index({ series: 1, date: 1 });
+trainingSchema.index({ 'booking.facility': 1, 'booking.pitch': 1 });
+
+trainingSchema.plugin(auditTrail);
 
 const Training = mongoose.model('Training', trainingSchema);
 
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { auditTrail } from '../utils/audit.js';
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -30,9 +31,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['super_admin', 'coach'],
+    enum: ['super_admin', 'coach', 'parent'],
     default: 'coach'
   },
+  // Key of an extra role (models/Role.js) granting this user its permissions
+  // instead of the built-in role's; `role` stays the extra role's base role
+  customRole: {
+    type: String,
+    default: null
+  },
   phone: {
     type: String,
     trim: true
@@ -52,6 +59,18 @@ const userSchema = new mongoose.Schema({
     ref: 'Team',
     default: null
   },
+  // Players linked to a parent account (read-only portal access)
+  children: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  }],
+  // Secret part of the user's calendar feed URLs
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -60,6 +79,55 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Consecutive failed sign-in attempts (utils/loginAttempts.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Sign-in is refused until this time after too many failed attempts
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Set while an invited user has not chosen their password yet
+  invitedAt: {
+    type: Date,
+    default: null
+  },
+  // Authenticator app (TOTP) second factor, see utils/twoFactor.js
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during setup, moved to `secret` once a code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of the unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   preferredLanguage: {
     type: String,
     enum: ['uz', 'ru', 'en'],
@@ -93,6 +161,11 @@ userSchema.virtual('fullName').get(function() {
 userSchema.set('toJSON', { virtuals: true });
 userSchema.set('toObject', { virtuals: true });
 
+userSchema.plugin(auditTrail, {
+  ignore: ['lastLogin', 'failedLoginAttempts', 'lastFailedLoginAt', 'twoFactor.lastUsedStep'],
+  redact: ['password', 'calendarToken', 'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.recoveryCodes']
+});
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
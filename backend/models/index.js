@@ -3,11 +3,49 @@ import Team from './Team.js';
 import Player from './Player.js';
 import Training from './Training.js';
 import Match from './Match.js';
+import Season from './Season.js';
+import Competition from './Competition.js';
+import Opponent from './Opponent.js';
+import Holiday from './Holiday.js';
+import Facility from './Facility.js';
+import Notification from './Notification.js';
+import Availability from './Availability.js';
+import AuditLog from './AuditLog.js';
+import Role from './Role.js';
+import Session from './Session.js';
+import AccountToken from './AccountToken.js';
+import Injury from './Injury.js';
+import MedicalClearance from './MedicalClearance.js';
+import MedicalDocument from './MedicalDocument.js';
+import RatingSnapshot from './RatingSnapshot.js';
+import FitnessTest from './FitnessTest.js';
+import FitnessSession from './FitnessSession.js';
+import GrowthMeasurement from './GrowthMeasurement.js';
+import TeamMembership from './TeamMembership.js';
 
 export {
   User,
   Team,
   Player,
   Training,
-  Match
+  Match,
+  Season,
+  Competition,
+  Opponent,
+  Holiday,
+  Facility,
+  Notification,
+  Availability,
+  AuditLog,
+  Role,
+  Session,
+  AccountToken,
+  Injury,
+  MedicalClearance,
+  MedicalDocument,
+  RatingSnapshot,
+  FitnessTest,
+  FitnessSession,
+  GrowthMeasurement,
+  TeamMembership
 };
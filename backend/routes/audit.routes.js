@@ -0,0 +1,29 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { getAuditLogs, getAuditEntities } from '../controllers/audit.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// All routes require the audit permission
+router.use(protect);
+router.use(requirePermission('audit.read'));
+
+router.get(
+  '/',
+  [
+    query('entityId').optional().isMongoId(),
+    query('actor').optional().isMongoId(),
+    query('action').optional().isIn(['create', 'update', 'delete']),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  validate,
+  getAuditLogs
+);
+router.get('/entities', getAuditEntities);
+
+export default router;
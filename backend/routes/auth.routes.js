@@ -1,20 +1,58 @@
 import express from 'express';
-import { body } from 'express-validator';
+import rateLimit from 'express-rate-limit';
+import { body, param } from 'express-validator';
 import {
   login,
   getMe,
   updateProfile,
   updatePassword,
-  logout
+  logout,
+  refresh,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  getAccountToken,
+  setPasswordWithToken,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
 } from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 
 const router = express.Router();
 
+// Failed sign-ins are limited per IP on top of the per-account lockout
+// (utils/loginAttempts.js), so one address cannot try many accounts
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: { success: false, message: 'Too many sign-in attempts, please try again later.' }
+});
+
+// Reset emails are limited per IP so the endpoint cannot be used to spam inboxes
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many reset requests, please try again later.' }
+});
+
+// Second-factor codes are short, so guesses are limited per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { success: false, message: 'Too many verification attempts, please try again later.' }
+});
+
 // Public routes
 router.post(
   '/login',
+  loginLimiter,
   [
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').notEmpty().withMessage('Password is required')
@@ -23,12 +61,84 @@ router.post(
   login
 );
 
+router.post(
+  '/login/2fa',
+  twoFactorLimiter,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Login challenge is required'),
+    body('code').optional({ values: 'falsy' }).isString(),
+    body('recoveryCode').optional({ values: 'falsy' }).isString(),
+    body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Verification code is required')
+  ],
+  validate,
+  verifyTwoFactorLogin
+);
+
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  validate,
+  refresh
+);
+
+router.post(
+  '/forgot-password',
+  forgotPasswordLimiter,
+  [
+    body('email').trim().isEmail().withMessage('Please provide a valid email')
+  ],
+  validate,
+  forgotPassword
+);
+
+router.route('/set-password/:token')
+  .get(getAccountToken)
+  .post(
+    [
+      body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    ],
+    validate,
+    setPasswordWithToken
+  );
+
 // Protected routes
 router.use(protect);
 
 router.get('/me', getMe);
 router.post('/logout', logout);
 
+router.route('/sessions')
+  .get(getSessions)
+  .delete(deleteOtherSessions);
+router.delete('/sessions/:id', [param('id').isMongoId()], validate, deleteSession);
+
+router.route('/2fa')
+  .get(getTwoFactorStatus)
+  .delete(
+    [
+      body('password').notEmpty().withMessage('Current password is required'),
+      body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Verification code is required')
+    ],
+    validate,
+    disableTwoFactor
+  );
+router.post('/2fa/setup', setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  [body('code').isString().notEmpty().withMessage('Verification code is required')],
+  validate,
+  enableTwoFactor
+);
+router.post(
+  '/2fa/recovery-codes',
+  twoFactorLimiter,
+  [body('code').isString().notEmpty().withMessage('Verification code is required')],
+  validate,
+  regenerateRecoveryCodes
+);
+
 router.put(
   '/profile',
   [
@@ -0,0 +1,56 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  requestAvailability,
+  getAvailability,
+  getMyAvailability,
+  respondAvailability,
+  getAvailabilityByToken,
+  respondAvailabilityByToken
+} from '../controllers/availability.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Answer validators (a fresh chain per route)
+const responseValidators = () => [
+  body('status').isIn(['available', 'unavailable', 'maybe']).withMessage('Status must be available, unavailable or maybe'),
+  body('reason').optional({ values: 'falsy' }).trim().isLength({ max: 300 })
+];
+
+// Public answers through the link sent to players and parents
+router.route('/respond/:token')
+  .get(getAvailabilityByToken)
+  .put(responseValidators(), validate, respondAvailabilityByToken);
+
+// All other routes require authentication
+router.use(protect);
+
+router.get(
+  '/',
+  [
+    query('training').optional().isMongoId(),
+    query('match').optional().isMongoId()
+  ],
+  validate,
+  getAvailability
+);
+
+router.get('/mine', requirePermission('availability.respond'), getMyAvailability);
+
+router.post(
+  '/request',
+  requirePermission('availability.request'),
+  [
+    body('training').optional().isMongoId(),
+    body('match').optional().isMongoId(),
+    body().custom(value => !!value.training !== !!value.match).withMessage('Either a training or a match is required')
+  ],
+  validate,
+  requestAvailability
+);
+
+router.put('/:id', responseValidators(), validate, respondAvailability);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getFeeds,
+  regenerateCalendarToken,
+  getTeamFeed,
+  getCoachFeed,
+  getPlayerFeed
+} from '../controllers/calendar.controller.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/feeds', protect, getFeeds);
+router.post('/token', protect, regenerateCalendarToken);
+
+// Subscription feeds are fetched by calendar apps, which authenticate with the token in the URL
+router.get('/:token/coach.ics', getCoachFeed);
+router.get('/:token/team/:teamId.ics', getTeamFeed);
+router.get('/:token/player/:playerId.ics', getPlayerFeed);
+
+export default router;
@@ -0,0 +1,90 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getCompetitions,
+  getCompetition,
+  createCompetition,
+  updateCompetition,
+  deleteCompetition,
+  generateFixtures,
+  updateFixture,
+  getStandings,
+  getTopScorers
+} from '../controllers/competition.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+const participantValidators = (required) => [
+  (required ? body('participants') : body('participants').optional()).isArray({ min: 2 }).withMessage('At least two participants are required'),
+  body('participants.*.team').optional({ values: 'falsy' }).isMongoId(),
+  body('participants.*').custom(p => !!(p?.team || p?.name?.trim())).withMessage('Each participant needs a team or a name')
+];
+
+router.route('/')
+  .get(getCompetitions)
+  .post(
+    requirePermission('competition.manage'),
+    [
+      body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Competition name is required'),
+      body('season').optional({ values: 'falsy' }).isMongoId(),
+      body('pointsForWin').optional().isInt({ min: 0 }),
+      body('pointsForDraw').optional().isInt({ min: 0 }),
+      body('doubleRoundRobin').optional().isBoolean(),
+      ...participantValidators(true)
+    ],
+    validate,
+    createCompetition
+  );
+
+router.route('/:id')
+  .get(getCompetition)
+  .put(
+    requirePermission('competition.manage'),
+    [
+      body('name').optional().trim().isLength({ min: 1, max: 100 }),
+      body('season').optional({ values: 'falsy' }).isMongoId(),
+      body('pointsForWin').optional().isInt({ min: 0 }),
+      body('pointsForDraw').optional().isInt({ min: 0 }),
+      body('doubleRoundRobin').optional().isBoolean(),
+      body('isActive').optional().isBoolean(),
+      ...participantValidators(false)
+    ],
+    validate,
+    updateCompetition
+  )
+  .delete(requirePermission('competition.manage'), deleteCompetition);
+
+router.get('/:id/standings', getStandings);
+router.get('/:id/top-scorers', getTopScorers);
+
+router.post(
+  '/:id/fixtures/generate',
+  requirePermission('competition.manage'),
+  [
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('intervalDays').optional().isInt({ min: 1, max: 60 }),
+    body('kickoffTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('Kickoff time must be HH:MM'),
+    body('venue').optional().trim()
+  ],
+  validate,
+  generateFixtures
+);
+
+router.put(
+  '/:id/fixtures/:fixtureId',
+  requirePermission('competition.manage'),
+  [
+    body('homeScore').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('awayScore').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('date').optional().isISO8601()
+  ],
+  validate,
+  updateFixture
+);
+
+export default router;
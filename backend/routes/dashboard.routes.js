@@ -2,17 +2,19 @@ import express from 'express';
 import {
   getAdminDashboard,
   getCoachDashboard,
-  getPlayerPerformance
+  getPlayerPerformance,
+  getParentDashboard
 } from '../controllers/dashboard.controller.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-router.get('/admin', authorize('super_admin'), getAdminDashboard);
-router.get('/coach', getCoachDashboard);
+router.get('/admin', requirePermission('dashboard.admin'), getAdminDashboard);
+router.get('/coach', requirePermission('dashboard.coach'), getCoachDashboard);
+router.get('/parent', requirePermission('dashboard.parent'), getParentDashboard);
 router.get('/player/:id/performance', getPlayerPerformance);
 
 export default router;
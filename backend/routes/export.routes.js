@@ -3,20 +3,22 @@ import {
   exportPlayersExcel,
   exportPlayersPDF,
   exportTrainingsExcel,
+  exportFitnessExcel,
   exportMatchPDF,
   exportTeamStatsExcel
 } from '../controllers/export.controller.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication and an export permission
 router.use(protect);
 
-router.get('/players/excel', exportPlayersExcel);
-router.get('/players/pdf', exportPlayersPDF);
-router.get('/trainings/excel', exportTrainingsExcel);
-router.get('/match/:id/pdf', exportMatchPDF);
-router.get('/team/:id/stats', exportTeamStatsExcel);
+router.get('/players/excel', requirePermission('export.players'), exportPlayersExcel);
+router.get('/players/pdf', requirePermission('export.players'), exportPlayersPDF);
+router.get('/trainings/excel', requirePermission('export.trainings'), exportTrainingsExcel);
+router.get('/fitness/excel', requirePermission('export.fitness'), exportFitnessExcel);
+router.get('/match/:id/pdf', requirePermission('export.matches'), exportMatchPDF);
+router.get('/team/:id/stats', requirePermission('export.teams'), exportTeamStatsExcel);
 
 export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getFacilities,
+  getFacility,
+  createFacility,
+  updateFacility,
+  deleteFacility,
+  getOccupancy
+} from '../controllers/facility.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Pitch list validators (a fresh chain per route)
+const pitchValidators = () => [
+  body('pitches').optional().isArray(),
+  body('pitches.*._id').optional().isMongoId(),
+  body('pitches.*.name').trim().notEmpty().withMessage('Pitch name is required'),
+  body('pitches.*.surface').optional().isIn(['natural', 'artificial', 'indoor']),
+  body('pitches.*.canSplit').optional().isBoolean(),
+  body('pitches.*.isActive').optional().isBoolean()
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getFacilities)
+  .post(
+    requirePermission('facility.manage'),
+    [
+      body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Facility name is required'),
+      ...pitchValidators()
+    ],
+    validate,
+    createFacility
+  );
+
+router.get('/:id/occupancy', getOccupancy);
+
+router.route('/:id')
+  .get(getFacility)
+  .put(
+    requirePermission('facility.manage'),
+    [
+      body('name').optional().trim().isLength({ min: 1, max: 100 }),
+      body('isActive').optional().isBoolean(),
+      ...pitchValidators()
+    ],
+    validate,
+    updateFacility
+  )
+  .delete(requirePermission('facility.manage'), deleteFacility);
+
+export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getFitnessTests,
+  createFitnessTest,
+  updateFitnessTest,
+  deleteFitnessTest,
+  getFitnessSessions,
+  getFitnessSession,
+  createFitnessSession,
+  updateFitnessSession,
+  saveFitnessResults,
+  deleteFitnessSession,
+  getPlayerFitnessResults
+} from '../controllers/fitness.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { FITNESS_CATEGORIES } from '../models/FitnessTest.js';
+
+const router = express.Router();
+
+// Fitness test validators (a fresh chain per route)
+const testValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().isLength({ min: 1, max: 60 })
+    : body('name').trim().isLength({ min: 1, max: 60 }).withMessage('Test name is required'),
+  isUpdate
+    ? body('unit').optional().trim().isLength({ min: 1, max: 20 })
+    : body('unit').trim().isLength({ min: 1, max: 20 }).withMessage('Unit is required'),
+  body('category').optional().isIn(FITNESS_CATEGORIES).withMessage('Invalid test category'),
+  body('higherIsBetter').optional().isBoolean().toBoolean(),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const sessionValidators = (isUpdate) => [
+  isUpdate
+    ? body('date').optional().isISO8601()
+    : body('date').isISO8601().withMessage('Valid date is required'),
+  isUpdate
+    ? body('tests').optional().isArray({ min: 1 }).withMessage('Select at least one test')
+    : body('tests').isArray({ min: 1 }).withMessage('Select at least one test'),
+  body('tests.*').isMongoId(),
+  body('location').optional().trim().isLength({ max: 100 }),
+  body('notes').optional().trim().isLength({ max: 500 })
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/tests')
+  .get(getFitnessTests)
+  .post(requirePermission('fitness.tests.manage'), testValidators(false), validate, createFitnessTest);
+router.route('/tests/:id')
+  .put(
+    requirePermission('fitness.tests.manage'),
+    [param('id').isMongoId(), ...testValidators(true)],
+    validate,
+    updateFitnessTest
+  )
+  .delete(requirePermission('fitness.tests.manage'), [param('id').isMongoId()], validate, deleteFitnessTest);
+
+router.route('/sessions')
+  .get(
+    [
+      query('team').optional().isMongoId(),
+      query('from').optional().isISO8601(),
+      query('to').optional().isISO8601()
+    ],
+    validate,
+    getFitnessSessions
+  )
+  .post(
+    requirePermission('fitness.record'),
+    [body('team').isMongoId().withMessage('Team is required'), ...sessionValidators(false)],
+    validate,
+    createFitnessSession
+  );
+router.route('/sessions/:id')
+  .get([param('id').isMongoId()], validate, getFitnessSession)
+  .put(
+    requirePermission('fitness.record'),
+    [param('id').isMongoId(), ...sessionValidators(true)],
+    validate,
+    updateFitnessSession
+  )
+  .delete(requirePermission('fitness.record'), [param('id').isMongoId()], validate, deleteFitnessSession);
+router.put(
+  '/sessions/:id/results',
+  requirePermission('fitness.record'),
+  [
+    param('id').isMongoId(),
+    body('results').isArray({ min: 1 }).withMessage('Results are required'),
+    body('results.*.player').isMongoId(),
+    body('results.*.test').isMongoId(),
+    body('results.*.value').optional({ values: 'null' }).isFloat().withMessage('Result must be a number').toFloat(),
+    body('results.*.notes').optional().trim().isLength({ max: 200 })
+  ],
+  validate,
+  saveFitnessResults
+);
+
+router.get(
+  '/players/:playerId',
+  [param('playerId').isMongoId()],
+  validate,
+  getPlayerFitnessResults
+);
+
+export default router;
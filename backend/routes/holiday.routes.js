@@ -0,0 +1,43 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday
+} from '../controllers/holiday.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getHolidays)
+  .post(
+    requirePermission('holiday.manage'),
+    [
+      body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Holiday name is required'),
+      body('startDate').isISO8601().withMessage('Valid start date is required'),
+      body('endDate').optional({ values: 'falsy' }).isISO8601()
+    ],
+    validate,
+    createHoliday
+  );
+
+router.route('/:id')
+  .put(
+    requirePermission('holiday.manage'),
+    [
+      body('name').optional().trim().isLength({ min: 1, max: 100 }),
+      body('startDate').optional().isISO8601(),
+      body('endDate').optional().isISO8601()
+    ],
+    validate,
+    updateHoliday
+  )
+  .delete(requirePermission('holiday.manage'), deleteHoliday);
+
+export default router;
@@ -10,50 +10,128 @@ import {
   addGoal,
   addCard,
   addSubstitution,
+  updateGoal,
+  deleteGoal,
+  updateCard,
+  deleteCard,
+  updateSubstitution,
+  deleteSubstitution,
+  updateInjury,
+  deleteInjury,
   completeMatch,
   getUpcomingMatches,
-  getMatchStats
+  getMatchStats,
+  streamMatchUpdates
 } from '../controllers/match.controller.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission, tokenFromQuery } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
+import { PITCH_AREAS } from '../models/Facility.js';
 
 const router = express.Router();
 
+// Live updates stream (EventSource passes the token in the query string)
+router.get('/live', tokenFromQuery, protect, streamMatchUpdates);
+
 // All routes require authentication
 router.use(protect);
 
 router.route('/')
   .get(getMatches)
   .post(
+    requirePermission('match.create'),
     [
       body('team').isMongoId().withMessage('Valid team ID is required'),
       body('opponent.name').trim().notEmpty().withMessage('Opponent name is required'),
+      body('opponentClub').optional({ values: 'falsy' }).isMongoId(),
       body('matchDate').isISO8601().withMessage('Valid match date is required'),
-      body('kickoffTime').notEmpty().withMessage('Kickoff time is required')
+      body('kickoffTime').notEmpty().withMessage('Kickoff time is required'),
+      body('booking.facility').optional({ values: 'null' }).isMongoId(),
+      body('booking.pitch').optional({ values: 'null' }).isMongoId(),
+      body('booking.area').optional().isIn(Object.keys(PITCH_AREAS))
     ],
     validate,
     createMatch
   );
 
 router.get('/upcoming', getUpcomingMatches);
-router.get('/stats/:teamId', getMatchStats);
+router.get('/stats/:teamId', requirePermission('match.stats'), getMatchStats);
 
 router.route('/:id')
   .get(getMatch)
   .put(
+    requirePermission('match.update'),
     [
       body('matchDate').optional().isISO8601(),
-      body('status').optional().isIn(['scheduled', 'lineup_set', 'in_progress', 'half_time', 'completed', 'postponed', 'cancelled'])
+      body('status').optional().isIn(['scheduled', 'lineup_set', 'in_progress', 'half_time', 'completed', 'postponed', 'cancelled']),
+      body('booking.facility').optional({ values: 'null' }).isMongoId(),
+      body('booking.pitch').optional({ values: 'null' }).isMongoId(),
+      body('booking.area').optional().isIn(Object.keys(PITCH_AREAS))
     ],
     validate,
     updateMatch
   )
-  .delete(deleteMatch);
+  .delete(requirePermission('match.delete'), deleteMatch);
+
+router.put('/:id/lineup', requirePermission('match.lineup'), updateLineup);
+router.post('/:id/goals', requirePermission('match.events'), addGoal);
+router.post('/:id/cards', requirePermission('match.events'), addCard);
+router.post('/:id/substitutions', requirePermission('match.events'), addSubstitution);
 
-router.put('/:id/lineup', updateLineup);
-router.post('/:id/goals', addGoal);
-router.post('/:id/cards', addCard);
-router.post('/:id/substitutions', addSubstitution);
-router.put('/:id/complete', completeMatch);
+// Corrections - reverse score and player statistics side effects
+router.route('/:id/goals/:goalId')
+  .put(
+    requirePermission('match.events'),
+    [
+      body('player').optional().isMongoId(),
+      body('assist').optional({ values: 'falsy' }).isMongoId(),
+      body('minute').optional().isInt({ min: 0 }),
+      body('type').optional().isIn(['regular', 'penalty', 'free_kick', 'header', 'own_goal'])
+    ],
+    validate,
+    updateGoal
+  )
+  .delete(requirePermission('match.events'), deleteGoal);
+
+router.route('/:id/cards/:cardId')
+  .put(
+    requirePermission('match.events'),
+    [
+      body('player').optional().isMongoId(),
+      body('minute').optional().isInt({ min: 0 }),
+      body('type').optional().isIn(['yellow', 'red', 'second_yellow'])
+    ],
+    validate,
+    updateCard
+  )
+  .delete(requirePermission('match.events'), deleteCard);
+
+router.route('/:id/substitutions/:substitutionId')
+  .put(
+    requirePermission('match.events'),
+    [
+      body('playerIn').optional().isMongoId(),
+      body('playerOut').optional().isMongoId(),
+      body('minute').optional().isInt({ min: 0 }),
+      body('reason').optional().isIn(['tactical', 'injury', 'fatigue', 'performance'])
+    ],
+    validate,
+    updateSubstitution
+  )
+  .delete(requirePermission('match.events'), deleteSubstitution);
+
+router.route('/:id/injuries/:injuryId')
+  .put(
+    requirePermission('match.events'),
+    [
+      body('player').optional().isMongoId(),
+      body('minute').optional().isInt({ min: 0 }),
+      body('severity').optional().isIn(['minor', 'moderate', 'severe']),
+      body('continuedPlaying').optional().isBoolean()
+    ],
+    validate,
+    updateInjury
+  )
+  .delete(requirePermission('match.events'), deleteInjury);
+router.put('/:id/complete', requirePermission('match.complete'), completeMatch);
 
 export default router;
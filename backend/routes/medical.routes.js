@@ -0,0 +1,112 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getMedicalRecord,
+  getMedicalOverview,
+  createInjury,
+  updateInjury,
+  deleteInjury,
+  createClearance,
+  updateClearance,
+  deleteClearance,
+  uploadMedicalDocument,
+  downloadMedicalDocument,
+  deleteMedicalDocument
+} from '../controllers/medical.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { uploadMedicalDocument as uploadDocumentFile, handleUploadError } from '../middleware/upload.js';
+import { INJURY_TYPES, BODY_PARTS } from '../models/Injury.js';
+import { CLEARANCE_TYPES } from '../models/MedicalClearance.js';
+import { DOCUMENT_CATEGORIES } from '../models/MedicalDocument.js';
+
+const router = express.Router();
+
+// All routes require authentication and medical staff permissions
+router.use(protect);
+
+const manage = requirePermission('medical.read', 'medical.manage');
+
+const injuryValidation = (isUpdate) => [
+  isUpdate
+    ? body('injuryDate').optional().isISO8601()
+    : body('injuryDate').isISO8601().withMessage('Valid injury date is required'),
+  body('type').optional().isIn(INJURY_TYPES).withMessage('Invalid injury type'),
+  body('bodyPart').optional().isIn(BODY_PARTS).withMessage('Invalid body part'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('expectedReturnDate').optional({ values: 'null' }).isISO8601(),
+  body('actualReturnDate').optional({ values: 'null' }).isISO8601(),
+  body('treatedBy').optional().trim().isLength({ max: 100 }),
+  body('treatment').optional().trim().isLength({ max: 1000 }),
+  body('match').optional({ values: 'null' }).isMongoId()
+];
+
+const clearanceValidation = (isUpdate) => [
+  isUpdate
+    ? body('issuedAt').optional().isISO8601()
+    : body('issuedAt').isISO8601().withMessage('Valid issue date is required'),
+  isUpdate
+    ? body('expiresAt').optional().isISO8601()
+    : body('expiresAt').isISO8601().withMessage('Valid expiry date is required'),
+  body('type').optional().isIn(CLEARANCE_TYPES).withMessage('Invalid clearance type'),
+  body('issuedBy').optional().trim().isLength({ max: 100 }),
+  body('restrictions').optional().trim().isLength({ max: 500 }),
+  body('document').optional({ values: 'null' }).isMongoId()
+];
+
+router.get('/overview', requirePermission('medical.read'), getMedicalOverview);
+
+router.get(
+  '/players/:playerId',
+  requirePermission('medical.read'),
+  [param('playerId').isMongoId()],
+  validate,
+  getMedicalRecord
+);
+
+router.post(
+  '/players/:playerId/injuries',
+  manage,
+  [param('playerId').isMongoId(), ...injuryValidation(false)],
+  validate,
+  createInjury
+);
+router.route('/injuries/:id')
+  .put(manage, [param('id').isMongoId(), ...injuryValidation(true)], validate, updateInjury)
+  .delete(manage, [param('id').isMongoId()], validate, deleteInjury);
+
+router.post(
+  '/players/:playerId/clearances',
+  manage,
+  [param('playerId').isMongoId(), ...clearanceValidation(false)],
+  validate,
+  createClearance
+);
+router.route('/clearances/:id')
+  .put(manage, [param('id').isMongoId(), ...clearanceValidation(true)], validate, updateClearance)
+  .delete(manage, [param('id').isMongoId()], validate, deleteClearance);
+
+router.post(
+  '/players/:playerId/documents',
+  manage,
+  uploadDocumentFile,
+  handleUploadError,
+  [
+    param('playerId').isMongoId(),
+    body('title').optional().trim().isLength({ max: 120 }),
+    body('category').optional().isIn(DOCUMENT_CATEGORIES).withMessage('Invalid document category'),
+    body('injury').optional({ values: 'falsy' }).isMongoId()
+  ],
+  validate,
+  uploadMedicalDocument
+);
+router.get(
+  '/documents/:id/file',
+  requirePermission('medical.read'),
+  [param('id').isMongoId()],
+  validate,
+  downloadMedicalDocument
+);
+router.delete('/documents/:id', manage, [param('id').isMongoId()], validate, deleteMedicalDocument);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getNotifications, retryNotification } from '../controllers/notification.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require the notification permission
+router.use(protect);
+router.use(requirePermission('notification.manage'));
+
+router.get('/', getNotifications);
+router.post('/:id/retry', retryNotification);
+
+export default router;
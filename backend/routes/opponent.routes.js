@@ -0,0 +1,66 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getOpponents,
+  getOpponent,
+  createOpponent,
+  updateOpponent,
+  uploadOpponentLogo,
+  deleteOpponent,
+  mergeOpponents,
+  syncOpponents
+} from '../controllers/opponent.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { uploadPhoto, handleUploadError } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/sync', requirePermission('opponent.merge'), syncOpponents);
+
+router.route('/')
+  .get(getOpponents)
+  .post(
+    requirePermission('opponent.manage'),
+    [
+      body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Opponent name is required'),
+      body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Color must be a hex value'),
+      body('city').optional().trim(),
+      body('notes').optional().trim()
+    ],
+    validate,
+    createOpponent
+  );
+
+router.route('/:id')
+  .get(getOpponent)
+  .put(
+    requirePermission('opponent.manage'),
+    [
+      body('name').optional().trim().isLength({ min: 1, max: 100 }),
+      body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Color must be a hex value'),
+      body('city').optional().trim(),
+      body('notes').optional().trim()
+    ],
+    validate,
+    updateOpponent
+  )
+  .delete(requirePermission('opponent.delete'), deleteOpponent);
+
+router.put('/:id/logo', requirePermission('opponent.manage'), uploadPhoto, handleUploadError, uploadOpponentLogo);
+
+router.post(
+  '/:id/merge',
+  requirePermission('opponent.merge'),
+  [
+    body('sourceIds').isArray({ min: 1 }).withMessage('Select opponents to merge'),
+    body('sourceIds.*').isMongoId()
+  ],
+  validate,
+  mergeOpponents
+);
+
+export default router;
@@ -1,21 +1,30 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   getPlayers,
   getPlayer,
   createPlayer,
+  importPlayers,
   updatePlayer,
   deletePlayer,
   uploadPlayerPhoto,
   updatePlayerRatings,
+  getPlayerRatingHistory,
+  getPlayerGrowth,
+  createGrowthMeasurement,
+  updateGrowthMeasurement,
+  deleteGrowthMeasurement,
+  transferPlayer,
+  getPlayerTeamHistory,
   updatePlayerStatistics,
   updatePlayerInjury,
   getPlayersByTeam,
   getPlayerStatistics
 } from '../controllers/player.controller.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { uploadPhoto, handleUploadError } from '../middleware/upload.js';
+import { MEMBERSHIP_REASONS } from '../models/TeamMembership.js';
+import { uploadPhoto, uploadImportFile, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -25,6 +34,7 @@ router.use(protect);
 router.route('/')
   .get(getPlayers)
   .post(
+    requirePermission('player.create'),
     [
       body('firstName').trim().isLength({ min: 1, max: 50 }).withMessage('First name is required'),
       body('lastName').trim().isLength({ min: 1, max: 50 }).withMessage('Last name is required'),
@@ -37,12 +47,26 @@ router.route('/')
     createPlayer
   );
 
+router.post(
+  '/import',
+  requirePermission('player.create'),
+  uploadImportFile,
+  handleUploadError,
+  [
+    body('team').optional({ values: 'falsy' }).isMongoId().withMessage('Valid team ID is required'),
+    body('dryRun').optional().isIn(['true', 'false'])
+  ],
+  validate,
+  importPlayers
+);
+
 router.get('/team/:teamId', getPlayersByTeam);
 router.get('/statistics', getPlayerStatistics);
 
 router.route('/:id')
   .get(getPlayer)
   .put(
+    requirePermission('player.update'),
     [
       body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
       body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
@@ -53,11 +77,81 @@ router.route('/:id')
     validate,
     updatePlayer
   )
-  .delete(deletePlayer);
+  .delete(requirePermission('player.delete'), deletePlayer);
+
+router.put('/:id/photo', requirePermission('player.update'), uploadPhoto, handleUploadError, uploadPlayerPhoto);
+router.put(
+  '/:id/ratings',
+  requirePermission('player.ratings.update'),
+  [
+    body('ratings').isObject().withMessage('Ratings are required'),
+    body(['pace', 'shooting', 'passing', 'dribbling', 'defending', 'physical'].map(key => `ratings.${key}`))
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Ratings must be between 1 and 100')
+      .toInt(),
+    body('note').optional().trim().isLength({ max: 300 })
+  ],
+  validate,
+  updatePlayerRatings
+);
+router.get(
+  '/:id/rating-history',
+  [query('since').optional().isISO8601().withMessage('Valid date is required')],
+  validate,
+  getPlayerRatingHistory
+);
+
+// Measurement validators; null clears an optional value on update
+const measurementValidators = (isUpdate) => [
+  isUpdate
+    ? body('measuredAt').optional().isISO8601()
+    : body('measuredAt').isISO8601().withMessage('Valid measurement date is required'),
+  body('height').optional({ values: 'null' }).isFloat({ min: 100, max: 220 }).withMessage('Height must be between 100 and 220 cm').toFloat(),
+  body('weight').optional({ values: 'null' }).isFloat({ min: 20, max: 150 }).withMessage('Weight must be between 20 and 150 kg').toFloat(),
+  body('sittingHeight').optional({ values: 'null' }).isFloat({ min: 50, max: 130 }).withMessage('Sitting height must be between 50 and 130 cm').toFloat(),
+  body('note').optional().trim().isLength({ max: 300 })
+];
+
+router.get('/:id/growth', [param('id').isMongoId()], validate, getPlayerGrowth);
+router.post(
+  '/:id/measurements',
+  requirePermission('player.growth.update'),
+  [param('id').isMongoId(), ...measurementValidators(false)],
+  validate,
+  createGrowthMeasurement
+);
+router.route('/:id/measurements/:measurementId')
+  .put(
+    requirePermission('player.growth.update'),
+    [param('id').isMongoId(), param('measurementId').isMongoId(), ...measurementValidators(true)],
+    validate,
+    updateGrowthMeasurement
+  )
+  .delete(
+    requirePermission('player.growth.update'),
+    [param('id').isMongoId(), param('measurementId').isMongoId()],
+    validate,
+    deleteGrowthMeasurement
+  );
+router.post(
+  '/:id/transfer',
+  requirePermission('player.transfer'),
+  [
+    param('id').isMongoId(),
+    body('team').isMongoId().withMessage('Valid team ID is required'),
+    body('date').optional().isISO8601().withMessage('Valid date is required'),
+    body('reason').isIn(MEMBERSHIP_REASONS.filter(reason => reason !== 'joined'))
+      .withMessage('Reason must be promotion or transfer'),
+    body('note').optional().trim().isLength({ max: 300 })
+  ],
+  validate,
+  transferPlayer
+);
+
+router.get('/:id/team-history', [param('id').isMongoId()], validate, getPlayerTeamHistory);
 
-router.put('/:id/photo', uploadPhoto, handleUploadError, uploadPlayerPhoto);
-router.put('/:id/ratings', updatePlayerRatings);
-router.put('/:id/statistics', updatePlayerStatistics);
-router.put('/:id/injury', updatePlayerInjury);
+router.put('/:id/statistics', requirePermission('player.statistics.update'), updatePlayerStatistics);
+router.put('/:id/injury', requirePermission('player.injury.update'), updatePlayerInjury);
 
 export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  setRoleTwoFactor,
+  deleteRole
+} from '../controllers/role.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { PERMISSIONS, BASE_ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getRoles)
+  .post(
+    requirePermission('role.manage'),
+    [
+      body('key').trim().matches(/^[a-z][a-z0-9_]{1,39}$/).withMessage('Role key may only contain lowercase letters, digits and underscores'),
+      body('name').trim().isLength({ min: 1, max: 60 }).withMessage('Role name is required'),
+      body('description').optional().trim().isLength({ max: 300 }),
+      body('baseRole').isIn(BASE_ROLES).withMessage('Invalid base role'),
+      body('permissions').optional().isArray(),
+      body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+    ],
+    validate,
+    createRole
+  );
+
+router.get('/permissions', requirePermission('role.manage'), getPermissions);
+
+router.route('/:id')
+  .put(
+    requirePermission('role.manage'),
+    [
+      body('name').optional().trim().isLength({ min: 1, max: 60 }),
+      body('description').optional().trim().isLength({ max: 300 }),
+      body('permissions').optional().isArray(),
+      body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+    ],
+    validate,
+    updateRole
+  )
+  .delete(requirePermission('role.manage'), deleteRole);
+
+router.put(
+  '/:id/two-factor',
+  requirePermission('role.manage'),
+  [body('required').isBoolean().withMessage('required must be true or false').toBoolean()],
+  validate,
+  setRoleTwoFactor
+);
+
+export default router;
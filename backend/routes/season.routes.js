@@ -0,0 +1,62 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getSeasons,
+  getSeason,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  rolloverSeason
+} from '../controllers/season.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getSeasons)
+  .post(
+    requirePermission('season.manage'),
+    [
+      body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Season name is required'),
+      body('startDate').isISO8601().withMessage('Valid start date is required'),
+      body('endDate').isISO8601().withMessage('Valid end date is required'),
+      body('isActive').optional().isBoolean()
+    ],
+    validate,
+    createSeason
+  );
+
+router.route('/:id')
+  .get(getSeason)
+  .put(
+    requirePermission('season.manage'),
+    [
+      body('name').optional().trim().isLength({ min: 1, max: 50 }),
+      body('startDate').optional().isISO8601(),
+      body('endDate').optional().isISO8601(),
+      body('isActive').optional().isBoolean()
+    ],
+    validate,
+    updateSeason
+  )
+  .delete(requirePermission('season.manage'), deleteSeason);
+
+router.post(
+  '/:id/rollover',
+  requirePermission('season.manage'),
+  [
+    body('dryRun').optional().isBoolean(),
+    body('promotePlayers').optional().isBoolean(),
+    body('nextSeason.name').if(body('nextSeason').exists()).trim().isLength({ min: 1, max: 50 }),
+    body('nextSeason.startDate').if(body('nextSeason').exists()).isISO8601(),
+    body('nextSeason.endDate').if(body('nextSeason').exists()).isISO8601()
+  ],
+  validate,
+  rolloverSeason
+);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { rebuildStatistics } from '../controllers/statistics.controller.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// All routes require authentication and the recalculation permission
+router.use(protect);
+router.use(requirePermission('statistics.recalculate'));
+
+router.post(
+  '/rebuild',
+  [body('dryRun').optional().isBoolean()],
+  validate,
+  rebuildStatistics
+);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   getTeams,
   getTeam,
@@ -7,25 +7,28 @@ import {
   updateTeam,
   deleteTeam,
   uploadTeamLogo,
-  updateTeamStatistics
+  updateTeamStatistics,
+  getTeamMovements
 } from '../controllers/team.controller.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { uploadPhoto, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication (staff only)
 router.use(protect);
+router.use(requirePermission('team.read'));
 
 router.route('/')
   .get(getTeams)
   .post(
-    authorize('super_admin'),
+    requirePermission('team.create'),
     [
       body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Team name is required'),
       body('ageCategory').trim().notEmpty().withMessage('Age category is required'),
-      body('birthYear').isInt({ min: 2000 }).withMessage('Valid birth year is required')
+      body('birthYear').isInt({ min: 2000 }).withMessage('Valid birth year is required'),
+      body('matchDuration').optional({ values: 'null' }).isInt({ min: 10, max: 120 })
     ],
     validate,
     createTeam
@@ -34,19 +37,31 @@ router.route('/')
 router.route('/:id')
   .get(getTeam)
   .put(
-    authorize('super_admin'),
+    requirePermission('team.update'),
     [
       body('name').optional().trim().isLength({ min: 1, max: 100 }),
       body('ageCategory').optional().trim(),
       body('birthYear').optional().isInt({ min: 2000 }),
+      body('matchDuration').optional({ values: 'null' }).isInt({ min: 10, max: 120 }),
       body('isActive').optional().isBoolean()
     ],
     validate,
     updateTeam
   )
-  .delete(authorize('super_admin'), deleteTeam);
+  .delete(requirePermission('team.delete'), deleteTeam);
 
-router.put('/:id/logo', authorize('super_admin'), uploadPhoto, handleUploadError, uploadTeamLogo);
-router.put('/:id/statistics', updateTeamStatistics);
+router.get(
+  '/:id/movements',
+  [
+    param('id').isMongoId(),
+    query('from').optional().isISO8601().withMessage('Valid date is required'),
+    query('to').optional().isISO8601().withMessage('Valid date is required')
+  ],
+  validate,
+  getTeamMovements
+);
+
+router.put('/:id/logo', requirePermission('team.update'), uploadPhoto, handleUploadError, uploadTeamLogo);
+router.put('/:id/statistics', requirePermission('team.statistics.update'), updateTeamStatistics);
 
 export default router;
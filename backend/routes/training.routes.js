@@ -6,14 +6,18 @@ import {
   createTraining,
   updateTraining,
   deleteTraining,
+  generateTrainings,
+  updateTrainingSeries,
+  cancelTrainingSeries,
   updateAttendance,
   uploadTrainingPhotos,
   uploadTrainingVideo,
   uploadTrainingPlan,
   getTrainingStats
 } from '../controllers/training.controller.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
+import { PITCH_AREAS } from '../models/Facility.js';
 import { uploadPhotos, uploadVideo, uploadDocument, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
@@ -24,34 +28,79 @@ router.use(protect);
 router.route('/')
   .get(getTrainings)
   .post(
+    requirePermission('training.create'),
     [
       body('team').isMongoId().withMessage('Valid team ID is required'),
       body('date').isISO8601().withMessage('Valid date is required'),
       body('startTime').notEmpty().withMessage('Start time is required'),
-      body('endTime').notEmpty().withMessage('End time is required')
+      body('endTime').notEmpty().withMessage('End time is required'),
+      body('booking.facility').optional({ values: 'null' }).isMongoId(),
+      body('booking.pitch').optional({ values: 'null' }).isMongoId(),
+      body('booking.area').optional().isIn(Object.keys(PITCH_AREAS))
     ],
     validate,
     createTraining
   );
 
-router.get('/stats/:teamId', getTrainingStats);
+router.get('/stats/:teamId?', requirePermission('training.stats'), getTrainingStats);
+
+router.post(
+  '/generate',
+  requirePermission('training.create'),
+  [
+    body('team').isMongoId().withMessage('Valid team ID is required'),
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('endDate').isISO8601().withMessage('Valid end date is required'),
+    body('dryRun').optional().isBoolean()
+  ],
+  validate,
+  generateTrainings
+);
+
+router.put(
+  '/series/:seriesId',
+  requirePermission('training.update'),
+  [
+    body('fromDate').optional({ values: 'falsy' }).isISO8601(),
+    body('startTime').optional().matches(/^\d{2}:\d{2}$/),
+    body('endTime').optional().matches(/^\d{2}:\d{2}$/),
+    body('type').optional().isIn(['regular', 'tactical', 'physical', 'recovery', 'match_prep', 'friendly'])
+  ],
+  validate,
+  updateTrainingSeries
+);
+
+router.post(
+  '/series/:seriesId/cancel',
+  requirePermission('training.update'),
+  [
+    body('fromDate').optional({ values: 'falsy' }).isISO8601(),
+    body('reason').optional().trim()
+  ],
+  validate,
+  cancelTrainingSeries
+);
 
 router.route('/:id')
   .get(getTraining)
   .put(
+    requirePermission('training.update'),
     [
       body('date').optional().isISO8601(),
       body('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled']),
-      body('type').optional().isIn(['regular', 'tactical', 'physical', 'recovery', 'match_prep', 'friendly'])
+      body('type').optional().isIn(['regular', 'tactical', 'physical', 'recovery', 'match_prep', 'friendly']),
+      body('booking.facility').optional({ values: 'null' }).isMongoId(),
+      body('booking.pitch').optional({ values: 'null' }).isMongoId(),
+      body('booking.area').optional().isIn(Object.keys(PITCH_AREAS))
     ],
     validate,
     updateTraining
   )
-  .delete(deleteTraining);
+  .delete(requirePermission('training.delete'), deleteTraining);
 
-router.put('/:id/attendance', updateAttendance);
-router.post('/:id/photos', uploadPhotos, handleUploadError, uploadTrainingPhotos);
-router.post('/:id/video', uploadVideo, handleUploadError, uploadTrainingVideo);
-router.post('/:id/plan', uploadDocument, handleUploadError, uploadTrainingPlan);
+router.put('/:id/attendance', requirePermission('training.attendance'), updateAttendance);
+router.post('/:id/photos', requirePermission('training.media'), uploadPhotos, handleUploadError, uploadTrainingPhotos);
+router.post('/:id/video', requirePermission('training.media'), uploadVideo, handleUploadError, uploadTrainingVideo);
+router.post('/:id/plan', requirePermission('training.media'), uploadDocument, handleUploadError, uploadTrainingPlan);
 
 export default router;
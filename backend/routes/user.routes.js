@@ -7,17 +7,20 @@ import {
   updateUser,
   deleteUser,
   resetPassword,
+  resendInvitation,
+  unlockUser,
+  resetTwoFactor,
   uploadUserPhoto
 } from '../controllers/user.controller.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { uploadPhoto, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// All routes require authentication and admin role
+// All routes require authentication and the user management permission
 router.use(protect);
-router.use(authorize('super_admin'));
+router.use(requirePermission('user.manage'));
 
 router.route('/')
   .get(getUsers)
@@ -26,8 +29,11 @@ router.route('/')
       body('firstName').trim().isLength({ min: 1, max: 50 }).withMessage('First name is required'),
       body('lastName').trim().isLength({ min: 1, max: 50 }).withMessage('Last name is required'),
       body('email').isEmail().withMessage('Please provide a valid email'),
-      body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-      body('role').optional().isIn(['super_admin', 'coach'])
+      // Leave the password out to email an invitation instead
+      body('password').optional({ values: 'falsy' }).isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+      body('role').optional().isIn(['super_admin', 'coach', 'parent']),
+      body('customRole').optional({ values: 'falsy' }).isString(),
+      body('children').optional().isArray().withMessage('Children must be an array of player IDs')
     ],
     validate,
     createUser
@@ -40,7 +46,9 @@ router.route('/:id')
       body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
       body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
       body('email').optional().isEmail(),
-      body('role').optional().isIn(['super_admin', 'coach']),
+      body('role').optional().isIn(['super_admin', 'coach', 'parent']),
+      body('customRole').optional({ values: 'falsy' }).isString(),
+      body('children').optional().isArray().withMessage('Children must be an array of player IDs'),
       body('isActive').optional().isBoolean()
     ],
     validate,
@@ -57,6 +65,10 @@ router.put(
   resetPassword
 );
 
+router.post('/:id/invitation', resendInvitation);
+router.post('/:id/unlock', unlockUser);
+router.delete('/:id/two-factor', resetTwoFactor);
+
 router.put('/:id/photo', uploadPhoto, handleUploadError, uploadUserPhoto);
 
 export default router;
@@ -17,6 +17,23 @@ import trainingRoutes from './routes/training.routes.js';
 import matchRoutes from './routes/match.routes.js';
 import dashboardRoutes from './routes/dashboard.routes.js';
 import exportRoutes from './routes/export.routes.js';
+import statisticsRoutes from './routes/statistics.routes.js';
+import seasonRoutes from './routes/season.routes.js';
+import competitionRoutes from './routes/competition.routes.js';
+import opponentRoutes from './routes/opponent.routes.js';
+import holidayRoutes from './routes/holiday.routes.js';
+import facilityRoutes from './routes/facility.routes.js';
+import calendarRoutes from './routes/calendar.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import availabilityRoutes from './routes/availability.routes.js';
+import auditRoutes from './routes/audit.routes.js';
+import roleRoutes from './routes/role.routes.js';
+import medicalRoutes from './routes/medical.routes.js';
+import fitnessRoutes from './routes/fitness.routes.js';
+import { startOutboxWorker } from './utils/notifications.js';
+import { auditContext } from './middleware/audit.js';
+import { ensureSystemRoles } from './utils/policy.js';
+import { ensureDefaultFitnessTests } from './utils/fitness.js';
 
 // Load environment variables
 dotenv.config();
@@ -63,6 +80,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Record who changed what on every mutating request
+app.use(auditContext);
+
 // Static files for uploads
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
@@ -75,6 +95,19 @@ app.use('/api/trainings', trainingRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/export', exportRoutes);
+app.use('/api/statistics', statisticsRoutes);
+app.use('/api/seasons', seasonRoutes);
+app.use('/api/competitions', competitionRoutes);
+app.use('/api/opponents', opponentRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/facilities', facilityRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/medical', medicalRoutes);
+app.use('/api/fitness', fitnessRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -106,6 +139,15 @@ const HOST = '0.0.0.0'; // Tarmoqda ham ishlashi uchun
 app.listen(PORT, HOST, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on http://${HOST}:${PORT}`);
   console.log(`Local network: http://192.168.x.x:${PORT}`);
+
+  // Deliver queued notifications
+  startOutboxWorker().catch(error => console.error('Outbox worker error:', error));
+
+  // Create the built-in roles and grant newly added permissions
+  ensureSystemRoles().catch(error => console.error('System roles error:', error));
+
+  // Create the standard fitness tests on a fresh install
+  ensureDefaultFitnessTests().catch(error => console.error('Fitness tests error:', error));
 });
 
 export default app;
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+import { emitDomainEvent } from './notifications.js';
+
+const LIFETIME_HOURS = {
+  password_reset: 1,
+  invitation: 7 * 24
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getAccountUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/set-password/${token}`;
+
+// Create a single-use link for a user and email it. Earlier unused links of
+// the same type stop working.
+export const sendAccountLink = async (user, type, createdBy = null) => {
+  await AccountToken.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = LIFETIME_HOURS[type];
+
+  await AccountToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    createdBy: createdBy?._id || null
+  });
+
+  emitDomainEvent(`account.${type}`, {
+    user,
+    url: getAccountUrl(token),
+    hours,
+    invitedBy: createdBy ? `${createdBy.firstName} ${createdBy.lastName}` : null
+  });
+};
+
+// Find the unused, unexpired link for a token, with its user
+export const findAccountToken = async (token) => {
+  const accountToken = await AccountToken.findOne({
+    tokenHash: hashToken(String(token)),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).populate('user');
+
+  return accountToken?.user ? accountToken : null;
+};
+
+// Mark a link as used; returns null when it was used concurrently.
+// The user's other open links are dropped as well.
+export const consumeAccountToken = async (accountToken) => {
+  const claimed = await AccountToken.findOneAndUpdate(
+    { _id: accountToken._id, usedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  await AccountToken.deleteMany({ user: claimed.user, usedAt: null });
+  return claimed;
+};
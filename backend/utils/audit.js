@@ -0,0 +1,264 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Request context (actor, IP, route) for the writes made while handling a
+// mutating request. Writes outside a request (seeder, outbox worker) are not audited.
+const auditStorage = new AsyncLocalStorage();
+
+const REDACTED = '[redacted]';
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const QUERY_HOOKS = [
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+export const runWithAuditContext = (context, fn) => auditStorage.run(context, fn);
+
+export const getAuditContext = () => auditStorage.getStore();
+
+// Attach the authenticated user to the current request's audit context
+export const setAuditActor = (user) => {
+  const context = auditStorage.getStore();
+  if (context && user) {
+    context.actor = user._id;
+    context.actorName = `${user.firstName} ${user.lastName}`;
+    context.actorRole = user.role;
+  }
+};
+
+// Helper function to turn stored values into comparable, JSON-friendly ones
+const normalizeValue = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeValue(v)]));
+  }
+  return value;
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !Buffer.isBuffer(value);
+
+// Helper function to flatten a document into dotted leaf paths. Arrays of
+// subdocuments are keyed by _id so a single changed item shows up as a single
+// field instead of the whole array.
+const flatten = (value, prefix = '', out = {}) => {
+  if (Array.isArray(value)) {
+    const keyed = value.length > 0 && value.every(item => isPlainObject(item) && item._id);
+    if (!keyed) {
+      out[prefix] = normalizeValue(value);
+      return out;
+    }
+    value.forEach(item => flatten(item, `${prefix}.${item._id}`, out));
+    return out;
+  }
+
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, v]) => {
+      if (key === '_id' && prefix) return;
+      flatten(v, prefix ? `${prefix}.${key}` : key, out);
+    });
+    return out;
+  }
+
+  out[prefix] = normalizeValue(value);
+  return out;
+};
+
+const matchesField = (path, fields) =>
+  fields.some(field => path === field || path.startsWith(`${field}.`));
+
+// Helper function to build the field-level diff between two document snapshots
+const diffDocuments = (before, after, { ignore, redact }) => {
+  const flatBefore = before ? flatten(before) : {};
+  const flatAfter = after ? flatten(after) : {};
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  paths.forEach(path => {
+    if (matchesField(path, ignore)) return;
+
+    const oldValue = flatBefore[path];
+    const newValue = flatAfter[path];
+    if (JSON.stringify(oldValue ?? null) === JSON.stringify(newValue ?? null)) return;
+
+    if (matchesField(path, redact)) {
+      changes.push({ path, before: oldValue === undefined ? undefined : REDACTED, after: newValue === undefined ? undefined : REDACTED });
+    } else {
+      changes.push({ path, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+// Helper function to pick a human readable name for the audited document
+const getEntityLabel = (doc) => {
+  if (!doc) return undefined;
+  if (doc.firstName || doc.lastName) return [doc.firstName, doc.lastName].filter(Boolean).join(' ');
+  if (doc.name) return doc.name;
+  if (doc.opponent?.name) return `vs ${doc.opponent.name}`;
+  return undefined;
+};
+
+const toSnapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+// Helper function to store audit entries without failing the request
+const writeEntries = async (context, entries) => {
+  const docs = entries
+    .filter(entry => entry.action !== 'update' || entry.changes.length > 0)
+    .map(entry => ({
+      ...entry,
+      actor: context.actor || null,
+      actorName: context.actorName,
+      actorRole: context.actorRole,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      method: context.method,
+      route: context.route
+    }));
+
+  if (docs.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(docs);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Helper function to compare documents loaded before and after a write
+const collectEntries = (entity, beforeDocs, afterDocs, options) => {
+  const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), doc]));
+
+  return beforeDocs.map(before => {
+    const after = afterById.get(before._id.toString());
+    return {
+      action: after ? 'update' : 'delete',
+      entity,
+      entityId: before._id,
+      entityLabel: getEntityLabel(after || before),
+      changes: diffDocuments(before, after, options)
+    };
+  });
+};
+
+// Mongoose plugin recording field-level diffs of every write to the model.
+// Options:
+// - ignore: fields that are not recorded (e.g. lastLogin)
+// - redact: fields recorded as changed without their values (e.g. password)
+export const auditTrail = (schema, { ignore = [], redact = [] } = {}) => {
+  const options = { ignore: [...ALWAYS_IGNORED, ...ignore], redact };
+
+  // Remember the loaded state so saves can be diffed against it
+  schema.post('init', function() {
+    if (getAuditContext()) {
+      this.$locals.auditOriginal = toSnapshot(this);
+    }
+  });
+
+  schema.pre('save', function() {
+    const context = getAuditContext();
+    if (!context) return;
+
+    if (this.isNew) {
+      this.$locals.auditPending = { context, action: 'create', before: null };
+    } else if (this.$locals.auditOriginal) {
+      this.$locals.auditPending = { context, action: 'update', before: this.$locals.auditOriginal };
+    }
+  });
+
+  schema.post('save', async function() {
+    const pending = this.$locals.auditPending;
+    if (!pending) return;
+
+    const after = toSnapshot(this);
+    this.$locals.auditPending = null;
+    this.$locals.auditOriginal = after;
+
+    await writeEntries(pending.context, [{
+      action: pending.action,
+      entity: this.constructor.modelName,
+      entityId: this._id,
+      entityLabel: getEntityLabel(after),
+      changes: diffDocuments(pending.before, after, options)
+    }]);
+  });
+
+  schema.post('insertMany', async function(docs) {
+    const context = getAuditContext();
+    if (!context || !Array.isArray(docs)) return;
+
+    await writeEntries(context, docs.map(doc => {
+      const after = toSnapshot(doc);
+      return {
+        action: 'create',
+        entity: this.modelName,
+        entityId: doc._id,
+        entityLabel: getEntityLabel(after),
+        changes: diffDocuments(null, after, options)
+      };
+    }));
+  });
+
+  // Query writes (findByIdAndUpdate, updateMany, ...) load the affected
+  // documents before and after the write. doc.deleteOne() runs as a
+  // deleteOne query too, so deletes are covered here.
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, async function() {
+    const context = getAuditContext();
+    if (!context) return;
+
+    const single = !['updateMany', 'deleteMany'].includes(this.op);
+    const query = this.model.find(this.getFilter()).lean();
+    this._auditPending = { context, before: await (single ? query.limit(1) : query) };
+  });
+
+  schema.post(QUERY_HOOKS, { document: false, query: true }, async function() {
+    const pending = this._auditPending;
+    if (!pending || pending.before.length === 0) return;
+    this._auditPending = null;
+
+    const after = await this.model.find({ _id: { $in: pending.before.map(doc => doc._id) } }).lean();
+    await writeEntries(pending.context, collectEntries(this.model.modelName, pending.before, after, options));
+  });
+
+  // bulkWrite does not pass the operations to its post hook, so the loaded
+  // documents are queued on the request context
+  schema.pre('bulkWrite', async function(next, ops) {
+    const context = getAuditContext();
+    if (!context) return;
+
+    const filters = ops
+      .map(op => (op.updateOne || op.updateMany || op.replaceOne || op.deleteOne || op.deleteMany)?.filter)
+      .filter(Boolean);
+    const before = filters.length > 0 ? await this.find({ $or: filters }).lean() : [];
+
+    context.bulkWrites = context.bulkWrites || [];
+    context.bulkWrites.push({ model: this.modelName, before });
+  });
+
+  schema.post('bulkWrite', async function() {
+    const context = getAuditContext();
+    const index = context?.bulkWrites?.findIndex(entry => entry.model === this.modelName) ?? -1;
+    if (index === -1) return;
+
+    const [{ before }] = context.bulkWrites.splice(index, 1);
+    if (before.length === 0) return;
+
+    const after = await this.find({ _id: { $in: before.map(doc => doc._id) } }).lean();
+    await writeEntries(context, collectEntries(this.modelName, before, after, options));
+  });
+};
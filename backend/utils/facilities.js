@@ -0,0 +1,132 @@
+import Training from '../models/Training.js';
+import Match from '../models/Match.js';
+import Team from '../models/Team.js';
+import Facility, { PITCH_AREAS } from '../models/Facility.js';
+import { getMatchLength } from './statistics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Half-time break and changeover added to the playing time of a match
+const MATCH_BUFFER_MINUTES = 30;
+
+// Convert "HH:MM" to minutes since midnight and back
+export const toMinutes = (time = '00:00') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+export const fromMinutes = (total) => {
+  const capped = Math.min(total, 24 * 60 - 1);
+  return `${String(Math.floor(capped / 60)).padStart(2, '0')}:${String(capped % 60).padStart(2, '0')}`;
+};
+
+// Get the end of a match booking from the kickoff time and the team's match length
+export const getMatchEndTime = (team, kickoffTime) =>
+  fromMinutes(toMinutes(kickoffTime) + getMatchLength(team) + MATCH_BUFFER_MINUTES);
+
+// Get all trainings and matches booked on a facility between two dates (inclusive),
+// as bookings with a start and end time
+export const getBookings = async ({ facility, pitch, from, to }) => {
+  const start = new Date(new Date(from).toISOString().split('T')[0]);
+  const end = new Date(new Date(to || from).toISOString().split('T')[0]);
+  const range = { $gte: start, $lt: new Date(end.getTime() + DAY_MS) };
+
+  const filter = { 'booking.facility': facility };
+  if (pitch) filter['booking.pitch'] = pitch;
+
+  const [trainings, matches] = await Promise.all([
+    Training.find({ ...filter, date: range, status: { $ne: 'cancelled' } })
+      .select('team date startTime endTime type booking')
+      .populate('team', 'name ageCategory'),
+    Match.find({ ...filter, matchDate: range, status: { $nin: ['cancelled', 'postponed'] } })
+      .select('team matchDate kickoffTime opponent booking')
+      .populate('team', 'name ageCategory matchDuration')
+  ]);
+
+  return [
+    ...trainings.map(training => ({
+      type: 'training',
+      _id: training._id,
+      team: training.team,
+      date: training.date,
+      startTime: training.startTime,
+      endTime: training.endTime,
+      booking: training.booking
+    })),
+    ...matches.map(match => ({
+      type: 'match',
+      _id: match._id,
+      team: match.team,
+      opponent: match.opponent?.name,
+      date: match.matchDate,
+      startTime: match.kickoffTime,
+      endTime: getMatchEndTime(match.team, match.kickoffTime),
+      booking: match.booking
+    }))
+  ].sort((a, b) => a.date - b.date || toMinutes(a.startTime) - toMinutes(b.startTime));
+};
+
+// Check a pitch booking: the pitch must exist and allow the requested area,
+// and no other training or match may use an overlapping area at the same time.
+// Returns null when the booking is fine, otherwise { status, message, conflict }.
+export const checkBooking = async ({ booking, date, startTime, endTime, exclude }) => {
+  if (!booking?.facility || !booking?.pitch) return null;
+
+  const area = booking.area || 'full';
+  const facility = await Facility.findById(booking.facility);
+  const pitch = facility?.pitches.id(booking.pitch);
+
+  if (!pitch || !pitch.isActive) {
+    return { status: 400, message: 'Pitch not found' };
+  }
+
+  if (!PITCH_AREAS[area] || (area !== 'full' && !pitch.canSplit)) {
+    return { status: 400, message: `${pitch.name} can only be booked as a full pitch` };
+  }
+
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  const quarters = PITCH_AREAS[area];
+
+  const bookings = await getBookings({ facility: facility._id, pitch: pitch._id, from: date });
+  const conflict = bookings.find(other =>
+    other._id.toString() !== exclude?.toString() &&
+    PITCH_AREAS[other.booking?.area || 'full'].some(q => quarters.includes(q)) &&
+    toMinutes(other.startTime) < end &&
+    start < toMinutes(other.endTime)
+  );
+
+  if (!conflict) return null;
+
+  const what = conflict.type === 'match'
+    ? `${conflict.team?.name} match against ${conflict.opponent}`
+    : `${conflict.team?.name} training`;
+
+  return {
+    status: 409,
+    message: `${facility.name} - ${pitch.name} is already booked from ${conflict.startTime} to ${conflict.endTime} for the ${what}`,
+    conflict: {
+      type: conflict.type,
+      _id: conflict._id,
+      team: conflict.team?.name,
+      startTime: conflict.startTime,
+      endTime: conflict.endTime,
+      area: conflict.booking?.area || 'full'
+    }
+  };
+};
+
+// Check a match booking, working out how long the team's match occupies the pitch
+export const checkMatchBooking = async ({ booking, team, matchDate, kickoffTime, exclude }) => {
+  if (!booking?.facility || !booking?.pitch) return null;
+
+  const matchTeam = await Team.findById(team).select('ageCategory matchDuration');
+
+  return checkBooking({
+    booking,
+    date: matchDate,
+    startTime: kickoffTime,
+    endTime: getMatchEndTime(matchTeam, kickoffTime),
+    exclude
+  });
+};
@@ -0,0 +1,138 @@
+import Player from '../models/Player.js';
+import FitnessTest from '../models/FitnessTest.js';
+import FitnessSession from '../models/FitnessSession.js';
+
+// Tests created on a fresh install; admins can edit them and add their own
+export const DEFAULT_FITNESS_TESTS = [
+  { name: '10m sprint', category: 'speed', unit: 's', higherIsBetter: false },
+  { name: '30m sprint', category: 'speed', unit: 's', higherIsBetter: false },
+  { name: 'Yo-Yo intermittent recovery', category: 'endurance', unit: 'm', higherIsBetter: true },
+  { name: 'Beep test', category: 'endurance', unit: 'level', higherIsBetter: true },
+  { name: 'Vertical jump', category: 'power', unit: 'cm', higherIsBetter: true },
+  { name: 'Agility T-test', category: 'agility', unit: 's', higherIsBetter: false }
+];
+
+// Create the default tests when none exist yet
+export const ensureDefaultFitnessTests = async () => {
+  if (await FitnessTest.exists({})) return;
+  await FitnessTest.insertMany(DEFAULT_FITNESS_TESTS);
+};
+
+// Percentile (0-100) of a result among peer results: the share of peers with
+// a worse result, counting ties as half. Null without peers.
+export const percentileOf = (value, values, higherIsBetter = true) => {
+  if (!values?.length) return null;
+
+  let worse = 0;
+  let equal = 0;
+  values.forEach(other => {
+    if (other === value) equal += 1;
+    else if (higherIsBetter ? other < value : other > value) worse += 1;
+  });
+
+  return Math.round(((worse + equal / 2) / values.length) * 100);
+};
+
+// Best of a list of results
+export const bestOf = (values, higherIsBetter = true) =>
+  values.length > 0 ? (higherIsBetter ? Math.max(...values) : Math.min(...values)) : null;
+
+const peerKey = (birthYear, testId) => `${birthYear}|${testId}`;
+
+// Latest result of every active academy player of the given birth years in
+// the given tests. Returns a Map of "birthYear|testId" to the list of values.
+export const getPeerResults = async (birthYears, testIds) => {
+  const peers = await Player.find({ birthYear: { $in: birthYears }, isActive: true }).select('birthYear');
+  const birthYearByPlayer = new Map(peers.map(peer => [peer._id.toString(), peer.birthYear]));
+
+  const latest = await FitnessSession.aggregate([
+    { $match: { 'results.test': { $in: testIds } } },
+    { $unwind: '$results' },
+    {
+      $match: {
+        'results.player': { $in: peers.map(peer => peer._id) },
+        'results.test': { $in: testIds }
+      }
+    },
+    { $sort: { date: -1, _id: -1 } },
+    {
+      $group: {
+        _id: { player: '$results.player', test: '$results.test' },
+        value: { $first: '$results.value' }
+      }
+    }
+  ]);
+
+  const results = new Map();
+  latest.forEach(({ _id, value }) => {
+    const key = peerKey(birthYearByPlayer.get(_id.player.toString()), _id.test);
+    if (!results.has(key)) results.set(key, []);
+    results.get(key).push(value);
+  });
+  return results;
+};
+
+// Helper function to get the peer values of a birth year in a test
+export const getPeerValues = (peerResults, birthYear, testId) =>
+  peerResults.get(peerKey(birthYear, testId)) || [];
+
+// A session's results with each result's percentile among the player's
+// birth-year peers
+export const addResultPercentiles = async (session) => {
+  const results = session.results.filter(result => result.player && result.test);
+  const birthYears = [...new Set(results.map(result => result.player.birthYear).filter(Boolean))];
+  const testIds = [...new Map(results.map(result => [result.test._id.toString(), result.test._id])).values()];
+  const peerResults = await getPeerResults(birthYears, testIds);
+
+  return results.map(result => {
+    const peers = getPeerValues(peerResults, result.player.birthYear, result.test._id);
+    return {
+      ...result.toObject(),
+      percentile: percentileOf(result.value, peers, result.test.higherIsBetter),
+      peerCount: peers.length
+    };
+  });
+};
+
+// A player's fitness results by test: the history of each test (oldest
+// first), the latest and best result, and the percentile of the latest
+// result against the latest results of the player's birth-year peers
+export const getPlayerFitness = async (player) => {
+  const sessions = await FitnessSession.find({ 'results.player': player._id })
+    .populate('team', 'name')
+    .sort({ date: 1 });
+
+  const history = new Map();
+  sessions.forEach(session => {
+    session.results
+      .filter(result => result.player.toString() === player._id.toString())
+      .forEach(result => {
+        const testId = result.test.toString();
+        if (!history.has(testId)) history.set(testId, []);
+        history.get(testId).push({
+          session: session._id,
+          date: session.date,
+          team: session.team,
+          value: result.value,
+          notes: result.notes
+        });
+      });
+  });
+
+  const tests = await FitnessTest.find({ _id: { $in: [...history.keys()] } }).sort({ category: 1, name: 1 });
+  const peerResults = await getPeerResults([player.birthYear], tests.map(test => test._id));
+
+  return tests.map(test => {
+    const results = history.get(test._id.toString());
+    const latest = results[results.length - 1];
+    const peers = getPeerValues(peerResults, player.birthYear, test._id);
+    return {
+      test,
+      results,
+      latest,
+      best: bestOf(results.map(result => result.value), test.higherIsBetter),
+      percentile: percentileOf(latest.value, peers, test.higherIsBetter),
+      peerCount: peers.length
+    };
+  });
+};
@@ -0,0 +1,165 @@
+import Player from '../models/Player.js';
+import GrowthMeasurement from '../models/GrowthMeasurement.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Shorter intervals turn measuring errors of a few millimetres into large
+// velocities, so they are not used for growth velocity
+const MIN_VELOCITY_INTERVAL_DAYS = 90;
+
+// Growth velocity (cm/year) from which a player is flagged
+export const getGrowthAlertThreshold = () => parseFloat(process.env.GROWTH_ALERT_CM_PER_YEAR) || 7;
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Age in years (with decimals) on a date
+const ageAt = (birthDate, date) => (new Date(date) - new Date(birthDate)) / YEAR_MS;
+
+// Helper function to find the height measurement to compare a measurement
+// with: at least MIN_VELOCITY_INTERVAL_DAYS earlier, as close to a year
+// earlier as possible. `measurements` are sorted oldest first.
+const findReference = (measurements, measurement) => {
+  const latestAllowed = measurement.measuredAt.getTime() - MIN_VELOCITY_INTERVAL_DAYS * DAY_MS;
+  const yearBefore = measurement.measuredAt.getTime() - YEAR_MS;
+
+  return measurements
+    .filter(other => hasValue(other.height) && other.measuredAt.getTime() <= latestAllowed)
+    .reduce((best, other) => (
+      !best || Math.abs(other.measuredAt.getTime() - yearBefore) < Math.abs(best.measuredAt.getTime() - yearBefore)
+        ? other
+        : best
+    ), null);
+};
+
+// Helper function to get the velocity between two height measurements
+const velocityBetween = (from, to) => ({
+  value: round((to.height - from.height) / ((to.measuredAt - from.measuredAt) / YEAR_MS)),
+  from: from.measuredAt,
+  to: to.measuredAt,
+  heightChange: round(to.height - from.height)
+});
+
+// Growth velocity of every height measurement compared with its reference
+// measurement, oldest first
+export const getVelocityCurve = (measurements) => {
+  const withHeight = measurements.filter(m => hasValue(m.height));
+  return withHeight
+    .map(measurement => {
+      const reference = findReference(withHeight, measurement);
+      return reference ? velocityBetween(reference, measurement) : null;
+    })
+    .filter(Boolean);
+};
+
+// Maturity offset (years from peak height velocity) after Mirwald et al.
+// (2002), boys' equation. Needs height, sitting height and weight measured
+// on the same day.
+export const getMaturityOffset = (birthDate, { measuredAt, height, weight, sittingHeight }) => {
+  const age = ageAt(birthDate, measuredAt);
+  const legLength = height - sittingHeight;
+
+  return -9.236
+    + 0.0002708 * legLength * sittingHeight
+    - 0.001663 * age * legLength
+    + 0.007216 * age * sittingHeight
+    + 0.02292 * (weight / height) * 100;
+};
+
+// Estimated age at peak height velocity (PHV): from the maturity offset of
+// the latest complete measurement, otherwise from the highest velocity in
+// the measurements once growth has slowed down after it
+export const estimatePeakHeightVelocity = (birthDate, measurements, curve) => {
+  if (!birthDate) return null;
+
+  const complete = [...measurements].reverse().find(m => m.height && m.weight && m.sittingHeight);
+  if (complete) {
+    const maturityOffset = getMaturityOffset(birthDate, complete);
+    return {
+      method: 'maturity_offset',
+      maturityOffset: round(maturityOffset),
+      ageAtPhv: round(ageAt(birthDate, complete.measuredAt) - maturityOffset),
+      measuredAt: complete.measuredAt
+    };
+  }
+
+  if (curve.length < 2) return null;
+  const peakIndex = curve.reduce((best, point, index) => (point.value > curve[best].value ? index : best), 0);
+  if (peakIndex === curve.length - 1) return null;
+
+  const peak = curve[peakIndex];
+  const midpoint = new Date((peak.from.getTime() + peak.to.getTime()) / 2);
+  return {
+    method: 'observed_peak',
+    ageAtPhv: round(ageAt(birthDate, midpoint)),
+    velocity: peak.value
+  };
+};
+
+// A player's growth: latest height and weight, current growth velocity,
+// PHV estimate and whether the velocity crosses the alert threshold.
+// `measurements` are the player's measurements sorted oldest first.
+export const getGrowthSummary = (player, measurements) => {
+  const curve = getVelocityCurve(measurements);
+  const latestHeight = [...measurements].reverse().find(m => hasValue(m.height));
+  const latestWeight = [...measurements].reverse().find(m => hasValue(m.weight));
+
+  // The current velocity is the one of the latest height measurement
+  const velocity = latestHeight && curve.length > 0 && curve[curve.length - 1].to.getTime() === latestHeight.measuredAt.getTime()
+    ? curve[curve.length - 1]
+    : null;
+  const threshold = getGrowthAlertThreshold();
+
+  return {
+    height: latestHeight ? { value: latestHeight.height, measuredAt: latestHeight.measuredAt } : null,
+    weight: latestWeight ? { value: latestWeight.weight, measuredAt: latestWeight.measuredAt } : null,
+    velocity,
+    threshold,
+    alert: !!velocity && velocity.value >= threshold,
+    phv: estimatePeakHeightVelocity(player.birthDate, measurements, curve),
+    curve
+  };
+};
+
+// Growth summaries of several players, by player id
+export const getGrowthSummaries = async (players) => {
+  const measurements = await GrowthMeasurement.find({ player: { $in: players.map(player => player._id) } })
+    .sort({ measuredAt: 1 });
+
+  return new Map(players.map(player => [
+    player._id.toString(),
+    getGrowthSummary(player, measurements.filter(m => m.player.toString() === player._id.toString()))
+  ]));
+};
+
+// Keep the player's height and weight in line with their latest measurements
+export const syncPlayerMeasurements = async (playerId) => {
+  const player = await Player.findById(playerId);
+  if (!player) return;
+
+  const [latestHeight, latestWeight] = await Promise.all([
+    GrowthMeasurement.findOne({ player: playerId, height: { $ne: null } }).sort({ measuredAt: -1 }),
+    GrowthMeasurement.findOne({ player: playerId, weight: { $ne: null } }).sort({ measuredAt: -1 })
+  ]);
+
+  if (latestHeight) player.height = latestHeight.height;
+  if (latestWeight) player.weight = latestWeight.weight;
+  if (player.isModified()) await player.save();
+};
+
+// Record a measurement when height or weight is set on the player profile
+export const recordProfileMeasurement = async (previous, player, user) => {
+  const heightChanged = hasValue(player.height) && player.height !== previous?.height;
+  const weightChanged = hasValue(player.weight) && player.weight !== previous?.weight;
+  if (!heightChanged && !weightChanged) return null;
+
+  return GrowthMeasurement.create({
+    player: player._id,
+    measuredAt: new Date(),
+    height: player.height ?? undefined,
+    weight: player.weight ?? undefined,
+    measuredBy: user._id
+  });
+};
@@ -0,0 +1,95 @@
+// Minimal iCalendar (RFC 5545) writer for the calendar subscription feeds
+
+const PRODUCT_ID = '-//Youth Football Academy//CRM//EN';
+const MAX_LINE_OCTETS = 75;
+
+// Escape commas, semicolons, backslashes and newlines in text values
+export const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// Format a UTC timestamp as 20260119T153000Z
+export const formatTimestamp = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Helper function to get how far a time zone is ahead of UTC (ms) at an instant
+const getZoneOffset = (timestamp, timezone) => {
+  // e.g. "01/19/2026, 16:00:00"
+  const local = new Date(timestamp).toLocaleString('en-US', { timeZone: timezone, hourCycle: 'h23' });
+  const [month, day, year, hours, minutes, seconds] = local.match(/\d+/g).map(Number);
+
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  return wallClock - timestamp;
+};
+
+// Format a calendar day plus "HH:MM" on the clock of a time zone (e.g.
+// "Asia/Tashkent") as a UTC timestamp, 20260119T110000Z, so every client
+// shows the same moment whatever its own zone
+export const formatZonedDateTime = (date, time = '00:00', timezone = 'UTC') => {
+  const [year, month, day] = new Date(date).toISOString().split('T')[0].split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+  // The offset can differ on either side of a daylight saving change
+  let timestamp = wallClock - getZoneOffset(wallClock, timezone);
+  timestamp = wallClock - getZoneOffset(timestamp, timezone);
+
+  return formatTimestamp(timestamp);
+};
+
+// Build a VCALENDAR document from events of the form
+// { uid, sequence, start, end, summary, location, description, status, updatedAt }
+// with start and end as UTC timestamps (formatZonedDateTime)
+export const buildCalendar = ({ name, timezone, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+  ];
+  if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `DTSTAMP:${formatTimestamp(event.updatedAt || Date.now())}`,
+      `LAST-MODIFIED:${formatTimestamp(event.updatedAt || Date.now())}`,
+      `DTSTART:${event.start}`,
+      `DTEND:${event.end}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `STATUS:${event.status || 'CONFIRMED'}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
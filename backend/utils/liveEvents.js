@@ -0,0 +1,32 @@
+import { EventEmitter } from 'events';
+
+// In-process broadcaster for live match updates.
+// Controllers publish here, the SSE stream (GET /api/matches/live) subscribes.
+const matchEmitter = new EventEmitter();
+matchEmitter.setMaxListeners(0);
+
+// Publish a match update to all live subscribers
+// type: 'event' (goal/card/substitution), 'score' (also sent when an event is
+// corrected or removed) or 'status'
+export const publishMatchUpdate = (match, type, event = null) => {
+  matchEmitter.emit('update', {
+    type,
+    matchId: match._id.toString(),
+    teamId: (match.team?._id || match.team).toString(),
+    opponent: match.opponent?.name,
+    isHome: match.isHome,
+    status: match.status,
+    score: {
+      home: match.score?.home || 0,
+      away: match.score?.away || 0
+    },
+    event,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Subscribe to match updates, returns an unsubscribe function
+export const subscribeMatchUpdates = (listener) => {
+  matchEmitter.on('update', listener);
+  return () => matchEmitter.off('update', listener);
+};
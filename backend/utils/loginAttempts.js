@@ -0,0 +1,62 @@
+import User from '../models/User.js';
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const getBaseLockMinutes = () => parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 1;
+
+// Helper function to get the lock length after a number of consecutive
+// failures: none below the limit, then doubling from the base length with
+// every further failure (1, 2, 4, 8... minutes), capped at one day
+const getLockMinutes = (failures) => {
+  const maxAttempts = getMaxAttempts();
+  if (failures < maxAttempts) return 0;
+  return Math.min(getBaseLockMinutes() * 2 ** (failures - maxAttempts), MAX_LOCK_MINUTES);
+};
+
+// Check whether an account is locked; returns the time it unlocks or null
+export const getLockedUntil = (user) =>
+  user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null;
+
+// Count a wrong password or second-factor code and lock the account when the
+// limit is reached. Returns the time the account unlocks, or null.
+export const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+
+  // Counted in the database so parallel attempts are not lost
+  const updated = await User.findByIdAndUpdate(user._id, [{
+    $set: {
+      failedLoginAttempts: {
+        $cond: [
+          { $gt: ['$lastFailedLoginAt', windowStart] },
+          { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+          1
+        ]
+      },
+      lastFailedLoginAt: now
+    }
+  }], { new: true });
+
+  const lockMinutes = getLockMinutes(updated.failedLoginAttempts);
+  if (lockMinutes === 0) return null;
+
+  const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+  await User.updateOne({ _id: user._id }, { lockedUntil });
+  return lockedUntil;
+};
+
+// Forget failed attempts after a successful login; the caller saves the user
+export const resetFailedLogins = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+};
+
+// Message for a locked account, e.g. "... try again in 4 minutes"
+export const getLockedMessage = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 60000));
+  return `Too many failed sign-in attempts. Your account is locked, try again in ${minutes} minute(s).`;
+};
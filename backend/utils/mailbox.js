@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Local mail sink: print the latest emails written by the `file` transport
+// (EMAIL_TRANSPORT=file), e.g. to follow password reset and invitation links.
+// Usage: npm run mailbox [-- <recipient email>] [-- --limit 20]
+const args = process.argv.slice(2);
+const limitIndex = args.indexOf('--limit');
+const limit = limitIndex === -1 ? 10 : parseInt(args[limitIndex + 1], 10) || 10;
+const recipient = args.find((arg, i) => !arg.startsWith('--') && i !== limitIndex + 1);
+
+const dir = process.env.NOTIFICATION_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+const showMailbox = async () => {
+  let content;
+  try {
+    content = await fs.readFile(path.join(dir, 'email.log'), 'utf8');
+  } catch {
+    console.log(`No emails yet in ${dir}. Set EMAIL_TRANSPORT=file to use the local mail sink.`);
+    return;
+  }
+
+  const messages = content
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(message => !recipient || message.to === recipient.toLowerCase())
+    .slice(-limit);
+
+  if (messages.length === 0) {
+    console.log('No matching emails.');
+    return;
+  }
+
+  messages.forEach(message => {
+    console.log(`--- ${message.sentAt} | to ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(`${message.body}\n`);
+  });
+};
+
+showMailbox();
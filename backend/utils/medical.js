@@ -0,0 +1,45 @@
+import Player from '../models/Player.js';
+import Injury from '../models/Injury.js';
+
+// Clearances expiring within this many days are flagged
+export const CLEARANCE_WARNING_DAYS = 30;
+
+// Helper function to describe an injury in one line for team views,
+// e.g. "Hamstring muscle injury". Staff notes stay in the medical record;
+// the description is only used for injuries without a type or body part
+// (quick entries from the player page).
+const describeInjury = (injury) => {
+  if (injury.type === 'other' && injury.bodyPart === 'other') return injury.description || 'Injury';
+  const bodyPart = injury.bodyPart === 'other' ? '' : injury.bodyPart.replace(/_/g, ' ');
+  const label = `${bodyPart} ${injury.type === 'other' ? '' : injury.type} injury`.replace(/\s+/g, ' ').trim();
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+// Keep the player's injury flag (used by lineups, availability and the
+// dashboards) in line with the open injuries of their history
+export const syncInjuryStatus = async (playerId) => {
+  const open = await Injury.find({ player: playerId, actualReturnDate: null }).sort({ injuryDate: -1 });
+
+  const expectedReturns = open.map(injury => injury.expectedReturnDate).filter(Boolean);
+  const injuryEndDate = expectedReturns.length > 0
+    ? new Date(Math.max(...expectedReturns.map(date => date.getTime())))
+    : null;
+
+  await Player.findByIdAndUpdate(playerId, {
+    isInjured: open.length > 0,
+    injuryDetails: open.map(describeInjury).join('; '),
+    injuryEndDate
+  });
+};
+
+// Status of a player's clearance from their latest certificate:
+// 'valid', 'expiring' (within CLEARANCE_WARNING_DAYS), 'expired' or 'missing'
+export const getClearanceStatus = (latest) => {
+  if (!latest) return 'missing';
+
+  const now = new Date();
+  if (latest.expiresAt < now) return 'expired';
+
+  const warnFrom = new Date(now.getTime() + CLEARANCE_WARNING_DAYS * 24 * 60 * 60 * 1000);
+  return latest.expiresAt < warnFrom ? 'expiring' : 'valid';
+};
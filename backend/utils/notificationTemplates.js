@@ -0,0 +1,118 @@
+// Message templates per domain event and language.
+// Each template gets the event params and returns { subject, body };
+// SMS messages use the body only.
+
+const formatDay = (date) => {
+  const [year, month, day] = new Date(date).toISOString().split('T')[0].split('-');
+  return `${day}.${month}.${year}`;
+};
+
+const templates = {
+  'training.cancelled': {
+    en: (p) => ({
+      subject: `Training cancelled: ${p.team}, ${formatDay(p.date)}`,
+      body: `The ${p.team} training on ${formatDay(p.date)} at ${p.startTime} has been cancelled.${p.reason ? ` Reason: ${p.reason}` : ''}`
+    }),
+    ru: (p) => ({
+      subject: `Тренировка отменена: ${p.team}, ${formatDay(p.date)}`,
+      body: `Тренировка команды ${p.team} ${formatDay(p.date)} в ${p.startTime} отменена.${p.reason ? ` Причина: ${p.reason}` : ''}`
+    }),
+    uz: (p) => ({
+      subject: `Mashg'ulot bekor qilindi: ${p.team}, ${formatDay(p.date)}`,
+      body: `${p.team} jamoasining ${formatDay(p.date)} soat ${p.startTime} dagi mashg'uloti bekor qilindi.${p.reason ? ` Sabab: ${p.reason}` : ''}`
+    })
+  },
+  'training.series_cancelled': {
+    en: (p) => ({
+      subject: `Trainings cancelled: ${p.team}`,
+      body: `${p.count} ${p.team} trainings from ${formatDay(p.fromDate)} have been cancelled.${p.reason ? ` Reason: ${p.reason}` : ''}`
+    }),
+    ru: (p) => ({
+      subject: `Тренировки отменены: ${p.team}`,
+      body: `Отменено тренировок команды ${p.team} начиная с ${formatDay(p.fromDate)}: ${p.count}.${p.reason ? ` Причина: ${p.reason}` : ''}`
+    }),
+    uz: (p) => ({
+      subject: `Mashg'ulotlar bekor qilindi: ${p.team}`,
+      body: `${p.team} jamoasining ${formatDay(p.fromDate)} dan boshlab ${p.count} ta mashg'uloti bekor qilindi.${p.reason ? ` Sabab: ${p.reason}` : ''}`
+    })
+  },
+  'match.postponed': {
+    en: (p) => ({
+      subject: `Match postponed: ${p.team} vs ${p.opponent}`,
+      body: `The ${p.team} match against ${p.opponent} on ${formatDay(p.date)} at ${p.kickoffTime} has been postponed. A new date will be announced.`
+    }),
+    ru: (p) => ({
+      subject: `Матч перенесён: ${p.team} — ${p.opponent}`,
+      body: `Матч ${p.team} против ${p.opponent} ${formatDay(p.date)} в ${p.kickoffTime} перенесён. О новой дате сообщим дополнительно.`
+    }),
+    uz: (p) => ({
+      subject: `O'yin qoldirildi: ${p.team} — ${p.opponent}`,
+      body: `${p.team} jamoasining ${formatDay(p.date)} soat ${p.kickoffTime} dagi ${p.opponent} bilan o'yini qoldirildi. Yangi sana keyinroq e'lon qilinadi.`
+    })
+  },
+  'match.lineup_set': {
+    en: (p) => ({
+      subject: `Squad announced: ${p.team} vs ${p.opponent}`,
+      body: `The squad for ${p.team} against ${p.opponent} on ${formatDay(p.date)} at ${p.kickoffTime} has been set.${p.players ? ` Selected: ${p.players}.` : ''}`
+    }),
+    ru: (p) => ({
+      subject: `Состав объявлен: ${p.team} — ${p.opponent}`,
+      body: `Состав ${p.team} на матч против ${p.opponent} ${formatDay(p.date)} в ${p.kickoffTime} утверждён.${p.players ? ` В составе: ${p.players}.` : ''}`
+    }),
+    uz: (p) => ({
+      subject: `Tarkib e'lon qilindi: ${p.team} — ${p.opponent}`,
+      body: `${p.team} jamoasining ${formatDay(p.date)} soat ${p.kickoffTime} dagi ${p.opponent} bilan o'yini uchun tarkib belgilandi.${p.players ? ` Tarkibda: ${p.players}.` : ''}`
+    })
+  },
+  'availability.requested': {
+    en: (p) => ({
+      subject: `Availability: ${p.team}, ${formatDay(p.date)}`,
+      body: `Can your child attend the ${p.kind === 'match' ? `${p.team} match against ${p.opponent}` : `${p.team} training`} on ${formatDay(p.date)} at ${p.time}? Please answer here: ${p.links}`
+    }),
+    ru: (p) => ({
+      subject: `Участие: ${p.team}, ${formatDay(p.date)}`,
+      body: `Сможет ли ваш ребёнок прийти на ${p.kind === 'match' ? `матч ${p.team} против ${p.opponent}` : `тренировку ${p.team}`} ${formatDay(p.date)} в ${p.time}? Ответьте, пожалуйста: ${p.links}`
+    }),
+    uz: (p) => ({
+      subject: `Ishtirok: ${p.team}, ${formatDay(p.date)}`,
+      body: `Farzandingiz ${formatDay(p.date)} soat ${p.time} dagi ${p.kind === 'match' ? `${p.team} jamoasining ${p.opponent} bilan o'yiniga` : `${p.team} mashg'ulotiga`} kela oladimi? Iltimos, javob bering: ${p.links}`
+    })
+  },
+  'account.password_reset': {
+    en: (p) => ({
+      subject: 'Reset your password',
+      body: `Hello ${p.name}, use this link to choose a new password: ${p.url}\nThe link works once and expires in ${p.hours} hour(s). If you did not ask for it, ignore this message.`
+    }),
+    ru: (p) => ({
+      subject: 'Сброс пароля',
+      body: `Здравствуйте, ${p.name}! Чтобы задать новый пароль, перейдите по ссылке: ${p.url}\nСсылка одноразовая и действует ${p.hours} ч. Если вы не запрашивали сброс, просто проигнорируйте это письмо.`
+    }),
+    uz: (p) => ({
+      subject: 'Parolni tiklash',
+      body: `Assalomu alaykum, ${p.name}! Yangi parol o'rnatish uchun havola: ${p.url}\nHavola bir marta ishlaydi va ${p.hours} soat amal qiladi. Agar siz so'ramagan bo'lsangiz, bu xabarni e'tiborsiz qoldiring.`
+    })
+  },
+  'account.invitation': {
+    en: (p) => ({
+      subject: 'Your football academy account',
+      body: `Hello ${p.name}, ${p.invitedBy || 'the academy'} created an account for you (${p.email}). Choose your password here: ${p.url}\nThe link expires in ${p.hours / 24} days.`
+    }),
+    ru: (p) => ({
+      subject: 'Ваш аккаунт футбольной академии',
+      body: `Здравствуйте, ${p.name}! ${p.invitedBy || 'Академия'} создал(а) для вас аккаунт (${p.email}). Задайте пароль по ссылке: ${p.url}\nСсылка действует ${p.hours / 24} дн.`
+    }),
+    uz: (p) => ({
+      subject: 'Futbol akademiyasidagi hisobingiz',
+      body: `Assalomu alaykum, ${p.name}! ${p.invitedBy || 'Akademiya'} siz uchun hisob yaratdi (${p.email}). Parolingizni shu havola orqali o'rnating: ${p.url}\nHavola ${p.hours / 24} kun amal qiladi.`
+    })
+  }
+};
+
+export const notificationEvents = Object.keys(templates);
+
+// Render an event's message in the given language, falling back to Uzbek
+export const renderTemplate = (event, language, params) => {
+  const byLanguage = templates[event];
+  if (!byLanguage) throw new Error(`No template for event '${event}'`);
+  return (byLanguage[language] || byLanguage.uz)(params);
+};
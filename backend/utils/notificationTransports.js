@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Transports deliver an outbox message: send({ channel, to, subject, body }).
+// Email and SMS each use the transport named in EMAIL_TRANSPORT / SMS_TRANSPORT;
+// the console and file sinks are built in for local development, and SMTP or SMS
+// gateway integrations plug in with registerTransport.
+const transports = new Map();
+
+export const registerTransport = (name, transport) => {
+  transports.set(name, transport);
+};
+
+export const getTransportName = (channel) =>
+  (channel === 'sms' ? process.env.SMS_TRANSPORT : process.env.EMAIL_TRANSPORT) || 'console';
+
+export const getTransport = (channel) => {
+  const name = getTransportName(channel);
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`Transport '${name}' is not registered`);
+  return transport;
+};
+
+// Print messages to the server log
+registerTransport('console', {
+  send: async ({ channel, to, subject, body }) => {
+    console.log(`[${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${body}`);
+  }
+});
+
+// Append messages as JSON lines to <NOTIFICATION_OUTBOX_DIR>/<channel>.log
+registerTransport('file', {
+  send: async (message) => {
+    const dir = process.env.NOTIFICATION_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.appendFile(
+      path.join(dir, `${message.channel}.log`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  }
+});
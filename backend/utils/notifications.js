@@ -0,0 +1,227 @@
+import { EventEmitter } from 'events';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import { renderTemplate } from './notificationTemplates.js';
+import { getTransport, getTransportName } from './notificationTransports.js';
+
+// Domain events emitted by controllers are turned into messages to coaches and
+// parents, written to the outbox (Notification model) and delivered by the
+// outbox worker through the configured transports.
+const domainEvents = new EventEmitter();
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+// Channels messages go out on, e.g. NOTIFICATION_CHANNELS=email,sms
+const getChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || 'email').split(',').map(c => c.trim()).filter(Boolean);
+
+const getTeamCoaches = (teamId) =>
+  User.find({ role: 'coach', isActive: true, $or: [{ teams: teamId }, { team: teamId }] });
+
+const getTeamParents = async (teamId) => {
+  const players = await Player.find({ team: teamId, isActive: true }).select('_id');
+  return User.find({ role: 'parent', isActive: true, children: { $in: players.map(p => p._id) } });
+};
+
+const getTeamRecipients = async (teamId) => {
+  const [coaches, parents] = await Promise.all([getTeamCoaches(teamId), getTeamParents(teamId)]);
+  return [...coaches, ...parents];
+};
+
+// Account links go to the user themselves and only by email
+const getAccountLinkDelivery = async ({ user, url, hours, invitedBy }) => [{
+  user,
+  channels: ['email'],
+  params: { name: user.firstName, email: user.email, url, hours, invitedBy }
+}];
+
+// Per event: resolve who is told and with which template params, as
+// [{ user, params, channels? }] (channels default to NOTIFICATION_CHANNELS)
+const eventHandlers = {
+  'training.cancelled': async ({ training }) => {
+    const team = await Team.findById(training.team?._id || training.team).select('name');
+    const params = {
+      team: team?.name,
+      date: training.date,
+      startTime: training.startTime,
+      reason: training.cancellationReason
+    };
+    return (await getTeamRecipients(team._id)).map(user => ({ user, params }));
+  },
+
+  'training.series_cancelled': async ({ teamId, fromDate, count, reason }) => {
+    const team = await Team.findById(teamId).select('name');
+    const params = { team: team?.name, fromDate, count, reason };
+    return (await getTeamRecipients(teamId)).map(user => ({ user, params }));
+  },
+
+  'match.postponed': async ({ match }) => {
+    const team = await Team.findById(match.team?._id || match.team).select('name');
+    const params = {
+      team: team?.name,
+      opponent: match.opponent?.name,
+      date: match.matchDate,
+      kickoffTime: match.kickoffTime
+    };
+    return (await getTeamRecipients(team._id)).map(user => ({ user, params }));
+  },
+
+  'availability.requested': async ({ entries, ...params }) => {
+    // Each parent gets the answer links of their own children
+    const parents = await User.find({
+      role: 'parent',
+      isActive: true,
+      children: { $in: entries.map(e => e.player) }
+    });
+
+    return parents.map(user => {
+      const childIds = user.children.map(id => id.toString());
+      const links = entries
+        .filter(entry => childIds.includes(entry.player.toString()))
+        .map(entry => `${entry.name}: ${entry.url}`)
+        .join('\n');
+      return { user, params: { ...params, links } };
+    });
+  },
+
+  'account.password_reset': getAccountLinkDelivery,
+  'account.invitation': getAccountLinkDelivery,
+
+  'match.lineup_set': async ({ match }) => {
+    const team = await Team.findById(match.team?._id || match.team).select('name');
+    const params = {
+      team: team?.name,
+      opponent: match.opponent?.name,
+      date: match.matchDate,
+      kickoffTime: match.kickoffTime
+    };
+
+    // Parents are told which of their children were selected
+    const squadIds = [
+      ...(match.lineup || []).map(l => (l.player?._id || l.player).toString()),
+      ...(match.substitutes || []).map(s => (s._id || s).toString())
+    ];
+    const [coaches, parents] = await Promise.all([getTeamCoaches(team._id), getTeamParents(team._id)]);
+    const squad = await Player.find({ _id: { $in: squadIds } }).select('firstName lastName');
+    const nameById = new Map(squad.map(p => [p._id.toString(), `${p.firstName} ${p.lastName}`]));
+
+    return [
+      ...coaches.map(user => ({ user, params })),
+      ...parents.map(user => ({
+        user,
+        params: {
+          ...params,
+          players: user.children.map(id => nameById.get(id.toString())).filter(Boolean).join(', ')
+        }
+      }))
+    ];
+  }
+};
+
+// Write one outbox entry per recipient and channel, in the recipient's language
+const queueNotifications = async (event, deliveries) => {
+  const seen = new Set();
+  const entries = [];
+
+  deliveries.forEach(({ user, params, channels }) => {
+    const key = user._id.toString();
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const language = user.preferredLanguage || 'uz';
+    const { subject, body } = renderTemplate(event, language, params);
+
+    (channels || getChannels()).forEach(channel => {
+      const to = channel === 'sms' ? user.phone : user.email;
+      if (!to) return;
+      entries.push({ event, channel, recipient: user._id, to, language, subject, body });
+    });
+  });
+
+  if (entries.length > 0) {
+    await Notification.insertMany(entries);
+    processOutbox().catch(error => console.error('Outbox error:', error));
+  }
+
+  return entries.length;
+};
+
+// Emit a domain event; notifications are queued in the background
+export const emitDomainEvent = (event, payload) => {
+  domainEvents.emit(event, payload);
+};
+
+// Subscribe to a domain event, returns an unsubscribe function
+export const onDomainEvent = (event, listener) => {
+  domainEvents.on(event, listener);
+  return () => domainEvents.off(event, listener);
+};
+
+Object.entries(eventHandlers).forEach(([event, handler]) => {
+  onDomainEvent(event, (payload) => {
+    handler(payload)
+      .then(deliveries => queueNotifications(event, deliveries))
+      .catch(error => console.error(`Notification error (${event}):`, error));
+  });
+});
+
+// Send one claimed outbox entry, scheduling a retry with exponential backoff on failure
+const deliver = async (message) => {
+  try {
+    message.transport = getTransportName(message.channel);
+    await getTransport(message.channel).send({
+      channel: message.channel,
+      to: message.to,
+      subject: message.subject,
+      body: message.body
+    });
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.lastError = null;
+  } catch (error) {
+    message.lastError = error.message;
+    if (message.attempts >= MAX_ATTEMPTS) {
+      message.status = 'failed';
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + 2 ** message.attempts * 60 * 1000);
+    }
+  }
+  await message.save();
+};
+
+let processing = false;
+
+// Deliver due outbox entries; entries are claimed one by one so several
+// server instances can share the outbox
+export const processOutbox = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const message = await Notification.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { status: 'sending', $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!message) break;
+      await deliver(message);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+// Periodically deliver the outbox; entries left 'sending' by a crash are retried
+export const startOutboxWorker = async () => {
+  await Notification.updateMany({ status: 'sending' }, { status: 'pending' });
+
+  const run = () => processOutbox().catch(error => console.error('Outbox error:', error));
+  setInterval(run, WORKER_INTERVAL_MS).unref();
+  run();
+};
@@ -0,0 +1,323 @@
+import { Readable } from 'stream';
+import path from 'path';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import { canAccessTeam } from './policy.js';
+import TeamMembership from '../models/TeamMembership.js';
+import { recordInitialMemberships } from './teamMembership.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Columns of the players Excel export that are imported. Headers are matched
+// without case, spaces or punctuation, so "First Name" and "firstName" both work;
+// the statistics columns of the export are ignored.
+const COLUMNS = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  fathername: 'fatherName',
+  birthdate: 'birthDate',
+  team: 'team',
+  position: 'position',
+  jersey: 'jerseyNumber',
+  jerseynumber: 'jerseyNumber',
+  preferredfoot: 'preferredFoot',
+  height: 'height',
+  heightcm: 'height',
+  weight: 'weight',
+  weightkg: 'weight',
+  parentname: 'parentName',
+  parentphone: 'parentPhone'
+};
+
+export const REQUIRED_COLUMNS = {
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  birthDate: 'Birth Date',
+  position: 'Position'
+};
+
+const LABELS = {
+  ...REQUIRED_COLUMNS,
+  fatherName: 'Father Name',
+  team: 'Team',
+  jerseyNumber: 'Jersey #',
+  preferredFoot: 'Preferred Foot',
+  height: 'Height (cm)',
+  weight: 'Weight (kg)',
+  parentName: 'Parent Name',
+  parentPhone: 'Parent Phone'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+
+// Helper function to get the plain value of an ExcelJS cell (rich text,
+// hyperlinks and formulas are objects)
+const getCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value === 'number') return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return getCellValue(value.text);
+    if (value.result !== undefined) return getCellValue(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+};
+
+// Helper function to read a birth date: Excel dates, "2012-03-15",
+// "15.03.2012" and "3/15/2012" (the export's en-US date format)
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : utcDate(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+
+  const text = String(value);
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(T.*)?$/);
+  if (match) return utcDate(+match[1], +match[2], +match[3]);
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) return utcDate(+match[3], +match[2], +match[1]);
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return utcDate(+match[3], +match[1], +match[2]);
+  return null;
+};
+
+const parseNumber = (value) => {
+  if (value === '') return undefined;
+  const number = Number(value);
+  return isNaN(number) ? value : number;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "yyyy-MM-dd" of a birth date, rounded to the nearest UTC day so dates saved
+// as local midnight in any time zone give the same key
+const toDateKey = (date) => new Date(Math.round(date.getTime() / DAY_MS) * DAY_MS).toISOString().split('T')[0];
+
+// Duplicate key: name plus birth date
+const getDuplicateKey = (firstName, lastName, birthDate) =>
+  `${firstName.toLowerCase()}|${lastName.toLowerCase()}|${toDateKey(birthDate)}`;
+
+// Read the rows of an uploaded .xlsx or .csv file (first worksheet, header
+// in the first row). Returns { missingColumns, rows } where each row
+// has its sheet row number and its values by field name.
+export const readImportFile = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (path.extname(file.originalname).toLowerCase() === '.csv') {
+    // Keep the text as written; dates are parsed per row
+    worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+      parserOptions: { trim: true },
+      map: (value) => value
+    });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  const columns = {};
+  worksheet?.getRow(1).eachCell((cell, colNumber) => {
+    const field = COLUMNS[normalizeHeader(getCellValue(cell.value))];
+    if (field && !Object.values(columns).includes(field)) columns[colNumber] = field;
+  });
+
+  const fields = Object.values(columns);
+  const missingColumns = Object.entries(REQUIRED_COLUMNS)
+    .filter(([field]) => !fields.includes(field))
+    .map(([, label]) => label);
+
+  const rows = [];
+  worksheet?.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    Object.entries(columns).forEach(([colNumber, field]) => {
+      values[field] = getCellValue(row.getCell(Number(colNumber)).value);
+    });
+
+    if (Object.values(values).some(value => value !== '')) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { missingColumns, rows };
+};
+
+// Check the rows of an import against the Player schema, map them to teams
+// and find duplicates. Teams are matched by name or birth year in the Team
+// column; rows without a team use `defaultTeam`, or the one team of the
+// player's birth year. Returns the preview rows ('valid', 'duplicate' or
+// 'error' with messages), a summary and the Player documents of the valid rows.
+export const buildImportPreview = async (rows, { user, defaultTeam = null }) => {
+  const teams = await Team.find({ isActive: true }).select('name birthYear');
+  const accessibleTeams = teams.filter(team => canAccessTeam(user, team._id));
+  const teamsByName = new Map(teams.map(team => [team.name.trim().toLowerCase(), team]));
+
+  const teamsForYear = (year) => accessibleTeams.filter(team => team.birthYear === year);
+  const resolveTeam = (value, birthYear) => {
+    const text = String(value).trim();
+
+    if (text) {
+      const team = teamsByName.get(text.toLowerCase());
+      if (team) {
+        return canAccessTeam(user, team._id)
+          ? { team }
+          : { error: `Not authorized to add players to team "${team.name}"` };
+      }
+      if (!/^\d{4}$/.test(text)) return { error: `Team "${text}" not found` };
+      birthYear = Number(text);
+    } else if (defaultTeam) {
+      return { team: defaultTeam };
+    }
+
+    if (!birthYear) return { error: 'Team is required' };
+
+    const candidates = teamsForYear(birthYear);
+    if (candidates.length === 1) return { team: candidates[0] };
+    return {
+      error: candidates.length === 0
+        ? `No team for birth year ${birthYear}`
+        : `Several teams for birth year ${birthYear}; set the Team column`
+    };
+  };
+
+  const parsed = rows.map(({ rowNumber, values }) => {
+    const errors = [];
+    const birthDate = values.birthDate === '' || values.birthDate === undefined ? null : parseDate(values.birthDate);
+    if (values.birthDate && !birthDate) errors.push(`Birth Date "${values.birthDate}" is not a valid date`);
+
+    const { team, error: teamError } = resolveTeam(values.team ?? '', birthDate?.getUTCFullYear());
+    if (teamError) errors.push(teamError);
+
+    const data = {
+      firstName: String(values.firstName ?? ''),
+      lastName: String(values.lastName ?? ''),
+      fatherName: values.fatherName ? String(values.fatherName) : undefined,
+      birthDate,
+      team: team?._id,
+      position: String(values.position ?? '').toUpperCase(),
+      jerseyNumber: parseNumber(values.jerseyNumber ?? ''),
+      preferredFoot: values.preferredFoot ? String(values.preferredFoot).toLowerCase() : undefined,
+      height: parseNumber(values.height ?? ''),
+      weight: parseNumber(values.weight ?? ''),
+      parentName: values.parentName ? String(values.parentName) : undefined,
+      parentPhone: values.parentPhone ? String(values.parentPhone) : undefined
+    };
+
+    // insertMany skips the save hook that fills in birthYear
+    const player = new Player({ ...data, birthYear: birthDate?.getUTCFullYear() });
+    const validationError = player.validateSync();
+    Object.values(validationError?.errors || {}).forEach(error => {
+      if (error.path === 'team' && teamError) return;
+      if (error.path === 'birthDate' && values.birthDate) return;
+      const label = LABELS[error.path] || error.path;
+      if (error.name === 'CastError') errors.push(`${label} must be a number`);
+      else if (error.kind === 'enum') errors.push(`${label} "${error.value}" is not valid`);
+      else errors.push(error.message);
+    });
+
+    return { rowNumber, data, team, player, errors };
+  });
+
+  // Players already in the academy with the same name and birth date
+  const birthYears = [...new Set(parsed.map(row => row.data.birthDate?.getUTCFullYear()).filter(Boolean))];
+  const existing = await Player.find({ birthYear: { $in: birthYears } })
+    .select('firstName lastName birthDate team isActive')
+    .populate('team', 'name');
+  const existingByKey = new Map(existing
+    .filter(player => player.birthDate)
+    .map(player => [getDuplicateKey(player.firstName, player.lastName, player.birthDate), player]));
+
+  const seenKeys = new Map();
+  const players = [];
+  const previewRows = parsed.map(({ rowNumber, data, team, player, errors }) => {
+    let duplicateOf = null;
+
+    if (data.firstName && data.lastName && data.birthDate) {
+      const key = getDuplicateKey(data.firstName.trim(), data.lastName.trim(), data.birthDate);
+      const match = existingByKey.get(key);
+      if (match) {
+        duplicateOf = {
+          _id: match._id,
+          name: `${match.firstName} ${match.lastName}`,
+          team: match.team?.name || null,
+          isActive: match.isActive
+        };
+      } else if (seenKeys.has(key)) {
+        duplicateOf = { row: seenKeys.get(key) };
+      } else {
+        seenKeys.set(key, rowNumber);
+      }
+    }
+
+    const status = errors.length > 0 ? 'error' : duplicateOf ? 'duplicate' : 'valid';
+    if (status === 'valid') players.push(player);
+    return {
+      rowNumber,
+      status,
+      errors,
+      duplicateOf,
+      player: {
+        ...data,
+        birthDate: data.birthDate ? toDateKey(data.birthDate) : null,
+        team: team ? { _id: team._id, name: team.name } : null
+      }
+    };
+  });
+
+  const count = (status) => previewRows.filter(row => row.status === status).length;
+  return {
+    rows: previewRows,
+    summary: {
+      total: previewRows.length,
+      valid: count('valid'),
+      duplicates: count('duplicate'),
+      errors: count('error')
+    },
+    players
+  };
+};
+
+// Helper function to check whether the database supports transactions
+// (replica set or sharded cluster)
+const supportsTransactions = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+// Insert the imported players, with their team memberships, all or nothing.
+// Uses a transaction where the server supports it; a standalone server
+// removes the players already inserted when one fails.
+export const insertImportedPlayers = async (players) => {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await Player.insertMany(players, { session });
+        await recordInitialMemberships(players, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    return;
+  }
+
+  try {
+    await Player.insertMany(players);
+    await recordInitialMemberships(players);
+  } catch (error) {
+    const playerIds = players.map(player => player._id);
+    await Player.deleteMany({ _id: { $in: playerIds } });
+    await TeamMembership.deleteMany({ player: { $in: playerIds } });
+    throw error;
+  }
+};
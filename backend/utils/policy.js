@@ -0,0 +1,92 @@
+import Role from '../models/Role.js';
+import { PERMISSIONS, BASE_ROLES, DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js';
+
+const SYSTEM_ROLE_NAMES = {
+  super_admin: 'Administrator',
+  coach: 'Coach',
+  parent: 'Parent'
+};
+
+// Roles by key, loaded on first use and dropped whenever a role changes
+let roleCache = null;
+
+const loadRoles = async () => {
+  if (!roleCache) {
+    const roles = await Role.find().lean();
+    roleCache = new Map(roles.map(role => [role.key, role]));
+  }
+  return roleCache;
+};
+
+export const clearRoleCache = () => {
+  roleCache = null;
+};
+
+// Create the built-in roles and grant them default permissions added since
+// the last start. Permissions an admin removed stay removed.
+export const ensureSystemRoles = async () => {
+  for (const key of BASE_ROLES) {
+    const defaults = DEFAULT_ROLE_PERMISSIONS[key];
+    const role = await Role.findOne({ key });
+
+    if (!role) {
+      await Role.create({
+        key,
+        name: SYSTEM_ROLE_NAMES[key],
+        baseRole: key,
+        permissions: defaults,
+        seededPermissions: defaults,
+        isSystem: true
+      });
+      continue;
+    }
+
+    const added = defaults.filter(permission => !role.seededPermissions.includes(permission));
+    if (added.length > 0) {
+      role.permissions = [...new Set([...role.permissions, ...added])];
+      role.seededPermissions.push(...added);
+      await role.save();
+    }
+  }
+
+  clearRoleCache();
+};
+
+// Get the permissions of a user: those of their extra role when they have
+// one, otherwise those of their built-in role. Administrators without an
+// extra role hold every permission.
+export const getUserPermissions = async (user) => {
+  if (user.role === 'super_admin' && !user.customRole) {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const roles = await loadRoles();
+  const role = (user.customRole && roles.get(user.customRole)) || roles.get(user.role);
+
+  return role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[user.role] || []);
+};
+
+// Check whether a user's role requires two-factor authentication
+export const isTwoFactorRequired = async (user) => {
+  const roles = await loadRoles();
+  const role = (user.customRole && roles.get(user.customRole)) || roles.get(user.role);
+  return Boolean(role?.requireTwoFactor);
+};
+
+// Get the IDs of the teams a user is limited to (User.teams, falling back to
+// the single team). null means the user is not limited to teams.
+export const getCoachTeamIds = (user) => {
+  if (user.role !== 'coach') return null;
+  return user.teams?.length > 0
+    ? user.teams.map(t => (t._id || t).toString())
+    : (user.team ? [(user.team._id || user.team).toString()] : []);
+};
+
+// Check whether a user may act on a team's data
+export const canAccessTeam = (user, teamId) => {
+  const coachTeamIds = getCoachTeamIds(user);
+  if (!coachTeamIds) return true;
+
+  const teamIdStr = teamId?._id?.toString() || teamId?.toString();
+  return coachTeamIds.includes(teamIdStr);
+};
@@ -0,0 +1,80 @@
+import Season from '../models/Season.js';
+import RatingSnapshot, { RATING_ATTRIBUTES } from '../models/RatingSnapshot.js';
+
+const pickRatings = (ratings) =>
+  Object.fromEntries(RATING_ATTRIBUTES.map(attribute => [attribute, ratings?.[attribute] ?? 50]));
+
+// Same formula as the Player overallRating virtual
+export const getOverallRating = (ratings) =>
+  Math.round(RATING_ATTRIBUTES.reduce((sum, attribute) => sum + (ratings?.[attribute] ?? 50), 0) / RATING_ATTRIBUTES.length);
+
+// Keep a dated snapshot of a player's new ratings. The first change of a
+// player also stores the ratings they had before, dated when the player was
+// added, so their curve starts from the original values.
+export const recordRatingSnapshot = async (player, previousRatings, user, note) => {
+  if (!(await RatingSnapshot.exists({ player: player._id }))) {
+    await RatingSnapshot.create({
+      player: player._id,
+      team: player.team,
+      ratings: pickRatings(previousRatings),
+      overallRating: getOverallRating(previousRatings),
+      recordedAt: player.createdAt || new Date(),
+      ratedBy: null
+    });
+  }
+
+  return RatingSnapshot.create({
+    player: player._id,
+    team: player.team,
+    ratings: pickRatings(player.ratings),
+    overallRating: getOverallRating(player.ratings),
+    ratedBy: user._id,
+    note
+  });
+};
+
+// Compare a player's current ratings with the ratings they had at `since`,
+// by default the start of the active season. `snapshots` is the player's
+// history sorted by recordedAt. Players added after that date are compared
+// with their initial ratings.
+export const getRatingProgress = async (player, snapshots, since = null) => {
+  let season = null;
+  let from = since;
+  if (!from) {
+    season = await Season.findOne({ isActive: true }) || await Season.findForDate(new Date());
+    from = season?.startDate || null;
+  }
+
+  const current = {
+    ratings: pickRatings(player.ratings),
+    overallRating: getOverallRating(player.ratings)
+  };
+
+  if (!from) {
+    return { from: null, season: null, current, start: null, change: null };
+  }
+
+  const before = snapshots.filter(snapshot => snapshot.recordedAt <= from);
+  const startSnapshot = before[before.length - 1] || snapshots[0];
+  // Without any snapshot the ratings never changed
+  const start = startSnapshot
+    ? {
+        ratings: pickRatings(startSnapshot.ratings),
+        overallRating: startSnapshot.overallRating,
+        recordedAt: startSnapshot.recordedAt
+      }
+    : { ...current, recordedAt: null };
+
+  const change = Object.fromEntries(
+    RATING_ATTRIBUTES.map(attribute => [attribute, current.ratings[attribute] - start.ratings[attribute]])
+  );
+  change.overallRating = current.overallRating - start.overallRating;
+
+  return {
+    from,
+    season: season ? { _id: season._id, name: season.name, startDate: season.startDate } : null,
+    current,
+    start,
+    change
+  };
+};
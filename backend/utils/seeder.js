@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import User from '../models/User.js';
 import Team from '../models/Team.js';
 import Player from '../models/Player.js';
+import Season from '../models/Season.js';
 
 dotenv.config();
 
@@ -24,6 +25,7 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await Team.deleteMany({});
     await Player.deleteMany({});
+    await Season.deleteMany({});
 
     console.log('Existing data cleared');
 
@@ -40,6 +42,18 @@ const seedDatabase = async () => {
 
     console.log('Super Admin created:', superAdmin.email);
 
+    // Create the current season (August - June)
+    const now = new Date();
+    const seasonStartYear = now.getMonth() >= 7 ? now.getFullYear() : now.getFullYear() - 1;
+    const season = await Season.create({
+      name: `${seasonStartYear}/${seasonStartYear + 1}`,
+      startDate: new Date(seasonStartYear, 7, 1),
+      endDate: new Date(seasonStartYear + 1, 5, 30, 23, 59, 59),
+      isActive: true
+    });
+
+    console.log('Season created:', season.name);
+
     // Create Teams
     const teams = await Team.create([
       {
@@ -135,6 +149,7 @@ const seedDatabase = async () => {
     const positions = ['GK', 'CB', 'CB', 'LB', 'RB', 'CDM', 'CM', 'CM', 'CAM', 'LW', 'RW', 'ST'];
 
     // Create players for each team
+    const createdPlayers = [];
     for (const team of teams) {
       const teamPlayers = [];
       for (let i = 0; i < 18; i++) {
@@ -178,17 +193,32 @@ const seedDatabase = async () => {
         });
       }
 
-      await Player.create(teamPlayers);
+      createdPlayers.push(...await Player.create(teamPlayers));
     }
 
     console.log('Players created for all teams');
 
+    // Create a parent linked to the first U-12 player
+    const parent = await User.create({
+      firstName: 'Dilnoza',
+      lastName: createdPlayers[0].lastName,
+      email: 'parent1@academy.com',
+      password: 'Parent123!',
+      role: 'parent',
+      phone: createdPlayers[0].parentPhone,
+      children: [createdPlayers[0]._id],
+      preferredLanguage: 'uz'
+    });
+
+    console.log('Parent created:', parent.email);
+
     console.log('\n=== Seeding Complete ===');
     console.log('\nLogin Credentials:');
     console.log('Super Admin: admin@academy.com / Admin123!');
     console.log('Coach 1 (U-12): coach1@academy.com / Coach123!');
     console.log('Coach 2 (U-14): coach2@academy.com / Coach123!');
     console.log('Coach 3 (U-16): coach3@academy.com / Coach123!');
+    console.log('Parent (U-12): parent1@academy.com / Parent123!');
 
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper function to build a short device label from a user agent,
+// e.g. "Chrome on Windows"
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Refresh tokens are "<session id>.<secret>" so the session can be found
+// without storing the secret
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const refreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Start a session for a signed-in user and issue its first token pair
+export const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    device: describeDevice(req.get('user-agent')),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops
+// working; presenting it again revokes the whole session, unless it comes
+// within a few seconds of the rotation (two tabs refreshing at once).
+// Returns null when the token is invalid, expired or revoked.
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!/^[0-9a-f]{24}$/i.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.refreshTokenHash) {
+    const justRotated = Date.now() - session.lastUsedAt.getTime() < REUSE_GRACE_MS;
+    if (presentedHash === session.previousTokenHash && !justRotated) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'token_reuse';
+      await session.save();
+    }
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Check that the session behind an access token is still active
+export const isSessionActive = (sessionId) =>
+  Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Revoke one session of a user. Returns false when it does not exist.
+export const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.matchedCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping one
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
@@ -0,0 +1,302 @@
+import Match from '../models/Match.js';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import Training from '../models/Training.js';
+
+// Default match length in minutes
+export const DEFAULT_MATCH_LENGTH = 90;
+
+// Match length (minutes) by age group, used when a team has no matchDuration set
+const MATCH_LENGTH_BY_AGE = [
+  { maxAge: 7, minutes: 40 },
+  { maxAge: 9, minutes: 50 },
+  { maxAge: 11, minutes: 60 },
+  { maxAge: 13, minutes: 70 },
+  { maxAge: 15, minutes: 80 }
+];
+
+// Get the match length for a team: its own matchDuration, otherwise the
+// default for its age category (e.g. "U-9" -> 50), otherwise 90 minutes
+export const getMatchLength = (team) => {
+  if (team?.matchDuration) return team.matchDuration;
+
+  const age = parseInt(team?.ageCategory?.match(/\d+/)?.[0], 10);
+  const rule = MATCH_LENGTH_BY_AGE.find(r => age <= r.maxAge);
+  return rule ? rule.minutes : DEFAULT_MATCH_LENGTH;
+};
+
+// Whether the team kept a clean sheet: no opponent goals recorded and none on the scoreboard
+export const keptCleanSheet = (match) => {
+  const theirScore = match.isHome ? (match.score?.away || 0) : (match.score?.home || 0);
+  return (match.opponentGoals || []).length === 0 && theirScore === 0;
+};
+
+const emptyTeamStatistics = () => ({
+  totalMatches: 0,
+  wins: 0,
+  draws: 0,
+  losses: 0,
+  goalsFor: 0,
+  goalsAgainst: 0
+});
+
+const emptyPlayerStatistics = () => ({
+  matchesPlayed: 0,
+  goals: 0,
+  assists: 0,
+  yellowCards: 0,
+  redCards: 0,
+  minutesPlayed: 0,
+  cleanSheets: 0
+});
+
+// Calculate minutes played per player in a match from the starting lineup,
+// substitutions and red cards. Returns a Map of playerId -> minutes and
+// contains every player who took part (starters and substitutes who came on).
+export const calculateMinutesPlayed = (match, matchLength = DEFAULT_MATCH_LENGTH) => {
+  const onPitch = new Map(); // playerId -> minute the player entered
+  const minutes = new Map();
+
+  const enter = (playerId, minute) => {
+    const id = playerId.toString();
+    onPitch.set(id, Math.min(minute, matchLength));
+    if (!minutes.has(id)) minutes.set(id, 0);
+  };
+
+  const leave = (playerId, minute) => {
+    const id = playerId?.toString();
+    if (!onPitch.has(id)) return;
+    const played = Math.max(0, Math.min(minute, matchLength) - onPitch.get(id));
+    minutes.set(id, minutes.get(id) + played);
+    onPitch.delete(id);
+  };
+
+  for (const lineupPlayer of (match.lineup || [])) {
+    if (!lineupPlayer.isSubstitute && lineupPlayer.player) {
+      enter(lineupPlayer.player._id || lineupPlayer.player, 0);
+    }
+  }
+
+  // Walk substitutions and red cards in match order
+  const changes = [
+    ...(match.substitutions || []).map(sub => ({ minute: sub.minute, sub })),
+    ...(match.cards || [])
+      .filter(card => card.type !== 'yellow')
+      .map(card => ({ minute: card.minute, sentOff: card.player?._id || card.player }))
+  ].sort((a, b) => a.minute - b.minute);
+
+  for (const change of changes) {
+    if (change.sub) {
+      leave(change.sub.playerOut?._id || change.sub.playerOut, change.minute);
+      if (change.sub.playerIn) enter(change.sub.playerIn._id || change.sub.playerIn, change.minute);
+    } else {
+      leave(change.sentOff, change.minute);
+    }
+  }
+
+  for (const playerId of [...onPitch.keys()]) {
+    leave(playerId, matchLength);
+  }
+
+  return minutes;
+};
+
+// Derive team and player statistics purely from Match documents and compare
+// them with the stored counters. Goals and cards count as soon as they are
+// entered (like addGoal/addCard); results, appearances, minutes and clean
+// sheets only count for completed matches. With apply = true every counter
+// that differs is overwritten with the derived value.
+export const rebuildStatistics = async ({ apply = false } = {}) => {
+  const [matches, teams, players] = await Promise.all([
+    Match.find({ status: { $ne: 'cancelled' } })
+      .select('team isHome status score goals opponentGoals cards lineup substitutions'),
+    Team.find().select('name ageCategory matchDuration statistics'),
+    Player.find().select('firstName lastName position statistics')
+  ]);
+
+  const teamStats = new Map(teams.map(t => [t._id.toString(), emptyTeamStatistics()]));
+  const matchLengths = new Map(teams.map(t => [t._id.toString(), getMatchLength(t)]));
+  const playerStats = new Map(players.map(p => [p._id.toString(), emptyPlayerStatistics()]));
+  const goalkeepers = new Set(players.filter(p => p.position === 'GK').map(p => p._id.toString()));
+
+  const addPlayerStat = (playerId, field, amount = 1) => {
+    const stats = playerStats.get(playerId?.toString());
+    if (stats) stats[field] += amount;
+  };
+
+  for (const match of matches) {
+    for (const goal of match.goals) {
+      addPlayerStat(goal.player, 'goals');
+      if (goal.assist) addPlayerStat(goal.assist, 'assists');
+    }
+
+    for (const card of match.cards) {
+      addPlayerStat(card.player, card.type === 'yellow' ? 'yellowCards' : 'redCards');
+    }
+
+    if (match.status !== 'completed') continue;
+
+    const ourScore = match.isHome ? (match.score?.home || 0) : (match.score?.away || 0);
+    const theirScore = match.isHome ? (match.score?.away || 0) : (match.score?.home || 0);
+
+    const stats = teamStats.get(match.team.toString());
+    if (stats) {
+      stats.totalMatches += 1;
+      stats.goalsFor += ourScore;
+      stats.goalsAgainst += theirScore;
+
+      if (ourScore > theirScore) {
+        stats.wins += 1;
+      } else if (ourScore < theirScore) {
+        stats.losses += 1;
+      } else {
+        stats.draws += 1;
+      }
+    }
+
+    const matchLength = matchLengths.get(match.team.toString()) || DEFAULT_MATCH_LENGTH;
+    const cleanSheet = keptCleanSheet(match);
+
+    for (const [playerId, minutes] of calculateMinutesPlayed(match, matchLength)) {
+      addPlayerStat(playerId, 'matchesPlayed');
+      addPlayerStat(playerId, 'minutesPlayed', minutes);
+      if (cleanSheet && goalkeepers.has(playerId)) {
+        addPlayerStat(playerId, 'cleanSheets');
+      }
+    }
+  }
+
+  // Compare derived values with the stored counters
+  const discrepancies = [];
+  const collectUpdates = (entity, docs, derivedStats, getName) => {
+    const updates = [];
+
+    for (const doc of docs) {
+      const derived = derivedStats.get(doc._id.toString());
+      const $set = {};
+
+      for (const [field, value] of Object.entries(derived)) {
+        const stored = doc.statistics?.[field] || 0;
+        if (stored !== value) {
+          discrepancies.push({ entity, id: doc._id, name: getName(doc), field, stored, derived: value });
+          $set[`statistics.${field}`] = value;
+        }
+      }
+
+      if (Object.keys($set).length > 0) {
+        updates.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+      }
+    }
+
+    return updates;
+  };
+
+  const teamUpdates = collectUpdates('team', teams, teamStats, t => t.name);
+  const playerUpdates = collectUpdates('player', players, playerStats, p => `${p.firstName} ${p.lastName}`);
+
+  if (apply) {
+    if (teamUpdates.length > 0) await Team.bulkWrite(teamUpdates);
+    if (playerUpdates.length > 0) await Player.bulkWrite(playerUpdates);
+  }
+
+  return {
+    applied: apply,
+    matchesScanned: matches.length,
+    teamsChecked: teams.length,
+    playersChecked: players.length,
+    teamsUpdated: apply ? teamUpdates.length : 0,
+    playersUpdated: apply ? playerUpdates.length : 0,
+    discrepancies
+  };
+};
+
+// A player's statistics split by the team the matches and trainings belonged
+// to, so appearances before a transfer or promotion stay with the old team.
+// Uses the same rules as the stored counters, plus training attendance
+// (present or late counts as attended).
+export const getPlayerStatisticsByTeam = async (player) => {
+  const playerId = player._id;
+  const [matches, trainings] = await Promise.all([
+    Match.find({
+      status: { $ne: 'cancelled' },
+      $or: [
+        { 'lineup.player': playerId },
+        { 'substitutions.playerIn': playerId },
+        { 'goals.player': playerId },
+        { 'goals.assist': playerId },
+        { 'cards.player': playerId }
+      ]
+    })
+      .select('team isHome status score goals opponentGoals cards lineup substitutions matchDate')
+      .populate('team', 'name ageCategory matchDuration'),
+    Training.find({ 'attendance.player': playerId, status: { $ne: 'cancelled' } })
+      .select('team date attendance')
+      .populate('team', 'name ageCategory')
+  ]);
+
+  const id = playerId.toString();
+  const byTeam = new Map();
+
+  const teamStats = (team) => {
+    const key = team?._id?.toString() || 'none';
+    if (!byTeam.has(key)) {
+      byTeam.set(key, {
+        team: team ? { _id: team._id, name: team.name, ageCategory: team.ageCategory } : null,
+        ...emptyPlayerStatistics(),
+        trainings: 0,
+        trainingsAttended: 0,
+        firstDate: null,
+        lastDate: null
+      });
+    }
+    return byTeam.get(key);
+  };
+
+  const addDate = (stats, date) => {
+    if (!date) return;
+    if (!stats.firstDate || date < stats.firstDate) stats.firstDate = date;
+    if (!stats.lastDate || date > stats.lastDate) stats.lastDate = date;
+  };
+
+  for (const match of matches) {
+    const stats = teamStats(match.team);
+    addDate(stats, match.matchDate);
+
+    for (const goal of match.goals) {
+      if (goal.player?.toString() === id) stats.goals += 1;
+      if (goal.assist?.toString() === id) stats.assists += 1;
+    }
+
+    for (const card of match.cards) {
+      if (card.player?.toString() !== id) continue;
+      if (card.type === 'yellow') {
+        stats.yellowCards += 1;
+      } else {
+        stats.redCards += 1;
+      }
+    }
+
+    if (match.status !== 'completed') continue;
+
+    const minutes = calculateMinutesPlayed(match, getMatchLength(match.team)).get(id);
+    if (minutes === undefined) continue;
+
+    stats.matchesPlayed += 1;
+    stats.minutesPlayed += minutes;
+    if (player.position === 'GK' && keptCleanSheet(match)) {
+      stats.cleanSheets += 1;
+    }
+  }
+
+  for (const training of trainings) {
+    const record = training.attendance.find(a => a.player?.toString() === id);
+    if (!record) continue;
+
+    const stats = teamStats(training.team);
+    addDate(stats, training.date);
+    stats.trainings += 1;
+    if (['present', 'late'].includes(record.status)) stats.trainingsAttended += 1;
+  }
+
+  return [...byTeam.values()].sort((a, b) => (a.firstDate || 0) - (b.firstDate || 0));
+};
@@ -0,0 +1,161 @@
+import Player from '../models/Player.js';
+import TeamMembership from '../models/TeamMembership.js';
+
+const PLAYER_FIELDS = 'firstName lastName photo position jerseyNumber birthYear';
+
+// Helper function to build the membership of the team a player joined with
+const initialMembership = (player) => ({
+  player: player._id,
+  team: player.team,
+  startDate: player.joinDate || player.createdAt || new Date(),
+  reason: 'joined'
+});
+
+// Record the team membership of newly added players. Options are passed on
+// to insertMany (e.g. a session).
+export const recordInitialMemberships = (players, options = {}) =>
+  TeamMembership.insertMany(players.filter(player => player.team).map(initialMembership), options);
+
+// Get a player's current membership. Players added before memberships were
+// kept get one for their current team, starting when they joined.
+export const getCurrentMembership = async (player) => {
+  const current = await TeamMembership.findOne({ player: player._id, endDate: null }).sort({ startDate: -1 });
+  if (current || !player.team) return current;
+
+  return TeamMembership.create(initialMembership(player));
+};
+
+// Move a player to another team from `date`: ends the current membership
+// and starts a new one
+export const movePlayerToTeam = async (player, current, { team, date, reason, note }, user) => {
+  if (current) {
+    current.endDate = date;
+    await current.save();
+  }
+
+  const membership = await TeamMembership.create({
+    player: player._id,
+    team,
+    startDate: date,
+    reason,
+    note,
+    movedBy: user._id
+  });
+
+  player.team = team;
+  await player.save();
+
+  return membership;
+};
+
+// Move many players at once from `date` (e.g. the season rollover promotion).
+// moves: [{ player, team }]. Ends each player's current membership, starts
+// one in the new team and updates the players.
+export const movePlayersToTeams = async (moves, { date, reason, note }, user) => {
+  if (moves.length === 0) return;
+
+  const playerIds = moves.map(move => move.player);
+  const [players, open] = await Promise.all([
+    Player.find({ _id: { $in: playerIds } }).select('team joinDate createdAt'),
+    TeamMembership.find({ player: { $in: playerIds }, endDate: null }).select('player')
+  ]);
+
+  // Players added before memberships were kept get the one they joined with
+  const withMembership = new Set(open.map(membership => membership.player.toString()));
+  const initial = players
+    .filter(player => player.team && !withMembership.has(player._id.toString()))
+    .map(player => ({ ...initialMembership(player), endDate: date }));
+
+  await TeamMembership.updateMany({ player: { $in: playerIds }, endDate: null }, { endDate: date });
+  await TeamMembership.insertMany([
+    ...initial,
+    ...moves.map(move => ({
+      player: move.player,
+      team: move.team,
+      startDate: date,
+      reason,
+      note,
+      movedBy: user._id
+    }))
+  ]);
+
+  await Player.bulkWrite(moves.map(move => ({
+    updateOne: { filter: { _id: move.player }, update: { team: move.team } }
+  })));
+};
+
+// A player's team memberships, oldest first. Without any recorded
+// membership the player has been in their current team since they joined.
+export const getMembershipHistory = async (player) => {
+  const memberships = await TeamMembership.find({ player: player._id })
+    .populate('team', 'name ageCategory birthYear')
+    .populate('movedBy', 'firstName lastName')
+    .sort({ startDate: 1 });
+
+  if (memberships.length > 0 || !player.team) return memberships;
+
+  await player.populate('team', 'name ageCategory birthYear');
+  return [{
+    team: player.team,
+    startDate: player.joinDate || player.createdAt,
+    endDate: null,
+    reason: 'joined',
+    movedBy: null
+  }];
+};
+
+// Helper function to build a date range query on a membership date field
+const dateRange = (field, from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: Object.keys(range).length > 0 ? range : { $ne: null } };
+};
+
+// Players who joined and left a team within an optional date range, most
+// recent first. Joiners show the team they came from (none for players new
+// to the academy), leavers the team they moved to.
+export const findTeamMovements = async (teamId, { from, to } = {}) => {
+  const [joined, left] = await Promise.all([
+    TeamMembership.find({ team: teamId, ...dateRange('startDate', from, to) })
+      .populate('player', PLAYER_FIELDS)
+      .populate('movedBy', 'firstName lastName')
+      .sort({ startDate: -1 }),
+    TeamMembership.find({ team: teamId, ...dateRange('endDate', from, to) })
+      .populate('player', PLAYER_FIELDS)
+      .sort({ endDate: -1 })
+  ]);
+
+  // The other memberships of these players, to find where they came from or went to
+  const playerIds = [...joined, ...left].filter(m => m.player).map(m => m.player._id);
+  const others = await TeamMembership.find({ player: { $in: playerIds } })
+    .populate('team', 'name ageCategory')
+    .populate('movedBy', 'firstName lastName');
+
+  const findOther = (membership, field, date) => others.find(other =>
+    other.player.toString() === membership.player._id.toString() &&
+    other._id.toString() !== membership._id.toString() &&
+    other[field]?.getTime() === date.getTime());
+
+  return {
+    joined: joined.filter(m => m.player).map(membership => ({
+      player: membership.player,
+      date: membership.startDate,
+      reason: membership.reason,
+      note: membership.note,
+      movedBy: membership.movedBy,
+      fromTeam: membership.reason === 'joined' ? null : findOther(membership, 'endDate', membership.startDate)?.team || null
+    })),
+    left: left.filter(m => m.player).map(membership => {
+      const next = findOther(membership, 'startDate', membership.endDate);
+      return {
+        player: membership.player,
+        date: membership.endDate,
+        reason: next?.reason || null,
+        note: next?.note,
+        movedBy: next?.movedBy || null,
+        toTeam: next?.team || null
+      };
+    })
+  };
+};
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { generateSecret, verifyCode, getOtpAuthUrl } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+
+// Select these to check a user's second factor
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+// New set of one-time recovery codes such as "3f9a-c41d". The plain codes are
+// shown to the user once; only their hashes are stored.
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Start enrolment: a new secret and the QR code that carries it
+export const createEnrollment = async (user) => {
+  const secret = generateSecret();
+  const otpauthUrl = getOtpAuthUrl({
+    secret,
+    account: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Youth Football Academy'
+  });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Check a code against a secret that is not active yet (during enrolment)
+export const verifyPendingCode = (secret, code) => verifyCode(secret, code) !== null;
+
+// Check an authenticator code or a recovery code for a user loaded with
+// TWO_FACTOR_SECRET_FIELDS. Used recovery codes are removed and the code's
+// time step remembered; the caller saves the user.
+// Returns 'code', 'recovery_code' or null.
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return null;
+    user.twoFactor.lastUsedStep = step;
+    return 'code';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const codes = user.twoFactor.recoveryCodes || [];
+    if (!codes.includes(hash)) return null;
+    user.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step of a login. It cannot be used
+// as an access token: it has no session.
+export const createLoginChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRE
+  });
+
+// Get the user id of a login challenge, or null when it is invalid or expired
+export const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
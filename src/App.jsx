@@ -1,10 +1,13 @@
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
 import { Layout } from './components/layout';
 import { Loading } from './components/common';
 
 // Auth Pages
-import { Login } from './pages/auth';
+import { Login, ForgotPassword, SetPassword } from './pages/auth';
+
+// Public Pages
+import { Availability } from './pages/public';
 
 // Admin Pages
 import {
@@ -16,7 +19,15 @@ import {
   Matches as AdminMatches,
   Tactics as AdminTactics,
   Statistics,
+  Competitions,
+  Opponents,
   Calendar,
+  Parents,
+  Seasons,
+  Facilities,
+  Fitness,
+  AuditLog,
+  Roles,
   Settings as AdminSettings,
 } from './pages/admin';
 
@@ -30,9 +41,16 @@ import {
   Settings as CoachSettings,
 } from './pages/coach';
 
+// Parent Pages
+import {
+  Dashboard as ParentDashboard,
+  Settings as ParentSettings,
+} from './pages/parent';
+
 // Protected Route Component
 const ProtectedRoute = ({ children, allowedRoles }) => {
-  const { isAuthenticated, user, loading } = useAuth();
+  const { isAuthenticated, user, loading, twoFactorSetupRequired } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -51,9 +69,18 @@ const ProtectedRoute = ({ children, allowedRoles }) => {
     if (user?.role === 'super_admin') {
       return <Navigate to="/admin/dashboard" replace />;
     }
+    if (user?.role === 'parent') {
+      return <Navigate to="/parent/dashboard" replace />;
+    }
     return <Navigate to="/coach/dashboard" replace />;
   }
 
+  // Users who must set up two-factor authentication only reach Settings
+  if (twoFactorSetupRequired && !location.pathname.endsWith('/settings')) {
+    const portal = location.pathname.split('/')[1];
+    return <Navigate to={`/${portal}/settings`} replace />;
+  }
+
   return children;
 };
 
@@ -73,6 +100,9 @@ const PublicRoute = ({ children }) => {
     if (user?.role === 'super_admin') {
       return <Navigate to="/admin/dashboard" replace />;
     }
+    if (user?.role === 'parent') {
+      return <Navigate to="/parent/dashboard" replace />;
+    }
     return <Navigate to="/coach/dashboard" replace />;
   }
 
@@ -92,6 +122,21 @@ function App() {
         }
       />
 
+      <Route
+        path="/forgot-password"
+        element={
+          <PublicRoute>
+            <ForgotPassword />
+          </PublicRoute>
+        }
+      />
+
+      {/* Password reset and invitation links sent by email */}
+      <Route path="/set-password/:token" element={<SetPassword />} />
+
+      {/* Availability answer links sent to parents */}
+      <Route path="/availability/:token" element={<Availability />} />
+
       {/* Admin Routes */}
       <Route
         path="/admin"
@@ -110,7 +155,15 @@ function App() {
         <Route path="matches" element={<AdminMatches />} />
         <Route path="tactics" element={<AdminTactics />} />
         <Route path="statistics" element={<Statistics />} />
+        <Route path="competitions" element={<Competitions />} />
+        <Route path="opponents" element={<Opponents />} />
         <Route path="calendar" element={<Calendar />} />
+        <Route path="parents" element={<Parents />} />
+        <Route path="seasons" element={<Seasons />} />
+        <Route path="facilities" element={<Facilities />} />
+        <Route path="fitness" element={<Fitness />} />
+        <Route path="audit" element={<AuditLog />} />
+        <Route path="roles" element={<Roles />} />
         <Route path="settings" element={<AdminSettings />} />
       </Route>
 
@@ -130,10 +183,27 @@ function App() {
         <Route path="matches" element={<CoachMatches />} />
         <Route path="tactics" element={<CoachTactics />} />
         <Route path="statistics" element={<Statistics />} />
+        <Route path="fitness" element={<Fitness />} />
+        <Route path="competitions" element={<Competitions />} />
+        <Route path="opponents" element={<Opponents />} />
         <Route path="calendar" element={<Calendar />} />
         <Route path="settings" element={<CoachSettings />} />
       </Route>
 
+      {/* Parent Routes */}
+      <Route
+        path="/parent"
+        element={
+          <ProtectedRoute allowedRoles={['parent']}>
+            <Layout />
+          </ProtectedRoute>
+        }
+      >
+        <Route index element={<Navigate to="dashboard" replace />} />
+        <Route path="dashboard" element={<ParentDashboard />} />
+        <Route path="settings" element={<ParentSettings />} />
+      </Route>
+
       {/* Root redirect */}
       <Route path="/" element={<Navigate to="/login" replace />} />
 
@@ -0,0 +1,20 @@
+import { formatAuditValue } from '../../utils/helpers';
+
+// Field-level before/after values of one audit log entry
+const AuditChanges = ({ changes = [] }) => {
+  if (changes.length === 0) return null;
+
+  return (
+    <div className="space-y-1">
+      {changes.map((change) => (
+        <div key={change.path} className="grid grid-cols-1 sm:grid-cols-3 gap-1 sm:gap-3 text-xs">
+          <span className="font-mono text-gray-500 truncate" title={change.path}>{change.path}</span>
+          <span className="text-red-600 line-through break-all">{formatAuditValue(change.before)}</span>
+          <span className="text-green-700 break-all">{formatAuditValue(change.after)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AuditChanges;
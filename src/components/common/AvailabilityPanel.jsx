@@ -0,0 +1,115 @@
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Send } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { availabilityAPI } from '../../utils/api';
+import { availabilityStatuses, getAvailabilityVariant } from '../../utils/helpers';
+import Avatar from './Avatar';
+import Badge from './Badge';
+import Button from './Button';
+import Loading from './Loading';
+
+// Availability answers for a training or match, with the request button for coaches
+const AvailabilityPanel = ({ training, match, readOnly = false }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const params = training ? { training } : { match };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['availability', params],
+    queryFn: () => availabilityAPI.get(params),
+    select: (res) => res.data,
+  });
+
+  const requestMutation = useMutation({
+    mutationFn: () => availabilityAPI.request(params),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['availability']);
+      toast.success(t('availability.requestSent', { count: res.data.requested }));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: ({ id, status }) => availabilityAPI.respond(id, { status }),
+    onSuccess: () => queryClient.invalidateQueries(['availability']),
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  if (isLoading) return <Loading />;
+
+  const rows = [...(data?.availability || [])].sort((a, b) =>
+    `${a.player?.lastName}`.localeCompare(`${b.player?.lastName}`)
+  );
+  const canEdit = !readOnly && !data?.closed;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-2">
+          {[...availabilityStatuses, 'pending'].map(status => (
+            <Badge key={status} variant={getAvailabilityVariant(status)}>
+              {t(`availability.statuses.${status}`)}: {data?.summary?.[status] || 0}
+            </Badge>
+          ))}
+        </div>
+        {canEdit && (
+          <Button size="small" icon={Send} onClick={() => requestMutation.mutate()} loading={requestMutation.isPending}>
+            {t('availability.request')}
+          </Button>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-8">{t('availability.notRequested')}</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {rows.map((row) => (
+            <div key={row._id} className="flex items-center justify-between gap-3 py-2">
+              <div className="flex items-center gap-3 min-w-0">
+                <Avatar
+                  src={row.player?.photo}
+                  firstName={row.player?.firstName}
+                  lastName={row.player?.lastName}
+                  size="small"
+                />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {row.player?.firstName} {row.player?.lastName}
+                    {row.player?.isInjured && (
+                      <span className="ml-2 text-xs text-red-600">{t('players.injured')}</span>
+                    )}
+                  </p>
+                  {row.reason && <p className="text-xs text-gray-500 truncate">{row.reason}</p>}
+                </div>
+              </div>
+              {canEdit ? (
+                <div className="flex gap-1">
+                  {availabilityStatuses.map(status => (
+                    <button
+                      key={status}
+                      onClick={() => respondMutation.mutate({ id: row._id, status })}
+                      className={`px-2 py-1 text-xs rounded-md border transition-colors ${
+                        row.status === status
+                          ? 'bg-primary-600 text-white border-primary-600'
+                          : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+                      }`}
+                    >
+                      {t(`availability.statuses.${status}`)}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <Badge variant={getAvailabilityVariant(row.status)}>
+                  {t(`availability.statuses.${row.status}`)}
+                </Badge>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityPanel;
@@ -0,0 +1,42 @@
+import { useTranslation } from 'react-i18next';
+import { useQuery } from '@tanstack/react-query';
+import { auditAPI } from '../../utils/api';
+import { formatDateTime } from '../../utils/helpers';
+import AuditChanges from './AuditChanges';
+import Loading from './Loading';
+
+// Audit history of one document, optionally limited to a field (e.g. "ratings")
+const ChangeHistory = ({ entity, entityId, field, limit = 20 }) => {
+  const { t } = useTranslation();
+
+  const { data: logs, isLoading } = useQuery({
+    queryKey: ['audit', { entity, entityId, field, limit }],
+    queryFn: () => auditAPI.getAll({ entity, entityId, field, limit }),
+    enabled: !!entityId,
+    select: (res) => res.data.logs,
+  });
+
+  if (isLoading) return <Loading />;
+
+  if (!logs?.length) {
+    return <p className="text-sm text-gray-500 text-center py-4">{t('audit.noChanges')}</p>;
+  }
+
+  return (
+    <div className="divide-y divide-gray-100">
+      {logs.map((log) => (
+        <div key={log._id} className="py-3 space-y-2">
+          <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+            <span className="font-medium text-gray-700">
+              {log.actorName || t('audit.system')}
+            </span>
+            <span>{formatDateTime(log.createdAt)}</span>
+          </div>
+          <AuditChanges changes={log.changes} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ChangeHistory;
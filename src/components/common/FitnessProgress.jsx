@@ -0,0 +1,98 @@
+import { useTranslation } from 'react-i18next';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { fitnessAPI } from '../../utils/api';
+import { formatDate, getPercentileVariant } from '../../utils/helpers';
+import Loading from './Loading';
+import Badge from './Badge';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip);
+
+// A player's fitness test results: latest and best result, percentile among
+// the academy's players of the same birth year, and the trend of each test
+const FitnessProgress = ({ playerId }) => {
+  const { t } = useTranslation();
+
+  const { data: tests, isLoading } = useQuery({
+    queryKey: ['fitness', 'player', playerId],
+    queryFn: () => fitnessAPI.getPlayerResults(playerId),
+    enabled: !!playerId,
+    select: (res) => res.data.tests,
+  });
+
+  if (isLoading) return <Loading />;
+
+  if (!tests?.length) {
+    return <p className="text-sm text-gray-500 text-center py-4">{t('fitness.noResults')}</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {tests.map(({ test, results, latest, best, percentile, peerCount }) => (
+        <div key={test._id} className="p-4 bg-gray-50 rounded-lg">
+          <div className="flex items-start justify-between gap-2 mb-2">
+            <div>
+              <p className="font-medium text-gray-900">{test.name}</p>
+              <p className="text-xs text-gray-500">
+                {t('fitness.latest')}: <span className="font-semibold text-gray-900">{latest.value} {test.unit}</span>
+                {' · '}
+                {t('fitness.best')}: {best} {test.unit}
+              </p>
+            </div>
+            {percentile !== null && (
+              <Badge variant={getPercentileVariant(percentile)}>
+                {t('fitness.percentileShort', { percentile })}
+              </Badge>
+            )}
+          </div>
+          {percentile !== null && (
+            <p className="text-xs text-gray-500 mb-2">{t('fitness.peers', { count: peerCount })}</p>
+          )}
+          {results.length > 1 && (
+            <div className="h-32">
+              <Line
+                data={{
+                  labels: results.map(result => formatDate(result.date)),
+                  datasets: [{
+                    label: test.name,
+                    data: results.map(result => result.value),
+                    borderColor: '#2563eb',
+                    backgroundColor: '#2563eb',
+                    borderWidth: 2,
+                    tension: 0.3,
+                  }],
+                }}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                      callbacks: {
+                        label: (item) => `${item.formattedValue} ${test.unit}`
+                      }
+                    }
+                  },
+                  // Better results are always higher on the chart
+                  scales: {
+                    y: { reverse: !test.higherIsBetter }
+                  }
+                }}
+              />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FitnessProgress;
@@ -0,0 +1,319 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Plus, Edit, Trash2, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { playersAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import Badge from './Badge';
+import Button from './Button';
+import Input from './Input';
+import Loading from './Loading';
+import ConfirmDialog from './ConfirmDialog';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const NUMBER_FIELDS = ['height', 'weight', 'sittingHeight'];
+
+// Number inputs give strings; empty values are sent as null
+const toNumbers = (data) => {
+  const result = { ...data };
+  NUMBER_FIELDS.forEach(field => {
+    result[field] = result[field] === '' || result[field] === null ? null : Number(result[field]);
+  });
+  return result;
+};
+
+const MeasurementForm = ({ measurement, onSubmit, onCancel, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      measuredAt: measurement?.measuredAt?.split('T')[0] || new Date().toISOString().split('T')[0],
+      height: measurement?.height ?? '',
+      weight: measurement?.weight ?? '',
+      sittingHeight: measurement?.sittingHeight ?? '',
+      note: measurement?.note || ''
+    }
+  });
+
+  return (
+    <form onSubmit={handleSubmit(data => onSubmit(toNumbers(data)))} className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <Input
+          label={t('common.date')}
+          type="date"
+          required
+          error={errors.measuredAt?.message}
+          {...register('measuredAt', { required: 'Measurement date is required' })}
+        />
+        <Input
+          label={t('players.height')}
+          type="number"
+          step="0.1"
+          error={errors.height?.message}
+          {...register('height', { min: { value: 100, message: 'Min 100 cm' }, max: { value: 220, message: 'Max 220 cm' } })}
+        />
+        <Input
+          label={t('players.weight')}
+          type="number"
+          step="0.1"
+          error={errors.weight?.message}
+          {...register('weight', { min: { value: 20, message: 'Min 20 kg' }, max: { value: 150, message: 'Max 150 kg' } })}
+        />
+        <Input
+          label={t('growth.sittingHeight')}
+          type="number"
+          step="0.1"
+          error={errors.sittingHeight?.message}
+          {...register('sittingHeight', { min: { value: 50, message: 'Min 50 cm' }, max: { value: 130, message: 'Max 130 cm' } })}
+        />
+      </div>
+      <Input label={t('growth.note')} {...register('note')} />
+      <p className="text-xs text-gray-500">{t('growth.sittingHeightHint')}</p>
+      <div className="flex gap-2">
+        <Button type="submit" size="small" loading={loading}>
+          {t('common.save')}
+        </Button>
+        <Button type="button" size="small" variant="secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// A player's height and weight measurements with growth velocity, peak
+// height velocity estimate and the growth alert
+const GrowthPanel = ({ playerId }) => {
+  const { t } = useTranslation();
+  const { can } = useAuth();
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null); // 'new' or a measurement
+  const [deleting, setDeleting] = useState(null);
+
+  const canUpdate = can('player.growth.update');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['growth', playerId],
+    queryFn: () => playersAPI.getGrowth(playerId),
+    enabled: !!playerId,
+    select: (res) => res.data,
+  });
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ['growth', playerId] });
+    queryClient.invalidateQueries({ queryKey: ['players'] });
+    queryClient.invalidateQueries({ queryKey: ['coachDashboard'] });
+    setEditing(null);
+    setDeleting(null);
+    toast.success(t('common.success'));
+  };
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || t('common.error'));
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (values) => (editing === 'new'
+      ? playersAPI.addMeasurement(playerId, values)
+      : playersAPI.updateMeasurement(playerId, editing._id, values)),
+    onSuccess,
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (measurementId) => playersAPI.deleteMeasurement(playerId, measurementId),
+    onSuccess,
+    onError,
+  });
+
+  if (isLoading) return <Loading />;
+
+  const measurements = data?.measurements || [];
+  const growth = data?.growth;
+  const heights = measurements.filter(m => m.height !== undefined && m.height !== null);
+  const velocityByDate = new Map((growth?.curve || []).map(point => [point.to, point.value]));
+
+  const chartData = {
+    labels: heights.map(m => formatDate(m.measuredAt)),
+    datasets: [
+      {
+        label: `${t('players.height')} (cm)`,
+        data: heights.map(m => m.height),
+        borderColor: '#2563eb',
+        backgroundColor: '#2563eb',
+        borderWidth: 2,
+        tension: 0.3,
+        yAxisID: 'y',
+      },
+      {
+        label: t('growth.velocity'),
+        data: heights.map(m => velocityByDate.get(m.measuredAt) ?? null),
+        borderColor: '#f59e0b',
+        backgroundColor: '#f59e0b',
+        borderWidth: 2,
+        borderDash: [4, 4],
+        tension: 0.3,
+        spanGaps: true,
+        yAxisID: 'y1',
+      },
+    ],
+  };
+
+  return (
+    <div className="space-y-4">
+      {growth?.alert && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start gap-2 text-sm text-yellow-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          {t('growth.alert', { value: growth.velocity.value, threshold: growth.threshold })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">{t('players.height')}</p>
+          <p className="font-bold text-gray-900">{growth?.height ? `${growth.height.value} cm` : '-'}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">{t('players.weight')}</p>
+          <p className="font-bold text-gray-900">{growth?.weight ? `${growth.weight.value} kg` : '-'}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">{t('growth.velocity')}</p>
+          <p className="font-bold text-gray-900 flex items-center gap-2">
+            {growth?.velocity ? t('growth.velocityValue', { value: growth.velocity.value }) : '-'}
+            {growth?.alert && <Badge variant="warning">{t('growth.rapid')}</Badge>}
+          </p>
+          {growth?.velocity && (
+            <p className="text-xs text-gray-400">{t('growth.since', { date: formatDate(growth.velocity.from) })}</p>
+          )}
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">{t('growth.phv')}</p>
+          <p className="font-bold text-gray-900">{growth?.phv ? t('growth.phvAge', { age: growth.phv.ageAtPhv }) : '-'}</p>
+          {growth?.phv && (
+            <p className="text-xs text-gray-400">
+              {growth.phv.method === 'maturity_offset'
+                ? t('growth.maturityOffset', { value: growth.phv.maturityOffset > 0 ? `+${growth.phv.maturityOffset}` : growth.phv.maturityOffset })
+                : t('growth.observedPeak', { value: growth.phv.velocity })}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {heights.length > 1 && (
+        <div className="h-56">
+          <Line
+            data={chartData}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              plugins: {
+                legend: { position: 'bottom', labels: { boxWidth: 12 } },
+              },
+              scales: {
+                y: { position: 'left' },
+                y1: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } },
+              }
+            }}
+          />
+        </div>
+      )}
+
+      {canUpdate && editing === null && (
+        <Button size="small" variant="secondary" icon={Plus} onClick={() => setEditing('new')}>
+          {t('growth.addMeasurement')}
+        </Button>
+      )}
+      {editing !== null && (
+        <MeasurementForm
+          measurement={editing === 'new' ? null : editing}
+          onSubmit={(values) => saveMutation.mutate(values)}
+          onCancel={() => setEditing(null)}
+          loading={saveMutation.isPending}
+        />
+      )}
+
+      {measurements.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">{t('growth.noMeasurements')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-gray-500">
+                <th className="text-left py-2 px-3 font-medium">{t('common.date')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.height')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.weight')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('growth.sittingHeight')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('growth.velocity')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('growth.note')}</th>
+                {canUpdate && <th className="py-2 px-3" />}
+              </tr>
+            </thead>
+            <tbody>
+              {[...measurements].reverse().map(measurement => (
+                <tr key={measurement._id} className="border-b border-gray-50">
+                  <td className="py-2 px-3 whitespace-nowrap">{formatDate(measurement.measuredAt)}</td>
+                  <td className="py-2 px-3">{measurement.height ?? '-'}</td>
+                  <td className="py-2 px-3">{measurement.weight ?? '-'}</td>
+                  <td className="py-2 px-3">{measurement.sittingHeight ?? '-'}</td>
+                  <td className="py-2 px-3">{velocityByDate.get(measurement.measuredAt) ?? '-'}</td>
+                  <td className="py-2 px-3 text-gray-500">
+                    {measurement.note}
+                    {measurement.measuredBy && (
+                      <span className="block text-xs text-gray-400">
+                        {measurement.measuredBy.firstName} {measurement.measuredBy.lastName}
+                      </span>
+                    )}
+                  </td>
+                  {canUpdate && (
+                    <td className="py-2 px-3">
+                      <div className="flex items-center justify-end gap-1">
+                        <button
+                          onClick={() => setEditing(measurement)}
+                          className="p-1.5 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                          title={t('common.edit')}
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setDeleting(measurement)}
+                          className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                          title={t('common.delete')}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!deleting}
+        onClose={() => setDeleting(null)}
+        onConfirm={() => deleteMutation.mutate(deleting._id)}
+        title={t('common.delete')}
+        message={t('common.confirm')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default GrowthPanel;
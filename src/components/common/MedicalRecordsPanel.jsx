@@ -0,0 +1,524 @@
+import { useState, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { Plus, Edit, Trash2, Download, Upload, HeartPulse, FileText } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { medicalAPI } from '../../utils/api';
+import {
+  formatDate, downloadBlob, injuryTypes, bodyParts, clearanceTypes,
+  medicalDocumentCategories, getClearanceVariant
+} from '../../utils/helpers';
+import Badge from './Badge';
+import Button from './Button';
+import Input from './Input';
+import Select from './Select';
+import Loading from './Loading';
+import ConfirmDialog from './ConfirmDialog';
+
+const TABS = ['injuries', 'clearances', 'documents'];
+
+// Date inputs expect "yyyy-MM-dd"; empty optional dates are sent as null
+const toDateInput = (date) => (date ? date.split('T')[0] : '');
+const emptyToNull = (data, fields) => {
+  const result = { ...data };
+  fields.forEach(field => {
+    if (result[field] === '') result[field] = null;
+  });
+  return result;
+};
+
+const InjuryForm = ({ injury, onSubmit, onCancel, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      type: injury?.type || 'other',
+      bodyPart: injury?.bodyPart || 'other',
+      description: injury?.description || '',
+      injuryDate: toDateInput(injury?.injuryDate) || new Date().toISOString().split('T')[0],
+      expectedReturnDate: toDateInput(injury?.expectedReturnDate),
+      actualReturnDate: toDateInput(injury?.actualReturnDate),
+      treatedBy: injury?.treatedBy || '',
+      treatment: injury?.treatment || ''
+    }
+  });
+
+  return (
+    <form
+      onSubmit={handleSubmit(data => onSubmit(emptyToNull(data, ['expectedReturnDate', 'actualReturnDate'])))}
+      className="space-y-3 p-4 bg-gray-50 rounded-lg"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Select
+          label={t('medical.injuryType')}
+          options={injuryTypes.map(type => ({ value: type, label: t(`medical.injuryTypes.${type}`) }))}
+          {...register('type')}
+        />
+        <Select
+          label={t('medical.bodyPart')}
+          options={bodyParts.map(part => ({ value: part, label: t(`medical.bodyParts.${part}`) }))}
+          {...register('bodyPart')}
+        />
+      </div>
+      <Input
+        label={t('medical.description')}
+        {...register('description')}
+      />
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Input
+          label={t('medical.injuryDate')}
+          type="date"
+          required
+          error={errors.injuryDate?.message}
+          {...register('injuryDate', { required: 'Injury date is required' })}
+        />
+        <Input
+          label={t('players.expectedReturn')}
+          type="date"
+          {...register('expectedReturnDate')}
+        />
+        <Input
+          label={t('medical.actualReturn')}
+          type="date"
+          {...register('actualReturnDate')}
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Input
+          label={t('medical.treatedBy')}
+          {...register('treatedBy')}
+        />
+        <Input
+          label={t('medical.treatment')}
+          {...register('treatment')}
+        />
+      </div>
+      <div className="flex gap-2">
+        <Button type="submit" size="small" loading={loading}>
+          {t('common.save')}
+        </Button>
+        <Button type="button" size="small" variant="secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const ClearanceForm = ({ clearance, documents, onSubmit, onCancel, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      type: clearance?.type || 'annual_checkup',
+      issuedAt: toDateInput(clearance?.issuedAt) || new Date().toISOString().split('T')[0],
+      expiresAt: toDateInput(clearance?.expiresAt),
+      issuedBy: clearance?.issuedBy || '',
+      restrictions: clearance?.restrictions || '',
+      document: clearance?.document || ''
+    }
+  });
+
+  return (
+    <form
+      onSubmit={handleSubmit(data => onSubmit(emptyToNull(data, ['document'])))}
+      className="space-y-3 p-4 bg-gray-50 rounded-lg"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Select
+          label={t('medical.clearanceType')}
+          options={clearanceTypes.map(type => ({ value: type, label: t(`medical.clearanceTypes.${type}`) }))}
+          {...register('type')}
+        />
+        <Input
+          label={t('medical.issuedAt')}
+          type="date"
+          required
+          error={errors.issuedAt?.message}
+          {...register('issuedAt', { required: 'Issue date is required' })}
+        />
+        <Input
+          label={t('medical.expiresAt')}
+          type="date"
+          required
+          error={errors.expiresAt?.message}
+          {...register('expiresAt', { required: 'Expiry date is required' })}
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Input
+          label={t('medical.issuedBy')}
+          {...register('issuedBy')}
+        />
+        <Select
+          label={t('medical.document')}
+          placeholder={t('medical.noDocument')}
+          options={documents.map(doc => ({ value: doc._id, label: doc.title }))}
+          {...register('document')}
+        />
+      </div>
+      <Input
+        label={t('medical.restrictions')}
+        {...register('restrictions')}
+      />
+      <div className="flex gap-2">
+        <Button type="submit" size="small" loading={loading}>
+          {t('common.save')}
+        </Button>
+        <Button type="button" size="small" variant="secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const DocumentForm = ({ injuries, onSubmit, onCancel, loading }) => {
+  const { t } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const { register, handleSubmit } = useForm({
+    defaultValues: { title: '', category: 'certificate', injury: '' }
+  });
+
+  const submit = (data) => {
+    const formData = new FormData();
+    formData.append('document', file);
+    Object.entries(data).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    onSubmit(formData);
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submit)} className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center gap-3">
+        <Button type="button" size="small" variant="outline" icon={Upload} onClick={() => fileInputRef.current?.click()}>
+          {t('medical.chooseFile')}
+        </Button>
+        <span className="text-sm text-gray-600 truncate">{file?.name || t('medical.noFileChosen')}</span>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*,.pdf,.doc,.docx"
+          className="hidden"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Input
+          label={t('medical.documentTitle')}
+          placeholder={file?.name}
+          {...register('title')}
+        />
+        <Select
+          label={t('medical.category')}
+          options={medicalDocumentCategories.map(category => ({
+            value: category,
+            label: t(`medical.categories.${category}`)
+          }))}
+          {...register('category')}
+        />
+        <Select
+          label={t('medical.relatedInjury')}
+          placeholder={t('medical.none')}
+          options={injuries.map(injury => ({
+            value: injury._id,
+            label: `${formatDate(injury.injuryDate)} · ${t(`medical.bodyParts.${injury.bodyPart}`)}`
+          }))}
+          {...register('injury')}
+        />
+      </div>
+      <div className="flex gap-2">
+        <Button type="submit" size="small" loading={loading} disabled={!file}>
+          {t('medical.upload')}
+        </Button>
+        <Button type="button" size="small" variant="secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Injury history, clearance certificates and documents of one player.
+// Shown to users with medical.read; editing needs medical.manage.
+const MedicalRecordsPanel = ({ playerId }) => {
+  const { t } = useTranslation();
+  const { can } = useAuth();
+  const queryClient = useQueryClient();
+  const [tab, setTab] = useState('injuries');
+  // null: no form open, 'new': create form, otherwise the entry being edited
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const canManage = can('medical.manage');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['medical', playerId],
+    queryFn: () => medicalAPI.getRecord(playerId),
+    enabled: !!playerId,
+    select: (res) => res.data,
+  });
+
+  const onSaved = () => {
+    queryClient.invalidateQueries({ queryKey: ['medical'] });
+    queryClient.invalidateQueries({ queryKey: ['players'] });
+    setEditing(null);
+    setDeleting(null);
+    toast.success(t('common.success'));
+  };
+  const onError = (error) => toast.error(error.response?.data?.message || t('common.error'));
+
+  const saveMutation = useMutation({
+    mutationFn: ({ kind, id, payload }) => {
+      if (kind === 'injuries') {
+        return id ? medicalAPI.updateInjury(id, payload) : medicalAPI.createInjury(playerId, payload);
+      }
+      if (kind === 'clearances') {
+        return id ? medicalAPI.updateClearance(id, payload) : medicalAPI.createClearance(playerId, payload);
+      }
+      return medicalAPI.uploadDocument(playerId, payload);
+    },
+    onSuccess: onSaved,
+    onError
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: ({ kind, id }) => {
+      if (kind === 'injuries') return medicalAPI.deleteInjury(id);
+      if (kind === 'clearances') return medicalAPI.deleteClearance(id);
+      return medicalAPI.deleteDocument(id);
+    },
+    onSuccess: onSaved,
+    onError
+  });
+
+  const handleDownload = async (doc) => {
+    try {
+      const response = await medicalAPI.downloadDocument(doc._id);
+      downloadBlob(response.data, doc.originalName || doc.title);
+    } catch (error) {
+      toast.error(t('common.error'));
+    }
+  };
+
+  const save = (payload) => saveMutation.mutate({
+    kind: tab,
+    id: editing === 'new' ? null : editing._id,
+    payload
+  });
+
+  if (isLoading) return <Loading />;
+
+  const injuries = data?.injuries || [];
+  const clearances = data?.clearances || [];
+  const documents = data?.documents || [];
+  const now = new Date();
+
+  const actions = (entry) => canManage && (
+    <div className="flex gap-1 flex-shrink-0">
+      {tab !== 'documents' && (
+        <button
+          onClick={() => setEditing(entry)}
+          className="p-1.5 text-gray-400 hover:text-primary-600 hover:bg-gray-100 rounded"
+        >
+          <Edit className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        onClick={() => setDeleting({ kind: tab, id: entry._id })}
+        className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-gray-100 rounded"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-1">
+          {TABS.map(name => (
+            <button
+              key={name}
+              onClick={() => {
+                setTab(name);
+                setEditing(null);
+              }}
+              className={`px-3 py-1 text-xs rounded-md border transition-colors ${
+                tab === name
+                  ? 'bg-primary-600 text-white border-primary-600'
+                  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {t(`medical.tabs.${name}`)}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <Badge variant={getClearanceVariant(data?.clearanceStatus)}>
+            {t(`medical.clearanceStatuses.${data?.clearanceStatus}`)}
+          </Badge>
+          {canManage && !editing && (
+            <Button size="small" icon={Plus} onClick={() => setEditing('new')}>
+              {t(`medical.add.${tab}`)}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {editing && tab === 'injuries' && (
+        <InjuryForm
+          injury={editing === 'new' ? null : editing}
+          onSubmit={save}
+          onCancel={() => setEditing(null)}
+          loading={saveMutation.isPending}
+        />
+      )}
+      {editing && tab === 'clearances' && (
+        <ClearanceForm
+          clearance={editing === 'new' ? null : editing}
+          documents={documents}
+          onSubmit={save}
+          onCancel={() => setEditing(null)}
+          loading={saveMutation.isPending}
+        />
+      )}
+      {editing && tab === 'documents' && (
+        <DocumentForm
+          injuries={injuries}
+          onSubmit={save}
+          onCancel={() => setEditing(null)}
+          loading={saveMutation.isPending}
+        />
+      )}
+
+      {tab === 'injuries' && (
+        injuries.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">{t('medical.noInjuries')}</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {injuries.map(injury => (
+              <div key={injury._id} className="flex items-start justify-between gap-3 py-3">
+                <div className="min-w-0 space-y-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <HeartPulse className={`w-4 h-4 ${injury.actualReturnDate ? 'text-gray-400' : 'text-red-500'}`} />
+                    <span className="text-sm font-medium text-gray-900">
+                      {t(`medical.bodyParts.${injury.bodyPart}`)} · {t(`medical.injuryTypes.${injury.type}`)}
+                    </span>
+                    <Badge variant={injury.actualReturnDate ? 'success' : 'danger'}>
+                      {injury.actualReturnDate ? t('medical.returned') : t('medical.out')}
+                    </Badge>
+                  </div>
+                  {injury.description && <p className="text-sm text-gray-600">{injury.description}</p>}
+                  <p className="text-xs text-gray-500">
+                    {formatDate(injury.injuryDate)}
+                    {' → '}
+                    {injury.actualReturnDate
+                      ? formatDate(injury.actualReturnDate)
+                      : injury.expectedReturnDate
+                        ? `${t('players.expectedReturn')}: ${formatDate(injury.expectedReturnDate)}`
+                        : '…'}
+                    {' · '}
+                    {t('medical.daysOut', { count: injury.daysOut })}
+                  </p>
+                  {(injury.treatedBy || injury.treatment) && (
+                    <p className="text-xs text-gray-500">
+                      {[injury.treatedBy, injury.treatment].filter(Boolean).join(' · ')}
+                    </p>
+                  )}
+                </div>
+                {actions(injury)}
+              </div>
+            ))}
+          </div>
+        )
+      )}
+
+      {tab === 'clearances' && (
+        clearances.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">{t('medical.noClearances')}</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {clearances.map(clearance => {
+              const expired = new Date(clearance.expiresAt) < now;
+              const document = documents.find(doc => doc._id === clearance.document);
+              return (
+                <div key={clearance._id} className="flex items-start justify-between gap-3 py-3">
+                  <div className="min-w-0 space-y-1">
+                    <p className="text-sm font-medium text-gray-900">
+                      {t(`medical.clearanceTypes.${clearance.type}`)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatDate(clearance.issuedAt)} →{' '}
+                      <span className={expired ? 'text-red-600 font-medium' : ''}>
+                        {formatDate(clearance.expiresAt)}
+                      </span>
+                      {clearance.issuedBy && ` · ${clearance.issuedBy}`}
+                    </p>
+                    {clearance.restrictions && (
+                      <p className="text-sm text-yellow-700">{clearance.restrictions}</p>
+                    )}
+                    {document && (
+                      <button
+                        onClick={() => handleDownload(document)}
+                        className="flex items-center gap-1 text-xs text-primary-600 hover:underline"
+                      >
+                        <FileText className="w-3 h-3" />
+                        {document.title}
+                      </button>
+                    )}
+                  </div>
+                  {actions(clearance)}
+                </div>
+              );
+            })}
+          </div>
+        )
+      )}
+
+      {tab === 'documents' && (
+        documents.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">{t('medical.noDocuments')}</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {documents.map(doc => (
+              <div key={doc._id} className="flex items-center justify-between gap-3 py-3">
+                <div className="flex items-center gap-3 min-w-0">
+                  <FileText className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{doc.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {t(`medical.categories.${doc.category}`)} · {formatDate(doc.createdAt)}
+                      {doc.uploadedBy && ` · ${doc.uploadedBy.firstName} ${doc.uploadedBy.lastName}`}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => handleDownload(doc)}
+                    className="p-1.5 text-gray-400 hover:text-primary-600 hover:bg-gray-100 rounded"
+                  >
+                    <Download className="w-4 h-4" />
+                  </button>
+                  {actions(doc)}
+                </div>
+              </div>
+            ))}
+          </div>
+        )
+      )}
+
+      <ConfirmDialog
+        isOpen={!!deleting}
+        onClose={() => setDeleting(null)}
+        onConfirm={() => deleteMutation.mutate(deleting)}
+        title={t('common.delete')}
+        message={t('medical.deleteConfirm')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default MedicalRecordsPanel;
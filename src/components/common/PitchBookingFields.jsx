@@ -0,0 +1,64 @@
+import { useTranslation } from 'react-i18next';
+import { useQuery } from '@tanstack/react-query';
+import { facilitiesAPI } from '../../utils/api';
+import Select from './Select';
+
+const SPLIT_AREAS = ['full', 'half_1', 'half_2', 'quarter_1', 'quarter_2', 'quarter_3', 'quarter_4'];
+
+// Facility, pitch and pitch area selects for a react-hook-form form,
+// stored under `booking` as { facility, pitch, area }
+const PitchBookingFields = ({ register, watch, setValue }) => {
+  const { t } = useTranslation();
+
+  const { data: facilities } = useQuery({
+    queryKey: ['facilities', 'active'],
+    queryFn: () => facilitiesAPI.getAll({ isActive: true }),
+    select: (res) => res.data.facilities,
+  });
+
+  const facilityId = watch('booking.facility');
+  const pitchId = watch('booking.pitch');
+  const facility = facilities?.find(f => f._id === facilityId);
+  const pitches = facility?.pitches.filter(p => p.isActive) || [];
+  const pitch = pitches.find(p => p._id === pitchId);
+
+  const areas = pitch?.canSplit ? SPLIT_AREAS : ['full'];
+
+  // Selects are rendered once the options exist so saved values are shown
+  if (!facilities) return null;
+
+  return (
+    <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-3 gap-4">
+      <Select
+        label={t('facilities.facility')}
+        options={(facilities || []).map(f => ({ value: f._id, label: f.name }))}
+        placeholder={`-- ${t('facilities.noBooking')} --`}
+        {...register('booking.facility', {
+          setValueAs: (value) => value || null,
+          onChange: () => {
+            setValue('booking.pitch', null);
+            setValue('booking.area', 'full');
+          }
+        })}
+      />
+      <Select
+        label={t('facilities.pitch')}
+        options={pitches.map(p => ({ value: p._id, label: p.name }))}
+        placeholder="--"
+        disabled={!facility}
+        {...register('booking.pitch', {
+          setValueAs: (value) => value || null,
+          onChange: () => setValue('booking.area', 'full')
+        })}
+      />
+      <Select
+        label={t('facilities.area')}
+        options={areas.map(area => ({ value: area, label: t(`facilities.areas.${area}`) }))}
+        disabled={!pitch}
+        {...register('booking.area')}
+      />
+    </div>
+  );
+};
+
+export default PitchBookingFields;
@@ -0,0 +1,132 @@
+import { useTranslation } from 'react-i18next';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { playersAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import Loading from './Loading';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+// Same colours as the rating tiles of the player view
+const ATTRIBUTES = [
+  { key: 'pace', label: 'PAC', color: '#22c55e' },
+  { key: 'shooting', label: 'SHO', color: '#ef4444' },
+  { key: 'passing', label: 'PAS', color: '#3b82f6' },
+  { key: 'dribbling', label: 'DRI', color: '#eab308' },
+  { key: 'defending', label: 'DEF', color: '#a855f7' },
+  { key: 'physical', label: 'PHY', color: '#f97316' },
+];
+
+const ChangeValue = ({ value }) => {
+  if (!value) return <span className="text-gray-400">±0</span>;
+  return (
+    <span className={value > 0 ? 'text-green-600' : 'text-red-600'}>
+      {value > 0 ? `+${value}` : value}
+    </span>
+  );
+};
+
+// Development curve of a player's ratings from their rating snapshots, with
+// the change since the start of the season
+const RatingDevelopment = ({ playerId }) => {
+  const { t } = useTranslation();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['rating-history', playerId],
+    queryFn: () => playersAPI.getRatingHistory(playerId),
+    enabled: !!playerId,
+    select: (res) => res.data,
+  });
+
+  if (isLoading) return <Loading />;
+
+  const snapshots = data?.snapshots || [];
+  const progress = data?.progress;
+
+  const chartData = {
+    labels: snapshots.map(snapshot => formatDate(snapshot.recordedAt)),
+    datasets: [
+      {
+        label: t('players.overallRating'),
+        data: snapshots.map(snapshot => snapshot.overallRating),
+        borderColor: '#1f2937',
+        backgroundColor: '#1f2937',
+        borderWidth: 3,
+        tension: 0.3,
+      },
+      ...ATTRIBUTES.map(({ key, label, color }) => ({
+        label,
+        data: snapshots.map(snapshot => snapshot.ratings?.[key]),
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 1.5,
+        tension: 0.3,
+      })),
+    ],
+  };
+
+  return (
+    <div className="space-y-4">
+      {progress?.change && (
+        <div>
+          <p className="text-xs text-gray-500 mb-2">
+            {progress.season
+              ? t('players.ratingHistory.sinceSeason', { season: progress.season.name })
+              : t('players.ratingHistory.sinceDate', { date: formatDate(progress.from) })}
+          </p>
+          <div className="grid grid-cols-4 sm:grid-cols-7 gap-2 text-center">
+            <div className="p-2 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-500">OVR</p>
+              <p className="font-bold"><ChangeValue value={progress.change.overallRating} /></p>
+            </div>
+            {ATTRIBUTES.map(({ key, label }) => (
+              <div key={key} className="p-2 bg-gray-50 rounded-lg">
+                <p className="text-xs text-gray-500">{label}</p>
+                <p className="font-bold"><ChangeValue value={progress.change[key]} /></p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {snapshots.length < 2 ? (
+        <p className="text-sm text-gray-500 text-center py-4">{t('players.ratingHistory.noChanges')}</p>
+      ) : (
+        <div className="h-64">
+          <Line
+            data={chartData}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              plugins: {
+                legend: { position: 'bottom', labels: { boxWidth: 12 } },
+                tooltip: {
+                  callbacks: {
+                    afterBody: (items) => {
+                      const ratedBy = snapshots[items[0].dataIndex]?.ratedBy;
+                      return ratedBy ? `${ratedBy.firstName} ${ratedBy.lastName}` : t('players.ratingHistory.initial');
+                    }
+                  }
+                }
+              },
+              scales: {
+                y: { suggestedMin: 30, suggestedMax: 100 }
+              }
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RatingDevelopment;
@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { ArrowLeftRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { playersAPI, teamsAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import Badge from './Badge';
+import Button from './Button';
+import Input from './Input';
+import Select from './Select';
+import Loading from './Loading';
+
+const REASON_VARIANTS = { joined: 'default', promotion: 'success', transfer: 'primary' };
+
+const TransferForm = ({ currentTeam, onSubmit, onCancel, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      team: '',
+      date: new Date().toISOString().split('T')[0],
+      reason: 'promotion',
+      note: ''
+    }
+  });
+
+  const { data: teams } = useQuery({
+    queryKey: ['teams'],
+    queryFn: () => teamsAPI.getAll({ limit: 100 }),
+    select: (res) => res.data.teams,
+  });
+
+  const teamOptions = (teams || [])
+    .filter(team => team._id !== currentTeam)
+    .map(team => ({ value: team._id, label: `${team.name} (${team.ageCategory})` }));
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Select
+          label={t('players.transfer.toTeam')}
+          options={teamOptions}
+          placeholder={`-- ${t('teams.title')} --`}
+          required
+          error={errors.team?.message}
+          {...register('team', { required: 'Team is required' })}
+        />
+        <Select
+          label={t('players.transfer.reason')}
+          options={['promotion', 'transfer'].map(reason => ({
+            value: reason,
+            label: t(`players.transfer.reasons.${reason}`)
+          }))}
+          {...register('reason')}
+        />
+        <Input
+          label={t('common.date')}
+          type="date"
+          required
+          error={errors.date?.message}
+          {...register('date', { required: 'Date is required' })}
+        />
+      </div>
+      <Input label={t('players.transfer.note')} {...register('note')} />
+      <p className="text-xs text-gray-500">{t('players.transfer.hint')}</p>
+      <div className="flex gap-2">
+        <Button type="submit" size="small" loading={loading}>
+          {t('players.transfer.submit')}
+        </Button>
+        <Button type="button" size="small" variant="secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// A player's team memberships (joined, promotions and transfers) with their
+// statistics split by team, and the transfer action
+const TeamHistory = ({ player, onTransferred }) => {
+  const { t } = useTranslation();
+  const { can } = useAuth();
+  const queryClient = useQueryClient();
+  const [transferring, setTransferring] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['teamHistory', player._id],
+    queryFn: () => playersAPI.getTeamHistory(player._id),
+    select: (res) => res.data,
+  });
+
+  const transferMutation = useMutation({
+    mutationFn: (values) => playersAPI.transfer(player._id, values),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['teamHistory', player._id] });
+      queryClient.invalidateQueries({ queryKey: ['teamMovements'] });
+      queryClient.invalidateQueries({ queryKey: ['players'] });
+      queryClient.invalidateQueries({ queryKey: ['teams'] });
+      setTransferring(false);
+      onTransferred?.(res.data.player);
+      toast.success(t('players.transfer.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    },
+  });
+
+  if (isLoading) return <Loading />;
+
+  const memberships = data?.memberships || [];
+  const statisticsByTeam = data?.statisticsByTeam || [];
+
+  return (
+    <div className="space-y-4">
+      {can('player.transfer') && !transferring && (
+        <Button size="small" variant="secondary" icon={ArrowLeftRight} onClick={() => setTransferring(true)}>
+          {t('players.transfer.title')}
+        </Button>
+      )}
+      {transferring && (
+        <TransferForm
+          currentTeam={player.team?._id || player.team}
+          onSubmit={(values) => transferMutation.mutate(values)}
+          onCancel={() => setTransferring(false)}
+          loading={transferMutation.isPending}
+        />
+      )}
+
+      <ol className="space-y-2">
+        {[...memberships].reverse().map((membership, index) => (
+          <li key={membership._id || index} className="flex items-start justify-between gap-3 p-3 bg-gray-50 rounded-lg">
+            <div>
+              <p className="font-medium text-gray-900">
+                {membership.team ? `${membership.team.name} (${membership.team.ageCategory})` : t('players.transfer.deletedTeam')}
+              </p>
+              <p className="text-xs text-gray-500">
+                {formatDate(membership.startDate)} — {membership.endDate ? formatDate(membership.endDate) : t('players.transfer.present')}
+              </p>
+              {membership.note && <p className="text-xs text-gray-500 mt-1">{membership.note}</p>}
+              {membership.movedBy && (
+                <p className="text-xs text-gray-400">
+                  {membership.movedBy.firstName} {membership.movedBy.lastName}
+                </p>
+              )}
+            </div>
+            <Badge variant={REASON_VARIANTS[membership.reason]}>
+              {t(`players.transfer.reasons.${membership.reason}`)}
+            </Badge>
+          </li>
+        ))}
+      </ol>
+
+      {statisticsByTeam.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">{t('players.transfer.noStatistics')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-gray-500">
+                <th className="text-left py-2 px-3 font-medium">{t('players.team')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.matchesPlayed')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.transfer.minutes')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.goals')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.assists')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.yellowCards')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.redCards')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('players.transfer.trainings')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statisticsByTeam.map((stats, index) => (
+                <tr key={stats.team?._id || index} className="border-b border-gray-50">
+                  <td className="py-2 px-3 font-medium text-gray-900">
+                    {stats.team ? stats.team.name : t('players.transfer.deletedTeam')}
+                  </td>
+                  <td className="py-2 px-3">{stats.matchesPlayed}</td>
+                  <td className="py-2 px-3">{stats.minutesPlayed}</td>
+                  <td className="py-2 px-3">{stats.goals}</td>
+                  <td className="py-2 px-3">{stats.assists}</td>
+                  <td className="py-2 px-3">{stats.yellowCards}</td>
+                  <td className="py-2 px-3">{stats.redCards}</td>
+                  <td className="py-2 px-3">
+                    {stats.trainings > 0 ? `${stats.trainingsAttended}/${stats.trainings}` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamHistory;
@@ -8,3 +8,12 @@ export { default as Badge } from './Badge';
 export { default as Avatar } from './Avatar';
 export { default as EmptyState } from './EmptyState';
 export { default as ConfirmDialog } from './ConfirmDialog';
+export { default as PitchBookingFields } from './PitchBookingFields';
+export { default as AvailabilityPanel } from './AvailabilityPanel';
+export { default as AuditChanges } from './AuditChanges';
+export { default as ChangeHistory } from './ChangeHistory';
+export { default as MedicalRecordsPanel } from './MedicalRecordsPanel';
+export { default as RatingDevelopment } from './RatingDevelopment';
+export { default as FitnessProgress } from './FitnessProgress';
+export { default as GrowthPanel } from './GrowthPanel';
+export { default as TeamHistory } from './TeamHistory';
@@ -13,23 +13,39 @@ import {
   Settings,
   LogOut,
   X,
-  Shield
+  Shield,
+  Heart,
+  CalendarRange,
+  Award,
+  Swords,
+  LandPlot,
+  History,
+  KeyRound,
+  Timer
 } from 'lucide-react';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const { t } = useTranslation();
-  const { user, isAdmin, logout } = useAuth();
+  const { user, isAdmin, isParent, logout, can } = useAuth();
 
   const adminLinks = [
     { to: '/admin/dashboard', icon: LayoutDashboard, label: t('nav.dashboard') },
     { to: '/admin/teams', icon: Shield, label: t('nav.teams') },
     { to: '/admin/players', icon: Users, label: t('nav.players') },
-    { to: '/admin/coaches', icon: UserCircle, label: t('nav.coaches') },
+    { to: '/admin/coaches', icon: UserCircle, label: t('nav.coaches'), permission: 'user.manage' },
     { to: '/admin/trainings', icon: Calendar, label: t('nav.trainings') },
     { to: '/admin/matches', icon: Trophy, label: t('nav.matches') },
     { to: '/admin/tactics', icon: Compass, label: t('nav.tactics') },
     { to: '/admin/statistics', icon: BarChart3, label: t('nav.statistics') },
+    { to: '/admin/fitness', icon: Timer, label: t('nav.fitness') },
+    { to: '/admin/competitions', icon: Award, label: t('nav.competitions') },
+    { to: '/admin/opponents', icon: Swords, label: t('nav.opponents') },
     { to: '/admin/calendar', icon: CalendarDays, label: t('nav.calendar') },
+    { to: '/admin/parents', icon: Heart, label: t('nav.parents'), permission: 'user.manage' },
+    { to: '/admin/seasons', icon: CalendarRange, label: t('nav.seasons') },
+    { to: '/admin/facilities', icon: LandPlot, label: t('nav.facilities') },
+    { to: '/admin/audit', icon: History, label: t('nav.audit'), permission: 'audit.read' },
+    { to: '/admin/roles', icon: KeyRound, label: t('nav.roles'), permission: 'role.manage' },
   ];
 
   const coachLinks = [
@@ -39,10 +55,20 @@ const Sidebar = ({ isOpen, onClose }) => {
     { to: '/coach/matches', icon: Trophy, label: t('nav.matches') },
     { to: '/coach/tactics', icon: Compass, label: t('nav.tactics') },
     { to: '/coach/statistics', icon: BarChart3, label: t('nav.statistics') },
+    { to: '/coach/fitness', icon: Timer, label: t('nav.fitness') },
+    { to: '/coach/competitions', icon: Award, label: t('nav.competitions') },
+    { to: '/coach/opponents', icon: Swords, label: t('nav.opponents') },
     { to: '/coach/calendar', icon: CalendarDays, label: t('nav.calendar') },
   ];
 
-  const links = isAdmin ? adminLinks : coachLinks;
+  const parentLinks = [
+    { to: '/parent/dashboard', icon: LayoutDashboard, label: t('nav.dashboard') },
+  ];
+
+  // Links to pages the user has no permission for are hidden
+  const links = (isAdmin ? adminLinks : isParent ? parentLinks : coachLinks)
+    .filter(link => !link.permission || can(link.permission));
+  const basePath = isAdmin ? '/admin' : isParent ? '/parent' : '/coach';
 
   return (
     <>
@@ -103,7 +129,7 @@ const Sidebar = ({ isOpen, onClose }) => {
           {/* Footer */}
           <div className="p-4 border-t border-gray-200">
             <NavLink
-              to={isAdmin ? '/admin/settings' : '/coach/settings'}
+              to={`${basePath}/settings`}
               onClick={onClose}
               className={({ isActive }) =>
                 `sidebar-link mb-2 ${isActive ? 'active' : ''}`
@@ -131,7 +157,7 @@ const Sidebar = ({ isOpen, onClose }) => {
                     {user?.firstName} {user?.lastName}
                   </p>
                   <p className="text-xs text-gray-500 truncate">
-                    {isAdmin ? 'Super Admin' : 'Coach'}
+                    {isAdmin ? 'Super Admin' : isParent ? 'Parent' : 'Coach'}
                   </p>
                 </div>
               </div>
@@ -1,6 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import api from '../utils/api';
+import api, { setSessionTokens, clearSessionTokens } from '../utils/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext(null);
@@ -15,6 +15,9 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  // The user's role requires two-factor authentication they have not set up
+  const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
 
@@ -28,30 +31,57 @@ export const AuthProvider = ({ children }) => {
       try {
         const response = await api.get('/auth/me');
         setUser(response.data.user);
+        setPermissions(response.data.permissions || []);
+        setTwoFactorSetupRequired(!!response.data.twoFactorSetupRequired);
       } catch (error) {
-        localStorage.removeItem('token');
+        clearSessionTokens();
         setUser(null);
+        setPermissions([]);
+        setTwoFactorSetupRequired(false);
       }
     }
     setLoading(false);
   };
 
+  // Store the session of a completed login and open the user's portal
+  const completeLogin = (data) => {
+    const { token, refreshToken, user, permissions } = data;
+
+    setSessionTokens({ token, refreshToken });
+    setUser(user);
+    setPermissions(permissions || []);
+    setTwoFactorSetupRequired(!!data.twoFactorSetupRequired);
+
+    toast.success(`Welcome back, ${user.firstName}!`);
+
+    const portal = user.role === 'super_admin' ? '/admin' : user.role === 'parent' ? '/parent' : '/coach';
+    navigate(data.twoFactorSetupRequired ? `${portal}/settings` : `${portal}/dashboard`);
+  };
+
+  // Step one: email and password. With two-factor authentication enabled this
+  // returns a challenge for verifyTwoFactor instead of signing in.
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
-      setUser(user);
-
-      toast.success(`Welcome back, ${user.firstName}!`);
-
-      if (user.role === 'super_admin') {
-        navigate('/admin/dashboard');
-      } else {
-        navigate('/coach/dashboard');
+      if (response.data.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
       }
 
+      completeLogin(response.data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // Step two: authenticator code ({ code }) or recovery code ({ recoveryCode })
+  const verifyTwoFactor = async (challengeToken, data) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, ...data });
+      completeLogin(response.data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
@@ -67,8 +97,10 @@ export const AuthProvider = ({ children }) => {
       // Ignore logout errors
     }
 
-    localStorage.removeItem('token');
+    clearSessionTokens();
     setUser(null);
+    setPermissions([]);
+    setTwoFactorSetupRequired(false);
     navigate('/login');
     toast.success('Logged out successfully');
   };
@@ -88,7 +120,9 @@ export const AuthProvider = ({ children }) => {
 
   const updatePassword = async (currentPassword, newPassword) => {
     try {
-      await api.put('/auth/password', { currentPassword, newPassword });
+      // All sessions are revoked; this device continues with a new one
+      const response = await api.put('/auth/password', { currentPassword, newPassword });
+      setSessionTokens(response.data);
       toast.success('Password updated successfully');
       return { success: true };
     } catch (error) {
@@ -98,13 +132,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Check a named permission (see backend/config/permissions.js)
+  const can = (permission) => permissions.includes(permission);
+
   const value = {
     user,
+    permissions,
+    can,
+    twoFactorSetupRequired,
     loading,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'super_admin',
     isCoach: user?.role === 'coach',
+    isParent: user?.role === 'parent',
     login,
+    verifyTwoFactor,
     logout,
     updateProfile,
     updatePassword,
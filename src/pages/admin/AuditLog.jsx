@@ -0,0 +1,240 @@
+import { Fragment, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { auditAPI, usersAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Select, Badge, EmptyState, AuditChanges } from '../../components/common';
+import { History, ChevronDown, ChevronRight, ChevronLeft } from 'lucide-react';
+import { formatDateTime, getAuditActionVariant } from '../../utils/helpers';
+
+const PAGE_SIZE = 50;
+
+const emptyFilters = {
+  entity: '',
+  entityId: '',
+  actor: '',
+  action: '',
+  field: '',
+  from: '',
+  to: '',
+};
+
+const AuditLog = () => {
+  const { t } = useTranslation();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const { data: entities } = useQuery({
+    queryKey: ['auditEntities'],
+    queryFn: () => auditAPI.getEntities(),
+    select: (res) => res.data.entities,
+  });
+
+  const { data: users } = useQuery({
+    queryKey: ['users', 'staff'],
+    queryFn: () => usersAPI.getAll({ limit: 200 }),
+    select: (res) => res.data.users.filter(u => u.role !== 'parent'),
+  });
+
+  // Only send filters that are set
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+  // An incomplete ID would fail validation
+  if (params.entityId && !/^[0-9a-f]{24}$/i.test(params.entityId)) delete params.entityId;
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['audit', params, page],
+    queryFn: () => auditAPI.getAll({ ...params, page, limit: PAGE_SIZE }),
+    select: (res) => res.data,
+    placeholderData: keepPreviousData,
+  });
+
+  const entityOptions = (entities || []).map(entity => ({ value: entity, label: entity }));
+  const actionOptions = ['create', 'update', 'delete'].map(action => ({
+    value: action,
+    label: t(`audit.actions.${action}`)
+  }));
+  const actorOptions = (users || []).map(u => ({
+    value: u._id,
+    label: `${u.firstName} ${u.lastName}`
+  }));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">{t('audit.title')}</h1>
+        <p className="text-gray-500">{data?.total || 0} {t('audit.entries')}</p>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <Select
+            label={t('audit.entity')}
+            options={entityOptions}
+            placeholder={t('common.all')}
+            value={filters.entity}
+            onChange={(e) => setFilter('entity', e.target.value)}
+          />
+          <Input
+            label={t('audit.entityId')}
+            value={filters.entityId}
+            onChange={(e) => setFilter('entityId', e.target.value.trim())}
+          />
+          <Select
+            label={t('audit.actor')}
+            options={actorOptions}
+            placeholder={t('common.all')}
+            value={filters.actor}
+            onChange={(e) => setFilter('actor', e.target.value)}
+          />
+          <Select
+            label={t('audit.action')}
+            options={actionOptions}
+            placeholder={t('common.all')}
+            value={filters.action}
+            onChange={(e) => setFilter('action', e.target.value)}
+          />
+          <Input
+            label={t('audit.field')}
+            placeholder="ratings"
+            value={filters.field}
+            onChange={(e) => setFilter('field', e.target.value.trim())}
+          />
+          <Input
+            label={t('audit.from')}
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilter('from', e.target.value)}
+          />
+          <Input
+            label={t('audit.to')}
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilter('to', e.target.value)}
+          />
+          <div className="flex items-end">
+            <Button
+              variant="secondary"
+              className="w-full"
+              onClick={() => {
+                setFilters(emptyFilters);
+                setPage(1);
+              }}
+            >
+              {t('audit.resetFilters')}
+            </Button>
+          </div>
+        </div>
+      </Card>
+
+      {/* Entries */}
+      {isLoading ? (
+        <Loading />
+      ) : !data?.logs?.length ? (
+        <EmptyState icon={History} title={t('common.noData')} />
+      ) : (
+        <Card className="overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-100 text-gray-500">
+                  <th className="w-8" />
+                  <th className="text-left py-3 px-3 font-medium">{t('audit.time')}</th>
+                  <th className="text-left py-3 px-3 font-medium">{t('audit.actor')}</th>
+                  <th className="text-left py-3 px-3 font-medium">{t('audit.action')}</th>
+                  <th className="text-left py-3 px-3 font-medium">{t('audit.entity')}</th>
+                  <th className="text-center py-3 px-3 font-medium">{t('audit.changes')}</th>
+                  <th className="text-left py-3 px-3 font-medium">IP</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-50">
+                {data.logs.map((log) => (
+                  <Fragment key={log._id}>
+                    <tr
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => setExpanded(expanded === log._id ? null : log._id)}
+                    >
+                      <td className="pl-3 text-gray-400">
+                        {expanded === log._id
+                          ? <ChevronDown className="w-4 h-4" />
+                          : <ChevronRight className="w-4 h-4" />}
+                      </td>
+                      <td className="py-2 px-3 whitespace-nowrap">{formatDateTime(log.createdAt)}</td>
+                      <td className="py-2 px-3">
+                        <p className="font-medium text-gray-900">{log.actorName || t('audit.system')}</p>
+                        {log.actorRole && <p className="text-xs text-gray-500">{t(`audit.roles.${log.actorRole}`)}</p>}
+                      </td>
+                      <td className="py-2 px-3">
+                        <Badge variant={getAuditActionVariant(log.action)}>
+                          {t(`audit.actions.${log.action}`)}
+                        </Badge>
+                      </td>
+                      <td className="py-2 px-3">
+                        <p className="font-medium text-gray-900">{log.entity}</p>
+                        <p className="text-xs text-gray-500">{log.entityLabel || log.entityId}</p>
+                      </td>
+                      <td className="py-2 px-3 text-center">{log.changes.length}</td>
+                      <td className="py-2 px-3 text-gray-500 whitespace-nowrap">{log.ip || '—'}</td>
+                    </tr>
+                    {expanded === log._id && (
+                      <tr className="bg-gray-50">
+                        <td />
+                        <td colSpan={6} className="py-3 px-3 space-y-3">
+                          <p className="text-xs text-gray-500 font-mono">
+                            {log.method} {log.route} · {log.entityId}
+                          </p>
+                          <AuditChanges changes={log.changes} />
+                          <button
+                            className="text-xs text-primary-600 hover:underline"
+                            onClick={() => {
+                              setFilters({ ...emptyFilters, entity: log.entity, entityId: log.entityId });
+                              setPage(1);
+                            }}
+                          >
+                            {t('audit.showEntityHistory')}
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          {data.pages > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 border-t border-gray-100">
+              <Button
+                size="small"
+                variant="secondary"
+                icon={ChevronLeft}
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                {t('common.previous')}
+              </Button>
+              <span className="text-sm text-gray-500">{page} / {data.pages}</span>
+              <Button
+                size="small"
+                variant="secondary"
+                disabled={page >= data.pages}
+                onClick={() => setPage(page + 1)}
+              >
+                {t('common.next')}
+              </Button>
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -2,16 +2,172 @@ import { useState, useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import { trainingsAPI, matchesAPI, teamsAPI } from '../../utils/api';
+import { trainingsAPI, matchesAPI, teamsAPI, facilitiesAPI } from '../../utils/api';
 import { Card, Loading, Select, Badge } from '../../components/common';
-import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Trophy, Dumbbell } from 'lucide-react';
+import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Trophy, Dumbbell, LandPlot } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 
+// Quarters of a pitch covered by each bookable area
+const AREA_QUARTERS = {
+  full: [1, 2, 3, 4],
+  half_1: [1, 2],
+  half_2: [3, 4],
+  quarter_1: [1],
+  quarter_2: [2],
+  quarter_3: [3],
+  quarter_4: [4]
+};
+const SLOT_MINUTES = 30;
+const SLOT_HEIGHT = 24;
+
+const toMinutes = (time = '00:00') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Day view of a facility: one time grid per pitch with a column per quarter
+const FacilityOccupancy = ({ basePath }) => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [facilityId, setFacilityId] = useState('');
+  const [date, setDate] = useState(() => new Date().toISOString().split('T')[0]);
+
+  const { data: facilities } = useQuery({
+    queryKey: ['facilities', 'active'],
+    queryFn: () => facilitiesAPI.getAll({ isActive: true }),
+    select: (res) => res.data.facilities,
+  });
+
+  const selectedFacilityId = facilityId || facilities?.[0]?._id || '';
+
+  const { data: occupancy, isLoading } = useQuery({
+    queryKey: ['facility-occupancy', selectedFacilityId, date],
+    queryFn: () => facilitiesAPI.getOccupancy(selectedFacilityId, { date }),
+    select: (res) => res.data,
+    enabled: !!selectedFacilityId,
+  });
+
+  const shiftDate = (days) => {
+    const next = new Date(date);
+    next.setUTCDate(next.getUTCDate() + days);
+    setDate(next.toISOString().split('T')[0]);
+  };
+
+  // Show the usual training hours, widened to fit every booking of the day
+  const bookings = occupancy?.bookings || [];
+  const dayStart = Math.min(8 * 60, ...bookings.map(b => Math.floor(toMinutes(b.startTime) / 60) * 60));
+  const dayEnd = Math.max(21 * 60, ...bookings.map(b => Math.ceil(toMinutes(b.endTime) / 60) * 60));
+  const slots = [];
+  for (let minute = dayStart; minute < dayEnd; minute += SLOT_MINUTES) slots.push(minute);
+
+  if (facilities?.length === 0) {
+    return (
+      <Card className="p-6">
+        <p className="text-gray-500 text-sm text-center py-4">{t('facilities.noFacilities')}</p>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="p-4 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <Select
+          options={(facilities || []).map(f => ({ value: f._id, label: f.name }))}
+          value={selectedFacilityId}
+          onChange={(e) => setFacilityId(e.target.value)}
+          className="w-full md:w-64"
+        />
+        <div className="flex items-center gap-2">
+          <button onClick={() => shiftDate(-1)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+            <ChevronLeft className="w-5 h-5 text-gray-600" />
+          </button>
+          <input type="date" className="input" value={date} onChange={(e) => e.target.value && setDate(e.target.value)} />
+          <button onClick={() => shiftDate(1)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+            <ChevronRight className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <Loading />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {occupancy?.facility.pitches.filter(p => p.isActive).map((pitch) => (
+            <div key={pitch._id}>
+              <h3 className="font-semibold text-gray-900 mb-2">{pitch.name}</h3>
+              <div className="flex">
+                {/* Time labels */}
+                <div className="w-12 flex-shrink-0 pt-6">
+                  {slots.map(minute => (
+                    <div key={minute} style={{ height: SLOT_HEIGHT }} className="text-xs text-gray-400 -mt-2">
+                      {minute % 60 === 0 && `${String(minute / 60).padStart(2, '0')}:00`}
+                    </div>
+                  ))}
+                </div>
+                <div className="flex-1">
+                  <div className="grid grid-cols-4 h-6 text-xs text-gray-500 text-center">
+                    {[1, 2, 3, 4].map(quarter => <div key={quarter}>Q{quarter}</div>)}
+                  </div>
+                  <div className="relative border border-gray-200 rounded-lg" style={{ height: slots.length * SLOT_HEIGHT }}>
+                    {slots.map((minute, index) => (
+                      <div
+                        key={minute}
+                        className={`absolute inset-x-0 border-t ${minute % 60 === 0 ? 'border-gray-200' : 'border-gray-100'}`}
+                        style={{ top: index * SLOT_HEIGHT }}
+                      />
+                    ))}
+                    {[1, 2, 3].map(line => (
+                      <div key={line} className="absolute inset-y-0 border-l border-dashed border-gray-200" style={{ left: `${line * 25}%` }} />
+                    ))}
+                    {bookings.filter(b => b.booking?.pitch === pitch._id).map((booking) => {
+                      const quarters = AREA_QUARTERS[booking.booking.area || 'full'];
+                      const start = toMinutes(booking.startTime);
+                      const end = toMinutes(booking.endTime);
+                      return (
+                        <div
+                          key={booking._id}
+                          className={`absolute p-1 rounded text-xs overflow-hidden cursor-pointer hover:opacity-80 border ${
+                            booking.type === 'training'
+                              ? 'bg-blue-100 text-blue-700 border-blue-200'
+                              : 'bg-green-100 text-green-700 border-green-200'
+                          }`}
+                          style={{
+                            top: ((start - dayStart) / SLOT_MINUTES) * SLOT_HEIGHT,
+                            height: ((end - start) / SLOT_MINUTES) * SLOT_HEIGHT,
+                            left: `${(quarters[0] - 1) * 25}%`,
+                            width: `${quarters.length * 25}%`
+                          }}
+                          title={`${booking.startTime} - ${booking.endTime} · ${t(`facilities.areas.${booking.booking.area || 'full'}`)}`}
+                          onClick={() => booking.type === 'training'
+                            ? navigate(`${basePath}/trainings`, { state: { viewTrainingId: booking._id } })
+                            : navigate(`${basePath}/matches`, { state: { viewMatchId: booking._id } })
+                          }
+                        >
+                          <p className="font-medium truncate">{booking.team?.name}</p>
+                          <p className="truncate">
+                            {booking.startTime} - {booking.endTime}
+                            {booking.opponent && ` · ${booking.opponent}`}
+                          </p>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
 const Calendar = () => {
   const { t } = useTranslation();
   const navigate = useNavigate();
   const { user, isCoach, isAdmin } = useAuth();
   const basePath = isAdmin ? '/admin' : '/coach';
+  const [view, setView] = useState('month');
 
   const [currentDate, setCurrentDate] = useState(new Date());
   const [selectedTeam, setSelectedTeam] = useState(() => {
@@ -175,226 +331,253 @@ const Calendar = () => {
           <h1 className="text-2xl font-bold text-gray-900">{t('calendar.title')}</h1>
           <p className="text-gray-500">{t('calendar.description')}</p>
         </div>
-        <Select
-          options={teamOptions}
-          value={selectedTeam}
-          onChange={(e) => setSelectedTeam(e.target.value)}
-          className="w-full sm:w-64"
-        />
-      </div>
-
-      {/* Calendar Navigation */}
-      <Card className="p-4">
-        <div className="flex items-center justify-between mb-6">
-          <div className="flex items-center gap-4">
-            <button
-              onClick={goToPreviousMonth}
-              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-            >
-              <ChevronLeft className="w-5 h-5 text-gray-600" />
-            </button>
-            <h2 className="text-xl font-bold text-gray-900">
-              {monthNames[currentDate.getMonth()]} {currentDate.getFullYear()}
-            </h2>
-            <button
-              onClick={goToNextMonth}
-              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-            >
-              <ChevronRight className="w-5 h-5 text-gray-600" />
-            </button>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <div className="flex rounded-lg bg-gray-100 p-1">
+            {[
+              { value: 'month', icon: CalendarIcon, label: t('calendar.monthView') },
+              { value: 'occupancy', icon: LandPlot, label: t('calendar.occupancyView') }
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => setView(option.value)}
+                className={`flex items-center gap-1 px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                  view === option.value ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                <option.icon className="w-4 h-4" />
+                {option.label}
+              </button>
+            ))}
           </div>
-          <button
-            onClick={goToToday}
-            className="px-4 py-2 text-sm font-medium text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
-          >
-            {t('calendar.today')}
-          </button>
+          {view === 'month' && (
+            <Select
+              options={teamOptions}
+              value={selectedTeam}
+              onChange={(e) => setSelectedTeam(e.target.value)}
+              className="w-full sm:w-64"
+            />
+          )}
         </div>
+      </div>
 
-        {isLoading ? (
-          <Loading />
-        ) : (
-          <>
-            {/* Day headers */}
-            <div className="grid grid-cols-7 gap-1 mb-2">
-              {dayNames.map((day, index) => (
-                <div key={index} className="text-center py-2 text-sm font-medium text-gray-500">
-                  {day}
-                </div>
-              ))}
+      {view === 'occupancy' ? (
+        <FacilityOccupancy basePath={basePath} />
+      ) : (
+        <>
+          {/* Calendar Navigation */}
+          <Card className="p-4">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-4">
+                <button
+                  onClick={goToPreviousMonth}
+                  className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <ChevronLeft className="w-5 h-5 text-gray-600" />
+                </button>
+                <h2 className="text-xl font-bold text-gray-900">
+                  {monthNames[currentDate.getMonth()]} {currentDate.getFullYear()}
+                </h2>
+                <button
+                  onClick={goToNextMonth}
+                  className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <ChevronRight className="w-5 h-5 text-gray-600" />
+                </button>
+              </div>
+              <button
+                onClick={goToToday}
+                className="px-4 py-2 text-sm font-medium text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+              >
+                {t('calendar.today')}
+              </button>
             </div>
 
-            {/* Calendar grid */}
-            <div className="grid grid-cols-7 gap-1">
-              {calendarDays.map((day, index) => {
-                const dateEvents = day.date ? eventsByDate[day.date.toDateString()] || [] : [];
+            {isLoading ? (
+              <Loading />
+            ) : (
+              <>
+                {/* Day headers */}
+                <div className="grid grid-cols-7 gap-1 mb-2">
+                  {dayNames.map((day, index) => (
+                    <div key={index} className="text-center py-2 text-sm font-medium text-gray-500">
+                      {day}
+                    </div>
+                  ))}
+                </div>
 
-                return (
-                  <div
-                    key={index}
-                    className={`min-h-[100px] p-1 border rounded-lg ${
-                      day.isCurrentMonth
-                        ? day.isToday
-                          ? 'bg-primary-50 border-primary-300'
-                          : 'bg-white border-gray-200'
-                        : 'bg-gray-50 border-gray-100'
-                    }`}
-                  >
-                    {day.isCurrentMonth && (
-                      <>
-                        <div className={`text-sm font-medium mb-1 ${
-                          day.isToday ? 'text-primary-600' : 'text-gray-700'
-                        }`}>
-                          {day.day}
-                        </div>
-                        <div className="space-y-1">
-                          {dateEvents.slice(0, 3).map((event, eventIndex) => (
-                            <div
-                              key={eventIndex}
-                              className={`text-xs p-1 rounded truncate cursor-pointer hover:opacity-80 transition-opacity ${
-                                event.type === 'training'
-                                  ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
-                                  : 'bg-green-100 text-green-700 hover:bg-green-200'
-                              }`}
-                              title={event.type === 'training'
-                                ? `${event.time} - ${t('trainings.title')}: ${event.data.team?.name}`
-                                : `${event.time} - ${event.data.team?.name} vs ${event.data.opponent?.name}`
-                              }
-                              onClick={() => {
-                                if (event.type === 'training') {
-                                  navigate(`${basePath}/trainings`, { state: { viewTrainingId: event.data._id } });
-                                } else {
-                                  navigate(`${basePath}/matches`, { state: { viewMatchId: event.data._id } });
-                                }
-                              }}
-                            >
-                              {event.type === 'training' ? (
-                                <span className="flex items-center gap-1">
-                                  <Dumbbell className="w-3 h-3 flex-shrink-0" />
-                                  <span className="truncate">{event.time} {event.data.team?.name}</span>
-                                </span>
-                              ) : (
-                                <span className="flex items-center gap-1">
-                                  <Trophy className="w-3 h-3 flex-shrink-0" />
-                                  <span className="truncate">{event.time} {event.data.opponent?.name}</span>
-                                </span>
-                              )}
+                {/* Calendar grid */}
+                <div className="grid grid-cols-7 gap-1">
+                  {calendarDays.map((day, index) => {
+                    const dateEvents = day.date ? eventsByDate[day.date.toDateString()] || [] : [];
+
+                    return (
+                      <div
+                        key={index}
+                        className={`min-h-[100px] p-1 border rounded-lg ${
+                          day.isCurrentMonth
+                            ? day.isToday
+                              ? 'bg-primary-50 border-primary-300'
+                              : 'bg-white border-gray-200'
+                            : 'bg-gray-50 border-gray-100'
+                        }`}
+                      >
+                        {day.isCurrentMonth && (
+                          <>
+                            <div className={`text-sm font-medium mb-1 ${
+                              day.isToday ? 'text-primary-600' : 'text-gray-700'
+                            }`}>
+                              {day.day}
                             </div>
-                          ))}
-                          {dateEvents.length > 3 && (
-                            <div className="text-xs text-gray-500 pl-1">
-                              +{dateEvents.length - 3} {t('calendar.more')}
+                            <div className="space-y-1">
+                              {dateEvents.slice(0, 3).map((event, eventIndex) => (
+                                <div
+                                  key={eventIndex}
+                                  className={`text-xs p-1 rounded truncate cursor-pointer hover:opacity-80 transition-opacity ${
+                                    event.type === 'training'
+                                      ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                                      : 'bg-green-100 text-green-700 hover:bg-green-200'
+                                  }`}
+                                  title={event.type === 'training'
+                                    ? `${event.time} - ${t('trainings.title')}: ${event.data.team?.name}`
+                                    : `${event.time} - ${event.data.team?.name} vs ${event.data.opponent?.name}`
+                                  }
+                                  onClick={() => {
+                                    if (event.type === 'training') {
+                                      navigate(`${basePath}/trainings`, { state: { viewTrainingId: event.data._id } });
+                                    } else {
+                                      navigate(`${basePath}/matches`, { state: { viewMatchId: event.data._id } });
+                                    }
+                                  }}
+                                >
+                                  {event.type === 'training' ? (
+                                    <span className="flex items-center gap-1">
+                                      <Dumbbell className="w-3 h-3 flex-shrink-0" />
+                                      <span className="truncate">{event.time} {event.data.team?.name}</span>
+                                    </span>
+                                  ) : (
+                                    <span className="flex items-center gap-1">
+                                      <Trophy className="w-3 h-3 flex-shrink-0" />
+                                      <span className="truncate">{event.time} {event.data.opponent?.name}</span>
+                                    </span>
+                                  )}
+                                </div>
+                              ))}
+                              {dateEvents.length > 3 && (
+                                <div className="text-xs text-gray-500 pl-1">
+                                  +{dateEvents.length - 3} {t('calendar.more')}
+                                </div>
+                              )}
                             </div>
-                          )}
-                        </div>
-                      </>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
-
-            {/* Legend */}
-            <div className="flex items-center gap-6 mt-4 pt-4 border-t border-gray-100">
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-4 bg-blue-100 rounded" />
-                <span className="text-sm text-gray-600">{t('trainings.title')}</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-4 bg-green-100 rounded" />
-                <span className="text-sm text-gray-600">{t('matches.title')}</span>
-              </div>
-            </div>
-          </>
-        )}
-      </Card>
+                          </>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
 
-      {/* Upcoming Events List */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Upcoming Trainings */}
-        <Card className="p-6">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="w-10 h-10 rounded-lg bg-blue-100 flex items-center justify-center">
-              <Dumbbell className="w-5 h-5 text-blue-600" />
-            </div>
-            <h3 className="font-semibold text-gray-900">{t('calendar.upcomingTrainings')}</h3>
-          </div>
-          <div className="space-y-3">
-            {trainingsData?.filter(t => new Date(t.date) >= new Date()).slice(0, 5).map((training) => (
-              <div
-                key={training._id}
-                className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
-                onClick={() => navigate(`${basePath}/trainings`, { state: { viewTrainingId: training._id } })}
-              >
-                <div className="text-center min-w-[50px]">
-                  <p className="text-lg font-bold text-gray-900">
-                    {new Date(training.date).getDate()}
-                  </p>
-                  <p className="text-xs text-gray-500">
-                    {monthNames[new Date(training.date).getMonth()]?.slice(0, 3)}
-                  </p>
+                {/* Legend */}
+                <div className="flex items-center gap-6 mt-4 pt-4 border-t border-gray-100">
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-4 bg-blue-100 rounded" />
+                    <span className="text-sm text-gray-600">{t('trainings.title')}</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-4 bg-green-100 rounded" />
+                    <span className="text-sm text-gray-600">{t('matches.title')}</span>
+                  </div>
                 </div>
-                <div className="flex-1 min-w-0">
-                  <p className="font-medium text-gray-900 truncate">{training.team?.name}</p>
-                  <p className="text-sm text-gray-500">{training.startTime} - {training.endTime}</p>
+              </>
+            )}
+          </Card>
+
+          {/* Upcoming Events List */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Upcoming Trainings */}
+            <Card className="p-6">
+              <div className="flex items-center gap-3 mb-4">
+                <div className="w-10 h-10 rounded-lg bg-blue-100 flex items-center justify-center">
+                  <Dumbbell className="w-5 h-5 text-blue-600" />
                 </div>
-                <Badge className={
-                  training.status === 'completed' ? 'bg-green-100 text-green-700' :
-                  training.status === 'cancelled' ? 'bg-red-100 text-red-700' :
-                  'bg-blue-100 text-blue-700'
-                }>
-                  {t(`trainings.statuses.${training.status}`)}
-                </Badge>
+                <h3 className="font-semibold text-gray-900">{t('calendar.upcomingTrainings')}</h3>
               </div>
-            )) || (
-              <p className="text-gray-500 text-sm text-center py-4">{t('common.noData')}</p>
-            )}
-          </div>
-        </Card>
+              <div className="space-y-3">
+                {trainingsData?.filter(t => new Date(t.date) >= new Date()).slice(0, 5).map((training) => (
+                  <div
+                    key={training._id}
+                    className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
+                    onClick={() => navigate(`${basePath}/trainings`, { state: { viewTrainingId: training._id } })}
+                  >
+                    <div className="text-center min-w-[50px]">
+                      <p className="text-lg font-bold text-gray-900">
+                        {new Date(training.date).getDate()}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {monthNames[new Date(training.date).getMonth()]?.slice(0, 3)}
+                      </p>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{training.team?.name}</p>
+                      <p className="text-sm text-gray-500">{training.startTime} - {training.endTime}</p>
+                    </div>
+                    <Badge className={
+                      training.status === 'completed' ? 'bg-green-100 text-green-700' :
+                      training.status === 'cancelled' ? 'bg-red-100 text-red-700' :
+                      'bg-blue-100 text-blue-700'
+                    }>
+                      {t(`trainings.statuses.${training.status}`)}
+                    </Badge>
+                  </div>
+                )) || (
+                  <p className="text-gray-500 text-sm text-center py-4">{t('common.noData')}</p>
+                )}
+              </div>
+            </Card>
 
-        {/* Upcoming Matches */}
-        <Card className="p-6">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="w-10 h-10 rounded-lg bg-green-100 flex items-center justify-center">
-              <Trophy className="w-5 h-5 text-green-600" />
-            </div>
-            <h3 className="font-semibold text-gray-900">{t('calendar.upcomingMatches')}</h3>
-          </div>
-          <div className="space-y-3">
-            {matchesData?.filter(m => new Date(m.matchDate) >= new Date()).slice(0, 5).map((match) => (
-              <div
-                key={match._id}
-                className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
-                onClick={() => navigate(`${basePath}/matches`, { state: { viewMatchId: match._id } })}
-              >
-                <div className="text-center min-w-[50px]">
-                  <p className="text-lg font-bold text-gray-900">
-                    {new Date(match.matchDate).getDate()}
-                  </p>
-                  <p className="text-xs text-gray-500">
-                    {monthNames[new Date(match.matchDate).getMonth()]?.slice(0, 3)}
-                  </p>
+            {/* Upcoming Matches */}
+            <Card className="p-6">
+              <div className="flex items-center gap-3 mb-4">
+                <div className="w-10 h-10 rounded-lg bg-green-100 flex items-center justify-center">
+                  <Trophy className="w-5 h-5 text-green-600" />
                 </div>
-                <div className="flex-1 min-w-0">
-                  <p className="font-medium text-gray-900 truncate">
-                    {match.team?.name} vs {match.opponent?.name}
-                  </p>
-                  <p className="text-sm text-gray-500">{match.kickoffTime} - {match.venue}</p>
-                </div>
-                <Badge className={
-                  match.status === 'completed' ? 'bg-green-100 text-green-700' :
-                  match.status === 'cancelled' ? 'bg-red-100 text-red-700' :
-                  'bg-yellow-100 text-yellow-700'
-                }>
-                  {t(`matches.statuses.${match.status}`)}
-                </Badge>
+                <h3 className="font-semibold text-gray-900">{t('calendar.upcomingMatches')}</h3>
               </div>
-            )) || (
-              <p className="text-gray-500 text-sm text-center py-4">{t('common.noData')}</p>
-            )}
+              <div className="space-y-3">
+                {matchesData?.filter(m => new Date(m.matchDate) >= new Date()).slice(0, 5).map((match) => (
+                  <div
+                    key={match._id}
+                    className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
+                    onClick={() => navigate(`${basePath}/matches`, { state: { viewMatchId: match._id } })}
+                  >
+                    <div className="text-center min-w-[50px]">
+                      <p className="text-lg font-bold text-gray-900">
+                        {new Date(match.matchDate).getDate()}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {monthNames[new Date(match.matchDate).getMonth()]?.slice(0, 3)}
+                      </p>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-900 truncate">
+                        {match.team?.name} vs {match.opponent?.name}
+                      </p>
+                      <p className="text-sm text-gray-500">{match.kickoffTime} - {match.venue}</p>
+                    </div>
+                    <Badge className={
+                      match.status === 'completed' ? 'bg-green-100 text-green-700' :
+                      match.status === 'cancelled' ? 'bg-red-100 text-red-700' :
+                      'bg-yellow-100 text-yellow-700'
+                    }>
+                      {t(`matches.statuses.${match.status}`)}
+                    </Badge>
+                  </div>
+                )) || (
+                  <p className="text-gray-500 text-sm text-center py-4">{t('common.noData')}</p>
+                )}
+              </div>
+            </Card>
           </div>
-        </Card>
-      </div>
+        </>
+      )}
     </div>
   );
 };
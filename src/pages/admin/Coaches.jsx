@@ -2,13 +2,13 @@ import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useForm } from 'react-hook-form';
-import { usersAPI, teamsAPI } from '../../utils/api';
+import { usersAPI, teamsAPI, rolesAPI } from '../../utils/api';
 import { Card, Loading, Button, Input, Select, Modal, Avatar, Badge, EmptyState, ConfirmDialog } from '../../components/common';
-import { Plus, Edit, Trash2, UserCircle, Key, Shield } from 'lucide-react';
-import { formatDate } from '../../utils/helpers';
+import { Plus, Edit, Trash2, Send, UserCircle, Key, Shield, ShieldOff, Lock, Unlock } from 'lucide-react';
+import { formatDate, formatDateTime } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
-const CoachForm = ({ coach, teams, onSubmit, onClose, loading }) => {
+const CoachForm = ({ coach, teams, roles, onSubmit, onClose, loading }) => {
   const { t } = useTranslation();
   const [selectedTeams, setSelectedTeams] = useState(coach?.teams || []);
   const { register, handleSubmit, formState: { errors } } = useForm({
@@ -18,6 +18,7 @@ const CoachForm = ({ coach, teams, onSubmit, onClose, loading }) => {
       email: '',
       password: '',
       phone: '',
+      customRole: '',
     }
   });
 
@@ -63,8 +64,8 @@ const CoachForm = ({ coach, teams, onSubmit, onClose, loading }) => {
             label={t('common.password')}
             type="password"
             error={errors.password?.message}
+            placeholder={t('users.invitePlaceholder')}
             {...register('password', {
-              required: 'Password is required',
               minLength: { value: 6, message: 'Min 6 characters' }
             })}
           />
@@ -73,6 +74,12 @@ const CoachForm = ({ coach, teams, onSubmit, onClose, loading }) => {
           label={t('common.phone')}
           {...register('phone')}
         />
+        <Select
+          label={t('roles.accessRole')}
+          options={roles.map(role => ({ value: role.key, label: role.name }))}
+          placeholder={t('roles.defaultCoachRole')}
+          {...register('customRole')}
+        />
       </div>
 
       {/* Multi-select teams */}
@@ -128,6 +135,7 @@ const Coaches = () => {
   const [editingCoach, setEditingCoach] = useState(null);
   const [deletingCoach, setDeletingCoach] = useState(null);
   const [resetPasswordCoach, setResetPasswordCoach] = useState(null);
+  const [resetTwoFactorCoach, setResetTwoFactorCoach] = useState(null);
   const [newPassword, setNewPassword] = useState('');
 
   const { data: coachesData, isLoading } = useQuery({
@@ -142,6 +150,23 @@ const Coaches = () => {
     select: (res) => res.data.teams,
   });
 
+  // Extra roles coaches can be given (assistant coach, physio, ...)
+  const { data: rolesData } = useQuery({
+    queryKey: ['roles'],
+    queryFn: () => rolesAPI.getAll(),
+    select: (res) => res.data.roles,
+  });
+  const coachRoles = (rolesData || []).filter(role => !role.isSystem && role.baseRole === 'coach');
+
+  // Accounts of any role locked after failed sign-in attempts
+  const { data: lockedUsers } = useQuery({
+    queryKey: ['locked-users'],
+    queryFn: () => usersAPI.getAll({ locked: true, limit: 100 }),
+    select: (res) => res.data.users,
+  });
+
+  const isLocked = (user) => user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
   const createMutation = useMutation({
     mutationFn: usersAPI.create,
     onSuccess: () => {
@@ -179,6 +204,38 @@ const Coaches = () => {
     }
   });
 
+  const resendInvitationMutation = useMutation({
+    mutationFn: usersAPI.resendInvitation,
+    onSuccess: () => toast.success(t('users.invitationSent')),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const unlockMutation = useMutation({
+    mutationFn: usersAPI.unlock,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['locked-users'] });
+      queryClient.invalidateQueries({ queryKey: ['coaches'] });
+      toast.success(t('users.unlocked'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const resetTwoFactorMutation = useMutation({
+    mutationFn: usersAPI.resetTwoFactor,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['coaches'] });
+      setResetTwoFactorCoach(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
   const resetPasswordMutation = useMutation({
     mutationFn: ({ id, newPassword }) => usersAPI.resetPassword(id, { newPassword }),
     onSuccess: () => {
@@ -206,7 +263,8 @@ const Coaches = () => {
       : (coach.team ? [coach.team._id || coach.team] : []);
     setEditingCoach({
       ...coach,
-      teams: coachTeams
+      teams: coachTeams,
+      customRole: coach.customRole || ''
     });
     setShowModal(true);
   };
@@ -224,6 +282,43 @@ const Coaches = () => {
         </Button>
       </div>
 
+      {/* Locked Accounts */}
+      {lockedUsers?.length > 0 && (
+        <Card>
+          <Card.Header>
+            <h3 className="font-semibold flex items-center gap-2">
+              <Lock className="w-5 h-5 text-red-500" />
+              {t('users.lockedAccounts')} ({lockedUsers.length})
+            </h3>
+            <p className="text-sm text-gray-500">{t('users.lockedAccountsHint')}</p>
+          </Card.Header>
+          <Card.Body className="space-y-2">
+            {lockedUsers.map(lockedUser => (
+              <div key={lockedUser._id} className="flex items-center justify-between gap-3 p-3 bg-red-50 rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">
+                    {lockedUser.firstName} {lockedUser.lastName}
+                    <span className="ml-2 text-xs text-gray-500">{t(`audit.roles.${lockedUser.role}`)}</span>
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {lockedUser.email} · {t('users.failedAttempts', { count: lockedUser.failedLoginAttempts })} · {t('users.lockedUntil')} {formatDateTime(lockedUser.lockedUntil)}
+                  </p>
+                </div>
+                <Button
+                  variant="secondary"
+                  size="small"
+                  icon={Unlock}
+                  onClick={() => unlockMutation.mutate(lockedUser._id)}
+                  disabled={unlockMutation.isPending}
+                >
+                  {t('users.unlock')}
+                </Button>
+              </div>
+            ))}
+          </Card.Body>
+        </Card>
+      )}
+
       {/* Coaches Grid */}
       {isLoading ? (
         <Loading />
@@ -247,9 +342,24 @@ const Coaches = () => {
                     lastName={coach.lastName}
                     size="large"
                   />
-                  <Badge variant={coach.isActive ? 'success' : 'danger'}>
-                    {coach.isActive ? 'Active' : 'Inactive'}
-                  </Badge>
+                  <div className="flex flex-col items-end gap-1">
+                    <Badge variant={coach.isActive ? 'success' : 'danger'}>
+                      {coach.isActive ? 'Active' : 'Inactive'}
+                    </Badge>
+                    {coach.invitedAt && <Badge variant="warning">{t('users.invitationPending')}</Badge>}
+                    {coach.twoFactor?.enabled && <Badge variant="success">{t('users.twoFactorOn')}</Badge>}
+                    {isLocked(coach) && (
+                      <Badge variant="danger">
+                        <Lock className="w-3 h-3 inline mr-1" />
+                        {t('users.locked')}
+                      </Badge>
+                    )}
+                    {coach.customRole && (
+                      <Badge variant="primary">
+                        {rolesData?.find(role => role.key === coach.customRole)?.name || coach.customRole}
+                      </Badge>
+                    )}
+                  </div>
                 </div>
 
                 <div className="mb-4">
@@ -292,6 +402,25 @@ const Coaches = () => {
                     Last login: {coach.lastLogin ? formatDate(coach.lastLogin) : 'Never'}
                   </span>
                   <div className="flex gap-1">
+                    {coach.invitedAt && (
+                      <button
+                        onClick={() => resendInvitationMutation.mutate(coach._id)}
+                        disabled={resendInvitationMutation.isPending}
+                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                        title={t('users.resendInvitation')}
+                      >
+                        <Send className="w-4 h-4" />
+                      </button>
+                    )}
+                    {coach.twoFactor?.enabled && (
+                      <button
+                        onClick={() => setResetTwoFactorCoach(coach)}
+                        className="p-2 text-gray-400 hover:text-yellow-600 hover:bg-yellow-50 rounded-lg"
+                        title={t('users.resetTwoFactor')}
+                      >
+                        <ShieldOff className="w-4 h-4" />
+                      </button>
+                    )}
                     <button
                       onClick={() => setResetPasswordCoach(coach)}
                       className="p-2 text-gray-400 hover:text-yellow-600 hover:bg-yellow-50 rounded-lg"
@@ -332,6 +461,7 @@ const Coaches = () => {
         <CoachForm
           coach={editingCoach}
           teams={teamsData || []}
+          roles={coachRoles}
           onSubmit={handleSubmit}
           onClose={() => {
             setShowModal(false);
@@ -388,6 +518,16 @@ const Coaches = () => {
         message={t('common.confirm')}
         loading={deleteMutation.isPending}
       />
+
+      {/* Reset Two-Factor Confirmation */}
+      <ConfirmDialog
+        isOpen={!!resetTwoFactorCoach}
+        onClose={() => setResetTwoFactorCoach(null)}
+        onConfirm={() => resetTwoFactorMutation.mutate(resetTwoFactorCoach._id)}
+        title={t('users.resetTwoFactor')}
+        message={t('users.resetTwoFactorConfirm')}
+        loading={resetTwoFactorMutation.isPending}
+      />
     </div>
   );
 };
@@ -0,0 +1,581 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { competitionsAPI, teamsAPI, seasonsAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, Trophy, ListOrdered, CalendarDays, Target, Shuffle, Save } from 'lucide-react';
+import { formatDate } from '../../utils/helpers';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const CompetitionForm = ({ competition, teams, seasons, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const hasFixtures = competition?.fixtures?.length > 0;
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: competition ? {
+      name: competition.name,
+      season: competition.season?._id || competition.season || '',
+      ageCategory: competition.ageCategory || '',
+      pointsForWin: competition.pointsForWin,
+      pointsForDraw: competition.pointsForDraw,
+      doubleRoundRobin: competition.doubleRoundRobin,
+      isActive: competition.isActive,
+      teams: competition.participants.filter(p => p.team).map(p => p.team),
+      opponents: competition.participants.filter(p => !p.team).map(p => p.name).join('\n'),
+    } : {
+      name: '',
+      season: '',
+      ageCategory: '',
+      pointsForWin: 3,
+      pointsForDraw: 1,
+      doubleRoundRobin: true,
+      isActive: true,
+      teams: [],
+      opponents: '',
+    }
+  });
+
+  const submit = (data) => {
+    const payload = {
+      name: data.name,
+      season: data.season || null,
+      ageCategory: data.ageCategory,
+      pointsForWin: Number(data.pointsForWin),
+      pointsForDraw: Number(data.pointsForDraw),
+      doubleRoundRobin: data.doubleRoundRobin,
+      isActive: data.isActive,
+    };
+
+    // Participants are fixed once fixtures exist
+    if (!hasFixtures) {
+      payload.participants = [
+        ...(data.teams || []).map(team => ({ team })),
+        ...data.opponents.split('\n').map(name => name.trim()).filter(Boolean).map(name => ({ name })),
+      ];
+    }
+
+    onSubmit(payload);
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
+      <Input
+        label={t('competitions.name')}
+        error={errors.name?.message}
+        {...register('name', { required: 'Competition name is required' })}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Select
+          label={t('seasons.title')}
+          placeholder={t('competitions.noSeason')}
+          options={seasons.map(s => ({ value: s._id, label: s.name }))}
+          {...register('season')}
+        />
+        <Input label={t('teams.ageCategory')} {...register('ageCategory')} />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <Input label={t('competitions.pointsForWin')} type="number" min="0" {...register('pointsForWin')} />
+        <Input label={t('competitions.pointsForDraw')} type="number" min="0" {...register('pointsForDraw')} />
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('doubleRoundRobin')} />
+        {t('competitions.doubleRoundRobin')}
+      </label>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('isActive')} />
+        {t('competitions.active')}
+      </label>
+
+      {hasFixtures ? (
+        <p className="text-sm text-gray-500">{t('competitions.participantsLocked')}</p>
+      ) : (
+        <>
+          <div>
+            <p className="label">{t('competitions.ourTeams')}</p>
+            <div className="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto p-3 bg-gray-50 rounded-lg">
+              {teams.map(team => (
+                <label key={team._id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" value={team._id} className="w-4 h-4 text-primary-600 rounded" {...register('teams')} />
+                  {team.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="label">{t('competitions.opponents')}</label>
+            <textarea
+              rows={4}
+              className="input"
+              placeholder={t('competitions.opponentsPlaceholder')}
+              {...register('opponents')}
+            />
+          </div>
+        </>
+      )}
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const GenerateFixturesForm = ({ competition, onClose }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { register, handleSubmit } = useForm({
+    defaultValues: { startDate: '', intervalDays: 7, kickoffTime: '10:00', venue: '' }
+  });
+
+  const generateMutation = useMutation({
+    mutationFn: (data) => competitionsAPI.generateFixtures(competition._id, {
+      ...data,
+      intervalDays: Number(data.intervalDays),
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['competition', competition._id]);
+      queryClient.invalidateQueries(['matches']);
+      toast.success(t('common.success'));
+      onClose();
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <form onSubmit={handleSubmit((data) => generateMutation.mutate(data))} className="space-y-4">
+      <p className="text-sm text-gray-600">{t('competitions.generateDescription')}</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input label={t('seasons.startDate')} type="date" {...register('startDate', { required: true })} />
+        <Input label={t('competitions.intervalDays')} type="number" min="1" {...register('intervalDays')} />
+        <Input label={t('matches.kickoffTime')} type="time" {...register('kickoffTime')} />
+        <Input label={t('matches.venue')} {...register('venue')} />
+      </div>
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" icon={Shuffle} loading={generateMutation.isPending}>
+          {t('competitions.generateFixtures')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Result entry for fixtures between two external teams
+const FixtureResultInput = ({ competitionId, fixture }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [homeScore, setHomeScore] = useState(fixture.score?.home ?? '');
+  const [awayScore, setAwayScore] = useState(fixture.score?.away ?? '');
+
+  const resultMutation = useMutation({
+    mutationFn: () => competitionsAPI.updateFixture(competitionId, fixture._id, {
+      homeScore: homeScore === '' ? null : Number(homeScore),
+      awayScore: awayScore === '' ? null : Number(awayScore),
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['competition', competitionId]);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <div className="flex items-center gap-1">
+      <input type="number" min="0" className="input w-14 py-1 text-center" value={homeScore} onChange={(e) => setHomeScore(e.target.value)} />
+      <span>:</span>
+      <input type="number" min="0" className="input w-14 py-1 text-center" value={awayScore} onChange={(e) => setAwayScore(e.target.value)} />
+      <button
+        onClick={() => resultMutation.mutate()}
+        disabled={resultMutation.isPending}
+        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+      >
+        <Save className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+const CompetitionDetail = ({ competitionId, isAdmin }) => {
+  const { t } = useTranslation();
+  const [activeTab, setActiveTab] = useState('standings');
+  const [showGenerate, setShowGenerate] = useState(false);
+
+  const { data: competition, isLoading } = useQuery({
+    queryKey: ['competition', competitionId],
+    queryFn: () => competitionsAPI.getById(competitionId),
+    select: (res) => res.data.competition,
+  });
+
+  const { data: standings } = useQuery({
+    queryKey: ['competition', competitionId, 'standings'],
+    queryFn: () => competitionsAPI.getStandings(competitionId),
+    select: (res) => res.data.standings,
+    enabled: activeTab === 'standings',
+  });
+
+  const { data: topScorers } = useQuery({
+    queryKey: ['competition', competitionId, 'topScorers'],
+    queryFn: () => competitionsAPI.getTopScorers(competitionId),
+    select: (res) => res.data.topScorers,
+    enabled: activeTab === 'scorers',
+  });
+
+  if (isLoading || !competition) return <Loading />;
+
+  const participantNames = new Map(competition.participants.map(p => [p._id, p]));
+  const rounds = [...new Set(competition.fixtures.map(f => f.round))];
+
+  const tabs = [
+    { id: 'standings', label: t('competitions.standings'), icon: ListOrdered },
+    { id: 'fixtures', label: t('competitions.fixtures'), icon: CalendarDays },
+    { id: 'scorers', label: t('competitions.topScorers'), icon: Target },
+  ];
+
+  return (
+    <Card>
+      <Card.Header>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">{competition.name}</h2>
+            <p className="text-sm text-gray-500">
+              {competition.season?.name}
+              {competition.ageCategory && ` · ${competition.ageCategory}`}
+              {` · ${competition.participants.length} ${t('competitions.participants').toLowerCase()}`}
+            </p>
+          </div>
+          {isAdmin && (
+            <Button size="small" icon={Shuffle} onClick={() => setShowGenerate(true)}>
+              {t('competitions.generateFixtures')}
+            </Button>
+          )}
+        </div>
+      </Card.Header>
+      <Card.Body>
+        <div className="flex gap-2 border-b border-gray-200 overflow-x-auto mb-4">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 transition-colors whitespace-nowrap ${
+                activeTab === tab.id
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <tab.icon className="w-4 h-4" />
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'standings' && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-100 text-gray-500">
+                  <th className="text-left py-2 px-2 font-medium">#</th>
+                  <th className="text-left py-2 px-2 font-medium">{t('competitions.team')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('competitions.played')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('statistics.fields.wins')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('statistics.fields.draws')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('statistics.fields.losses')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('seasons.goals')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('competitions.goalDifference')}</th>
+                  <th className="text-center py-2 px-2 font-medium">{t('competitions.points')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-50">
+                {standings?.map((row) => (
+                  <tr key={row.participant} className={row.isOurs ? 'bg-primary-50' : ''}>
+                    <td className="py-2 px-2 text-gray-500">{row.position}</td>
+                    <td className="py-2 px-2 font-medium text-gray-900">{row.name}</td>
+                    <td className="py-2 px-2 text-center">{row.played}</td>
+                    <td className="py-2 px-2 text-center text-green-600">{row.won}</td>
+                    <td className="py-2 px-2 text-center text-yellow-600">{row.drawn}</td>
+                    <td className="py-2 px-2 text-center text-red-600">{row.lost}</td>
+                    <td className="py-2 px-2 text-center">{row.goalsFor}:{row.goalsAgainst}</td>
+                    <td className="py-2 px-2 text-center">{row.goalDifference > 0 ? `+${row.goalDifference}` : row.goalDifference}</td>
+                    <td className="py-2 px-2 text-center font-bold">{row.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {activeTab === 'fixtures' && (
+          competition.fixtures.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">{t('competitions.noFixtures')}</p>
+          ) : (
+            <div className="space-y-4">
+              {rounds.map((round) => (
+                <div key={round}>
+                  <h4 className="text-sm font-semibold text-gray-700 mb-2">{t('competitions.round')} {round}</h4>
+                  <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                    {competition.fixtures.filter(f => f.round === round).map((fixture) => (
+                      <div key={fixture._id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                        <span className="text-gray-400 w-24">{formatDate(fixture.date)}</span>
+                        <span className="flex-1 text-right font-medium text-gray-900">{participantNames.get(fixture.home)?.name}</span>
+                        {isAdmin && !fixture.match ? (
+                          <FixtureResultInput competitionId={competition._id} fixture={fixture} />
+                        ) : (
+                          <span className="w-16 text-center font-bold">
+                            {fixture.result ? `${fixture.result.home}:${fixture.result.away}` : '-:-'}
+                          </span>
+                        )}
+                        <span className="flex-1 font-medium text-gray-900">{participantNames.get(fixture.away)?.name}</span>
+                        <Badge variant={fixture.result ? 'success' : 'default'}>{t(`matches.statuses.${fixture.status}`)}</Badge>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+
+        {activeTab === 'scorers' && (
+          topScorers?.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">{t('common.noData')}</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {topScorers?.map((scorer, index) => (
+                <div key={scorer.player || `${scorer.team}:${scorer.name}`} className="flex items-center justify-between py-2 text-sm">
+                  <div className="flex items-center gap-3">
+                    <span className="w-6 text-gray-400">{index + 1}</span>
+                    <div>
+                      <p className="font-medium text-gray-900">{scorer.name}</p>
+                      <p className="text-xs text-gray-500">{scorer.team}</p>
+                    </div>
+                  </div>
+                  <span className="font-bold text-gray-900">{scorer.goals}</span>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+      </Card.Body>
+
+      <Modal
+        isOpen={showGenerate}
+        onClose={() => setShowGenerate(false)}
+        title={t('competitions.generateFixtures')}
+      >
+        {showGenerate && (
+          <GenerateFixturesForm competition={competition} onClose={() => setShowGenerate(false)} />
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+const Competitions = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { isAdmin } = useAuth();
+  const [selectedId, setSelectedId] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCompetition, setEditingCompetition] = useState(null);
+  const [deletingCompetition, setDeletingCompetition] = useState(null);
+
+  const { data: competitionsData, isLoading } = useQuery({
+    queryKey: ['competitions'],
+    queryFn: () => competitionsAPI.getAll(),
+    select: (res) => res.data.competitions,
+  });
+
+  const { data: teamsData } = useQuery({
+    queryKey: ['teams'],
+    queryFn: () => teamsAPI.getAll({ limit: 100 }),
+    select: (res) => res.data.teams,
+    enabled: isAdmin,
+  });
+
+  const { data: seasonsData } = useQuery({
+    queryKey: ['seasons'],
+    queryFn: () => seasonsAPI.getAll(),
+    select: (res) => res.data.seasons,
+    enabled: isAdmin,
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCompetition(null);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: competitionsAPI.create,
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['competitions']);
+      setSelectedId(res.data.competition._id);
+      closeModal();
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => competitionsAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['competitions']);
+      queryClient.invalidateQueries(['competition']);
+      closeModal();
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: competitionsAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['competitions']);
+      queryClient.invalidateQueries(['matches']);
+      if (selectedId === deletingCompetition?._id) setSelectedId(null);
+      setDeletingCompetition(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const handleSubmit = (data) => {
+    if (editingCompetition) {
+      updateMutation.mutate({ id: editingCompetition._id, data });
+    } else {
+      createMutation.mutate(data);
+    }
+  };
+
+  const openEditModal = async (competition) => {
+    // The list is loaded without fixtures
+    const res = await competitionsAPI.getById(competition._id);
+    setEditingCompetition(res.data.competition);
+    setShowModal(true);
+  };
+
+  const activeId = selectedId || competitionsData?.[0]?._id;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('competitions.title')}</h1>
+          <p className="text-gray-500">{competitionsData?.length || 0} {t('competitions.title').toLowerCase()}</p>
+        </div>
+        {isAdmin && (
+          <Button icon={Plus} onClick={() => setShowModal(true)}>
+            {t('competitions.addCompetition')}
+          </Button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <Loading />
+      ) : competitionsData?.length === 0 ? (
+        <EmptyState
+          icon={Trophy}
+          title={t('common.noData')}
+          action={isAdmin ? () => setShowModal(true) : undefined}
+          actionLabel={isAdmin ? t('competitions.addCompetition') : undefined}
+          actionIcon={Plus}
+        />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            {competitionsData?.map((competition) => (
+              <Card
+                key={competition._id}
+                className={`p-4 cursor-pointer ${activeId === competition._id ? 'ring-2 ring-primary-500' : ''}`}
+                onClick={() => setSelectedId(competition._id)}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold text-gray-900">{competition.name}</h3>
+                      {!competition.isActive && <Badge variant="default">{t('competitions.inactive')}</Badge>}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {competition.season?.name || t('competitions.noSeason')}
+                      {` · ${competition.participants.length} ${t('competitions.participants').toLowerCase()}`}
+                    </p>
+                  </div>
+                  {isAdmin && (
+                    <div className="flex items-center">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openEditModal(competition);
+                        }}
+                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setDeletingCompetition(competition);
+                        }}
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </Card>
+            ))}
+          </div>
+
+          <div className="lg:col-span-2">
+            {activeId && <CompetitionDetail key={activeId} competitionId={activeId} isAdmin={isAdmin} />}
+          </div>
+        </div>
+      )}
+
+      {/* Add/Edit Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title={editingCompetition ? t('competitions.editCompetition') : t('competitions.addCompetition')}
+        size="large"
+      >
+        {showModal && (
+          <CompetitionForm
+            competition={editingCompetition}
+            teams={teamsData || []}
+            seasons={seasonsData || []}
+            onSubmit={handleSubmit}
+            onClose={closeModal}
+            loading={createMutation.isPending || updateMutation.isPending}
+          />
+        )}
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deletingCompetition}
+        onClose={() => setDeletingCompetition(null)}
+        onConfirm={() => deleteMutation.mutate(deletingCompetition._id)}
+        title={t('common.delete')}
+        message={t('competitions.confirmDelete')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Competitions;
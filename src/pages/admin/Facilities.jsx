@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { facilitiesAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, MapPin, LandPlot } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const surfaces = ['natural', 'artificial', 'indoor'];
+
+const FacilityForm = ({ facility, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const { register, control, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: facility || {
+      name: '',
+      address: '',
+      isActive: true,
+      pitches: [{ name: '', surface: 'artificial', canSplit: true, isActive: true }],
+    }
+  });
+  const { fields, append, remove } = useFieldArray({ control, name: 'pitches', keyName: 'key' });
+
+  const surfaceOptions = surfaces.map(surface => ({
+    value: surface,
+    label: t(`facilities.surfaces.${surface}`)
+  }));
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={t('facilities.name')}
+          error={errors.name?.message}
+          {...register('name', { required: 'Facility name is required' })}
+        />
+        <Input label={t('facilities.address')} {...register('address')} />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="label mb-0">{t('facilities.pitches')}</label>
+          <Button
+            type="button"
+            size="small"
+            variant="ghost"
+            icon={Plus}
+            onClick={() => append({ name: '', surface: 'artificial', canSplit: true, isActive: true })}
+          >
+            {t('facilities.addPitch')}
+          </Button>
+        </div>
+        {fields.map((field, index) => (
+          <div key={field.key} className="grid grid-cols-12 gap-2 items-center">
+            <div className="col-span-4">
+              <Input
+                placeholder={t('facilities.pitch')}
+                {...register(`pitches.${index}.name`, { required: true })}
+              />
+            </div>
+            <div className="col-span-3">
+              <Select options={surfaceOptions} {...register(`pitches.${index}.surface`)} />
+            </div>
+            <label className="col-span-2 flex items-center gap-1 text-sm text-gray-700">
+              <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register(`pitches.${index}.canSplit`)} />
+              {t('facilities.canSplit')}
+            </label>
+            <label className="col-span-2 flex items-center gap-1 text-sm text-gray-700">
+              <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register(`pitches.${index}.isActive`)} />
+              {t('facilities.active')}
+            </label>
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              className="col-span-1 p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('isActive')} />
+        {t('facilities.active')}
+      </label>
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const Facilities = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+  const [editingFacility, setEditingFacility] = useState(null);
+  const [deletingFacility, setDeletingFacility] = useState(null);
+
+  const { data: facilitiesData, isLoading } = useQuery({
+    queryKey: ['facilities'],
+    queryFn: () => facilitiesAPI.getAll(),
+    select: (res) => res.data.facilities,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: facilitiesAPI.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['facilities']);
+      setShowModal(false);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => facilitiesAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['facilities']);
+      setShowModal(false);
+      setEditingFacility(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: facilitiesAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['facilities']);
+      setDeletingFacility(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const handleSubmit = (data) => {
+    if (editingFacility) {
+      updateMutation.mutate({ id: editingFacility._id, data });
+    } else {
+      createMutation.mutate(data);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('facilities.title')}</h1>
+          <p className="text-gray-500">{t('facilities.description')}</p>
+        </div>
+        <Button icon={Plus} onClick={() => setShowModal(true)}>
+          {t('facilities.addFacility')}
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <Loading />
+      ) : facilitiesData?.length === 0 ? (
+        <EmptyState
+          icon={LandPlot}
+          title={t('common.noData')}
+          action={() => setShowModal(true)}
+          actionLabel={t('facilities.addFacility')}
+          actionIcon={Plus}
+        />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {facilitiesData?.map((facility) => (
+            <Card key={facility._id} className="p-5">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <h3 className="font-bold text-lg text-gray-900">{facility.name}</h3>
+                    {!facility.isActive && <Badge variant="default">{t('facilities.inactive')}</Badge>}
+                  </div>
+                  {facility.address && (
+                    <p className="flex items-center gap-1 text-sm text-gray-500">
+                      <MapPin className="w-4 h-4" />
+                      {facility.address}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => { setEditingFacility(facility); setShowModal(true); }}
+                    className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                  >
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setDeletingFacility(facility)}
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-4 divide-y divide-gray-100">
+                {facility.pitches.map((pitch) => (
+                  <div key={pitch._id} className="flex items-center justify-between py-2 text-sm">
+                    <span className={`font-medium ${pitch.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                      {pitch.name}
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <Badge variant="default">{t(`facilities.surfaces.${pitch.surface}`)}</Badge>
+                      {pitch.canSplit && <Badge variant="success">{t('facilities.canSplit')}</Badge>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => { setShowModal(false); setEditingFacility(null); }}
+        title={editingFacility ? t('facilities.editFacility') : t('facilities.addFacility')}
+        size="large"
+      >
+        <FacilityForm
+          facility={editingFacility}
+          onSubmit={handleSubmit}
+          onClose={() => { setShowModal(false); setEditingFacility(null); }}
+          loading={createMutation.isPending || updateMutation.isPending}
+        />
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={!!deletingFacility}
+        onClose={() => setDeletingFacility(null)}
+        onConfirm={() => deleteMutation.mutate(deletingFacility._id)}
+        title={t('common.delete')}
+        message={t('common.confirm')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Facilities;
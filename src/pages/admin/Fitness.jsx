@@ -0,0 +1,694 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { fitnessAPI, teamsAPI, playersAPI, exportAPI } from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, Timer, Download, ClipboardList, Save } from 'lucide-react';
+import { formatDate, downloadBlob, fitnessCategories, getPercentileVariant } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const SessionForm = ({ session, teamOptions, tests, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: session || {
+      team: teamOptions[0]?.value || '',
+      date: new Date().toISOString().split('T')[0],
+      tests: [],
+      location: '',
+      notes: '',
+    }
+  });
+
+  // Inactive tests stay selectable in sessions that already use them
+  const selectableTests = tests.filter(test => test.isActive || session?.tests?.includes(test._id));
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Select
+          label={t('teams.title')}
+          options={teamOptions}
+          placeholder={`-- ${t('teams.title')} --`}
+          disabled={!!session}
+          error={errors.team?.message}
+          {...register('team', { required: 'Team is required' })}
+        />
+        <Input
+          label={t('common.date')}
+          type="date"
+          error={errors.date?.message}
+          {...register('date', { required: 'Date is required' })}
+        />
+        <Input label={t('fitness.location')} {...register('location')} />
+        <Input label={t('fitness.notes')} {...register('notes')} />
+      </div>
+
+      <div>
+        <label className="label">{t('fitness.tests')}</label>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {selectableTests.map(test => (
+            <label key={test._id} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                value={test._id}
+                className="w-4 h-4 text-primary-600 rounded"
+                {...register('tests', { validate: (value) => value?.length > 0 || 'Select at least one test' })}
+              />
+              {test.name} <span className="text-gray-400">({test.unit})</span>
+            </label>
+          ))}
+        </div>
+        {errors.tests && <p className="form-error">{errors.tests.message}</p>}
+      </div>
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const TestForm = ({ test, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: test
+      ? { ...test, higherIsBetter: String(test.higherIsBetter) }
+      : { name: '', category: 'speed', unit: '', higherIsBetter: 'true', description: '', isActive: true }
+  });
+
+  const categoryOptions = fitnessCategories.map(category => ({
+    value: category,
+    label: t(`fitness.categories.${category}`)
+  }));
+
+  const directionOptions = [
+    { value: 'true', label: t('fitness.higherIsBetter') },
+    { value: 'false', label: t('fitness.lowerIsBetter') },
+  ];
+
+  const submit = (data) => onSubmit({ ...data, higherIsBetter: data.higherIsBetter === 'true' });
+
+  return (
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={t('common.name')}
+          error={errors.name?.message}
+          {...register('name', { required: 'Test name is required' })}
+        />
+        <Select label={t('fitness.category')} options={categoryOptions} {...register('category')} />
+        <Input
+          label={t('fitness.unit')}
+          placeholder="s, m, cm, level"
+          error={errors.unit?.message}
+          {...register('unit', { required: 'Unit is required' })}
+        />
+        <Select label={t('fitness.ranking')} options={directionOptions} {...register('higherIsBetter')} />
+      </div>
+      <Input label={t('fitness.testDescription')} {...register('description')} />
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('isActive')} />
+        {t('fitness.active')}
+      </label>
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Results grid of a session: one row per player, one column per test, with
+// each saved result's percentile among the player's birth-year peers
+const SessionResults = ({ sessionId, canRecord }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [values, setValues] = useState({});
+
+  const { data: session, isLoading } = useQuery({
+    queryKey: ['fitness', 'session', sessionId],
+    queryFn: () => fitnessAPI.getSession(sessionId),
+    select: (res) => res.data.session,
+  });
+
+  const { data: teamPlayers } = useQuery({
+    queryKey: ['players', 'team', session?.team?._id],
+    queryFn: () => playersAPI.getByTeam(session.team._id),
+    enabled: !!session?.team?._id,
+    select: (res) => res.data.players,
+  });
+
+  const cellKey = (playerId, testId) => `${playerId}|${testId}`;
+
+  const savedResults = new Map((session?.results || []).map(result => [
+    cellKey(result.player._id, result.test._id),
+    result
+  ]));
+
+  // Start editing from the saved values
+  useEffect(() => {
+    if (!session) return;
+    setValues(Object.fromEntries(session.results.map(result => [
+      cellKey(result.player._id, result.test._id),
+      String(result.value)
+    ])));
+  }, [session]);
+
+  const saveMutation = useMutation({
+    mutationFn: (results) => fitnessAPI.saveResults(sessionId, results),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fitness'] });
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  if (isLoading || !session) return <Loading />;
+
+  // Players of the team, and players tested before they left it
+  const players = [...(teamPlayers || [])];
+  session.results.forEach(result => {
+    if (!players.some(player => player._id === result.player._id)) players.push(result.player);
+  });
+
+  const changedResults = Object.entries(values)
+    .filter(([key, value]) => {
+      const saved = savedResults.get(key);
+      return value.trim() === '' ? !!saved : Number(value) !== saved?.value;
+    })
+    .map(([key, value]) => {
+      const [player, test] = key.split('|');
+      return { player, test, value: value.trim() === '' ? null : Number(value) };
+    });
+  const hasInvalidValue = changedResults.some(result => result.value !== null && isNaN(result.value));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500">
+        <span>{session.team?.name}</span>
+        <span>{formatDate(session.date)}</span>
+        {session.location && <span>{session.location}</span>}
+        {session.conductedBy && <span>{session.conductedBy.firstName} {session.conductedBy.lastName}</span>}
+      </div>
+      {session.notes && <p className="text-sm text-gray-600">{session.notes}</p>}
+
+      {players.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">{t('common.noData')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-gray-500">
+                <th className="text-left py-2 px-3 font-medium">{t('players.title')}</th>
+                {session.tests.map(test => (
+                  <th key={test._id} className="text-left py-2 px-3 font-medium whitespace-nowrap">
+                    {test.name} <span className="text-gray-400">({test.unit})</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {players.map(player => (
+                <tr key={player._id} className="border-b border-gray-50">
+                  <td className="py-2 px-3 whitespace-nowrap">
+                    {player.jerseyNumber ? <span className="text-gray-400 mr-1">#{player.jerseyNumber}</span> : null}
+                    {player.firstName} {player.lastName}
+                    <span className="text-xs text-gray-400 ml-1">{player.birthYear}</span>
+                  </td>
+                  {session.tests.map(test => {
+                    const key = cellKey(player._id, test._id);
+                    const saved = savedResults.get(key);
+                    return (
+                      <td key={test._id} className="py-2 px-3">
+                        <div className="flex items-center gap-2">
+                          {canRecord ? (
+                            <input
+                              type="number"
+                              step="any"
+                              className="input w-24 py-1"
+                              value={values[key] ?? ''}
+                              onChange={(e) => setValues(prev => ({ ...prev, [key]: e.target.value }))}
+                            />
+                          ) : (
+                            <span>{saved ? saved.value : '-'}</span>
+                          )}
+                          {saved?.percentile !== null && saved?.percentile !== undefined && (
+                            <Badge variant={getPercentileVariant(saved.percentile)}>
+                              {t('fitness.percentileShort', { percentile: saved.percentile })}
+                            </Badge>
+                          )}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">{t('fitness.percentileHint')}</p>
+
+      {canRecord && (
+        <div className="flex justify-end">
+          <Button
+            icon={Save}
+            disabled={changedResults.length === 0 || hasInvalidValue}
+            loading={saveMutation.isPending}
+            onClick={() => saveMutation.mutate(changedResults)}
+          >
+            {t('fitness.saveResults')}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Fitness = () => {
+  const { t } = useTranslation();
+  const { user, isCoach, can } = useAuth();
+  const queryClient = useQueryClient();
+  const [tab, setTab] = useState('sessions');
+  const [selectedTeam, setSelectedTeam] = useState('');
+  const [showSessionModal, setShowSessionModal] = useState(false);
+  const [editingSession, setEditingSession] = useState(null);
+  const [deletingSession, setDeletingSession] = useState(null);
+  const [viewingSessionId, setViewingSessionId] = useState(null);
+  const [showTestModal, setShowTestModal] = useState(false);
+  const [editingTest, setEditingTest] = useState(null);
+  const [deletingTest, setDeletingTest] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const canRecord = can('fitness.record');
+  const canManageTests = can('fitness.tests.manage');
+
+  // Coaches use their assigned teams; fall back to the single team
+  const coachTeams = user?.teams?.length > 0 ? user.teams : (user?.team ? [user.team] : []);
+
+  // Reset selectedTeam when user changes (coach vs admin)
+  useEffect(() => {
+    if (isCoach) {
+      const teams = user?.teams?.length > 0 ? user.teams : (user?.team ? [user.team] : []);
+      if (teams.length > 0) {
+        setSelectedTeam(teams[0]._id);
+      }
+    } else {
+      setSelectedTeam('');
+    }
+  }, [isCoach, user?.teams, user?.team]);
+
+  const { data: sessions, isLoading } = useQuery({
+    queryKey: ['fitness', 'sessions', selectedTeam],
+    queryFn: () => fitnessAPI.getSessions({ team: selectedTeam || undefined }),
+    select: (res) => res.data.sessions,
+  });
+
+  const { data: tests } = useQuery({
+    queryKey: ['fitness', 'tests'],
+    queryFn: () => fitnessAPI.getTests(),
+    select: (res) => res.data.tests,
+  });
+
+  const { data: teamsData } = useQuery({
+    queryKey: ['teams'],
+    queryFn: () => teamsAPI.getAll({ limit: 100 }),
+    select: (res) => res.data.teams,
+    enabled: !isCoach,
+  });
+
+  const teams = isCoach ? coachTeams : (teamsData || []);
+  const teamOptions = teams.map(team => ({ value: team._id, label: team.name }));
+  const filterOptions = isCoach ? teamOptions : [{ value: '', label: t('common.all') }, ...teamOptions];
+
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || t('common.error'));
+  };
+
+  const createSessionMutation = useMutation({
+    mutationFn: fitnessAPI.createSession,
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['fitness'] });
+      setShowSessionModal(false);
+      setViewingSessionId(res.data.session._id);
+      toast.success(t('common.success'));
+    },
+    onError,
+  });
+
+  const updateSessionMutation = useMutation({
+    mutationFn: ({ id, data }) => fitnessAPI.updateSession(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fitness'] });
+      setShowSessionModal(false);
+      setEditingSession(null);
+      toast.success(t('common.success'));
+    },
+    onError,
+  });
+
+  const deleteSessionMutation = useMutation({
+    mutationFn: fitnessAPI.deleteSession,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fitness'] });
+      setDeletingSession(null);
+      toast.success(t('common.success'));
+    },
+    onError,
+  });
+
+  const createTestMutation = useMutation({
+    mutationFn: fitnessAPI.createTest,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fitness', 'tests'] });
+      setShowTestModal(false);
+      toast.success(t('common.success'));
+    },
+    onError,
+  });
+
+  const updateTestMutation = useMutation({
+    mutationFn: ({ id, data }) => fitnessAPI.updateTest(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fitness'] });
+      setShowTestModal(false);
+      setEditingTest(null);
+      toast.success(t('common.success'));
+    },
+    onError,
+  });
+
+  const deleteTestMutation = useMutation({
+    mutationFn: fitnessAPI.deleteTest,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fitness', 'tests'] });
+      setDeletingTest(null);
+      toast.success(t('common.success'));
+    },
+    onError,
+  });
+
+  const handleSessionSubmit = ({ team, date, tests: testIds, location, notes }) => {
+    if (editingSession) {
+      updateSessionMutation.mutate({ id: editingSession._id, data: { date, tests: testIds, location, notes } });
+    } else {
+      createSessionMutation.mutate({ team, date, tests: testIds, location, notes });
+    }
+  };
+
+  const handleTestSubmit = ({ name, category, unit, higherIsBetter, description, isActive }) => {
+    const data = { name, category, unit, higherIsBetter, description, isActive };
+    if (editingTest) {
+      updateTestMutation.mutate({ id: editingTest._id, data });
+    } else {
+      createTestMutation.mutate(data);
+    }
+  };
+
+  const openEditSession = (session) => {
+    setEditingSession({
+      ...session,
+      team: session.team?._id || session.team,
+      date: session.date?.split('T')[0],
+      tests: session.tests.map(test => test._id || test),
+    });
+    setShowSessionModal(true);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await exportAPI.fitnessExcel({ team: selectedTeam || undefined });
+      downloadBlob(response.data, 'fitness-results.xlsx');
+    } catch (error) {
+      toast.error(t('common.error'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const tabClass = (value) => `px-3 py-1 text-xs rounded-md border ${
+    tab === value
+      ? 'bg-primary-600 text-white border-primary-600'
+      : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+  }`;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('fitness.title')}</h1>
+          <p className="text-gray-500">{t('fitness.description')}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {can('export.fitness') && (
+            <Button variant="secondary" icon={Download} loading={exporting} onClick={handleExport}>
+              {t('export.excel')}
+            </Button>
+          )}
+          {tab === 'sessions' && canRecord && (
+            <Button icon={Plus} onClick={() => setShowSessionModal(true)}>
+              {t('fitness.addSession')}
+            </Button>
+          )}
+          {tab === 'tests' && canManageTests && (
+            <Button icon={Plus} onClick={() => setShowTestModal(true)}>
+              {t('fitness.addTest')}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button type="button" className={tabClass('sessions')} onClick={() => setTab('sessions')}>
+          {t('fitness.sessions')}
+        </button>
+        <button type="button" className={tabClass('tests')} onClick={() => setTab('tests')}>
+          {t('fitness.tests')}
+        </button>
+      </div>
+
+      {tab === 'sessions' ? (
+        <>
+          {/* Filter */}
+          <Card className="p-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('teams.title')}
+                </label>
+                <Select
+                  options={filterOptions}
+                  value={selectedTeam}
+                  onChange={(e) => setSelectedTeam(e.target.value)}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </Card>
+
+          {isLoading ? (
+            <Loading />
+          ) : sessions?.length === 0 ? (
+            <EmptyState
+              icon={Timer}
+              title={t('common.noData')}
+              action={canRecord ? () => setShowSessionModal(true) : undefined}
+              actionLabel={t('fitness.addSession')}
+              actionIcon={Plus}
+            />
+          ) : (
+            <Card className="p-0 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-100 text-gray-500">
+                    <th className="text-left py-2 px-3 font-medium">{t('common.date')}</th>
+                    <th className="text-left py-2 px-3 font-medium">{t('teams.title')}</th>
+                    <th className="text-left py-2 px-3 font-medium">{t('fitness.tests')}</th>
+                    <th className="text-left py-2 px-3 font-medium">{t('fitness.playersTested')}</th>
+                    <th className="text-left py-2 px-3 font-medium">{t('fitness.conductedBy')}</th>
+                    <th className="text-right py-2 px-3 font-medium">{t('common.actions')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sessions?.map(session => (
+                    <tr key={session._id} className="border-b border-gray-50 hover:bg-gray-50">
+                      <td className="py-2 px-3 whitespace-nowrap">{formatDate(session.date)}</td>
+                      <td className="py-2 px-3">{session.team?.name}</td>
+                      <td className="py-2 px-3">{session.tests.map(test => test.name).join(', ')}</td>
+                      <td className="py-2 px-3">{session.playerCount}</td>
+                      <td className="py-2 px-3">
+                        {session.conductedBy ? `${session.conductedBy.firstName} ${session.conductedBy.lastName}` : '-'}
+                      </td>
+                      <td className="py-2 px-3">
+                        <div className="flex items-center justify-end gap-1">
+                          <button
+                            onClick={() => setViewingSessionId(session._id)}
+                            className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                            title={t('fitness.results')}
+                          >
+                            <ClipboardList className="w-4 h-4" />
+                          </button>
+                          {canRecord && (
+                            <>
+                              <button
+                                onClick={() => openEditSession(session)}
+                                className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                                title={t('common.edit')}
+                              >
+                                <Edit className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => setDeletingSession(session)}
+                                className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                                title={t('common.delete')}
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Card>
+          )}
+        </>
+      ) : (
+        <Card className="p-0 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-gray-500">
+                <th className="text-left py-2 px-3 font-medium">{t('common.name')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('fitness.category')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('fitness.unit')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('fitness.ranking')}</th>
+                <th className="text-left py-2 px-3 font-medium">{t('common.status')}</th>
+                {canManageTests && <th className="text-right py-2 px-3 font-medium">{t('common.actions')}</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {tests?.map(test => (
+                <tr key={test._id} className="border-b border-gray-50 hover:bg-gray-50">
+                  <td className="py-2 px-3">
+                    <p className="font-medium text-gray-900">{test.name}</p>
+                    {test.description && <p className="text-xs text-gray-500">{test.description}</p>}
+                  </td>
+                  <td className="py-2 px-3">{t(`fitness.categories.${test.category}`)}</td>
+                  <td className="py-2 px-3">{test.unit}</td>
+                  <td className="py-2 px-3">
+                    {test.higherIsBetter ? t('fitness.higherIsBetter') : t('fitness.lowerIsBetter')}
+                  </td>
+                  <td className="py-2 px-3">
+                    <Badge variant={test.isActive ? 'success' : 'default'}>
+                      {test.isActive ? t('fitness.active') : t('fitness.inactive')}
+                    </Badge>
+                  </td>
+                  {canManageTests && (
+                    <td className="py-2 px-3">
+                      <div className="flex items-center justify-end gap-1">
+                        <button
+                          onClick={() => { setEditingTest(test); setShowTestModal(true); }}
+                          className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                          title={t('common.edit')}
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setDeletingTest(test)}
+                          className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                          title={t('common.delete')}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      {/* Session Modal */}
+      <Modal
+        isOpen={showSessionModal}
+        onClose={() => { setShowSessionModal(false); setEditingSession(null); }}
+        title={editingSession ? t('fitness.editSession') : t('fitness.addSession')}
+        size="large"
+      >
+        <SessionForm
+          session={editingSession}
+          teamOptions={teamOptions}
+          tests={tests || []}
+          onSubmit={handleSessionSubmit}
+          onClose={() => { setShowSessionModal(false); setEditingSession(null); }}
+          loading={createSessionMutation.isPending || updateSessionMutation.isPending}
+        />
+      </Modal>
+
+      {/* Results Modal */}
+      <Modal
+        isOpen={!!viewingSessionId}
+        onClose={() => setViewingSessionId(null)}
+        title={t('fitness.results')}
+        size="full"
+      >
+        {viewingSessionId && <SessionResults sessionId={viewingSessionId} canRecord={canRecord} />}
+      </Modal>
+
+      {/* Test Modal */}
+      <Modal
+        isOpen={showTestModal}
+        onClose={() => { setShowTestModal(false); setEditingTest(null); }}
+        title={editingTest ? t('fitness.editTest') : t('fitness.addTest')}
+      >
+        <TestForm
+          test={editingTest}
+          onSubmit={handleTestSubmit}
+          onClose={() => { setShowTestModal(false); setEditingTest(null); }}
+          loading={createTestMutation.isPending || updateTestMutation.isPending}
+        />
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={!!deletingSession}
+        onClose={() => setDeletingSession(null)}
+        onConfirm={() => deleteSessionMutation.mutate(deletingSession._id)}
+        title={t('common.delete')}
+        message={t('fitness.confirmDeleteSession')}
+        loading={deleteSessionMutation.isPending}
+      />
+
+      <ConfirmDialog
+        isOpen={!!deletingTest}
+        onClose={() => setDeletingTest(null)}
+        onConfirm={() => deleteTestMutation.mutate(deletingTest._id)}
+        title={t('common.delete')}
+        message={t('fitness.confirmDeleteTest', { name: deletingTest?.name })}
+        loading={deleteTestMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Fitness;
@@ -2,17 +2,132 @@ import { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useForm } from 'react-hook-form';
-import { matchesAPI, teamsAPI, playersAPI } from '../../utils/api';
+import { matchesAPI, teamsAPI, playersAPI, opponentsAPI, refreshSession } from '../../utils/api';
 import { useAuth } from '../../context/AuthContext';
-import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog, Avatar } from '../../components/common';
+import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog, Avatar, PitchBookingFields, AvailabilityPanel } from '../../components/common';
 import { useLocation } from 'react-router-dom';
-import { Plus, Trophy, Edit, Trash2, Calendar, MapPin, Eye, Users, Target, CreditCard, ArrowLeftRight, BarChart3, Star, Save, X, Check } from 'lucide-react';
+import { Plus, Trophy, Edit, Trash2, Calendar, MapPin, Eye, Users, Target, CreditCard, ArrowLeftRight, BarChart3, Star, Save, X, Check, Radio, Play, Pause, CalendarCheck } from 'lucide-react';
 import { formatDate, getStatusColor, getResultColor, formations } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
+const LIVE_STATUSES = ['in_progress', 'half_time'];
+
+// Subscribe to the server-sent live match stream and refresh match queries on push
+const useLiveMatchUpdates = () => {
+  const queryClient = useQueryClient();
+  const [updates, setUpdates] = useState([]);
+
+  useEffect(() => {
+    let source;
+    let stopped = false;
+
+    const connect = () => {
+      source = matchesAPI.subscribeLive();
+
+      source.addEventListener('match', (e) => {
+        const update = JSON.parse(e.data);
+        setUpdates(prev => [update, ...prev].slice(0, 20));
+        queryClient.invalidateQueries(['matches']);
+        queryClient.invalidateQueries(['match', update.matchId]);
+      });
+
+      // A rejected (expired) token closes the stream for good; reconnect
+      // with a refreshed one
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED && !stopped) {
+          refreshSession().then(() => !stopped && connect()).catch(() => {});
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      source.close();
+    };
+  }, [queryClient]);
+
+  return updates;
+};
+
+// Live ticker with current scores of running matches and the latest pushed events
+const LiveTicker = ({ matches, updates, t }) => {
+  const eventIcons = {
+    goal: { icon: Target, color: 'text-green-600' },
+    yellow_card: { icon: CreditCard, color: 'text-yellow-500' },
+    red_card: { icon: CreditCard, color: 'text-red-600' },
+    substitution: { icon: ArrowLeftRight, color: 'text-blue-600' },
+  };
+
+  if (matches.length === 0 && updates.length === 0) return null;
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="font-semibold flex items-center gap-2">
+          <span className="relative flex h-2.5 w-2.5">
+            <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-75" />
+            <span className="relative inline-flex rounded-full h-2.5 w-2.5 bg-red-500" />
+          </span>
+          {t('matches.live')}
+        </h3>
+      </Card.Header>
+      <Card.Body className="space-y-4">
+        {matches.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {matches.map((match) => (
+              <div key={match._id} className="flex items-center justify-between p-3 rounded-lg bg-red-50 border border-red-100">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">
+                    {match.team?.name} - {match.opponent?.name}
+                  </p>
+                  <p className="text-xs text-red-600">{t(`matches.statuses.${match.status}`)}</p>
+                </div>
+                <p className="text-2xl font-bold text-gray-900 ml-3">
+                  {match.score?.home || 0} - {match.score?.away || 0}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {updates.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-2">{t('matches.waitingForUpdates')}</p>
+        ) : (
+          <div className="divide-y divide-gray-100 max-h-60 overflow-y-auto">
+            {updates.map((update) => {
+              const eventStyle = update.event && eventIcons[update.event.type];
+              const Icon = eventStyle?.icon || Radio;
+
+              return (
+                <div key={`${update.matchId}-${update.timestamp}`} className="flex items-center gap-3 py-2 text-sm">
+                  <span className="w-10 text-right font-mono text-gray-500">
+                    {update.event ? `${update.event.minute}'` : ''}
+                  </span>
+                  <Icon className={`w-4 h-4 flex-shrink-0 ${eventStyle?.color || 'text-gray-400'}`} />
+                  <span className="flex-1 text-gray-700 truncate">
+                    {update.event
+                      ? `${t(`matches.liveEvents.${update.event.type}`)}: ${update.event.description}`
+                      : t(`matches.statuses.${update.status}`)}
+                    <span className="text-gray-400"> · vs {update.opponent}</span>
+                  </span>
+                  <span className="font-semibold text-gray-900">
+                    {update.score.home} - {update.score.away}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
 const MatchForm = ({ match, teams, onSubmit, onClose, loading }) => {
   const { t } = useTranslation();
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm({
     defaultValues: {
       team: match?.team || '',
       opponentName: match?.opponentName || '',
@@ -22,9 +137,17 @@ const MatchForm = ({ match, teams, onSubmit, onClose, loading }) => {
       isHome: match?.isHome !== false,
       competition: match?.competition || 'Friendly',
       formation: match?.formation || '4-3-3',
+      booking: match?.booking || { facility: null, pitch: null, area: 'full' },
     }
   });
 
+  // Known opponents for autocomplete; new names are added on save
+  const { data: opponents } = useQuery({
+    queryKey: ['opponents'],
+    queryFn: () => opponentsAPI.getAll(),
+    select: (res) => res.data.opponents,
+  });
+
   const teamOptions = teams.map(team => ({
     value: team._id,
     label: `${team.name} (${team.ageCategory})`
@@ -40,6 +163,7 @@ const MatchForm = ({ match, teams, onSubmit, onClose, loading }) => {
       isHome: data.isHome,
       competition: data.competition || 'Friendly',
       formation: data.formation || '4-3-3',
+      booking: data.booking,
     };
     onSubmit(matchData);
   };
@@ -54,11 +178,20 @@ const MatchForm = ({ match, teams, onSubmit, onClose, loading }) => {
           error={errors.team?.message}
           {...register('team', { required: 'Team is required' })}
         />
-        <Input
-          label={t('matches.opponent')}
-          error={errors.opponentName?.message}
-          {...register('opponentName', { required: 'Opponent is required' })}
-        />
+        <div>
+          <Input
+            label={t('matches.opponent')}
+            list="opponent-options"
+            autoComplete="off"
+            error={errors.opponentName?.message}
+            {...register('opponentName', { required: 'Opponent is required' })}
+          />
+          <datalist id="opponent-options">
+            {opponents?.map((opponent) => (
+              <option key={opponent._id} value={opponent.name} />
+            ))}
+          </datalist>
+        </div>
         <Input
           label={t('matches.matchDate')}
           type="date"
@@ -95,6 +228,7 @@ const MatchForm = ({ match, teams, onSubmit, onClose, loading }) => {
             {t('matches.isHome')}
           </label>
         </div>
+        <PitchBookingFields register={register} watch={watch} setValue={setValue} />
       </div>
 
       <div className="flex justify-end gap-3 pt-4">
@@ -117,6 +251,11 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
 
   // Local state for match data
   const [score, setScore] = useState({ home: match?.score?.home || 0, away: match?.score?.away || 0 });
+
+  // Keep the score in sync when goals arrive through the live stream
+  useEffect(() => {
+    setScore({ home: match?.score?.home || 0, away: match?.score?.away || 0 });
+  }, [match?.score?.home, match?.score?.away]);
   const [statistics, setStatistics] = useState(match?.statistics || {
     possession: 50, shots: 0, shotsOnTarget: 0, corners: 0, fouls: 0
   });
@@ -140,6 +279,7 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
   const [newGoal, setNewGoal] = useState({ player: '', minute: '', type: 'regular', assist: '' });
   const [newCard, setNewCard] = useState({ player: '', minute: '', type: 'yellow', reason: '' });
   const [newSub, setNewSub] = useState({ playerOut: '', playerIn: '', minute: '', reason: 'tactical' });
+  const [removingItem, setRemovingItem] = useState(null);
 
   // Fetch team players
   const { data: playersData } = useQuery({
@@ -192,6 +332,25 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
     onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
   });
 
+  // Removing a goal/card/substitution reverses its score and player statistics on the server
+  const removeItemMutation = useMutation({
+    mutationFn: ({ kind, id }) => {
+      const removeHandlers = {
+        goal: matchesAPI.deleteGoal,
+        card: matchesAPI.deleteCard,
+        substitution: matchesAPI.deleteSubstitution,
+      };
+      return removeHandlers[kind](match._id, id);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['matches']);
+      queryClient.invalidateQueries(['match', match._id]);
+      setRemovingItem(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
   const handleSaveMatch = async () => {
     setSaving(true);
     try {
@@ -215,6 +374,10 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
     }
   };
 
+  const handleStatusChange = (status) => {
+    updateMatchMutation.mutate({ status });
+  };
+
   const handleAddGoal = () => {
     if (!newGoal.player || !newGoal.minute) {
       toast.error(t('common.error'));
@@ -323,6 +486,7 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
 
   const tabs = [
     { id: 'lineup', label: t('matches.lineup'), icon: Users },
+    { id: 'availability', label: t('availability.title'), icon: CalendarCheck },
     { id: 'info', label: t('matches.matchInfo'), icon: Trophy },
     { id: 'goals', label: t('matches.goals'), icon: Target },
     { id: 'cards', label: t('matches.cards'), icon: CreditCard },
@@ -370,6 +534,27 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
         <p className="text-sm text-gray-500 mt-2">
           {formatDate(match.matchDate)} - {match.kickoffTime} | {match.venue}
         </p>
+
+        {/* Live status controls */}
+        {!isReadOnly && (
+          <div className="flex justify-center gap-2 mt-3">
+            {['scheduled', 'lineup_set'].includes(match.status) && (
+              <Button size="small" icon={Play} onClick={() => handleStatusChange('in_progress')} loading={updateMatchMutation.isPending}>
+                {t('matches.kickOff')}
+              </Button>
+            )}
+            {match.status === 'in_progress' && (
+              <Button size="small" variant="secondary" icon={Pause} onClick={() => handleStatusChange('half_time')} loading={updateMatchMutation.isPending}>
+                {t('matches.statuses.half_time')}
+              </Button>
+            )}
+            {match.status === 'half_time' && (
+              <Button size="small" icon={Play} onClick={() => handleStatusChange('in_progress')} loading={updateMatchMutation.isPending}>
+                {t('matches.secondHalf')}
+              </Button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Tabs */}
@@ -684,6 +869,10 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
         )}
 
         {/* Info Tab */}
+        {activeTab === 'availability' && (
+          <AvailabilityPanel match={match._id} readOnly={isReadOnly} />
+        )}
+
         {activeTab === 'info' && (
           <div className="space-y-4">
             {!isReadOnly && (
@@ -871,6 +1060,15 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
                       <p className="font-bold text-gray-900">{goal.minute}'</p>
                       <p className="text-xs text-gray-500">{t(`matches.goalTypes.${goal.type}`)}</p>
                     </div>
+                    {!isReadOnly && (
+                      <button
+                        onClick={() => setRemovingItem({ kind: 'goal', id: goal._id })}
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                        title={t('common.delete')}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
                 ))
               ) : (
@@ -972,6 +1170,15 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
                       {card.reason && <p className="text-sm text-gray-500">{card.reason}</p>}
                     </div>
                     <p className="font-bold text-gray-900">{card.minute}'</p>
+                    {!isReadOnly && (
+                      <button
+                        onClick={() => setRemovingItem({ kind: 'card', id: card._id })}
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                        title={t('common.delete')}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
                 ))
               ) : (
@@ -1083,6 +1290,15 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
                       <p className="font-bold text-gray-900">{sub.minute}'</p>
                       <p className="text-xs text-gray-500">{t(`matches.subReasons.${sub.reason}`)}</p>
                     </div>
+                    {!isReadOnly && (
+                      <button
+                        onClick={() => setRemovingItem({ kind: 'substitution', id: sub._id })}
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                        title={t('common.delete')}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
                 ))
               ) : (
@@ -1213,6 +1429,16 @@ const MatchDetailModal = ({ match, onClose, t, isReadOnly = false }) => {
           </Button>
         )}
       </div>
+
+      {/* Remove Goal/Card/Substitution Confirmation */}
+      <ConfirmDialog
+        isOpen={!!removingItem}
+        onClose={() => setRemovingItem(null)}
+        onConfirm={() => removeItemMutation.mutate(removingItem)}
+        title={t('common.delete')}
+        message={t('matches.confirmRemoveEvent')}
+        loading={removeItemMutation.isPending}
+      />
     </div>
   );
 };
@@ -1229,6 +1455,7 @@ const Matches = () => {
   const [editingMatch, setEditingMatch] = useState(null);
   const [deletingMatch, setDeletingMatch] = useState(null);
   const [viewingMatchId, setViewingMatchId] = useState(null);
+  const liveUpdates = useLiveMatchUpdates();
 
   // Handle navigation from calendar - open match detail
   useEffect(() => {
@@ -1339,6 +1566,7 @@ const Matches = () => {
     mutationFn: matchesAPI.create,
     onSuccess: () => {
       queryClient.invalidateQueries(['matches']);
+      queryClient.invalidateQueries(['opponents']);
       setShowModal(false);
       toast.success(t('common.success'));
     },
@@ -1351,6 +1579,7 @@ const Matches = () => {
     mutationFn: ({ id, data }) => matchesAPI.update(id, data),
     onSuccess: () => {
       queryClient.invalidateQueries(['matches']);
+      queryClient.invalidateQueries(['opponents']);
       setShowModal(false);
       setEditingMatch(null);
       toast.success(t('common.success'));
@@ -1390,6 +1619,7 @@ const Matches = () => {
       isHome: match.isHome !== false,
       competition: match.competition || 'Friendly',
       formation: match.formation || '4-3-3',
+      booking: match.booking,
       _id: match._id,
     });
     setShowModal(true);
@@ -1426,6 +1656,13 @@ const Matches = () => {
         </Button>
       </div>
 
+      {/* Live Ticker */}
+      <LiveTicker
+        matches={matchesData?.matches?.filter(m => LIVE_STATUSES.includes(m.status)) || []}
+        updates={liveUpdates}
+        t={t}
+      />
+
       {/* Filter */}
       <Card className="p-4">
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
@@ -1507,6 +1744,13 @@ const Matches = () => {
                         </p>
                         <p className="text-xs uppercase">{t(`matches.result.${match.result}`)}</p>
                       </div>
+                    ) : LIVE_STATUSES.includes(match.status) ? (
+                      <div className="px-6 py-3 rounded-lg text-center bg-red-50 text-red-700">
+                        <p className="text-3xl font-bold">
+                          {match.score?.home || 0} - {match.score?.away || 0}
+                        </p>
+                        <p className="text-xs uppercase">{t('matches.live')}</p>
+                      </div>
                     ) : (
                       <div className="px-6 py-3 text-center">
                         <p className="text-2xl font-bold text-gray-400">VS</p>
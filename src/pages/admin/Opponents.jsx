@@ -0,0 +1,522 @@
+import { useState, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { opponentsAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Modal, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, Shield, Camera, Search, Merge, RefreshCw, Eye } from 'lucide-react';
+import { formatDate, getFormBadge } from '../../utils/helpers';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const OpponentLogo = ({ opponent, size = 'w-10 h-10' }) => (
+  <div
+    className={`${size} rounded-full overflow-hidden flex items-center justify-center text-white font-bold flex-shrink-0`}
+    style={{ backgroundColor: opponent.color || '#666666' }}
+  >
+    {opponent.logo ? (
+      <img src={opponent.logo} alt={opponent.name} className="w-full h-full object-cover" />
+    ) : (
+      opponent.name?.charAt(0)
+    )}
+  </div>
+);
+
+const OpponentForm = ({ opponent, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [logoPreview, setLogoPreview] = useState(opponent?.logo || null);
+  const [selectedFile, setSelectedFile] = useState(null);
+
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      name: opponent?.name || '',
+      color: opponent?.color || '#666666',
+      city: opponent?.city || '',
+      notes: opponent?.notes || '',
+    }
+  });
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      if (file.size > 5 * 1024 * 1024) {
+        toast.error('File size must be less than 5MB');
+        return;
+      }
+      setSelectedFile(file);
+      const reader = new FileReader();
+      reader.onload = (e) => setLogoPreview(e.target.result);
+      reader.readAsDataURL(file);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit((data) => onSubmit(data, selectedFile))} className="space-y-4">
+      {/* Logo Upload */}
+      <div className="flex justify-center">
+        <div className="relative">
+          <div
+            className="w-24 h-24 rounded-full overflow-hidden bg-gray-100 border-4 border-gray-200 cursor-pointer hover:border-primary-400 transition-colors"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            {logoPreview ? (
+              <img src={logoPreview} alt="Preview" className="w-full h-full object-cover" />
+            ) : (
+              <div className="w-full h-full flex items-center justify-center text-gray-400">
+                <Shield className="w-10 h-10" />
+              </div>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="absolute bottom-0 right-0 w-8 h-8 bg-primary-600 text-white rounded-full flex items-center justify-center hover:bg-primary-700 transition-colors"
+          >
+            <Camera className="w-4 h-4" />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={t('common.name')}
+          error={errors.name?.message}
+          {...register('name', { required: 'Opponent name is required' })}
+        />
+        <Input label={t('opponents.city')} {...register('city')} />
+        <Input label={t('opponents.color')} type="color" {...register('color')} />
+      </div>
+      <div>
+        <label className="label">{t('opponents.notes')}</label>
+        <textarea rows={3} className="input" {...register('notes')} />
+      </div>
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Pick which of the selected duplicates survives; the others are merged into it
+const MergeForm = ({ opponents, onClose }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [targetId, setTargetId] = useState(
+    [...opponents].sort((a, b) => b.matchCount - a.matchCount)[0]?._id
+  );
+
+  const mergeMutation = useMutation({
+    mutationFn: () => opponentsAPI.merge(targetId, {
+      sourceIds: opponents.filter(o => o._id !== targetId).map(o => o._id)
+    }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['opponents']);
+      queryClient.invalidateQueries(['matches']);
+      toast.success(`${t('opponents.merged')}: ${res.data.matchesUpdated} ${t('nav.matches').toLowerCase()}`);
+      onClose(true);
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">{t('opponents.mergeDescription')}</p>
+      <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+        {opponents.map((opponent) => (
+          <label key={opponent._id} className="flex items-center gap-3 px-3 py-2 cursor-pointer">
+            <input
+              type="radio"
+              name="mergeTarget"
+              checked={targetId === opponent._id}
+              onChange={() => setTargetId(opponent._id)}
+              className="w-4 h-4 text-primary-600"
+            />
+            <OpponentLogo opponent={opponent} size="w-8 h-8" />
+            <span className="flex-1 font-medium text-gray-900">{opponent.name}</span>
+            <span className="text-sm text-gray-500">{opponent.matchCount} {t('nav.matches').toLowerCase()}</span>
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={() => onClose(false)}>
+          {t('common.cancel')}
+        </Button>
+        <Button icon={Merge} onClick={() => mergeMutation.mutate()} loading={mergeMutation.isPending}>
+          {t('opponents.merge')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Head-to-head record against an opponent, overall and per academy team
+const OpponentDetail = ({ opponentId }) => {
+  const { t } = useTranslation();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['opponent', opponentId],
+    queryFn: () => opponentsAPI.getById(opponentId),
+    select: (res) => res.data,
+  });
+
+  if (isLoading || !data) return <Loading />;
+
+  const { opponent, headToHead } = data;
+  const { summary } = headToHead;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-4">
+        <OpponentLogo opponent={opponent} size="w-16 h-16" />
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">{opponent.name}</h3>
+          {opponent.city && <p className="text-sm text-gray-500">{opponent.city}</p>}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 md:grid-cols-5 gap-3 text-center">
+        <div className="p-3 rounded-lg bg-gray-50">
+          <p className="text-xl font-bold text-gray-900">{summary.played}</p>
+          <p className="text-xs text-gray-500">{t('statistics.fields.totalMatches')}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-green-50">
+          <p className="text-xl font-bold text-green-600">{summary.won}</p>
+          <p className="text-xs text-gray-500">{t('statistics.fields.wins')}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-yellow-50">
+          <p className="text-xl font-bold text-yellow-600">{summary.drawn}</p>
+          <p className="text-xs text-gray-500">{t('statistics.fields.draws')}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-red-50">
+          <p className="text-xl font-bold text-red-600">{summary.lost}</p>
+          <p className="text-xs text-gray-500">{t('statistics.fields.losses')}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-gray-50">
+          <p className="text-xl font-bold text-gray-900">{summary.goalsFor}:{summary.goalsAgainst}</p>
+          <p className="text-xs text-gray-500">{t('seasons.goals')}</p>
+        </div>
+      </div>
+
+      {headToHead.teams.length === 0 ? (
+        <p className="text-center text-gray-500 py-4">{t('opponents.noMatches')}</p>
+      ) : (
+        <div className="space-y-3">
+          {headToHead.teams.map((entry) => (
+            <div key={entry.team?._id || 'unknown'} className="p-4 border border-gray-100 rounded-lg">
+              <div className="flex items-center justify-between gap-4 mb-3">
+                <div>
+                  <p className="font-semibold text-gray-900">{entry.team?.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {entry.played} · {entry.won}-{entry.drawn}-{entry.lost} · {entry.goalsFor}:{entry.goalsAgainst}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  {entry.lastResults.map((result) => {
+                    const badge = getFormBadge(result.result);
+                    return (
+                      <span
+                        key={result.match}
+                        className={`w-6 h-6 rounded text-xs font-bold flex items-center justify-center ${badge.bg} ${badge.text}`}
+                      >
+                        {result.result}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+              <div className="divide-y divide-gray-50 text-sm">
+                {entry.lastResults.map((result) => (
+                  <div key={result.match} className="flex items-center justify-between py-1">
+                    <span className="text-gray-500">
+                      {formatDate(result.matchDate)} · {result.competition}
+                    </span>
+                    <span className="font-medium text-gray-900">
+                      {result.isHome ? t('matches.home') : t('matches.away')} {result.goalsFor}:{result.goalsAgainst}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Opponents = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { isAdmin } = useAuth();
+  const [search, setSearch] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingOpponent, setEditingOpponent] = useState(null);
+  const [deletingOpponent, setDeletingOpponent] = useState(null);
+  const [viewingOpponent, setViewingOpponent] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showMerge, setShowMerge] = useState(false);
+
+  const { data: opponentsData, isLoading } = useQuery({
+    queryKey: ['opponents', search],
+    queryFn: () => opponentsAPI.getAll({ search: search || undefined }),
+    select: (res) => res.data.opponents,
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingOpponent(null);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: opponentsAPI.create,
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => opponentsAPI.update(id, data),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const uploadLogoMutation = useMutation({
+    mutationFn: ({ id, formData }) => opponentsAPI.uploadLogo(id, formData),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: opponentsAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['opponents']);
+      setDeletingOpponent(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const syncMutation = useMutation({
+    mutationFn: opponentsAPI.sync,
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['opponents']);
+      toast.success(`${t('opponents.synced')}: ${res.data.created} / ${res.data.linked}`);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const handleSubmit = async (data, logoFile) => {
+    try {
+      let opponentId;
+
+      if (editingOpponent) {
+        await updateMutation.mutateAsync({ id: editingOpponent._id, data });
+        opponentId = editingOpponent._id;
+      } else {
+        const response = await createMutation.mutateAsync(data);
+        opponentId = response.data.opponent._id;
+      }
+
+      if (logoFile && opponentId) {
+        const formData = new FormData();
+        formData.append('photo', logoFile);
+        await uploadLogoMutation.mutateAsync({ id: opponentId, formData });
+      }
+
+      queryClient.invalidateQueries(['opponents']);
+      queryClient.invalidateQueries(['matches']);
+      closeModal();
+      toast.success(t('common.success'));
+    } catch (error) {
+      // Errors handled by mutation callbacks
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((ids) => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('opponents.title')}</h1>
+          <p className="text-gray-500">{opponentsData?.length || 0} {t('opponents.title').toLowerCase()}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {isAdmin && selectedIds.length > 1 && (
+            <Button variant="secondary" icon={Merge} onClick={() => setShowMerge(true)}>
+              {t('opponents.merge')} ({selectedIds.length})
+            </Button>
+          )}
+          {isAdmin && (
+            <Button
+              variant="secondary"
+              icon={RefreshCw}
+              onClick={() => syncMutation.mutate()}
+              loading={syncMutation.isPending}
+            >
+              {t('opponents.syncFromMatches')}
+            </Button>
+          )}
+          <Button icon={Plus} onClick={() => setShowModal(true)}>
+            {t('opponents.addOpponent')}
+          </Button>
+        </div>
+      </div>
+
+      {/* Search */}
+      <div className="relative max-w-md">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          className="input pl-10"
+          placeholder={t('common.search')}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </div>
+
+      {isLoading ? (
+        <Loading />
+      ) : opponentsData?.length === 0 ? (
+        <EmptyState
+          icon={Shield}
+          title={t('common.noData')}
+          action={() => setShowModal(true)}
+          actionLabel={t('opponents.addOpponent')}
+          actionIcon={Plus}
+        />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {opponentsData?.map((opponent) => (
+            <Card key={opponent._id} className="p-4">
+              <div className="flex items-center gap-3">
+                {isAdmin && (
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(opponent._id)}
+                    onChange={() => toggleSelected(opponent._id)}
+                    className="w-4 h-4 text-primary-600 rounded"
+                  />
+                )}
+                <OpponentLogo opponent={opponent} />
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-gray-900 truncate">{opponent.name}</h3>
+                  <p className="text-xs text-gray-500">
+                    {opponent.city && `${opponent.city} · `}
+                    {opponent.matchCount} {t('nav.matches').toLowerCase()}
+                  </p>
+                </div>
+                {opponent.aliases?.length > 0 && (
+                  <Badge variant="default">{opponent.aliases.length}</Badge>
+                )}
+                <div className="flex items-center">
+                  <button
+                    onClick={() => setViewingOpponent(opponent)}
+                    className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                  >
+                    <Eye className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      setEditingOpponent(opponent);
+                      setShowModal(true);
+                    }}
+                    className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                  >
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  {isAdmin && (
+                    <button
+                      onClick={() => setDeletingOpponent(opponent)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Add/Edit Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title={editingOpponent ? t('opponents.editOpponent') : t('opponents.addOpponent')}
+      >
+        {showModal && (
+          <OpponentForm
+            opponent={editingOpponent}
+            onSubmit={handleSubmit}
+            onClose={closeModal}
+            loading={createMutation.isPending || updateMutation.isPending || uploadLogoMutation.isPending}
+          />
+        )}
+      </Modal>
+
+      {/* Head-to-head Modal */}
+      <Modal
+        isOpen={!!viewingOpponent}
+        onClose={() => setViewingOpponent(null)}
+        title={t('opponents.headToHead')}
+        size="large"
+      >
+        {viewingOpponent && <OpponentDetail opponentId={viewingOpponent._id} />}
+      </Modal>
+
+      {/* Merge Modal */}
+      <Modal
+        isOpen={showMerge}
+        onClose={() => setShowMerge(false)}
+        title={t('opponents.merge')}
+      >
+        {showMerge && (
+          <MergeForm
+            opponents={opponentsData?.filter(o => selectedIds.includes(o._id)) || []}
+            onClose={(merged) => {
+              setShowMerge(false);
+              if (merged) setSelectedIds([]);
+            }}
+          />
+        )}
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deletingOpponent}
+        onClose={() => setDeletingOpponent(null)}
+        onConfirm={() => deleteMutation.mutate(deletingOpponent._id)}
+        title={t('common.delete')}
+        message={t('opponents.confirmDelete')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Opponents;
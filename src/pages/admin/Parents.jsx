@@ -0,0 +1,417 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { usersAPI, playersAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Modal, Avatar, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, Send, Heart, Key, Users } from 'lucide-react';
+import { formatDate } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const ParentForm = ({ parent, players, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const [selectedChildren, setSelectedChildren] = useState(parent?.children || []);
+  const [search, setSearch] = useState('');
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: parent || {
+      firstName: '',
+      lastName: '',
+      email: '',
+      password: '',
+      phone: '',
+    }
+  });
+
+  const toggleChild = (playerId) => {
+    setSelectedChildren(prev =>
+      prev.includes(playerId)
+        ? prev.filter(id => id !== playerId)
+        : [...prev, playerId]
+    );
+  };
+
+  const filteredPlayers = players.filter(player =>
+    `${player.firstName} ${player.lastName}`.toLowerCase().includes(search.toLowerCase())
+  );
+
+  const onFormSubmit = (data) => {
+    onSubmit({ ...data, children: selectedChildren });
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onFormSubmit)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={t('players.firstName')}
+          error={errors.firstName?.message}
+          {...register('firstName', { required: 'First name is required' })}
+        />
+        <Input
+          label={t('players.lastName')}
+          error={errors.lastName?.message}
+          {...register('lastName', { required: 'Last name is required' })}
+        />
+        <Input
+          label={t('common.email')}
+          type="email"
+          error={errors.email?.message}
+          {...register('email', {
+            required: 'Email is required',
+            pattern: {
+              value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+              message: 'Invalid email'
+            }
+          })}
+        />
+        {!parent && (
+          <Input
+            label={t('common.password')}
+            type="password"
+            error={errors.password?.message}
+            placeholder={t('users.invitePlaceholder')}
+            {...register('password', {
+              minLength: { value: 6, message: 'Min 6 characters' }
+            })}
+          />
+        )}
+        <Input
+          label={t('common.phone')}
+          {...register('phone')}
+        />
+      </div>
+
+      {/* Multi-select children */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          {t('parents.linkedChildren')}
+        </label>
+        <Input
+          placeholder={t('common.search')}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="mb-2"
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 max-h-48 overflow-y-auto p-2 border border-gray-200 rounded-lg">
+          {filteredPlayers.map(player => (
+            <label
+              key={player._id}
+              className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-colors ${
+                selectedChildren.includes(player._id)
+                  ? 'bg-primary-50 border border-primary-200'
+                  : 'bg-gray-50 hover:bg-gray-100 border border-transparent'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={selectedChildren.includes(player._id)}
+                onChange={() => toggleChild(player._id)}
+                className="w-4 h-4 text-primary-600 rounded"
+              />
+              <span className="text-sm text-gray-700">
+                {player.firstName} {player.lastName}
+                <span className="text-gray-400"> ({player.team?.name})</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        {selectedChildren.length > 0 && (
+          <p className="text-xs text-gray-500 mt-1">
+            {selectedChildren.length} {selectedChildren.length === 1 ? 'player' : 'players'} selected
+          </p>
+        )}
+      </div>
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const Parents = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+  const [editingParent, setEditingParent] = useState(null);
+  const [deletingParent, setDeletingParent] = useState(null);
+  const [resetPasswordParent, setResetPasswordParent] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+
+  const { data: parentsData, isLoading } = useQuery({
+    queryKey: ['parents'],
+    queryFn: () => usersAPI.getAll({ role: 'parent', limit: 100 }),
+    select: (res) => res.data,
+  });
+
+  const { data: playersData } = useQuery({
+    queryKey: ['players', 'all'],
+    queryFn: () => playersAPI.getAll({ isActive: true, limit: 1000 }),
+    select: (res) => res.data.players,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: usersAPI.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['parents']);
+      setShowModal(false);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => usersAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['parents']);
+      setShowModal(false);
+      setEditingParent(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: usersAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['parents']);
+      setDeletingParent(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const resendInvitationMutation = useMutation({
+    mutationFn: usersAPI.resendInvitation,
+    onSuccess: () => toast.success(t('users.invitationSent')),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const resetPasswordMutation = useMutation({
+    mutationFn: ({ id, newPassword }) => usersAPI.resetPassword(id, { newPassword }),
+    onSuccess: () => {
+      setResetPasswordParent(null);
+      setNewPassword('');
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const handleSubmit = (data) => {
+    if (editingParent) {
+      updateMutation.mutate({ id: editingParent._id, data: { ...data, role: 'parent' } });
+    } else {
+      createMutation.mutate({ ...data, role: 'parent' });
+    }
+  };
+
+  const openEditModal = (parent) => {
+    setEditingParent({
+      ...parent,
+      children: parent.children?.map(c => c._id || c) || []
+    });
+    setShowModal(true);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('parents.title')}</h1>
+          <p className="text-gray-500">{parentsData?.total || 0} {t('parents.title').toLowerCase()}</p>
+        </div>
+        <Button icon={Plus} onClick={() => setShowModal(true)}>
+          {t('parents.addParent')}
+        </Button>
+      </div>
+
+      {/* Parents Grid */}
+      {isLoading ? (
+        <Loading />
+      ) : parentsData?.users?.length === 0 ? (
+        <EmptyState
+          icon={Heart}
+          title={t('common.noData')}
+          action={() => setShowModal(true)}
+          actionLabel={t('parents.addParent')}
+          actionIcon={Plus}
+        />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {parentsData?.users?.map((parent) => (
+            <Card key={parent._id} className="overflow-hidden hover:shadow-md transition-shadow">
+              <div className="p-5">
+                <div className="flex items-start justify-between mb-4">
+                  <Avatar
+                    src={parent.photo}
+                    firstName={parent.firstName}
+                    lastName={parent.lastName}
+                    size="large"
+                  />
+                  <div className="flex flex-col items-end gap-1">
+                    <Badge variant={parent.isActive ? 'success' : 'danger'}>
+                      {parent.isActive ? 'Active' : 'Inactive'}
+                    </Badge>
+                    {parent.invitedAt && <Badge variant="warning">{t('users.invitationPending')}</Badge>}
+                  </div>
+                </div>
+
+                <div className="mb-4">
+                  <h3 className="font-bold text-lg text-gray-900">
+                    {parent.firstName} {parent.lastName}
+                  </h3>
+                  <p className="text-sm text-gray-500">{parent.email}</p>
+                  {parent.phone && (
+                    <p className="text-sm text-gray-500">{parent.phone}</p>
+                  )}
+                </div>
+
+                {parent.children?.length > 0 ? (
+                  <div className="flex flex-wrap items-center gap-2 p-3 bg-primary-50 rounded-lg mb-4">
+                    <Users className="w-5 h-5 text-primary-600" />
+                    {parent.children.map(child => (
+                      <Badge key={child._id} variant="primary" className="text-xs">
+                        {child.firstName} {child.lastName}
+                      </Badge>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2 p-3 bg-gray-50 rounded-lg mb-4">
+                    <Users className="w-5 h-5 text-gray-400" />
+                    <span className="text-sm text-gray-500">
+                      {t('parents.noChildren')}
+                    </span>
+                  </div>
+                )}
+
+                <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+                  <span className="text-xs text-gray-400">
+                    Last login: {parent.lastLogin ? formatDate(parent.lastLogin) : 'Never'}
+                  </span>
+                  <div className="flex gap-1">
+                    {parent.invitedAt && (
+                      <button
+                        onClick={() => resendInvitationMutation.mutate(parent._id)}
+                        disabled={resendInvitationMutation.isPending}
+                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                        title={t('users.resendInvitation')}
+                      >
+                        <Send className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setResetPasswordParent(parent)}
+                      className="p-2 text-gray-400 hover:text-yellow-600 hover:bg-yellow-50 rounded-lg"
+                      title={t('coaches.resetPassword')}
+                    >
+                      <Key className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => openEditModal(parent)}
+                      className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setDeletingParent(parent)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Add/Edit Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={() => {
+          setShowModal(false);
+          setEditingParent(null);
+        }}
+        title={editingParent ? t('parents.editParent') : t('parents.addParent')}
+        size="large"
+      >
+        <ParentForm
+          parent={editingParent}
+          players={playersData || []}
+          onSubmit={handleSubmit}
+          onClose={() => {
+            setShowModal(false);
+            setEditingParent(null);
+          }}
+          loading={createMutation.isPending || updateMutation.isPending}
+        />
+      </Modal>
+
+      {/* Reset Password Modal */}
+      <Modal
+        isOpen={!!resetPasswordParent}
+        onClose={() => {
+          setResetPasswordParent(null);
+          setNewPassword('');
+        }}
+        title={t('coaches.resetPassword')}
+        size="small"
+      >
+        <div className="space-y-4">
+          <p className="text-gray-600">
+            Reset password for {resetPasswordParent?.firstName} {resetPasswordParent?.lastName}
+          </p>
+          <Input
+            label={t('settings.newPassword')}
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+          />
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={() => setResetPasswordParent(null)}>
+              {t('common.cancel')}
+            </Button>
+            <Button
+              onClick={() => resetPasswordMutation.mutate({
+                id: resetPasswordParent._id,
+                newPassword
+              })}
+              loading={resetPasswordMutation.isPending}
+              disabled={newPassword.length < 6}
+            >
+              {t('common.save')}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deletingParent}
+        onClose={() => setDeletingParent(null)}
+        onConfirm={() => deleteMutation.mutate(deletingParent._id)}
+        title={t('common.delete')}
+        message={t('common.confirm')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Parents;
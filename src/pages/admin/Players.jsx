@@ -3,10 +3,11 @@ import { useTranslation } from 'react-i18next';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useForm } from 'react-hook-form';
 import { useSearchParams } from 'react-router-dom';
-import { playersAPI, teamsAPI } from '../../utils/api';
-import { Card, Loading, Button, Input, Select, Modal, Avatar, Badge, EmptyState, ConfirmDialog } from '../../components/common';
-import { Plus, Search, Edit, Trash2, Eye, Users, Download, Camera, Upload, User, Phone, Calendar, Ruler, Scale, Star, Heart, HeartPulse } from 'lucide-react';
-import { formatDate, getPositionColor, positions } from '../../utils/helpers';
+import { useAuth } from '../../context/AuthContext';
+import { playersAPI, teamsAPI, medicalAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Select, Modal, Avatar, Badge, EmptyState, ConfirmDialog, ChangeHistory, MedicalRecordsPanel, RatingDevelopment, FitnessProgress, GrowthPanel, TeamHistory } from '../../components/common';
+import { Plus, Search, Edit, Trash2, Eye, Users, Download, Camera, Upload, User, Phone, Calendar, Ruler, Scale, Star, Heart, HeartPulse, History, Stethoscope, TrendingUp, Timer, ArrowLeftRight } from 'lucide-react';
+import { formatDate, getPositionColor, positions, getClearanceVariant } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const PlayerForm = ({ player, teams, onSubmit, onClose, loading }) => {
@@ -138,13 +139,17 @@ const PlayerForm = ({ player, teams, onSubmit, onClose, loading }) => {
           ]}
           {...register('preferredFoot')}
         />
-        <Select
-          label={t('teams.title')}
-          options={teamOptions}
-          placeholder={`-- ${t('teams.title')} --`}
-          error={errors.team?.message}
-          {...register('team', { required: 'Team is required' })}
-        />
+        <div>
+          <Select
+            label={t('teams.title')}
+            options={teamOptions}
+            placeholder={`-- ${t('teams.title')} --`}
+            error={errors.team?.message}
+            disabled={!!player}
+            {...register('team', { required: 'Team is required' })}
+          />
+          {player && <p className="text-xs text-gray-500 mt-1">{t('players.transfer.formHint')}</p>}
+        </div>
         <Input
           label={`${t('players.height')} (cm)`}
           type="number"
@@ -181,10 +186,61 @@ const PlayerForm = ({ player, teams, onSubmit, onClose, loading }) => {
   );
 };
 
-const PlayerDetailModal = ({ player, onClose, onMarkRecovered, onMarkInjured, recoveryLoading, t }) => {
+const RatingsForm = ({ player, ratingItems, onSaved, onCancel }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { register, handleSubmit } = useForm({
+    defaultValues: { ...Object.fromEntries(ratingItems.map(({ key }) => [key, player.ratings?.[key] || 50])), note: '' }
+  });
+
+  const ratingsMutation = useMutation({
+    mutationFn: ({ note, ...ratings }) => playersAPI.updateRatings(player._id, { ratings, note: note || undefined }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['players'] });
+      queryClient.invalidateQueries({ queryKey: ['rating-history', player._id] });
+      queryClient.invalidateQueries({ queryKey: ['audit'] });
+      toast.success(t('common.success'));
+      onSaved(res.data.player);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  return (
+    <form onSubmit={handleSubmit(data => ratingsMutation.mutate(data))} className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
+        {ratingItems.map(({ key, label }) => (
+          <Input
+            key={key}
+            label={label}
+            type="number"
+            min={1}
+            max={100}
+            {...register(key, { valueAsNumber: true, min: 1, max: 100, required: true })}
+          />
+        ))}
+      </div>
+      <Input label={t('players.ratingHistory.note')} {...register('note')} />
+      <div className="flex gap-2">
+        <Button type="submit" size="small" loading={ratingsMutation.isPending}>
+          {t('common.save')}
+        </Button>
+        <Button type="button" size="small" variant="secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const PlayerDetailModal = ({ player, onClose, onMarkRecovered, onMarkInjured, onRatingsUpdated, onTransferred, recoveryLoading, t }) => {
   const [showInjuryForm, setShowInjuryForm] = useState(false);
   const [injuryDetails, setInjuryDetails] = useState('');
   const [injuryEndDate, setInjuryEndDate] = useState('');
+  const [historyField, setHistoryField] = useState('ratings');
+  const [editingRatings, setEditingRatings] = useState(false);
+  const { isAdmin, can } = useAuth();
 
   if (!player) return null;
 
@@ -335,11 +391,31 @@ const PlayerDetailModal = ({ player, onClose, onMarkRecovered, onMarkInjured, re
       <div>
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-semibold text-gray-900">{t('players.ratings')}</h3>
-          <div className="flex items-center gap-2">
-            <span className="text-sm text-gray-500">{t('players.overallRating')}:</span>
-            <span className="text-2xl font-bold text-primary-600">{player.overallRating || 50}</span>
+          <div className="flex items-center gap-3">
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-500">{t('players.overallRating')}:</span>
+              <span className="text-2xl font-bold text-primary-600">{player.overallRating || 50}</span>
+            </div>
+            {can('player.ratings.update') && !editingRatings && (
+              <Button size="small" variant="outline" icon={Edit} onClick={() => setEditingRatings(true)}>
+                {t('common.edit')}
+              </Button>
+            )}
           </div>
         </div>
+        {editingRatings && (
+          <div className="mb-4">
+            <RatingsForm
+              player={player}
+              ratingItems={ratingItems}
+              onSaved={(updated) => {
+                onRatingsUpdated(updated);
+                setEditingRatings(false);
+              }}
+              onCancel={() => setEditingRatings(false)}
+            />
+          </div>
+        )}
         <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
           {ratingItems.map(({ key, label, color }) => (
             <div key={key} className="text-center">
@@ -352,6 +428,42 @@ const PlayerDetailModal = ({ player, onClose, onMarkRecovered, onMarkInjured, re
         </div>
       </div>
 
+      {/* Rating Development */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-gray-400" />
+          {t('players.ratingHistory.title')}
+        </h3>
+        <RatingDevelopment playerId={player._id} />
+      </div>
+
+      {/* Team History */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <ArrowLeftRight className="w-5 h-5 text-gray-400" />
+          {t('players.transfer.history')}
+        </h3>
+        <TeamHistory player={player} onTransferred={onTransferred} />
+      </div>
+
+      {/* Growth */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Ruler className="w-5 h-5 text-gray-400" />
+          {t('growth.title')}
+        </h3>
+        <GrowthPanel playerId={player._id} />
+      </div>
+
+      {/* Fitness Tests */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Timer className="w-5 h-5 text-gray-400" />
+          {t('fitness.results')}
+        </h3>
+        <FitnessProgress playerId={player._id} />
+      </div>
+
       {/* Injury Status */}
       {player.isInjured ? (
         <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
@@ -432,6 +544,45 @@ const PlayerDetailModal = ({ player, onClose, onMarkRecovered, onMarkInjured, re
         </div>
       )}
 
+      {/* Medical Records */}
+      {can('medical.read') && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 mb-2 flex items-center gap-2">
+            <Stethoscope className="w-5 h-5 text-gray-400" />
+            {t('medical.title')}
+          </h3>
+          <MedicalRecordsPanel playerId={player._id} />
+        </div>
+      )}
+
+      {/* Change History */}
+      {isAdmin && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+              <History className="w-5 h-5 text-gray-400" />
+              {t('audit.changeHistory')}
+            </h3>
+            <div className="flex gap-1">
+              {['ratings', 'statistics'].map(field => (
+                <button
+                  key={field}
+                  onClick={() => setHistoryField(field)}
+                  className={`px-3 py-1 text-xs rounded-md border transition-colors ${
+                    historyField === field
+                      ? 'bg-primary-600 text-white border-primary-600'
+                      : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  {t(`players.${field}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <ChangeHistory entity="Player" entityId={player._id} field={historyField} />
+        </div>
+      )}
+
       <div className="flex justify-end pt-4">
         <Button variant="secondary" onClick={onClose}>
           {t('common.close')}
@@ -441,8 +592,162 @@ const PlayerDetailModal = ({ player, onClose, onMarkRecovered, onMarkInjured, re
   );
 };
 
+const STATUS_VARIANTS = { valid: 'success', duplicate: 'warning', error: 'danger' };
+
+// Upload an .xlsx/.csv in the export layout, check the preview, then import
+const PlayerImport = ({ teams, onImported, onClose }) => {
+  const { t } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [team, setTeam] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const importMutation = useMutation({
+    mutationFn: ({ dryRun }) => {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      if (team) formData.append('team', team);
+      return playersAPI.import(formData);
+    },
+    onSuccess: (res) => {
+      if (res.data.dryRun) {
+        setPreview(res.data);
+      } else {
+        toast.success(t('players.import.imported', { count: res.data.imported }));
+        onImported();
+      }
+    },
+    onError: (error) => {
+      if (error.response?.data?.rows) setPreview(error.response.data);
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const selectFile = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setPreview(null);
+  };
+
+  const summary = preview?.summary;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">{t('players.import.hint')}</p>
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+        <div className="flex items-center gap-3 flex-1 min-w-0">
+          <Button type="button" variant="outline" icon={Upload} onClick={() => fileInputRef.current?.click()}>
+            {t('players.import.chooseFile')}
+          </Button>
+          <span className="text-sm text-gray-600 truncate">{file?.name || t('players.import.noFile')}</span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".xlsx,.csv"
+            className="hidden"
+            onChange={selectFile}
+          />
+        </div>
+        <Select
+          label={t('players.import.defaultTeam')}
+          value={team}
+          onChange={(e) => {
+            setTeam(e.target.value);
+            setPreview(null);
+          }}
+          placeholder={t('players.import.teamFromFile')}
+          options={(teams || []).map(item => ({ value: item._id, label: item.name }))}
+          className="sm:w-56"
+        />
+      </div>
+
+      {summary && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            <Badge>{t('common.total')}: {summary.total}</Badge>
+            <Badge variant="success">{t('players.import.statuses.valid')}: {summary.valid}</Badge>
+            <Badge variant="warning">{t('players.import.statuses.duplicate')}: {summary.duplicates}</Badge>
+            <Badge variant="danger">{t('players.import.statuses.error')}: {summary.errors}</Badge>
+          </div>
+          <div className="max-h-96 overflow-auto border border-gray-100 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-500">
+                  <th className="text-left py-2 px-3 font-medium">{t('players.import.row')}</th>
+                  <th className="text-left py-2 px-3 font-medium">{t('common.name')}</th>
+                  <th className="text-left py-2 px-3 font-medium">{t('players.birthDate')}</th>
+                  <th className="text-left py-2 px-3 font-medium">{t('players.team')}</th>
+                  <th className="text-left py-2 px-3 font-medium">{t('common.status')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {preview.rows.map(row => (
+                  <tr key={row.rowNumber} className="align-top">
+                    <td className="py-2 px-3 text-gray-500">{row.rowNumber}</td>
+                    <td className="py-2 px-3 text-gray-900">
+                      {row.player.firstName} {row.player.lastName}
+                      <span className="ml-1 text-xs text-gray-500">{row.player.position}</span>
+                    </td>
+                    <td className="py-2 px-3">{row.player.birthDate ? formatDate(row.player.birthDate) : '—'}</td>
+                    <td className="py-2 px-3">{row.player.team?.name || '—'}</td>
+                    <td className="py-2 px-3 space-y-1">
+                      <Badge variant={STATUS_VARIANTS[row.status]}>
+                        {t(`players.import.statuses.${row.status}`)}
+                      </Badge>
+                      {row.errors.map(error => (
+                        <p key={error} className="text-xs text-red-600">{error}</p>
+                      ))}
+                      {row.status === 'duplicate' && (
+                        <p className="text-xs text-yellow-700">
+                          {row.duplicateOf.row
+                            ? t('players.import.sameAsRow', { row: row.duplicateOf.row })
+                            : t('players.import.existingPlayer', {
+                              name: row.duplicateOf.name,
+                              team: row.duplicateOf.team || '—'
+                            })}
+                        </p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {summary.errors > 0 && (
+            <p className="text-sm text-red-600">{t('players.import.fixErrors')}</p>
+          )}
+        </>
+      )}
+
+      <div className="flex justify-end gap-3 pt-2">
+        <Button variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        {summary && summary.errors === 0 && summary.valid > 0 ? (
+          <Button
+            icon={Upload}
+            onClick={() => importMutation.mutate({ dryRun: false })}
+            loading={importMutation.isPending}
+          >
+            {t('players.import.confirm', { count: summary.valid })}
+          </Button>
+        ) : (
+          <Button
+            onClick={() => importMutation.mutate({ dryRun: true })}
+            loading={importMutation.isPending}
+            disabled={!file}
+          >
+            {t('players.import.preview')}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
 const Players = () => {
   const { t } = useTranslation();
+  const { can } = useAuth();
   const queryClient = useQueryClient();
   const [searchParams, setSearchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState('');
@@ -453,6 +758,7 @@ const Players = () => {
   const [editingPlayer, setEditingPlayer] = useState(null);
   const [deletingPlayer, setDeletingPlayer] = useState(null);
   const [viewingPlayer, setViewingPlayer] = useState(null);
+  const [showImport, setShowImport] = useState(false);
 
   // Read isInjured from URL params
   useEffect(() => {
@@ -472,6 +778,13 @@ const Players = () => {
     select: (res) => res.data,
   });
 
+  const { data: medicalOverview } = useQuery({
+    queryKey: ['medical', 'overview', selectedTeam],
+    queryFn: () => medicalAPI.getOverview({ team: selectedTeam || undefined }),
+    enabled: can('medical.read'),
+    select: (res) => res.data,
+  });
+
   const { data: teamsData } = useQuery({
     queryKey: ['teams'],
     queryFn: () => teamsAPI.getAll({ limit: 100 }),
@@ -616,9 +929,14 @@ const Players = () => {
           <h1 className="text-2xl font-bold text-gray-900">{t('players.title')}</h1>
           <p className="text-gray-500">{playersData?.total || 0} {t('players.title').toLowerCase()}</p>
         </div>
-        <Button icon={Plus} onClick={() => setShowModal(true)}>
-          {t('players.addPlayer')}
-        </Button>
+        <div className="flex gap-3">
+          <Button variant="outline" icon={Upload} onClick={() => setShowImport(true)}>
+            {t('players.import.title')}
+          </Button>
+          <Button icon={Plus} onClick={() => setShowModal(true)}>
+            {t('players.addPlayer')}
+          </Button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -668,6 +986,31 @@ const Players = () => {
         </div>
       </Card>
 
+      {/* Clearance Alerts */}
+      {medicalOverview?.clearanceAlerts?.length > 0 && (
+        <Card className="p-4">
+          <h3 className="text-sm font-semibold text-gray-900 mb-3 flex items-center gap-2">
+            <Stethoscope className="w-4 h-4 text-gray-400" />
+            {t('medical.clearanceAlerts')}
+          </h3>
+          <div className="flex flex-wrap gap-2">
+            {medicalOverview.clearanceAlerts.map(({ player, status, expiresAt }) => (
+              <button
+                key={player._id}
+                onClick={() => setViewingPlayer(playersData?.players?.find(p => p._id === player._id) || null)}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-gray-200 hover:bg-gray-50 text-sm"
+              >
+                <span className="text-gray-900">{player.firstName} {player.lastName}</span>
+                <Badge variant={getClearanceVariant(status)}>
+                  {t(`medical.clearanceStatuses.${status}`)}
+                  {expiresAt && ` · ${formatDate(expiresAt)}`}
+                </Badge>
+              </button>
+            ))}
+          </div>
+        </Card>
+      )}
+
       {/* Players Grid */}
       {isLoading ? (
         <Loading />
@@ -808,11 +1151,34 @@ const Players = () => {
           onClose={() => setViewingPlayer(null)}
           onMarkRecovered={handleMarkRecovered}
           onMarkInjured={handleMarkInjured}
+          onRatingsUpdated={(updated) => setViewingPlayer(current => ({
+            ...current,
+            ratings: updated.ratings,
+            overallRating: updated.overallRating
+          }))}
+          onTransferred={(updated) => setViewingPlayer(current => ({ ...current, team: updated.team }))}
           recoveryLoading={updateInjuryMutation.isPending}
           t={t}
         />
       </Modal>
 
+      {/* Import Modal */}
+      <Modal
+        isOpen={showImport}
+        onClose={() => setShowImport(false)}
+        title={t('players.import.title')}
+        size="xlarge"
+      >
+        <PlayerImport
+          teams={teamsData}
+          onImported={() => {
+            queryClient.invalidateQueries(['players']);
+            setShowImport(false);
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      </Modal>
+
       {/* Delete Confirmation */}
       <ConfirmDialog
         isOpen={!!deletingPlayer}
@@ -0,0 +1,323 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { rolesAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, KeyRound, Lock, ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const BASE_ROLES = ['super_admin', 'coach', 'parent'];
+
+// Group permissions by their first segment (team, player, match, ...)
+const groupPermissions = (permissions) =>
+  permissions.reduce((groups, permission) => {
+    const group = permission.key.split('.')[0];
+    (groups[group] = groups[group] || []).push(permission);
+    return groups;
+  }, {});
+
+const RoleForm = ({ role, permissions, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const [selected, setSelected] = useState(role?.permissions || []);
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: role || {
+      key: '',
+      name: '',
+      description: '',
+      baseRole: 'coach',
+    }
+  });
+
+  const groups = groupPermissions(permissions);
+
+  const toggle = (key) => {
+    setSelected(prev => prev.includes(key) ? prev.filter(p => p !== key) : [...prev, key]);
+  };
+
+  const toggleGroup = (group) => {
+    const keys = groups[group].map(p => p.key);
+    const allSelected = keys.every(key => selected.includes(key));
+    setSelected(prev => allSelected
+      ? prev.filter(key => !keys.includes(key))
+      : [...new Set([...prev, ...keys])]);
+  };
+
+  const onFormSubmit = (data) => {
+    const payload = { name: data.name, description: data.description, permissions: selected };
+    onSubmit(role ? payload : { ...payload, key: data.key, baseRole: data.baseRole });
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onFormSubmit)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={t('roles.name')}
+          placeholder={t('roles.namePlaceholder')}
+          error={errors.name?.message}
+          {...register('name', { required: 'Role name is required' })}
+        />
+        <Input
+          label={t('roles.key')}
+          placeholder="assistant_coach"
+          disabled={!!role}
+          error={errors.key?.message}
+          {...register('key', {
+            required: 'Role key is required',
+            pattern: { value: /^[a-z][a-z0-9_]{1,39}$/, message: t('roles.keyHint') }
+          })}
+        />
+        <Select
+          label={t('roles.baseRole')}
+          disabled={!!role}
+          options={BASE_ROLES.map(baseRole => ({ value: baseRole, label: t(`audit.roles.${baseRole}`) }))}
+          {...register('baseRole')}
+        />
+        <Input
+          label={t('roles.description')}
+          {...register('description')}
+        />
+      </div>
+      <p className="text-xs text-gray-500">{t('roles.baseRoleHint')}</p>
+
+      {/* Permissions */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          {t('roles.permissions')} ({selected.length})
+        </label>
+        <div className="space-y-3 max-h-96 overflow-y-auto p-3 border border-gray-200 rounded-lg">
+          {Object.entries(groups).map(([group, items]) => (
+            <div key={group}>
+              <button
+                type="button"
+                onClick={() => toggleGroup(group)}
+                className="text-xs font-semibold uppercase text-gray-500 hover:text-primary-600 mb-1"
+              >
+                {group}
+              </button>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+                {items.map(permission => (
+                  <label
+                    key={permission.key}
+                    className="flex items-start gap-2 p-1.5 rounded hover:bg-gray-50 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(permission.key)}
+                      onChange={() => toggle(permission.key)}
+                      className="w-4 h-4 mt-0.5 text-primary-600 rounded"
+                    />
+                    <span className="text-sm">
+                      <span className="text-gray-700">{permission.description}</span>
+                      <span className="block text-xs text-gray-400 font-mono">{permission.key}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const Roles = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [deletingRole, setDeletingRole] = useState(null);
+
+  const { data: roles, isLoading } = useQuery({
+    queryKey: ['roles'],
+    queryFn: () => rolesAPI.getAll(),
+    select: (res) => res.data.roles,
+  });
+
+  const { data: permissions } = useQuery({
+    queryKey: ['permissions'],
+    queryFn: () => rolesAPI.getPermissions(),
+    select: (res) => res.data.permissions,
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRole(null);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: rolesAPI.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+      closeModal();
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => rolesAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+      closeModal();
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const twoFactorMutation = useMutation({
+    mutationFn: ({ id, required }) => rolesAPI.setTwoFactor(id, required),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: rolesAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+      setDeletingRole(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const handleSubmit = (data) => {
+    if (editingRole) {
+      updateMutation.mutate({ id: editingRole._id, data });
+    } else {
+      createMutation.mutate(data);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('roles.title')}</h1>
+          <p className="text-gray-500">{t('roles.subtitle')}</p>
+        </div>
+        <Button icon={Plus} onClick={() => setShowModal(true)}>
+          {t('roles.addRole')}
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <Loading />
+      ) : !roles?.length ? (
+        <EmptyState icon={KeyRound} title={t('common.noData')} />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {roles.map(role => (
+            <Card key={role._id} className="p-5">
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <h3 className="font-bold text-lg text-gray-900">{role.name}</h3>
+                  <p className="text-xs text-gray-400 font-mono">{role.key}</p>
+                </div>
+                {role.isSystem ? (
+                  <Badge variant="default">
+                    <Lock className="w-3 h-3 inline mr-1" />
+                    {t('roles.builtIn')}
+                  </Badge>
+                ) : (
+                  <Badge variant="primary">{t(`audit.roles.${role.baseRole}`)}</Badge>
+                )}
+              </div>
+              {role.description && <p className="text-sm text-gray-500 mb-3">{role.description}</p>}
+
+              <label className="flex items-center gap-2 mb-3 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!role.requireTwoFactor}
+                  disabled={twoFactorMutation.isPending}
+                  onChange={(e) => twoFactorMutation.mutate({ id: role._id, required: e.target.checked })}
+                  className="w-4 h-4 text-primary-600 rounded"
+                />
+                <ShieldCheck className="w-4 h-4 text-gray-400" />
+                {t('roles.requireTwoFactor')}
+              </label>
+
+              <div className="flex items-center justify-between pt-3 border-t border-gray-100">
+                <span className="text-xs text-gray-500">
+                  {role.permissions.length} {t('roles.permissionsCount')} · {role.userCount} {t('roles.users')}
+                </span>
+                <div className="flex gap-1">
+                  {role.key !== 'super_admin' && (
+                    <button
+                      onClick={() => {
+                        setEditingRole(role);
+                        setShowModal(true);
+                      }}
+                      className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </button>
+                  )}
+                  {!role.isSystem && (
+                    <button
+                      onClick={() => setDeletingRole(role)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Add/Edit Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title={editingRole ? t('roles.editRole') : t('roles.addRole')}
+        size="large"
+      >
+        <RoleForm
+          key={editingRole?._id || 'new'}
+          role={editingRole}
+          permissions={permissions || []}
+          onSubmit={handleSubmit}
+          onClose={closeModal}
+          loading={createMutation.isPending || updateMutation.isPending}
+        />
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deletingRole}
+        onClose={() => setDeletingRole(null)}
+        onConfirm={() => deleteMutation.mutate(deletingRole._id)}
+        title={t('common.delete')}
+        message={t('common.confirm')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Roles;
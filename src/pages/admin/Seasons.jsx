@@ -0,0 +1,494 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm } from 'react-hook-form';
+import { seasonsAPI, holidaysAPI } from '../../utils/api';
+import { Card, Loading, Button, Input, Modal, Badge, EmptyState, ConfirmDialog } from '../../components/common';
+import { Plus, Edit, Trash2, CalendarRange, Archive, CheckCircle, ArrowRight } from 'lucide-react';
+import { formatDate } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const SeasonForm = ({ season, onSubmit, onClose, loading }) => {
+  const { t } = useTranslation();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: season || {
+      name: '',
+      startDate: '',
+      endDate: '',
+      isActive: false,
+    }
+  });
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <Input
+        label={t('seasons.name')}
+        placeholder="2025/2026"
+        error={errors.name?.message}
+        {...register('name', { required: 'Season name is required' })}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={t('seasons.startDate')}
+          type="date"
+          error={errors.startDate?.message}
+          {...register('startDate', { required: 'Start date is required' })}
+        />
+        <Input
+          label={t('seasons.endDate')}
+          type="date"
+          error={errors.endDate?.message}
+          {...register('endDate', { required: 'End date is required' })}
+        />
+      </div>
+      {!season?.isArchived && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('isActive')} />
+          {t('seasons.setActive')}
+        </label>
+      )}
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" loading={loading}>
+          {t('common.save')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Archive a season, promote players to the next birth-year team and start the next season
+const RolloverForm = ({ season, onClose }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [preview, setPreview] = useState(null);
+  const { register, handleSubmit, watch } = useForm({
+    defaultValues: {
+      promotePlayers: true,
+      createNext: true,
+      nextName: '',
+      nextStartDate: '',
+      nextEndDate: '',
+    }
+  });
+  const createNext = watch('createNext');
+
+  const buildPayload = (data, dryRun) => ({
+    dryRun,
+    promotePlayers: data.promotePlayers,
+    nextSeason: data.createNext
+      ? { name: data.nextName, startDate: data.nextStartDate, endDate: data.nextEndDate }
+      : undefined
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: (data) => seasonsAPI.rollover(season._id, buildPayload(data, true)),
+    onSuccess: (res) => setPreview(res.data.promotions),
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const rolloverMutation = useMutation({
+    mutationFn: (data) => seasonsAPI.rollover(season._id, buildPayload(data, false)),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['seasons']);
+      queryClient.invalidateQueries(['teams']);
+      queryClient.invalidateQueries(['players']);
+      toast.success(t('common.success'));
+      onClose();
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <form onSubmit={handleSubmit((data) => rolloverMutation.mutate(data))} className="space-y-4">
+      <p className="text-sm text-gray-600">{t('seasons.rolloverDescription')}</p>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('promotePlayers')} />
+        {t('seasons.promotePlayers')}
+      </label>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" {...register('createNext')} />
+        {t('seasons.createNextSeason')}
+      </label>
+
+      {createNext && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 p-4 bg-gray-50 rounded-lg">
+          <Input label={t('seasons.name')} {...register('nextName', { required: createNext })} />
+          <Input label={t('seasons.startDate')} type="date" {...register('nextStartDate', { required: createNext })} />
+          <Input label={t('seasons.endDate')} type="date" {...register('nextEndDate', { required: createNext })} />
+        </div>
+      )}
+
+      {preview && (
+        <div className="space-y-3">
+          <h4 className="font-semibold text-gray-900">
+            {t('seasons.plannedMoves')} ({preview.moves.length})
+          </h4>
+          {preview.moves.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('common.noData')}</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {preview.moves.map((move) => (
+                <div key={move.player} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <span className="font-medium text-gray-900">{move.name} ({move.birthYear})</span>
+                  <span className="flex items-center gap-2 text-gray-500">
+                    {move.from.name} <ArrowRight className="w-4 h-4" /> {move.to.name}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          {preview.unmatched.length > 0 && (
+            <>
+              <h4 className="font-semibold text-gray-900">
+                {t('seasons.unmatchedPlayers')} ({preview.unmatched.length})
+              </h4>
+              <div className="max-h-32 overflow-y-auto divide-y divide-gray-100 border border-yellow-100 bg-yellow-50 rounded-lg">
+                {preview.unmatched.map((item) => (
+                  <div key={item.player} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span className="text-gray-900">{item.name} ({item.birthYear})</span>
+                    <span className="text-gray-500">{item.from.name}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button
+          type="button"
+          variant="secondary"
+          onClick={handleSubmit((data) => previewMutation.mutate(data))}
+          loading={previewMutation.isPending}
+        >
+          {t('seasons.preview')}
+        </Button>
+        <Button type="submit" icon={Archive} loading={rolloverMutation.isPending} disabled={!preview}>
+          {t('seasons.rollover')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Days on which no trainings are generated from team schedules
+const HolidaysCard = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { register, handleSubmit, reset } = useForm({
+    defaultValues: { name: '', startDate: '', endDate: '' }
+  });
+
+  const { data: holidays } = useQuery({
+    queryKey: ['holidays'],
+    queryFn: () => holidaysAPI.getAll(),
+    select: (res) => res.data.holidays,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: holidaysAPI.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['holidays']);
+      reset();
+      toast.success(t('common.success'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: holidaysAPI.delete,
+    onSuccess: () => queryClient.invalidateQueries(['holidays']),
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="font-semibold text-gray-900">{t('holidays.title')}</h3>
+        <p className="text-sm text-gray-500">{t('holidays.description')}</p>
+      </Card.Header>
+      <Card.Body className="space-y-4">
+        <form onSubmit={handleSubmit((data) => createMutation.mutate(data))} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <Input label={t('holidays.name')} {...register('name', { required: true })} />
+          <Input label={t('seasons.startDate')} type="date" {...register('startDate', { required: true })} />
+          <Input label={t('seasons.endDate')} type="date" {...register('endDate')} />
+          <Button type="submit" icon={Plus} loading={createMutation.isPending}>
+            {t('holidays.addHoliday')}
+          </Button>
+        </form>
+
+        {holidays?.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('common.noData')}</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {holidays?.map((holiday) => (
+              <div key={holiday._id} className="flex items-center justify-between py-2 text-sm">
+                <span className="font-medium text-gray-900">{holiday.name}</span>
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-500">
+                    {formatDate(holiday.startDate)}
+                    {holiday.endDate !== holiday.startDate && ` - ${formatDate(holiday.endDate)}`}
+                  </span>
+                  <button
+                    onClick={() => deleteMutation.mutate(holiday._id)}
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+const Seasons = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+  const [editingSeason, setEditingSeason] = useState(null);
+  const [deletingSeason, setDeletingSeason] = useState(null);
+  const [rollingOverSeason, setRollingOverSeason] = useState(null);
+
+  const { data: seasonsData, isLoading } = useQuery({
+    queryKey: ['seasons'],
+    queryFn: () => seasonsAPI.getAll(),
+    select: (res) => res.data.seasons,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: seasonsAPI.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['seasons']);
+      setShowModal(false);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => seasonsAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['seasons']);
+      setShowModal(false);
+      setEditingSeason(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: seasonsAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['seasons']);
+      setDeletingSeason(null);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
+  const handleSubmit = (data) => {
+    if (editingSeason) {
+      updateMutation.mutate({ id: editingSeason._id, data });
+    } else {
+      createMutation.mutate(data);
+    }
+  };
+
+  const openEditModal = (season) => {
+    setEditingSeason({
+      ...season,
+      startDate: season.startDate?.split('T')[0],
+      endDate: season.endDate?.split('T')[0],
+    });
+    setShowModal(true);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{t('seasons.title')}</h1>
+          <p className="text-gray-500">{seasonsData?.length || 0} {t('seasons.title').toLowerCase()}</p>
+        </div>
+        <Button icon={Plus} onClick={() => setShowModal(true)}>
+          {t('seasons.addSeason')}
+        </Button>
+      </div>
+
+      {/* Seasons List */}
+      {isLoading ? (
+        <Loading />
+      ) : seasonsData?.length === 0 ? (
+        <EmptyState
+          icon={CalendarRange}
+          title={t('common.noData')}
+          action={() => setShowModal(true)}
+          actionLabel={t('seasons.addSeason')}
+          actionIcon={Plus}
+        />
+      ) : (
+        <div className="space-y-4">
+          {seasonsData?.map((season) => (
+            <Card key={season._id} className="p-5">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <h3 className="font-bold text-lg text-gray-900">{season.name}</h3>
+                    {season.isActive && <Badge variant="success">{t('seasons.active')}</Badge>}
+                    {season.isArchived && <Badge variant="default">{t('seasons.archived')}</Badge>}
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    {formatDate(season.startDate)} - {formatDate(season.endDate)}
+                  </p>
+                  {season.isArchived && (
+                    <p className="text-xs text-gray-400 mt-1">
+                      {t('seasons.archivedOn')} {formatDate(season.archivedAt)}
+                      {season.archivedBy && ` · ${season.archivedBy.firstName} ${season.archivedBy.lastName}`}
+                      {` · ${t('seasons.promotedPlayers')}: ${season.summary?.promotedPlayers || 0}`}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2">
+                  {!season.isArchived && !season.isActive && (
+                    <Button
+                      size="small"
+                      variant="secondary"
+                      icon={CheckCircle}
+                      onClick={() => updateMutation.mutate({ id: season._id, data: { isActive: true } })}
+                    >
+                      {t('seasons.activate')}
+                    </Button>
+                  )}
+                  {!season.isArchived && (
+                    <Button size="small" icon={Archive} onClick={() => setRollingOverSeason(season)}>
+                      {t('seasons.rollover')}
+                    </Button>
+                  )}
+                  <button
+                    onClick={() => openEditModal(season)}
+                    className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                  >
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  {!season.isArchived && (
+                    <button
+                      onClick={() => setDeletingSeason(season)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Archived season summary */}
+              {season.isArchived && season.summary?.teams?.length > 0 && (
+                <div className="mt-4 overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-gray-100 text-gray-500">
+                        <th className="text-left py-2 px-3 font-medium">{t('nav.teams')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('nav.players')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('nav.trainings')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('statistics.fields.totalMatches')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('statistics.fields.wins')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('statistics.fields.draws')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('statistics.fields.losses')}</th>
+                        <th className="text-center py-2 px-3 font-medium">{t('seasons.goals')}</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-50">
+                      {season.summary.teams.map((team) => (
+                        <tr key={team.team}>
+                          <td className="py-2 px-3 font-medium text-gray-900">
+                            {team.name} <span className="text-gray-400">({team.ageCategory})</span>
+                          </td>
+                          <td className="py-2 px-3 text-center">{team.playerCount}</td>
+                          <td className="py-2 px-3 text-center">{team.trainings}</td>
+                          <td className="py-2 px-3 text-center">{team.statistics.totalMatches}</td>
+                          <td className="py-2 px-3 text-center text-green-600">{team.statistics.wins}</td>
+                          <td className="py-2 px-3 text-center text-yellow-600">{team.statistics.draws}</td>
+                          <td className="py-2 px-3 text-center text-red-600">{team.statistics.losses}</td>
+                          <td className="py-2 px-3 text-center">
+                            {team.statistics.goalsFor}:{team.statistics.goalsAgainst}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <HolidaysCard />
+
+      {/* Add/Edit Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={() => {
+          setShowModal(false);
+          setEditingSeason(null);
+        }}
+        title={editingSeason ? t('seasons.editSeason') : t('seasons.addSeason')}
+      >
+        <SeasonForm
+          season={editingSeason}
+          onSubmit={handleSubmit}
+          onClose={() => {
+            setShowModal(false);
+            setEditingSeason(null);
+          }}
+          loading={createMutation.isPending || updateMutation.isPending}
+        />
+      </Modal>
+
+      {/* Rollover Modal */}
+      <Modal
+        isOpen={!!rollingOverSeason}
+        onClose={() => setRollingOverSeason(null)}
+        title={`${t('seasons.rollover')}: ${rollingOverSeason?.name || ''}`}
+        size="large"
+      >
+        {rollingOverSeason && (
+          <RolloverForm season={rollingOverSeason} onClose={() => setRollingOverSeason(null)} />
+        )}
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deletingSeason}
+        onClose={() => setDeletingSeason(null)}
+        onConfirm={() => deleteMutation.mutate(deletingSeason._id)}
+        title={t('common.delete')}
+        message={t('common.confirm')}
+        loading={deleteMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default Seasons;
@@ -1,14 +1,403 @@
 import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../../context/AuthContext';
-import { Card, Button, Input, Select } from '../../components/common';
-import { User, Lock, Globe } from 'lucide-react';
+import { calendarAPI, authAPI } from '../../utils/api';
+import { Card, Button, Input, Select, Badge, ConfirmDialog, Modal } from '../../components/common';
+import { User, Lock, Globe, CalendarPlus, Copy, RefreshCw, MonitorSmartphone, LogOut, ShieldCheck, AlertTriangle } from 'lucide-react';
+import { formatDateTime } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
+// Subscription links for phone and desktop calendar apps
+const CalendarFeedsCard = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [confirmReset, setConfirmReset] = useState(false);
+
+  const { data: feeds } = useQuery({
+    queryKey: ['calendar-feeds'],
+    queryFn: () => calendarAPI.getFeeds(),
+    select: (res) => res.data.feeds,
+  });
+
+  const resetMutation = useMutation({
+    mutationFn: calendarAPI.resetToken,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['calendar-feeds']);
+      setConfirmReset(false);
+      toast.success(t('common.success'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const copyLink = async (url) => {
+    await navigator.clipboard.writeText(url);
+    toast.success(t('settings.calendarFeeds.copied'));
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="font-semibold flex items-center gap-2">
+          <CalendarPlus className="w-5 h-5 text-primary-500" />
+          {t('settings.calendarFeeds.title')}
+        </h3>
+        <p className="text-sm text-gray-500">{t('settings.calendarFeeds.description')}</p>
+      </Card.Header>
+      <Card.Body className="space-y-3">
+        {feeds?.length === 0 && (
+          <p className="text-sm text-gray-500">{t('common.noData')}</p>
+        )}
+        {feeds?.map((feed) => (
+          <div key={feed.url} className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 truncate">{feed.name}</p>
+              <p className="text-xs text-gray-500">{t(`settings.calendarFeeds.types.${feed.type}`)}</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <a
+                href={feed.url.replace(/^https?:/, 'webcal:')}
+                className="text-sm font-medium text-primary-600 hover:underline"
+              >
+                {t('settings.calendarFeeds.subscribe')}
+              </a>
+              <button
+                onClick={() => copyLink(feed.url)}
+                className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                title={t('settings.calendarFeeds.copy')}
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+        <div className="flex justify-end">
+          <Button variant="secondary" size="small" icon={RefreshCw} onClick={() => setConfirmReset(true)}>
+            {t('settings.calendarFeeds.reset')}
+          </Button>
+        </div>
+      </Card.Body>
+
+      <ConfirmDialog
+        isOpen={confirmReset}
+        onClose={() => setConfirmReset(false)}
+        onConfirm={() => resetMutation.mutate()}
+        title={t('settings.calendarFeeds.reset')}
+        message={t('settings.calendarFeeds.resetConfirm')}
+        loading={resetMutation.isPending}
+      />
+    </Card>
+  );
+};
+
+// Devices signed in to this account, with remote sign-out
+const SessionsCard = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [confirmRevokeAll, setConfirmRevokeAll] = useState(false);
+
+  const { data: sessions } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => authAPI.getSessions(),
+    select: (res) => res.data.sessions,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: authAPI.revokeSession,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast.success(t('settings.sessions.revoked'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: authAPI.revokeOtherSessions,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      setConfirmRevokeAll(false);
+      toast.success(t('settings.sessions.revoked'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const otherSessions = sessions?.filter(session => !session.current) || [];
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="font-semibold flex items-center gap-2">
+          <MonitorSmartphone className="w-5 h-5 text-primary-500" />
+          {t('settings.sessions.title')}
+        </h3>
+        <p className="text-sm text-gray-500">{t('settings.sessions.description')}</p>
+      </Card.Header>
+      <Card.Body className="space-y-3">
+        {sessions?.map((session) => (
+          <div key={session._id} className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 flex items-center gap-2">
+                {session.device}
+                {session.current && <Badge variant="success">{t('settings.sessions.current')}</Badge>}
+              </p>
+              <p className="text-xs text-gray-500 truncate" title={session.userAgent}>
+                {session.ip} · {t('settings.sessions.lastActive')} {formatDateTime(session.lastUsedAt)}
+              </p>
+              <p className="text-xs text-gray-400">
+                {t('settings.sessions.signedIn')} {formatDateTime(session.createdAt)}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => revokeMutation.mutate(session._id)}
+                disabled={revokeMutation.isPending}
+                className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                title={t('settings.sessions.revoke')}
+              >
+                <LogOut className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+        {otherSessions.length > 0 && (
+          <div className="flex justify-end">
+            <Button variant="secondary" size="small" icon={LogOut} onClick={() => setConfirmRevokeAll(true)}>
+              {t('settings.sessions.revokeOthers')}
+            </Button>
+          </div>
+        )}
+      </Card.Body>
+
+      <ConfirmDialog
+        isOpen={confirmRevokeAll}
+        onClose={() => setConfirmRevokeAll(false)}
+        onConfirm={() => revokeOthersMutation.mutate()}
+        title={t('settings.sessions.revokeOthers')}
+        message={t('settings.sessions.revokeOthersConfirm')}
+        loading={revokeOthersMutation.isPending}
+      />
+    </Card>
+  );
+};
+
+// One-time recovery codes, shown once after they are generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const { t } = useTranslation();
+
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success(t('settings.calendarFeeds.copied'));
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700">{t('settings.twoFactor.recoveryCodesHint')}</p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" size="small" icon={Copy} onClick={copyCodes}>
+          {t('settings.calendarFeeds.copy')}
+        </Button>
+        <Button size="small" onClick={onDone}>
+          {t('settings.twoFactor.savedCodes')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Authenticator app second factor: setup with a QR code, recovery codes, disable
+const TwoFactorCard = () => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const { checkAuth } = useAuth();
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null);
+  const [setupCode, setSetupCode] = useState('');
+  const actionForm = useForm({ defaultValues: { password: '', code: '' } });
+
+  const { data: status } = useQuery({
+    queryKey: ['two-factor'],
+    queryFn: () => authAPI.getTwoFactor(),
+    select: (res) => res.data,
+  });
+
+  const onError = (error) => toast.error(error.response?.data?.message || t('common.error'));
+
+  const setupMutation = useMutation({
+    mutationFn: authAPI.setupTwoFactor,
+    onSuccess: (res) => {
+      setEnrollment(res.data);
+      setSetupCode('');
+    },
+    onError
+  });
+
+  const enableMutation = useMutation({
+    mutationFn: authAPI.enableTwoFactor,
+    onSuccess: (res) => {
+      setEnrollment(null);
+      setRecoveryCodes(res.data.recoveryCodes);
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      // Lifts the setup requirement of the user's role
+      checkAuth();
+      toast.success(t('settings.twoFactor.enabled'));
+    },
+    onError
+  });
+
+  const closeAction = () => {
+    setAction(null);
+    actionForm.reset();
+  };
+
+  const regenerateMutation = useMutation({
+    mutationFn: authAPI.regenerateRecoveryCodes,
+    onSuccess: (res) => {
+      closeAction();
+      setRecoveryCodes(res.data.recoveryCodes);
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+    },
+    onError
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: authAPI.disableTwoFactor,
+    onSuccess: () => {
+      closeAction();
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      toast.success(t('settings.twoFactor.disabled'));
+    },
+    onError
+  });
+
+  // Six digits are an app code, anything else a recovery code
+  const onActionSubmit = ({ password, code }) => {
+    if (action === 'regenerate') {
+      regenerateMutation.mutate({ code });
+      return;
+    }
+    const factor = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+    disableMutation.mutate({ password, ...factor });
+  };
+
+  if (!status) return null;
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="font-semibold flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5 text-primary-500" />
+          {t('settings.twoFactor.title')}
+          {status.enabled && <Badge variant="success">{t('settings.twoFactor.on')}</Badge>}
+          {!status.enabled && status.required && <Badge variant="warning">{t('settings.twoFactor.required')}</Badge>}
+        </h3>
+        <p className="text-sm text-gray-500">{t('settings.twoFactor.description')}</p>
+      </Card.Header>
+      <Card.Body className="space-y-4">
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        ) : enrollment ? (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              enableMutation.mutate({ code: setupCode });
+            }}
+            className="space-y-4"
+          >
+            <p className="text-sm text-gray-700">{t('settings.twoFactor.scan')}</p>
+            <div className="flex flex-col sm:flex-row items-center gap-4">
+              <img src={enrollment.qrCode} alt="QR" className="w-44 h-44 border border-gray-200 rounded-lg" />
+              <div className="min-w-0 space-y-1">
+                <p className="text-xs text-gray-500">{t('settings.twoFactor.manualEntry')}</p>
+                <p className="font-mono text-sm text-gray-900 break-all">{enrollment.secret}</p>
+              </div>
+            </div>
+            <Input
+              label={t('auth.twoFactor.code')}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={setupCode}
+              onChange={(e) => setSetupCode(e.target.value)}
+            />
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setEnrollment(null)}>
+                {t('common.cancel')}
+              </Button>
+              <Button type="submit" loading={enableMutation.isPending} disabled={!setupCode.trim()}>
+                {t('settings.twoFactor.confirm')}
+              </Button>
+            </div>
+          </form>
+        ) : status.enabled ? (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div className="text-sm text-gray-500">
+              <p>{t('settings.twoFactor.enabledSince')} {formatDateTime(status.enabledAt)}</p>
+              <p>{t('settings.twoFactor.codesLeft', { count: status.recoveryCodesLeft })}</p>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="secondary" size="small" icon={RefreshCw} onClick={() => setAction('regenerate')}>
+                {t('settings.twoFactor.newCodes')}
+              </Button>
+              {!status.required && (
+                <Button variant="danger" size="small" onClick={() => setAction('disable')}>
+                  {t('settings.twoFactor.disable')}
+                </Button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <Button icon={ShieldCheck} onClick={() => setupMutation.mutate()} loading={setupMutation.isPending}>
+              {t('settings.twoFactor.setUp')}
+            </Button>
+          </div>
+        )}
+      </Card.Body>
+
+      <Modal
+        isOpen={!!action}
+        onClose={closeAction}
+        title={action === 'disable' ? t('settings.twoFactor.disable') : t('settings.twoFactor.newCodes')}
+      >
+        <form onSubmit={actionForm.handleSubmit(onActionSubmit)} className="space-y-4">
+          {action === 'disable' && (
+            <Input
+              label={t('settings.currentPassword')}
+              type="password"
+              {...actionForm.register('password', { required: true })}
+            />
+          )}
+          <Input
+            label={action === 'disable' ? t('settings.twoFactor.codeOrRecovery') : t('auth.twoFactor.code')}
+            autoComplete="one-time-code"
+            {...actionForm.register('code', { required: true })}
+          />
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" onClick={closeAction}>
+              {t('common.cancel')}
+            </Button>
+            <Button
+              type="submit"
+              variant={action === 'disable' ? 'danger' : 'primary'}
+              loading={regenerateMutation.isPending || disableMutation.isPending}
+            >
+              {t('common.confirm')}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </Card>
+  );
+};
+
 const Settings = () => {
   const { t, i18n } = useTranslation();
-  const { user, updateProfile, updatePassword } = useAuth();
+  const { user, updateProfile, updatePassword, twoFactorSetupRequired } = useAuth();
   const [profileLoading, setProfileLoading] = useState(false);
   const [passwordLoading, setPasswordLoading] = useState(false);
 
@@ -61,6 +450,13 @@ const Settings = () => {
         <p className="text-gray-500">{t('settings.profile')}</p>
       </div>
 
+      {twoFactorSetupRequired && (
+        <div className="flex items-start gap-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <AlertTriangle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-yellow-800">{t('settings.twoFactor.setupRequired')}</p>
+        </div>
+      )}
+
       {/* Profile Settings */}
       <Card>
         <Card.Header>
@@ -117,6 +513,8 @@ const Settings = () => {
         </Card.Body>
       </Card>
 
+      <CalendarFeedsCard />
+
       {/* Password Settings */}
       <Card>
         <Card.Header>
@@ -153,6 +551,10 @@ const Settings = () => {
           </form>
         </Card.Body>
       </Card>
+
+      <TwoFactorCard />
+
+      <SessionsCard />
     </div>
   );
 };
@@ -1,15 +1,81 @@
 import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { useQuery } from '@tanstack/react-query';
-import { playersAPI, teamsAPI } from '../../utils/api';
-import { Card, Loading, Select, Avatar, Badge } from '../../components/common';
-import { Trophy, Target, Users, CreditCard, Star, TrendingUp } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { playersAPI, teamsAPI, statisticsAPI, seasonsAPI } from '../../utils/api';
+import { Card, Loading, Select, Avatar, Badge, Button, Modal } from '../../components/common';
+import { Trophy, Target, Users, CreditCard, Star, TrendingUp, RefreshCw, CheckCircle } from 'lucide-react';
 import { getPositionColor } from '../../utils/helpers';
 import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+// Report of the admin statistics rebuild: stored counters vs values derived from matches
+const RebuildReport = ({ report, t }) => (
+  <div className="space-y-4">
+    <div className="grid grid-cols-3 gap-3 text-center">
+      <div className="p-3 rounded-lg bg-gray-50">
+        <p className="text-xl font-bold text-gray-900">{report.matchesScanned}</p>
+        <p className="text-xs text-gray-500">{t('statistics.rebuild.matchesScanned')}</p>
+      </div>
+      <div className="p-3 rounded-lg bg-gray-50">
+        <p className="text-xl font-bold text-gray-900">{report.teamsChecked}</p>
+        <p className="text-xs text-gray-500">{t('statistics.rebuild.teamsChecked')}</p>
+      </div>
+      <div className="p-3 rounded-lg bg-gray-50">
+        <p className="text-xl font-bold text-gray-900">{report.playersChecked}</p>
+        <p className="text-xs text-gray-500">{t('statistics.rebuild.playersChecked')}</p>
+      </div>
+    </div>
+
+    {report.discrepancies.length === 0 ? (
+      <div className="flex items-center justify-center gap-2 py-6 text-green-600">
+        <CheckCircle className="w-5 h-5" />
+        <span className="font-medium">{t('statistics.rebuild.noDiscrepancies')}</span>
+      </div>
+    ) : (
+      <>
+        <p className="text-sm text-gray-600">
+          {report.applied
+            ? t('statistics.rebuild.applied', { count: report.discrepancies.length })
+            : t('statistics.rebuild.found', { count: report.discrepancies.length })}
+        </p>
+        <div className="max-h-80 overflow-y-auto border border-gray-100 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="text-left py-2 px-3 font-medium text-gray-600">{t('common.name')}</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-600">{t('statistics.rebuild.field')}</th>
+                <th className="text-center py-2 px-3 font-medium text-gray-600">{t('statistics.rebuild.stored')}</th>
+                <th className="text-center py-2 px-3 font-medium text-gray-600">{t('statistics.rebuild.derived')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.discrepancies.map((item) => (
+                <tr key={`${item.id}-${item.field}`}>
+                  <td className="py-2 px-3">
+                    <span className="font-medium text-gray-900">{item.name}</span>
+                    <Badge variant={item.entity === 'team' ? 'primary' : 'default'} className="ml-2">
+                      {item.entity === 'team' ? t('nav.teams') : t('nav.players')}
+                    </Badge>
+                  </td>
+                  <td className="py-2 px-3 text-gray-600">{t(`statistics.fields.${item.field}`)}</td>
+                  <td className="py-2 px-3 text-center text-red-600">{item.stored}</td>
+                  <td className="py-2 px-3 text-center font-semibold text-green-600">{item.derived}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </>
+    )}
+  </div>
+);
 
 const Statistics = () => {
   const { t } = useTranslation();
-  const { user, isCoach } = useAuth();
+  const { user, isAdmin, isCoach } = useAuth();
+  const queryClient = useQueryClient();
+  const [rebuildReport, setRebuildReport] = useState(null);
+  const [selectedSeason, setSelectedSeason] = useState('');
   const [selectedTeam, setSelectedTeam] = useState(() => {
     if (isCoach) {
       const coachTeams = user?.teams?.length > 0 ? user.teams : (user?.team ? [user.team] : []);
@@ -24,12 +90,45 @@ const Statistics = () => {
     select: (res) => res.data.teams,
   });
 
+  const { data: seasonsData } = useQuery({
+    queryKey: ['seasons'],
+    queryFn: () => seasonsAPI.getAll(),
+    select: (res) => res.data.seasons,
+  });
+
   const { data: statsData, isLoading } = useQuery({
-    queryKey: ['playerStatistics', selectedTeam],
-    queryFn: () => playersAPI.getStatistics({ team: selectedTeam || undefined }),
+    queryKey: ['playerStatistics', selectedTeam, selectedSeason],
+    queryFn: () => playersAPI.getStatistics({
+      team: selectedTeam || undefined,
+      season: selectedSeason || undefined
+    }),
     select: (res) => res.data,
   });
 
+  const seasonOptions = [
+    { value: '', label: t('seasons.allSeasons') },
+    ...(seasonsData || []).map(season => ({
+      value: season._id,
+      label: season.isActive ? `${season.name} (${t('seasons.active')})` : season.name
+    }))
+  ];
+
+  const rebuildMutation = useMutation({
+    mutationFn: (dryRun) => statisticsAPI.rebuild({ dryRun }),
+    onSuccess: (res) => {
+      const { report } = res.data;
+      setRebuildReport(report);
+      if (report.applied) {
+        queryClient.invalidateQueries(['playerStatistics']);
+        queryClient.invalidateQueries(['teams']);
+        toast.success(t('common.success'));
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  });
+
   const teamOptions = isCoach
     ? (() => {
         const coachTeams = user?.teams?.length > 0 ? user.teams : (user?.team ? [user.team] : []);
@@ -71,12 +170,30 @@ const Statistics = () => {
           <h1 className="text-2xl font-bold text-gray-900">{t('statistics.title')}</h1>
           <p className="text-gray-500">{t('statistics.description')}</p>
         </div>
-        <Select
-          options={teamOptions}
-          value={selectedTeam}
-          onChange={(e) => setSelectedTeam(e.target.value)}
-          className="w-full sm:w-64"
-        />
+        <div className="flex flex-col sm:flex-row gap-3">
+          {isAdmin && (
+            <Button
+              variant="secondary"
+              icon={RefreshCw}
+              onClick={() => rebuildMutation.mutate(true)}
+              loading={rebuildMutation.isPending && !rebuildReport}
+            >
+              {t('statistics.rebuild.check')}
+            </Button>
+          )}
+          <Select
+            options={seasonOptions}
+            value={selectedSeason}
+            onChange={(e) => setSelectedSeason(e.target.value)}
+            className="w-full sm:w-48"
+          />
+          <Select
+            options={teamOptions}
+            value={selectedTeam}
+            onChange={(e) => setSelectedTeam(e.target.value)}
+            className="w-full sm:w-64"
+          />
+        </div>
       </div>
 
       {isLoading ? (
@@ -309,6 +426,26 @@ const Statistics = () => {
           </Card>
         </>
       )}
+
+      {/* Rebuild Statistics Report */}
+      <Modal
+        isOpen={!!rebuildReport}
+        onClose={() => setRebuildReport(null)}
+        title={t('statistics.rebuild.title')}
+        size="large"
+      >
+        {rebuildReport && <RebuildReport report={rebuildReport} t={t} />}
+        <div className="flex justify-end gap-3 pt-4">
+          <Button variant="secondary" onClick={() => setRebuildReport(null)}>
+            {t('common.close')}
+          </Button>
+          {rebuildReport && !rebuildReport.applied && rebuildReport.discrepancies.length > 0 && (
+            <Button icon={RefreshCw} onClick={() => rebuildMutation.mutate(false)} loading={rebuildMutation.isPending}>
+              {t('statistics.rebuild.apply')}
+            </Button>
+          )}
+        </div>
+      </Modal>
     </div>
   );
 };
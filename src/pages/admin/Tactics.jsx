@@ -3,27 +3,37 @@ import { useTranslation } from 'react-i18next';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { DndProvider, useDrag, useDrop } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
-import { playersAPI, teamsAPI, matchesAPI } from '../../utils/api';
+import { playersAPI, teamsAPI, matchesAPI, availabilityAPI } from '../../utils/api';
 import { Card, Loading, Button, Select, Avatar, Modal } from '../../components/common';
 import { Save, RotateCcw, Users, Info } from 'lucide-react';
 import { formations, formationPositions, getPositionColor } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
-const DraggablePlayer = ({ player, isOnField }) => {
+const DraggablePlayer = ({ player, isOnField, availability }) => {
+  // Injured players and players reported unavailable cannot be picked
+  const isBlocked = player.isInjured || availability?.status === 'unavailable';
+  const blockedReason = player.isInjured
+    ? player.injuryDetails
+    : availability?.reason;
+
   const [{ isDragging }, drag] = useDrag(() => ({
     type: 'player',
     item: { player },
+    canDrag: !isBlocked,
     collect: (monitor) => ({
       isDragging: monitor.isDragging(),
     }),
-  }), [player]);
+  }), [player, isBlocked]);
 
   return (
     <div
       ref={drag}
-      className={`flex items-center gap-2 p-2 rounded-lg cursor-move transition-all ${
+      title={isBlocked ? blockedReason || undefined : availability?.reason || undefined}
+      className={`flex items-center gap-2 p-2 rounded-lg transition-all ${
         isDragging ? 'opacity-50' : ''
-      } ${isOnField ? 'bg-green-100' : 'bg-white hover:bg-gray-50'} border border-gray-200`}
+      } ${isBlocked ? 'opacity-50 grayscale cursor-not-allowed bg-gray-100' : `cursor-move ${isOnField ? 'bg-green-100' : 'bg-white hover:bg-gray-50'}`} ${
+        availability?.status === 'maybe' && !isBlocked ? 'border-yellow-400' : 'border-gray-200'
+      } border`}
     >
       <Avatar
         src={player.photo}
@@ -37,6 +47,9 @@ const DraggablePlayer = ({ player, isOnField }) => {
         </p>
         <p className="text-xs text-gray-500">{player.position}</p>
       </div>
+      {availability?.status === 'maybe' && !isBlocked && (
+        <span className="w-2 h-2 rounded-full bg-yellow-400 flex-shrink-0" />
+      )}
       {player.jerseyNumber && (
         <span className="text-sm font-bold text-gray-400">#{player.jerseyNumber}</span>
       )}
@@ -127,6 +140,13 @@ const Tactics = () => {
     select: (res) => res.data.matches,
   });
 
+  const { data: availabilityData } = useQuery({
+    queryKey: ['availability', { match: selectedMatch }],
+    queryFn: () => availabilityAPI.get({ match: selectedMatch }),
+    enabled: !!selectedMatch,
+    select: (res) => new Map(res.data.availability.map(a => [a.player?._id, a])),
+  });
+
   const saveLineupMutation = useMutation({
     mutationFn: ({ matchId, data }) => matchesAPI.updateLineup(matchId, data),
     onSuccess: () => {
@@ -292,6 +312,7 @@ const Tactics = () => {
                       key={player._id}
                       player={player}
                       isOnField={false}
+                      availability={availabilityData?.get(player._id)}
                     />
                   ))
                 )}
@@ -309,6 +330,7 @@ const Tactics = () => {
                     key={player._id}
                     player={player}
                     isOnField={true}
+                    availability={availabilityData?.get(player._id)}
                   />
                 ))}
                 {substitutes.length === 0 && (
@@ -1,7 +1,7 @@
 import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { useForm } from 'react-hook-form';
+import { useForm, useFieldArray } from 'react-hook-form';
 import { teamsAPI, usersAPI, trainingsAPI, matchesAPI, playersAPI } from '../../utils/api';
 import { useAuth } from '../../context/AuthContext';
 import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog, Avatar } from '../../components/common';
@@ -11,7 +11,7 @@ import toast from 'react-hot-toast';
 
 const TeamForm = ({ team, coaches, onSubmit, onClose, loading }) => {
   const { t } = useTranslation();
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, control, formState: { errors } } = useForm({
     defaultValues: team || {
       name: '',
       ageCategory: '',
@@ -21,8 +21,19 @@ const TeamForm = ({ team, coaches, onSubmit, onClose, loading }) => {
       primaryColor: '#1e40af',
       secondaryColor: '#ffffff',
       homeVenue: '',
+      matchDuration: null,
+      trainingSchedule: [],
     }
   });
+  const { fields: scheduleFields, append: addSlot, remove: removeSlot } = useFieldArray({
+    control,
+    name: 'trainingSchedule'
+  });
+
+  const dayOptions = [1, 2, 3, 4, 5, 6, 0].map(day => ({
+    value: day,
+    label: t(`teams.days.${day}`)
+  }));
 
   const coachOptions = coaches.map(coach => ({
     value: coach._id,
@@ -64,6 +75,16 @@ const TeamForm = ({ team, coaches, onSubmit, onClose, loading }) => {
           label={t('teams.homeVenue')}
           {...register('homeVenue')}
         />
+        <Input
+          label={t('teams.matchDuration')}
+          type="number"
+          min="10"
+          max="120"
+          placeholder={t('teams.matchDurationPlaceholder')}
+          {...register('matchDuration', {
+            setValueAs: (value) => (value === '' || value === null ? null : Number(value))
+          })}
+        />
         <div className="flex gap-4">
           <div className="flex-1">
             <label className="label">{t('teams.primaryColor')}</label>
@@ -89,6 +110,40 @@ const TeamForm = ({ team, coaches, onSubmit, onClose, loading }) => {
         {...register('description')}
       />
 
+      {/* Weekly training schedule */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="label mb-0">{t('teams.trainingSchedule')}</label>
+          <Button
+            type="button"
+            size="small"
+            variant="ghost"
+            icon={Plus}
+            onClick={() => addSlot({ dayOfWeek: 1, startTime: '16:00', endTime: '17:30', location: '' })}
+          >
+            {t('teams.addSlot')}
+          </Button>
+        </div>
+        {scheduleFields.map((field, index) => (
+          <div key={field.id} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-center">
+            <Select
+              options={dayOptions}
+              {...register(`trainingSchedule.${index}.dayOfWeek`, { valueAsNumber: true })}
+            />
+            <Input type="time" {...register(`trainingSchedule.${index}.startTime`, { required: true })} />
+            <Input type="time" {...register(`trainingSchedule.${index}.endTime`, { required: true })} />
+            <Input placeholder={t('trainings.location')} {...register(`trainingSchedule.${index}.location`)} />
+            <button
+              type="button"
+              onClick={() => removeSlot(index)}
+              className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg justify-self-start"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
       <div className="flex justify-end gap-3 pt-4">
         <Button type="button" variant="secondary" onClick={onClose}>
           {t('common.cancel')}
@@ -306,6 +361,14 @@ const TeamDetailModal = ({ team, onClose, onViewTraining, onViewMatch, t }) => {
     select: (res) => res.data?.players,
   });
 
+  // Fetch the players who joined and left this team
+  const { data: movementsData, isLoading: movementsLoading } = useQuery({
+    queryKey: ['teamMovements', team?._id],
+    queryFn: () => teamsAPI.getMovements(team?._id),
+    enabled: !!team?._id && activeTab === 'movements',
+    select: (res) => res.data,
+  });
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'completed':
@@ -352,6 +415,7 @@ const TeamDetailModal = ({ team, onClose, onViewTraining, onViewMatch, t }) => {
     { id: 'trainings', label: t('teams.tabs.trainings'), icon: Calendar },
     { id: 'matches', label: t('teams.tabs.matches'), icon: Gamepad2 },
     { id: 'players', label: t('teams.tabs.players'), icon: Users },
+    { id: 'movements', label: t('teams.tabs.movements'), icon: ArrowLeftRight },
   ];
 
   if (!team) return null;
@@ -619,6 +683,58 @@ const TeamDetailModal = ({ team, onClose, onViewTraining, onViewMatch, t }) => {
             </div>
           )
         )}
+
+        {/* Movements Tab */}
+        {activeTab === 'movements' && (
+          movementsLoading ? (
+            <Loading />
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-h-[350px] overflow-y-auto">
+              {[
+                { key: 'joined', title: t('teams.movements.joined'), items: movementsData?.joined, otherTeam: 'fromTeam', otherLabel: 'teams.movements.from' },
+                { key: 'left', title: t('teams.movements.left'), items: movementsData?.left, otherTeam: 'toTeam', otherLabel: 'teams.movements.to' },
+              ].map(({ key, title, items, otherTeam, otherLabel }) => (
+                <div key={key}>
+                  <h4 className="font-semibold text-gray-900 text-sm sm:text-base mb-2">
+                    {title} ({items?.length || 0})
+                  </h4>
+                  {!items || items.length === 0 ? (
+                    <p className="text-center py-4 text-gray-500 text-sm">{t('common.noData')}</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {items.map((movement, index) => (
+                        <div key={`${movement.player._id}-${index}`} className="flex items-center justify-between gap-2 p-2 sm:p-3 bg-gray-50 rounded-lg">
+                          <div className="flex items-center gap-2 sm:gap-3 min-w-0">
+                            <Avatar
+                              src={movement.player.photo}
+                              firstName={movement.player.firstName}
+                              lastName={movement.player.lastName}
+                              size="small"
+                            />
+                            <div className="min-w-0">
+                              <p className="font-medium text-gray-900 text-sm truncate">
+                                {movement.player.firstName} {movement.player.lastName}
+                              </p>
+                              <p className="text-xs text-gray-500 truncate">
+                                {formatDate(movement.date)}
+                                {movement[otherTeam] && ` · ${t(otherLabel, { team: movement[otherTeam].name })}`}
+                              </p>
+                            </div>
+                          </div>
+                          {movement.reason && (
+                            <Badge variant={movement.reason === 'promotion' ? 'success' : movement.reason === 'transfer' ? 'primary' : 'default'}>
+                              {t(`players.transfer.reasons.${movement.reason}`)}
+                            </Badge>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )
+        )}
       </div>
 
       {/* Actions */}
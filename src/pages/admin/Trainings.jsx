@@ -4,15 +4,15 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useForm } from 'react-hook-form';
 import { trainingsAPI, teamsAPI, playersAPI } from '../../utils/api';
 import { useAuth } from '../../context/AuthContext';
-import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog, Avatar } from '../../components/common';
-import { Plus, Calendar, Edit, Trash2, Users, CheckCircle, XCircle, Clock, Camera, Video, Star, MessageSquare, Save, Eye, Link, X, Play, FileText, Download } from 'lucide-react';
+import { Card, Loading, Button, Input, Select, Modal, Badge, EmptyState, ConfirmDialog, Avatar, PitchBookingFields, AvailabilityPanel } from '../../components/common';
+import { Plus, Calendar, Edit, Trash2, Users, CheckCircle, XCircle, Clock, Camera, Video, Star, MessageSquare, Save, Eye, Link, X, Play, FileText, Download, Repeat, CalendarCheck } from 'lucide-react';
 import { useLocation } from 'react-router-dom';
 import { formatDate, getStatusColor, trainingTypes } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const TrainingForm = ({ training, teams, onSubmit, onClose, loading }) => {
   const { t } = useTranslation();
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm({
     defaultValues: training || {
       team: '',
       date: new Date().toISOString().split('T')[0],
@@ -21,6 +21,7 @@ const TrainingForm = ({ training, teams, onSubmit, onClose, loading }) => {
       location: 'Main Training Ground',
       type: 'regular',
       description: '',
+      booking: { facility: null, pitch: null, area: 'full' },
     }
   });
 
@@ -71,6 +72,7 @@ const TrainingForm = ({ training, teams, onSubmit, onClose, loading }) => {
           options={typeOptions}
           {...register('type')}
         />
+        <PitchBookingFields register={register} watch={watch} setValue={setValue} />
       </div>
 
       <Input
@@ -90,6 +92,183 @@ const TrainingForm = ({ training, teams, onSubmit, onClose, loading }) => {
   );
 };
 
+// Create trainings for a date range from the team's weekly schedule
+const GenerateTrainingsForm = ({ teamOptions, defaultTeam, onClose }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [preview, setPreview] = useState(null);
+  const { register, handleSubmit } = useForm({
+    defaultValues: { team: defaultTeam || '', startDate: '', endDate: '' }
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: (data) => trainingsAPI.generate({ ...data, dryRun: true }),
+    onSuccess: (res) => setPreview(res.data),
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const generateMutation = useMutation({
+    mutationFn: (data) => trainingsAPI.generate(data),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['trainings']);
+      toast.success(`${t('trainings.generated')}: ${res.data.created}`);
+      onClose();
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <form onSubmit={handleSubmit((data) => generateMutation.mutate(data))} className="space-y-4">
+      <p className="text-sm text-gray-600">{t('trainings.generateDescription')}</p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Select
+          label={t('teams.title')}
+          options={teamOptions}
+          placeholder={`-- ${t('teams.title')} --`}
+          {...register('team', { required: true })}
+        />
+        <Input label={t('seasons.startDate')} type="date" {...register('startDate', { required: true })} />
+        <Input label={t('seasons.endDate')} type="date" {...register('endDate', { required: true })} />
+      </div>
+
+      {preview && (
+        <div className="space-y-3">
+          <h4 className="font-semibold text-gray-900">
+            {t('trainings.plannedTrainings')} ({preview.planned.length})
+          </h4>
+          {preview.planned.length > 0 && (
+            <div className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {preview.planned.map((training) => (
+                <div key={`${training.date}-${training.startTime}`} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <span className="font-medium text-gray-900">{formatDate(training.date)}</span>
+                  <span className="text-gray-500">{training.startTime} - {training.endTime} · {training.location}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {preview.skipped.length > 0 && (
+            <>
+              <h4 className="font-semibold text-gray-900">
+                {t('trainings.skippedTrainings')} ({preview.skipped.length})
+              </h4>
+              <div className="max-h-32 overflow-y-auto divide-y divide-gray-100 border border-yellow-100 bg-yellow-50 rounded-lg">
+                {preview.skipped.map((item) => (
+                  <div key={`${item.date}-${item.startTime}`} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span className="text-gray-900">{formatDate(item.date)} {item.startTime}</span>
+                    <span className="text-gray-500">
+                      {item.reason === 'holiday' ? item.holiday : t('trainings.alreadyExists')}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button
+          type="button"
+          variant="secondary"
+          onClick={handleSubmit((data) => previewMutation.mutate(data))}
+          loading={previewMutation.isPending}
+        >
+          {t('seasons.preview')}
+        </Button>
+        <Button type="submit" icon={Repeat} loading={generateMutation.isPending} disabled={!preview?.planned.length}>
+          {t('trainings.generate')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Change or cancel all upcoming trainings generated from the same schedule slot
+const TrainingSeriesForm = ({ training, onClose }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [cancelReason, setCancelReason] = useState('');
+  const { register, handleSubmit, getValues } = useForm({
+    defaultValues: {
+      fromDate: new Date().toISOString().split('T')[0],
+      startTime: training.startTime,
+      endTime: training.endTime,
+      location: training.location || '',
+      type: training.type || 'regular',
+    }
+  });
+
+  const typeOptions = trainingTypes.map(type => ({
+    value: type,
+    label: t(`trainings.types.${type}`)
+  }));
+
+  const onSeriesChanged = (message) => {
+    queryClient.invalidateQueries(['trainings']);
+    toast.success(message);
+    onClose();
+  };
+
+  const updateSeriesMutation = useMutation({
+    mutationFn: (data) => trainingsAPI.updateSeries(training.series, data),
+    onSuccess: (res) => onSeriesChanged(`${t('trainings.seriesUpdated')}: ${res.data.updated}`),
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const cancelSeriesMutation = useMutation({
+    mutationFn: () => trainingsAPI.cancelSeries(training.series, {
+      fromDate: getValues('fromDate'),
+      reason: cancelReason,
+    }),
+    onSuccess: (res) => onSeriesChanged(`${t('trainings.seriesCancelled')}: ${res.data.cancelled}`),
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  return (
+    <form onSubmit={handleSubmit((data) => updateSeriesMutation.mutate(data))} className="space-y-4">
+      <p className="text-sm text-gray-600">{t('trainings.seriesDescription')}</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input label={t('trainings.seriesFrom')} type="date" {...register('fromDate', { required: true })} />
+        <Select label={t('trainings.type')} options={typeOptions} {...register('type')} />
+        <Input label={t('trainings.startTime')} type="time" {...register('startTime', { required: true })} />
+        <Input label={t('trainings.endTime')} type="time" {...register('endTime', { required: true })} />
+      </div>
+      <Input label={t('trainings.location')} {...register('location')} />
+
+      <div className="flex justify-end gap-3">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" icon={Save} loading={updateSeriesMutation.isPending}>
+          {t('trainings.updateSeries')}
+        </Button>
+      </div>
+
+      <div className="pt-4 border-t border-gray-100 space-y-3">
+        <Input
+          label={t('trainings.cancellationReason')}
+          value={cancelReason}
+          onChange={(e) => setCancelReason(e.target.value)}
+        />
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            variant="outline"
+            icon={XCircle}
+            onClick={() => cancelSeriesMutation.mutate()}
+            loading={cancelSeriesMutation.isPending}
+          >
+            {t('trainings.cancelSeries')}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
 // Training Detail Modal with Attendance, Evaluation, and Media
 const TrainingDetailModal = ({ training, onClose, t, isReadOnly = false }) => {
   const queryClient = useQueryClient();
@@ -365,6 +544,7 @@ const TrainingDetailModal = ({ training, onClose, t, isReadOnly = false }) => {
 
   const tabs = [
     { id: 'plan', label: t('trainings.trainingPlan'), icon: FileText },
+    { id: 'availability', label: t('availability.title'), icon: CalendarCheck },
     { id: 'attendance', label: t('trainings.attendance'), icon: Users },
     { id: 'evaluation', label: t('trainings.evaluation'), icon: Star },
     { id: 'notes', label: t('trainings.coachNotes'), icon: MessageSquare },
@@ -476,6 +656,10 @@ const TrainingDetailModal = ({ training, onClose, t, isReadOnly = false }) => {
         )}
 
         {/* Attendance Tab */}
+        {activeTab === 'availability' && (
+          <AvailabilityPanel training={training._id} readOnly={isReadOnly} />
+        )}
+
         {activeTab === 'attendance' && (
           <div className="space-y-3">
             {playersLoading ? (
@@ -945,6 +1129,8 @@ const Trainings = () => {
   const [editingTraining, setEditingTraining] = useState(null);
   const [deletingTraining, setDeletingTraining] = useState(null);
   const [viewingTrainingId, setViewingTrainingId] = useState(null);
+  const [showGenerate, setShowGenerate] = useState(false);
+  const [editingSeries, setEditingSeries] = useState(null);
 
   // Handle navigation from calendar - open training detail
   useEffect(() => {
@@ -1103,7 +1289,8 @@ const Trainings = () => {
     setEditingTraining({
       ...training,
       date: training.date?.split('T')[0],
-      team: training.team?._id || training.team
+      team: training.team?._id || training.team,
+      booking: training.booking || { facility: null, pitch: null, area: 'full' }
     });
     setShowModal(true);
   };
@@ -1147,9 +1334,14 @@ const Trainings = () => {
           <h1 className="text-2xl font-bold text-gray-900">{t('trainings.title')}</h1>
           <p className="text-gray-500">{trainingsData?.total || 0} {t('trainings.title').toLowerCase()}</p>
         </div>
-        <Button icon={Plus} onClick={() => setShowModal(true)}>
-          {t('trainings.addTraining')}
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button variant="secondary" icon={Repeat} onClick={() => setShowGenerate(true)}>
+            {t('trainings.generateFromSchedule')}
+          </Button>
+          <Button icon={Plus} onClick={() => setShowModal(true)}>
+            {t('trainings.addTraining')}
+          </Button>
+        </div>
       </div>
 
       {/* Filter */}
@@ -1221,6 +1413,7 @@ const Trainings = () => {
                       <Badge className={getStatusColor(training.status)}>
                         {t(`trainings.statuses.${training.status}`)}
                       </Badge>
+                      {training.series && <Repeat className="w-4 h-4 text-gray-400" />}
                     </div>
                     <p className="text-sm text-gray-500">
                       {formatDate(training.date)} | {training.startTime} - {training.endTime}
@@ -1254,6 +1447,15 @@ const Trainings = () => {
                     >
                       <Edit className="w-4 h-4" />
                     </button>
+                    {training.series && (
+                      <button
+                        onClick={() => setEditingSeries(training)}
+                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                        title={t('trainings.editSeries')}
+                      >
+                        <Repeat className="w-4 h-4" />
+                      </button>
+                    )}
                     <button
                       onClick={() => setDeletingTraining(training)}
                       className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
@@ -1290,6 +1492,33 @@ const Trainings = () => {
         />
       </Modal>
 
+      {/* Generate From Schedule Modal */}
+      <Modal
+        isOpen={showGenerate}
+        onClose={() => setShowGenerate(false)}
+        title={t('trainings.generateFromSchedule')}
+        size="large"
+      >
+        {showGenerate && (
+          <GenerateTrainingsForm
+            teamOptions={teamOptions.filter(option => option.value)}
+            defaultTeam={selectedTeam}
+            onClose={() => setShowGenerate(false)}
+          />
+        )}
+      </Modal>
+
+      {/* Training Series Modal */}
+      <Modal
+        isOpen={!!editingSeries}
+        onClose={() => setEditingSeries(null)}
+        title={t('trainings.editSeries')}
+      >
+        {editingSeries && (
+          <TrainingSeriesForm training={editingSeries} onClose={() => setEditingSeries(null)} />
+        )}
+      </Modal>
+
       {/* Training Detail Modal */}
       <Modal
         isOpen={!!viewingTrainingId && !!viewingTraining}
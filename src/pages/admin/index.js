@@ -6,5 +6,13 @@ export { default as Trainings } from './Trainings';
 export { default as Matches } from './Matches';
 export { default as Tactics } from './Tactics';
 export { default as Statistics } from './Statistics';
+export { default as Competitions } from './Competitions';
+export { default as Opponents } from './Opponents';
 export { default as Calendar } from './Calendar';
+export { default as Parents } from './Parents';
+export { default as Seasons } from './Seasons';
+export { default as Facilities } from './Facilities';
+export { default as Fitness } from './Fitness';
+export { default as AuditLog } from './AuditLog';
+export { default as Roles } from './Roles';
 export { default as Settings } from './Settings';
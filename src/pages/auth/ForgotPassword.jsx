@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useTranslation } from 'react-i18next';
+import { Trophy, MailCheck, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../utils/api';
+import { Card, Button, Input } from '../../components/common';
+
+// Request a password reset link by email
+const ForgotPassword = () => {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: { email: '' }
+  });
+
+  const onSubmit = async (data) => {
+    setLoading(true);
+    try {
+      await authAPI.forgotPassword(data);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md space-y-6">
+        <div className="flex items-center justify-center gap-3">
+          <div className="w-10 h-10 bg-primary-600 rounded-lg flex items-center justify-center">
+            <Trophy className="w-6 h-6 text-white" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">{t('auth.resetTitle')}</h1>
+        </div>
+
+        <Card className="p-6">
+          {sent ? (
+            <div className="text-center space-y-3">
+              <MailCheck className="w-12 h-12 text-green-500 mx-auto" />
+              <p className="text-gray-700">{t('auth.resetSent')}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+              <p className="text-sm text-gray-500">{t('auth.resetSubtitle')}</p>
+              <Input
+                label={t('common.email')}
+                type="email"
+                placeholder={t('auth.emailPlaceholder')}
+                error={errors.email?.message}
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address'
+                  }
+                })}
+              />
+              <Button type="submit" className="w-full" loading={loading}>
+                {t('auth.sendResetLink')}
+              </Button>
+            </form>
+          )}
+        </Card>
+
+        <Link to="/login" className="flex items-center justify-center gap-2 text-sm text-primary-600 hover:underline">
+          <ArrowLeft className="w-4 h-4" />
+          {t('auth.backToLogin')}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
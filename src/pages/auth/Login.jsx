@@ -1,16 +1,84 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../../context/AuthContext';
-import { Trophy, Eye, EyeOff, Globe } from 'lucide-react';
+import { Trophy, Eye, EyeOff, Globe, ShieldCheck, ArrowLeft } from 'lucide-react';
 import { Button, Input } from '../../components/common';
 
+// Second login step for accounts with two-factor authentication
+const TwoFactorStep = ({ challengeToken, onBack }) => {
+  const { t } = useTranslation();
+  const { verifyTwoFactor } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: { code: '' }
+  });
+
+  const onSubmit = async ({ code }) => {
+    setLoading(true);
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+    if (!result.success) {
+      reset();
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    reset();
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+      <div className="flex items-start gap-3 p-4 bg-primary-50 rounded-lg">
+        <ShieldCheck className="w-5 h-5 text-primary-600 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-gray-700">
+          {useRecoveryCode ? t('auth.twoFactor.recoveryHint') : t('auth.twoFactor.codeHint')}
+        </p>
+      </div>
+
+      <Input
+        key={useRecoveryCode ? 'recovery' : 'code'}
+        label={useRecoveryCode ? t('auth.twoFactor.recoveryCode') : t('auth.twoFactor.code')}
+        placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+        autoComplete="one-time-code"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoFocus
+        error={errors.code?.message}
+        {...register('code', { required: t('auth.twoFactor.codeRequired') })}
+      />
+
+      <div className="flex justify-between -mt-2">
+        <button type="button" onClick={onBack} className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeft className="w-4 h-4" />
+          {t('auth.backToLogin')}
+        </button>
+        <button type="button" onClick={toggleMode} className="text-sm text-primary-600 hover:underline">
+          {useRecoveryCode ? t('auth.twoFactor.useApp') : t('auth.twoFactor.useRecovery')}
+        </button>
+      </div>
+
+      <Button type="submit" className="w-full" size="large" loading={loading}>
+        {t('auth.twoFactor.verify')}
+      </Button>
+    </form>
+  );
+};
+
 const Login = () => {
   const { t, i18n } = useTranslation();
   const { login } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [langMenuOpen, setLangMenuOpen] = useState(false);
+  // Set when the password was accepted and a second factor is needed
+  const [challengeToken, setChallengeToken] = useState(null);
 
   const { register, handleSubmit, formState: { errors } } = useForm({
     defaultValues: {
@@ -21,7 +89,10 @@ const Login = () => {
 
   const onSubmit = async (data) => {
     setLoading(true);
-    await login(data.email, data.password);
+    const result = await login(data.email, data.password);
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
     setLoading(false);
   };
 
@@ -94,61 +165,71 @@ const Login = () => {
               {t('auth.loginTitle')}
             </h2>
             <p className="text-gray-500">
-              {t('auth.loginSubtitle')}
+              {challengeToken ? t('auth.twoFactor.subtitle') : t('auth.loginSubtitle')}
             </p>
           </div>
 
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
-            <Input
-              label={t('common.email')}
-              type="email"
-              placeholder={t('auth.emailPlaceholder')}
-              error={errors.email?.message}
-              {...register('email', {
-                required: 'Email is required',
-                pattern: {
-                  value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                  message: 'Invalid email address'
-                }
-              })}
-            />
-
-            <div className="relative">
+          {challengeToken ? (
+            <TwoFactorStep challengeToken={challengeToken} onBack={() => setChallengeToken(null)} />
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
               <Input
-                label={t('common.password')}
-                type={showPassword ? 'text' : 'password'}
-                placeholder={t('auth.passwordPlaceholder')}
-                error={errors.password?.message}
-                {...register('password', {
-                  required: 'Password is required',
-                  minLength: {
-                    value: 6,
-                    message: 'Password must be at least 6 characters'
+                label={t('common.email')}
+                type="email"
+                placeholder={t('auth.emailPlaceholder')}
+                error={errors.email?.message}
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address'
                   }
                 })}
               />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                className="absolute right-3 top-9 text-gray-400 hover:text-gray-600"
-              >
-                {showPassword ? (
-                  <EyeOff className="w-5 h-5" />
-                ) : (
-                  <Eye className="w-5 h-5" />
-                )}
-              </button>
-            </div>
 
-            <Button
-              type="submit"
-              className="w-full"
-              size="large"
-              loading={loading}
-            >
-              {t('auth.login')}
-            </Button>
-          </form>
+              <div className="relative">
+                <Input
+                  label={t('common.password')}
+                  type={showPassword ? 'text' : 'password'}
+                  placeholder={t('auth.passwordPlaceholder')}
+                  error={errors.password?.message}
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters'
+                    }
+                  })}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-9 text-gray-400 hover:text-gray-600"
+                >
+                  {showPassword ? (
+                    <EyeOff className="w-5 h-5" />
+                  ) : (
+                    <Eye className="w-5 h-5" />
+                  )}
+                </button>
+              </div>
+
+              <div className="flex justify-end -mt-2">
+                <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
+                  {t('auth.forgotPassword')}
+                </Link>
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full"
+                size="large"
+                loading={loading}
+              >
+                {t('auth.login')}
+              </Button>
+            </form>
+          )}
 
           {/* Demo credentials */}
           <div className="mt-8 p-4 bg-gray-50 rounded-lg">
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useTranslation } from 'react-i18next';
+import { useQuery } from '@tanstack/react-query';
+import { Trophy, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../utils/api';
+import { Card, Loading, Button, Input } from '../../components/common';
+
+// Public page opened from a password reset or invitation email
+const SetPassword = () => {
+  const { token } = useParams();
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(false);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['accountLink', token],
+    queryFn: () => authAPI.getAccountLink(token),
+    select: (res) => res.data,
+    retry: false,
+  });
+
+  const { register, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: { password: '', confirmPassword: '' }
+  });
+
+  const onSubmit = async ({ password }) => {
+    setLoading(true);
+    try {
+      await authAPI.setPassword(token, { password });
+      toast.success(t('auth.passwordSet'));
+      navigate('/login');
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('common.error'));
+      setLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loading />
+      </div>
+    );
+  }
+
+  const isInvitation = data?.type === 'invitation';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md space-y-6">
+        <div className="flex items-center justify-center gap-3">
+          <div className="w-10 h-10 bg-primary-600 rounded-lg flex items-center justify-center">
+            <Trophy className="w-6 h-6 text-white" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">
+            {isInvitation ? t('auth.invitationTitle') : t('auth.resetTitle')}
+          </h1>
+        </div>
+
+        {error || !data ? (
+          <Card className="p-6 text-center space-y-4">
+            <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto" />
+            <p className="text-gray-700">{t('auth.linkInvalid')}</p>
+            <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
+              {t('auth.requestNewLink')}
+            </Link>
+          </Card>
+        ) : (
+          <Card className="p-6">
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+              <div>
+                <p className="font-semibold text-gray-900">
+                  {data.user.firstName} {data.user.lastName}
+                </p>
+                <p className="text-sm text-gray-500">{data.user.email}</p>
+              </div>
+              {isInvitation && (
+                <p className="text-sm text-gray-500">{t('auth.invitationSubtitle')}</p>
+              )}
+              <Input
+                label={t('settings.newPassword')}
+                type="password"
+                error={errors.password?.message}
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: { value: 6, message: 'Password must be at least 6 characters' }
+                })}
+              />
+              <Input
+                label={t('settings.confirmPassword')}
+                type="password"
+                error={errors.confirmPassword?.message}
+                {...register('confirmPassword', {
+                  validate: (value) => value === watch('password') || 'Passwords do not match'
+                })}
+              />
+              <Button type="submit" className="w-full" loading={loading}>
+                {isInvitation ? t('auth.setPassword') : t('auth.resetPassword')}
+              </Button>
+            </form>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SetPassword;
@@ -1 +1,3 @@
 export { default as Login } from './Login';
+export { default as ForgotPassword } from './ForgotPassword';
+export { default as SetPassword } from './SetPassword';
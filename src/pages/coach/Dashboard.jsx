@@ -14,7 +14,8 @@ import {
   Clock,
   ChevronRight,
   BarChart3,
-  Activity
+  Activity,
+  Ruler
 } from 'lucide-react';
 import { formatDate, getFormBadge, getPositionColor } from '../../utils/helpers';
 
@@ -64,7 +65,7 @@ const CoachDashboard = () => {
     );
   }
 
-  const { team, counts, players, trainingStats, recentTrainings, upcomingMatches, recentMatches, topScorers, recentForm } = data;
+  const { team, counts, players, trainingStats, recentTrainings, upcomingMatches, recentMatches, topScorers, recentForm, growthAlerts } = data;
 
   return (
     <div className="space-y-6">
@@ -135,6 +136,47 @@ const CoachDashboard = () => {
         />
       </div>
 
+      {/* Growth Alerts */}
+      {growthAlerts?.length > 0 && (
+        <Card className="border border-yellow-200">
+          <Card.Header className="flex items-center justify-between">
+            <h3 className="font-semibold flex items-center gap-2">
+              <Ruler className="w-5 h-5 text-yellow-500" />
+              {t('growth.alertsTitle')}
+            </h3>
+            <span className="text-xs text-gray-500">
+              {t('growth.threshold', { value: growthAlerts[0].threshold })}
+            </span>
+          </Card.Header>
+          <Card.Body className="p-0">
+            <div className="divide-y divide-gray-100">
+              {growthAlerts.map(({ player, velocity, height, phv }) => (
+                <Link
+                  key={player._id}
+                  to="/coach/players"
+                  className="p-4 hover:bg-gray-50 flex items-center gap-3 transition-colors"
+                >
+                  <Avatar
+                    src={player.photo}
+                    firstName={player.firstName}
+                    lastName={player.lastName}
+                    size="small"
+                  />
+                  <div className="flex-1">
+                    <p className="font-medium text-gray-900">{player.firstName} {player.lastName}</p>
+                    <p className="text-xs text-gray-500">
+                      {height?.value} cm · {formatDate(velocity.to)}
+                      {phv && ` · ${t('growth.phvAge', { age: phv.ageAtPhv })}`}
+                    </p>
+                  </div>
+                  <Badge variant="warning">{t('growth.velocityValue', { value: velocity.value })}</Badge>
+                </Link>
+              ))}
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
       {/* Main Content */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Upcoming Matches */}
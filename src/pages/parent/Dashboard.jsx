@@ -0,0 +1,394 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { dashboardAPI, availabilityAPI } from '../../utils/api';
+import { Card, Loading, Badge, Avatar, EmptyState } from '../../components/common';
+import {
+  Calendar,
+  Trophy,
+  AlertTriangle,
+  TrendingUp,
+  Clock,
+  Star,
+  Activity,
+  Heart,
+  CalendarCheck
+} from 'lucide-react';
+import {
+  formatDate,
+  getStatusColor,
+  getOverallRating,
+  getPositionColor,
+  availabilityStatuses,
+  getAvailabilityVariant
+} from '../../utils/helpers';
+
+const StatBox = ({ icon: Icon, label, value, color }) => (
+  <div className="flex items-center gap-3 p-3 rounded-lg bg-gray-50">
+    <div className={`w-9 h-9 rounded-lg flex items-center justify-center ${color}`}>
+      <Icon className="w-5 h-5 text-white" />
+    </div>
+    <div>
+      <p className="text-lg font-bold text-gray-900">{value}</p>
+      <p className="text-xs text-gray-500">{label}</p>
+    </div>
+  </div>
+);
+
+const AvailabilityRequestRow = ({ request }) => {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState(request.reason || '');
+
+  const respondMutation = useMutation({
+    mutationFn: (status) => availabilityAPI.respond(request._id, { status, reason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['myAvailability']);
+      toast.success(t('availability.answerSaved'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  const event = request.training || request.match;
+  const title = request.match
+    ? `${t('availability.match')} vs ${request.match.opponent?.name}`
+    : t('availability.training');
+  const date = request.match ? request.match.matchDate : request.training.date;
+  const time = request.match ? request.match.kickoffTime : request.training.startTime;
+
+  return (
+    <div className="p-4 space-y-3">
+      <div className="flex justify-between items-start gap-3">
+        <div>
+          <p className="font-medium text-gray-900">
+            {request.player?.firstName} {request.player?.lastName} · {title}
+          </p>
+          <p className="text-sm text-gray-500">
+            {event.team?.name} | {formatDate(date)} | {time}
+          </p>
+        </div>
+        <Badge variant={getAvailabilityVariant(request.status)}>
+          {t(`availability.statuses.${request.status}`)}
+        </Badge>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={300}
+          placeholder={t('availability.reasonPlaceholder')}
+          className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <div className="flex gap-1">
+          {availabilityStatuses.map(status => (
+            <button
+              key={status}
+              onClick={() => respondMutation.mutate(status)}
+              disabled={respondMutation.isPending}
+              className={`px-3 py-1.5 text-xs rounded-md border transition-colors ${
+                request.status === status
+                  ? 'bg-primary-600 text-white border-primary-600'
+                  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {t(`availability.statuses.${status}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AvailabilityRequests = () => {
+  const { t } = useTranslation();
+
+  const { data: requests } = useQuery({
+    queryKey: ['myAvailability'],
+    queryFn: () => availabilityAPI.getMine(),
+    select: (res) => res.data.availability,
+  });
+
+  if (!requests?.length) return null;
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="font-semibold flex items-center gap-2">
+          <CalendarCheck className="w-5 h-5 text-primary-500" />
+          {t('availability.requests')}
+        </h3>
+      </Card.Header>
+      <Card.Body className="p-0">
+        <div className="divide-y divide-gray-100">
+          {requests.map((request) => (
+            <AvailabilityRequestRow key={request._id} request={request} />
+          ))}
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+const ChildCard = ({ child }) => {
+  const { t } = useTranslation();
+  const { player, injury, attendance, matchStats, upcomingTrainings, upcomingMatches } = child;
+
+  const schedule = [
+    ...upcomingTrainings.map(tr => ({
+      id: tr._id,
+      type: 'training',
+      title: t(`trainings.types.${tr.type}`),
+      date: tr.date,
+      time: `${tr.startTime}-${tr.endTime}`,
+      place: tr.location
+    })),
+    ...upcomingMatches.map(m => ({
+      id: m._id,
+      type: 'match',
+      title: `vs ${m.opponent?.name}`,
+      date: m.matchDate,
+      time: m.kickoffTime,
+      place: m.venue
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return (
+    <div className="space-y-6">
+      {/* Child Header */}
+      <Card className="p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <Avatar
+              src={player.photo}
+              firstName={player.firstName}
+              lastName={player.lastName}
+              size="xlarge"
+            />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">
+                {player.firstName} {player.lastName}
+              </h2>
+              <p className="text-gray-500">
+                {player.team?.name} {player.team?.ageCategory && `(${player.team.ageCategory})`}
+              </p>
+              <div className="flex items-center gap-2 mt-1">
+                {player.jerseyNumber && (
+                  <span className="text-sm font-bold text-gray-500">#{player.jerseyNumber}</span>
+                )}
+                <span className={`px-2 py-0.5 rounded text-xs font-medium text-white ${getPositionColor(player.position)}`}>
+                  {t(`players.positions.${player.position}`)}
+                </span>
+              </div>
+            </div>
+          </div>
+          <div className="text-right">
+            {injury.isInjured ? (
+              <Badge variant="danger">{t('players.injured')}</Badge>
+            ) : (
+              <Badge variant="success">{t('players.available')}</Badge>
+            )}
+            {injury.isInjured && (
+              <div className="mt-2 text-sm text-gray-600">
+                {injury.injuryDetails && <p>{injury.injuryDetails}</p>}
+                {injury.injuryEndDate && (
+                  <p className="text-xs text-gray-500">
+                    {t('players.expectedReturn')}: {formatDate(injury.injuryEndDate)}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 mt-6">
+          <StatBox
+            icon={TrendingUp}
+            label={t('dashboard.averageAttendance')}
+            value={`${attendance.rate}%`}
+            color="bg-green-500"
+          />
+          <StatBox
+            icon={Trophy}
+            label={t('players.matchesPlayed')}
+            value={matchStats.appearances}
+            color="bg-primary-500"
+          />
+          <StatBox
+            icon={Clock}
+            label={t('parents.minutesPlayed')}
+            value={matchStats.minutesPlayed}
+            color="bg-purple-500"
+          />
+          <StatBox
+            icon={Star}
+            label={t('statistics.averageRating')}
+            value={matchStats.averageRating || '-'}
+            color="bg-yellow-500"
+          />
+          <StatBox
+            icon={Activity}
+            label={t('players.overallRating')}
+            value={getOverallRating(player.ratings)}
+            color="bg-blue-500"
+          />
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Upcoming Schedule */}
+        <Card>
+          <Card.Header>
+            <h3 className="font-semibold flex items-center gap-2">
+              <Calendar className="w-5 h-5 text-primary-500" />
+              {t('parents.upcomingSchedule')}
+            </h3>
+          </Card.Header>
+          <Card.Body className="p-0">
+            {schedule.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">{t('common.noData')}</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {schedule.map((item) => (
+                  <div key={item.id} className="p-4 flex justify-between items-start">
+                    <div>
+                      <p className="font-medium text-gray-900">{item.title}</p>
+                      <p className="text-sm text-gray-500">
+                        {formatDate(item.date)} | {item.time}
+                      </p>
+                      {item.place && <p className="text-xs text-gray-400 mt-1">{item.place}</p>}
+                    </div>
+                    <Badge variant={item.type === 'match' ? 'warning' : 'primary'}>
+                      {item.type === 'match' ? t('nav.matches') : t('nav.trainings')}
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+
+        {/* Recent Attendance */}
+        <Card>
+          <Card.Header>
+            <h3 className="font-semibold flex items-center gap-2">
+              <Clock className="w-5 h-5 text-green-500" />
+              {t('trainings.attendance')}
+            </h3>
+          </Card.Header>
+          <Card.Body className="p-0">
+            {attendance.recent.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">{t('common.noData')}</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {attendance.recent.map((item) => (
+                  <div key={item._id} className="p-4 flex justify-between items-center">
+                    <div>
+                      <p className="font-medium text-gray-900">{t(`trainings.types.${item.type}`)}</p>
+                      <p className="text-sm text-gray-500">{formatDate(item.date)}</p>
+                    </div>
+                    <div className="text-right">
+                      <span className={getStatusColor(item.status)}>
+                        {t(`trainings.attendanceStatus.${item.status}`)}
+                      </span>
+                      {item.rating && (
+                        <p className="text-xs text-gray-500 mt-1">{t('trainings.rating')}: {item.rating}</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+
+        {/* Recent Matches */}
+        <Card>
+          <Card.Header>
+            <h3 className="font-semibold flex items-center gap-2">
+              <Trophy className="w-5 h-5 text-yellow-500" />
+              {t('dashboard.recentMatches')}
+            </h3>
+          </Card.Header>
+          <Card.Body className="p-0">
+            {matchStats.recent.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">{t('common.noData')}</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {matchStats.recent.map((match) => {
+                  const ourScore = match.isHome ? (match.score?.home || 0) : (match.score?.away || 0);
+                  const theirScore = match.isHome ? (match.score?.away || 0) : (match.score?.home || 0);
+
+                  return (
+                    <div key={match._id} className="p-4 flex justify-between items-center">
+                      <div>
+                        <p className="font-medium text-gray-900">vs {match.opponent}</p>
+                        <p className="text-sm text-gray-500">{formatDate(match.matchDate)}</p>
+                        <p className="text-xs text-gray-400 mt-1">
+                          {match.started ? t('parents.started') : t('parents.cameOn')}
+                          {match.goals > 0 && ` · ${match.goals} ${t('players.goals').toLowerCase()}`}
+                          {match.assists > 0 && ` · ${match.assists} ${t('players.assists').toLowerCase()}`}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="text-lg font-bold text-gray-900">{ourScore} - {theirScore}</p>
+                        {match.rating && (
+                          <p className="text-xs text-gray-500">{t('trainings.rating')}: {match.rating}</p>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+const ParentDashboard = () => {
+  const { t } = useTranslation();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['parentDashboard'],
+    queryFn: () => dashboardAPI.getParentDashboard(),
+    select: (res) => res.data.data,
+  });
+
+  if (isLoading) return <Loading />;
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          {error.response?.data?.message || 'Error loading dashboard'}
+        </h2>
+      </div>
+    );
+  }
+
+  if (data.children.length === 0) {
+    return (
+      <EmptyState
+        icon={Heart}
+        title={t('parents.noChildren')}
+        description={t('parents.noChildrenDescription')}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-10">
+      <AvailabilityRequests />
+      {data.children.map((child) => (
+        <ChildCard key={child.player._id} child={child} />
+      ))}
+    </div>
+  );
+};
+
+export default ParentDashboard;
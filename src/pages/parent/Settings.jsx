@@ -0,0 +1,3 @@
+// Parent Settings - Same as Admin Settings
+import AdminSettings from '../admin/Settings';
+export default AdminSettings;
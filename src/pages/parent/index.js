@@ -0,0 +1,2 @@
+export { default as Dashboard } from './Dashboard';
+export { default as Settings } from './Settings';
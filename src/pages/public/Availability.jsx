@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Trophy, AlertTriangle, Calendar, MapPin } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { availabilityAPI } from '../../utils/api';
+import { Card, Loading, Badge, Button } from '../../components/common';
+import { formatDate, availabilityStatuses, getAvailabilityVariant } from '../../utils/helpers';
+
+// Public page opened from the link in an availability request
+const Availability = () => {
+  const { token } = useParams();
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState('');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['availabilityByToken', token],
+    queryFn: () => availabilityAPI.getByToken(token),
+    select: (res) => res.data,
+    retry: false,
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: (status) => availabilityAPI.respondByToken(token, { status, reason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['availabilityByToken', token]);
+      toast.success(t('availability.answerSaved'));
+    },
+    onError: (error) => toast.error(error.response?.data?.message || t('common.error'))
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loading />
+      </div>
+    );
+  }
+
+  const { availability, event } = data || {};
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md space-y-6">
+        <div className="flex items-center justify-center gap-3">
+          <div className="w-10 h-10 bg-primary-600 rounded-lg flex items-center justify-center">
+            <Trophy className="w-6 h-6 text-white" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">{t('availability.title')}</h1>
+        </div>
+
+        {error || !event ? (
+          <Card className="p-6 text-center">
+            <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
+            <p className="text-gray-700">{error?.response?.data?.message || t('availability.linkInvalid')}</p>
+          </Card>
+        ) : (
+          <Card className="p-6 space-y-5">
+            <div>
+              <p className="text-lg font-semibold text-gray-900">
+                {availability.player?.firstName} {availability.player?.lastName}
+              </p>
+              <p className="text-sm text-gray-500">{event.team}</p>
+            </div>
+
+            <div className="space-y-2 text-sm text-gray-700">
+              <p className="font-medium">
+                {event.kind === 'match'
+                  ? `${t('availability.match')} vs ${event.opponent}`
+                  : t('availability.training')}
+              </p>
+              <p className="flex items-center gap-2">
+                <Calendar className="w-4 h-4 text-gray-400" />
+                {formatDate(event.date)} | {event.time}{event.endTime && `-${event.endTime}`}
+              </p>
+              {event.location && (
+                <p className="flex items-center gap-2">
+                  <MapPin className="w-4 h-4 text-gray-400" />
+                  {event.location}
+                </p>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-500">{t('availability.currentAnswer')}</span>
+              <Badge variant={getAvailabilityVariant(availability.status)}>
+                {t(`availability.statuses.${availability.status}`)}
+              </Badge>
+            </div>
+
+            {event.closed ? (
+              <p className="text-sm text-gray-500 text-center">{t('availability.closed')}</p>
+            ) : (
+              <div className="space-y-3">
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  maxLength={300}
+                  rows={2}
+                  placeholder={t('availability.reasonPlaceholder')}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <div className="grid grid-cols-3 gap-2">
+                  {availabilityStatuses.map(status => (
+                    <Button
+                      key={status}
+                      variant={availability.status === status ? 'primary' : 'secondary'}
+                      onClick={() => respondMutation.mutate(status)}
+                      disabled={respondMutation.isPending}
+                    >
+                      {t(`availability.statuses.${status}`)}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Availability;
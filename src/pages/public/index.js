@@ -0,0 +1 @@
+export { default as Availability } from './Availability';
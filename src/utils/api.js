@@ -23,14 +23,57 @@ api.interceptors.request.use(
   }
 );
 
+// Store the token pair of the current session
+export const setSessionTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSessionTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Exchange the refresh token for a new token pair. Requests failing at the
+// same time share one refresh.
+let refreshPromise = null;
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+        .then((response) => setSessionTokens(response.data))
+        .catch((error) => {
+          // Another tab may have refreshed in the meantime
+          if (localStorage.getItem('refreshToken') === refreshToken) throw error;
+        })
+      : Promise.reject(new Error('No refresh token')))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
+  async (error) => {
+    const { config } = error;
+    const isAuthRequest = ['/auth/login', '/auth/login/2fa', '/auth/refresh'].includes(config?.url);
+
+    if (error.response?.status === 401 && config && !config._retried && !isAuthRequest) {
+      // The access token expired; try once more with a refreshed one
+      try {
+        await refreshSession();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${localStorage.getItem('token')}`;
+        return api(config);
+      } catch {
+        clearSessionTokens();
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
       }
     }
     return Promise.reject(error);
@@ -42,10 +85,22 @@ export default api;
 // API helper functions
 export const authAPI = {
   login: (data) => api.post('/auth/login', data),
+  verifyTwoFactor: (data) => api.post('/auth/login/2fa', data),
   getMe: () => api.get('/auth/me'),
   updateProfile: (data) => api.put('/auth/profile', data),
   updatePassword: (data) => api.put('/auth/password', data),
   logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  getAccountLink: (token) => api.get(`/auth/set-password/${token}`),
+  setPassword: (token, data) => api.post(`/auth/set-password/${token}`, data),
+  getTwoFactor: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
+  disableTwoFactor: (data) => api.delete('/auth/2fa', { data }),
 };
 
 export const usersAPI = {
@@ -55,6 +110,9 @@ export const usersAPI = {
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   resetPassword: (id, data) => api.put(`/users/${id}/reset-password`, data),
+  resendInvitation: (id) => api.post(`/users/${id}/invitation`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  resetTwoFactor: (id) => api.delete(`/users/${id}/two-factor`),
   uploadPhoto: (id, formData) => api.put(`/users/${id}/photo`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
@@ -69,6 +127,7 @@ export const teamsAPI = {
   uploadLogo: (id, formData) => api.put(`/teams/${id}/logo`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  getMovements: (id, params) => api.get(`/teams/${id}/movements`, { params }),
 };
 
 export const playersAPI = {
@@ -83,8 +142,18 @@ export const playersAPI = {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
   updateRatings: (id, data) => api.put(`/players/${id}/ratings`, data),
+  getRatingHistory: (id, params) => api.get(`/players/${id}/rating-history`, { params }),
+  getGrowth: (id) => api.get(`/players/${id}/growth`),
+  transfer: (id, data) => api.post(`/players/${id}/transfer`, data),
+  getTeamHistory: (id) => api.get(`/players/${id}/team-history`),
+  addMeasurement: (id, data) => api.post(`/players/${id}/measurements`, data),
+  updateMeasurement: (id, measurementId, data) => api.put(`/players/${id}/measurements/${measurementId}`, data),
+  deleteMeasurement: (id, measurementId) => api.delete(`/players/${id}/measurements/${measurementId}`),
   updateStatistics: (id, data) => api.put(`/players/${id}/statistics`, data),
   updateInjury: (id, data) => api.put(`/players/${id}/injury`, data),
+  import: (formData) => api.post('/players/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
 };
 
 export const trainingsAPI = {
@@ -104,6 +173,9 @@ export const trainingsAPI = {
   uploadPlan: (id, formData) => api.post(`/trainings/${id}/plan`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  generate: (data) => api.post('/trainings/generate', data),
+  updateSeries: (seriesId, data) => api.put(`/trainings/series/${seriesId}`, data),
+  cancelSeries: (seriesId, data) => api.post(`/trainings/series/${seriesId}/cancel`, data),
 };
 
 export const matchesAPI = {
@@ -118,15 +190,142 @@ export const matchesAPI = {
   addGoal: (id, data) => api.post(`/matches/${id}/goals`, data),
   addCard: (id, data) => api.post(`/matches/${id}/cards`, data),
   addSubstitution: (id, data) => api.post(`/matches/${id}/substitutions`, data),
+  updateGoal: (id, goalId, data) => api.put(`/matches/${id}/goals/${goalId}`, data),
+  deleteGoal: (id, goalId) => api.delete(`/matches/${id}/goals/${goalId}`),
+  updateCard: (id, cardId, data) => api.put(`/matches/${id}/cards/${cardId}`, data),
+  deleteCard: (id, cardId) => api.delete(`/matches/${id}/cards/${cardId}`),
+  updateSubstitution: (id, subId, data) => api.put(`/matches/${id}/substitutions/${subId}`, data),
+  deleteSubstitution: (id, subId) => api.delete(`/matches/${id}/substitutions/${subId}`),
+  updateInjury: (id, injuryId, data) => api.put(`/matches/${id}/injuries/${injuryId}`, data),
+  deleteInjury: (id, injuryId) => api.delete(`/matches/${id}/injuries/${injuryId}`),
   complete: (id, data) => api.put(`/matches/${id}/complete`, data),
+  // EventSource cannot send headers, so the token goes in the query string
+  subscribeLive: () => new EventSource(
+    `${API_URL}/matches/live?token=${encodeURIComponent(localStorage.getItem('token') || '')}`
+  ),
 };
 
 export const dashboardAPI = {
   getAdminDashboard: () => api.get('/dashboard/admin'),
   getCoachDashboard: () => api.get('/dashboard/coach'),
+  getParentDashboard: () => api.get('/dashboard/parent'),
   getPlayerPerformance: (id) => api.get(`/dashboard/player/${id}/performance`),
 };
 
+export const seasonsAPI = {
+  getAll: (params) => api.get('/seasons', { params }),
+  getById: (id) => api.get(`/seasons/${id}`),
+  create: (data) => api.post('/seasons', data),
+  update: (id, data) => api.put(`/seasons/${id}`, data),
+  delete: (id) => api.delete(`/seasons/${id}`),
+  rollover: (id, data) => api.post(`/seasons/${id}/rollover`, data),
+};
+
+export const competitionsAPI = {
+  getAll: (params) => api.get('/competitions', { params }),
+  getById: (id) => api.get(`/competitions/${id}`),
+  create: (data) => api.post('/competitions', data),
+  update: (id, data) => api.put(`/competitions/${id}`, data),
+  delete: (id) => api.delete(`/competitions/${id}`),
+  generateFixtures: (id, data) => api.post(`/competitions/${id}/fixtures/generate`, data),
+  updateFixture: (id, fixtureId, data) => api.put(`/competitions/${id}/fixtures/${fixtureId}`, data),
+  getStandings: (id) => api.get(`/competitions/${id}/standings`),
+  getTopScorers: (id) => api.get(`/competitions/${id}/top-scorers`),
+};
+
+export const opponentsAPI = {
+  getAll: (params) => api.get('/opponents', { params }),
+  getById: (id) => api.get(`/opponents/${id}`),
+  create: (data) => api.post('/opponents', data),
+  update: (id, data) => api.put(`/opponents/${id}`, data),
+  delete: (id) => api.delete(`/opponents/${id}`),
+  uploadLogo: (id, formData) => api.put(`/opponents/${id}/logo`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  merge: (id, data) => api.post(`/opponents/${id}/merge`, data),
+  sync: () => api.post('/opponents/sync'),
+};
+
+export const holidaysAPI = {
+  getAll: (params) => api.get('/holidays', { params }),
+  create: (data) => api.post('/holidays', data),
+  update: (id, data) => api.put(`/holidays/${id}`, data),
+  delete: (id) => api.delete(`/holidays/${id}`),
+};
+
+export const availabilityAPI = {
+  get: (params) => api.get('/availability', { params }),
+  getMine: () => api.get('/availability/mine'),
+  request: (data) => api.post('/availability/request', data),
+  respond: (id, data) => api.put(`/availability/${id}`, data),
+  getByToken: (token) => api.get(`/availability/respond/${token}`),
+  respondByToken: (token, data) => api.put(`/availability/respond/${token}`, data),
+};
+
+export const medicalAPI = {
+  getRecord: (playerId) => api.get(`/medical/players/${playerId}`),
+  getOverview: (params) => api.get('/medical/overview', { params }),
+  createInjury: (playerId, data) => api.post(`/medical/players/${playerId}/injuries`, data),
+  updateInjury: (id, data) => api.put(`/medical/injuries/${id}`, data),
+  deleteInjury: (id) => api.delete(`/medical/injuries/${id}`),
+  createClearance: (playerId, data) => api.post(`/medical/players/${playerId}/clearances`, data),
+  updateClearance: (id, data) => api.put(`/medical/clearances/${id}`, data),
+  deleteClearance: (id) => api.delete(`/medical/clearances/${id}`),
+  uploadDocument: (playerId, formData) => api.post(`/medical/players/${playerId}/documents`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  downloadDocument: (id) => api.get(`/medical/documents/${id}/file`, {
+    responseType: 'blob'
+  }),
+  deleteDocument: (id) => api.delete(`/medical/documents/${id}`),
+};
+
+export const fitnessAPI = {
+  getTests: (params) => api.get('/fitness/tests', { params }),
+  createTest: (data) => api.post('/fitness/tests', data),
+  updateTest: (id, data) => api.put(`/fitness/tests/${id}`, data),
+  deleteTest: (id) => api.delete(`/fitness/tests/${id}`),
+  getSessions: (params) => api.get('/fitness/sessions', { params }),
+  getSession: (id) => api.get(`/fitness/sessions/${id}`),
+  createSession: (data) => api.post('/fitness/sessions', data),
+  updateSession: (id, data) => api.put(`/fitness/sessions/${id}`, data),
+  saveResults: (id, results) => api.put(`/fitness/sessions/${id}/results`, { results }),
+  deleteSession: (id) => api.delete(`/fitness/sessions/${id}`),
+  getPlayerResults: (playerId) => api.get(`/fitness/players/${playerId}`),
+};
+
+export const auditAPI = {
+  getAll: (params) => api.get('/audit', { params }),
+  getEntities: () => api.get('/audit/entities'),
+};
+
+export const rolesAPI = {
+  getAll: () => api.get('/roles'),
+  getPermissions: () => api.get('/roles/permissions'),
+  create: (data) => api.post('/roles', data),
+  update: (id, data) => api.put(`/roles/${id}`, data),
+  setTwoFactor: (id, required) => api.put(`/roles/${id}/two-factor`, { required }),
+  delete: (id) => api.delete(`/roles/${id}`),
+};
+
+export const calendarAPI = {
+  getFeeds: () => api.get('/calendar/feeds'),
+  resetToken: () => api.post('/calendar/token'),
+};
+
+export const facilitiesAPI = {
+  getAll: (params) => api.get('/facilities', { params }),
+  getById: (id) => api.get(`/facilities/${id}`),
+  getOccupancy: (id, params) => api.get(`/facilities/${id}/occupancy`, { params }),
+  create: (data) => api.post('/facilities', data),
+  update: (id, data) => api.put(`/facilities/${id}`, data),
+  delete: (id) => api.delete(`/facilities/${id}`),
+};
+
+export const statisticsAPI = {
+  rebuild: (data) => api.post('/statistics/rebuild', data),
+};
+
 export const exportAPI = {
   playersExcel: (params) => api.get('/export/players/excel', {
     params,
@@ -140,6 +339,10 @@ export const exportAPI = {
     params,
     responseType: 'blob'
   }),
+  fitnessExcel: (params) => api.get('/export/fitness/excel', {
+    params,
+    responseType: 'blob'
+  }),
   matchPDF: (id) => api.get(`/export/match/${id}/pdf`, {
     responseType: 'blob'
   }),
@@ -278,6 +278,67 @@ export const attendanceStatuses = [
   'present', 'absent', 'late', 'excused', 'injured'
 ];
 
+export const availabilityStatuses = ['available', 'maybe', 'unavailable'];
+
+export const getAvailabilityVariant = (status) => {
+  const variants = {
+    available: 'success',
+    maybe: 'warning',
+    unavailable: 'danger',
+  };
+  return variants[status] || 'default';
+};
+
+export const injuryTypes = ['muscle', 'ligament', 'tendon', 'fracture', 'joint', 'concussion', 'contusion', 'illness', 'other'];
+
+export const bodyParts = [
+  'head', 'neck', 'shoulder', 'arm', 'wrist_hand', 'chest', 'back', 'hip_groin',
+  'thigh', 'hamstring', 'knee', 'calf', 'ankle', 'foot', 'other'
+];
+
+export const clearanceTypes = ['annual_checkup', 'cardiac_screening', 'return_to_play', 'other'];
+
+export const medicalDocumentCategories = ['certificate', 'scan', 'report', 'prescription', 'other'];
+
+export const getClearanceVariant = (status) => {
+  const variants = {
+    valid: 'success',
+    expiring: 'warning',
+    expired: 'danger',
+    missing: 'danger',
+  };
+  return variants[status] || 'default';
+};
+
+export const fitnessCategories = ['speed', 'endurance', 'power', 'agility', 'other'];
+
+// Percentile among birth-year peers: top quarter green, bottom quarter red
+export const getPercentileVariant = (percentile) => {
+  if (percentile === null || percentile === undefined) return 'default';
+  if (percentile >= 75) return 'success';
+  if (percentile >= 50) return 'primary';
+  if (percentile >= 25) return 'warning';
+  return 'danger';
+};
+
+export const getAuditActionVariant = (action) => {
+  const variants = {
+    create: 'success',
+    update: 'primary',
+    delete: 'danger',
+  };
+  return variants[action] || 'default';
+};
+
+// Render a value stored in an audit log change
+export const formatAuditValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return formatDateTime(value);
+  if (Array.isArray(value)) return value.length ? value.map(formatAuditValue).join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
 export const truncateText = (text, maxLength = 50) => {
   if (!text || text.length <= maxLength) return text;
   return text.substring(0, maxLength) + '...';